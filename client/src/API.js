@@ -56,6 +56,22 @@ const logIn = async credentials =>
     })
   );
 
+/**
+ * Register a new user account
+ * The server logs the new user in, so the returned object matches logIn's
+ * @param {Object} account - Object containing email, name and password
+ * @returns {Promise<Object>} User object of the newly created account
+ */
+const register = async account =>
+  getJson(
+    fetch(SERVER_URL + 'users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include', // Include session cookies
+      body: JSON.stringify(account)
+    })
+  );
+
 /**
  * Get current user information from session
  * Verifies session validity and returns user authentication status
@@ -96,6 +112,22 @@ const totpVerify = async totpCode =>
     })
   );
 
+/**
+ * Complete two-factor authentication with a one-time recovery code
+ * Used when the authenticator app is not available; each code works once
+ * @param {string} recoveryCode - Recovery code (dashes and case are ignored)
+ * @returns {Promise<Object>} Verification result with remainingRecoveryCodes
+ */
+const recoveryLogin = async recoveryCode =>
+  getJson(
+    fetch(SERVER_URL + 'login-recovery', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code: recoveryCode })
+    })
+  );
+
 /**
  * Skip TOTP verification for partial authentication
  * Allows user to proceed with limited privileges
@@ -111,6 +143,141 @@ const skipTotp = async () =>
     })
   );
 
+/**
+ * Get the recent activity of the current account (logins, 2FA changes, orders)
+ * @returns {Promise<Array>} Audit log entries, newest first
+ */
+const getAccountActivity = async () =>
+  getJson(fetch(SERVER_URL + 'users/current/activity', { credentials: 'include' }));
+
+/**
+ * Change the password of the current user
+ * Users with 2FA also send a TOTP code; other sessions of the user are logged out
+ * @param {Object} change - { currentPassword, newPassword, code }
+ * @returns {Promise<Object>} Confirmation with the number of other sessions logged out
+ */
+const changePassword = async change =>
+  getJson(
+    fetch(SERVER_URL + 'users/current/password', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(change)
+    })
+  );
+
+/**
+ * Save the dietary profile of the current user
+ * @param {Object} profile - { diet, allergens }: diet to follow (null = none) and allergens to avoid
+ * @returns {Promise<Object>} Updated user information
+ */
+const updateDietaryProfile = async profile =>
+  getJson(
+    fetch(SERVER_URL + 'users/current/dietary-profile', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(profile)
+    })
+  );
+
+/**
+ * Ask for a password reset link to be emailed
+ * The answer is the same whether or not the address has an account
+ * @param {string} email - Email address of the account
+ * @returns {Promise<Object>} Confirmation message
+ */
+const requestPasswordReset = async email =>
+  getJson(
+    fetch(SERVER_URL + 'password-resets', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    })
+  );
+
+/**
+ * Set a new password with the token of a reset link
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} Confirmation message
+ */
+const resetPassword = async (token, newPassword) =>
+  getJson(
+    fetch(SERVER_URL + 'password-resets/confirm', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token, newPassword })
+    })
+  );
+
+// --- Two-factor enrollment API calls ---
+
+/**
+ * Start two-factor enrollment for the current user
+ * The server generates a new secret that stays pending until confirmed
+ * @returns {Promise<Object>} Object with secret, otpauthUri and qrCode (PNG data URL)
+ */
+const startTotpEnrollment = async () =>
+  getJson(
+    fetch(SERVER_URL + 'totp/enrollment', {
+      method: 'POST',
+      credentials: 'include'
+    })
+  );
+
+/**
+ * Confirm two-factor enrollment with a first code from the authenticator app
+ * Activates the pending secret and upgrades the session to full authentication
+ * @param {string} totpCode - 6-digit TOTP code
+ * @returns {Promise<Object>} Updated user object
+ */
+const confirmTotpEnrollment = async totpCode =>
+  getJson(
+    fetch(SERVER_URL + 'totp/enrollment/confirm', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code: totpCode })
+    })
+  );
+
+/**
+ * Get the number of unused recovery codes of the current user
+ * @returns {Promise<Object>} Object with the remaining count
+ */
+const getRecoveryCodeCount = async () =>
+  getJson(fetch(SERVER_URL + 'totp/recovery-codes', { credentials: 'include' }));
+
+/**
+ * Generate a new set of recovery codes, invalidating the previous ones
+ * Requires full 2FA authentication
+ * @returns {Promise<Object>} Object with the new recoveryCodes (shown only once)
+ */
+const regenerateRecoveryCodes = async () =>
+  getJson(
+    fetch(SERVER_URL + 'totp/recovery-codes', {
+      method: 'POST',
+      credentials: 'include'
+    })
+  );
+
+/**
+ * Disable two-factor authentication
+ * Requires a fresh TOTP code even if the session already completed 2FA
+ * @param {string} totpCode - 6-digit TOTP code
+ * @returns {Promise<Object>} Updated user object
+ */
+const disableTotp = async totpCode =>
+  getJson(
+    fetch(SERVER_URL + 'totp', {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code: totpCode })
+    })
+  );
+
 // --- Restaurant data API calls ---
 
 /**
@@ -152,20 +319,54 @@ const getUserOrders = async () =>
   getJson(fetch(SERVER_URL + 'orders', { credentials: 'include' }));
 
 /**
- * Create a new order with selected dish and ingredients
+ * Create a new order containing one or more configured dishes
  * Validates selections and creates order with automatic availability tracking
  * Requires authentication - protected endpoint
- * @param {string} dishId - Combined dish ID (baseDishId_sizeId)
- * @param {Array<number>} ingredientIds - Array of selected ingredient IDs
+ * @param {Array<Object>} items - Items as { dishId, ingredientIds, quantity }
  * @returns {Promise<Object>} Created order object with confirmation details
  */
-const createOrder = async (dishId, ingredientIds) =>
+const createOrder = async items =>
   getJson(
     fetch(SERVER_URL + 'orders', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ dishId, ingredientIds })
+      body: JSON.stringify({ items })
+    })
+  );
+
+/**
+ * Validate and price an order without creating it
+ * Returns every violation, the price breakdown at current prices and the stock involved
+ * Requires authentication - protected endpoint
+ * @param {Array<Object>} items - Items as { dishId, ingredientIds, quantity }
+ * @returns {Promise<Object>} Quote as { valid, items, totalPrice, violations, stock }
+ */
+const quoteOrder = async items =>
+  getJson(
+    fetch(SERVER_URL + 'orders/quote', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ items })
+    })
+  );
+
+/**
+ * Ask for ways to complete the dish being configured
+ * Requires authentication - protected endpoint
+ * @param {Object} request - { dishId, ingredientIds, goal, ingredientId, cart }: goal is max_ingredients,
+ *   min_price or include (with ingredientId); cart items as { ingredientIds, quantity } use stock first
+ * @returns {Promise<Object>} { goal, suggestions, violation, exhaustive }, suggestions as
+ *   { ingredientIds, ingredients, added, unitPrice }
+ */
+const suggestCompletions = async request =>
+  getJson(
+    fetch(SERVER_URL + 'orders/suggestions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(request)
     })
   );
 
@@ -184,6 +385,235 @@ const cancelOrder = async orderId =>
     })
   );
 
+/**
+ * Get the configuration of a past order, checked against the current menu and stock
+ * @param {number} orderId - ID of the order to order again
+ * @returns {Promise<Object>} { items, skippedItems }: items with the ingredients that still fit
+ *   and the dropped ones with the reason
+ */
+const prefillOrder = async orderId =>
+  getJson(fetch(`${SERVER_URL}orders/${orderId}/prefill`, { credentials: 'include' }));
+
+// --- Favorites API calls ---
+
+/**
+ * Get the saved favorite configurations of the current user
+ * @returns {Promise<Array>} Favorites, newest first
+ */
+const getFavorites = async () =>
+  getJson(fetch(SERVER_URL + 'favorites', { credentials: 'include' }));
+
+/**
+ * Save a configured dish as a favorite
+ * @param {Object} favorite - { name, dishId, ingredientIds }
+ * @returns {Promise<Object>} Created favorite
+ */
+const createFavorite = async favorite =>
+  getJson(
+    fetch(SERVER_URL + 'favorites', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(favorite)
+    })
+  );
+
+/**
+ * Get a favorite checked against the current menu and stock, to load it in the configurator
+ * @param {number} favoriteId - Favorite ID
+ * @returns {Promise<Object>} Same shape as prefillOrder, with a single item
+ */
+const prefillFavorite = async favoriteId =>
+  getJson(fetch(`${SERVER_URL}favorites/${favoriteId}/prefill`, { credentials: 'include' }));
+
+/**
+ * Delete a favorite
+ * @param {number} favoriteId - Favorite ID
+ * @returns {Promise<Object>} Confirmation message
+ */
+const deleteFavorite = async favoriteId =>
+  getJson(
+    fetch(`${SERVER_URL}favorites/${favoriteId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    })
+  );
+
+// --- Live updates (Server-Sent Events) ---
+
+/**
+ * Subscribe to the updates pushed by the server
+ * The browser reconnects by itself if the connection drops; onOpen runs on every
+ * (re)connection so callers can reload what they may have missed
+ * @param {Object} handlers - Callbacks: onOpen(), onStock(changes as [{ id, availability }]),
+ *   onOrderStatus(order as { id, userId, status, changedAt }), onStockAlert(alert) (admins only)
+ * @returns {Function} Function that closes the connection
+ */
+const subscribeToUpdates = (handlers) => {
+  const source = new EventSource(SERVER_URL + 'events', { withCredentials: true });
+  source.addEventListener('open', () => handlers.onOpen?.());
+  source.addEventListener('stock', event => handlers.onStock?.(JSON.parse(event.data)));
+  source.addEventListener('order-status', event => handlers.onOrderStatus?.(JSON.parse(event.data)));
+  source.addEventListener('stock-alert', event => handlers.onStockAlert?.(JSON.parse(event.data)));
+  return () => source.close();
+};
+
+// --- Kitchen API calls (staff role required) ---
+
+/**
+ * Get the open orders of every customer, oldest first
+ * @returns {Promise<Array>} Orders with items, customer name and status history
+ */
+const getKitchenOrders = async () =>
+  getJson(fetch(SERVER_URL + 'kitchen/orders', { credentials: 'include' }));
+
+/**
+ * Move an order to its next status
+ * @param {number} orderId - ID of the order
+ * @param {string} status - New status (preparing, ready, picked_up or rejected)
+ * @returns {Promise<Object>} Updated order as { id, userId, status, changedAt }
+ */
+const updateOrderStatus = async (orderId, status) =>
+  getJson(
+    fetch(`${SERVER_URL}orders/${orderId}/status`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ status })
+    })
+  );
+
+// --- Inventory API calls (staff role required) ---
+
+/**
+ * Compare the availability of every ingredient with its stock ledger
+ * @returns {Promise<Object>} { consistent, ingredients: [{ id, name, availability, ledgerBalance, difference, consistent }] }
+ */
+const getStockReconciliation = async () =>
+  getJson(fetch(SERVER_URL + 'inventory/reconciliation', { credentials: 'include' }));
+
+/**
+ * Get the stock ledger of an ingredient, oldest first
+ * @param {number} ingredientId - Ingredient ID
+ * @returns {Promise<Object>} { ingredient, movements } where each movement carries the balance after it
+ */
+const getStockMovements = async (ingredientId) =>
+  getJson(fetch(`${SERVER_URL}ingredients/${ingredientId}/stock-movements`, { credentials: 'include' }));
+
+/**
+ * Record a restock, waste or adjustment
+ * @param {number} ingredientId - Ingredient ID
+ * @param {Object} movement - { reason, quantity, note }
+ * @returns {Promise<Object>} { ingredientId, availability, movement }
+ */
+const recordStockMovement = async (ingredientId, movement) =>
+  getJson(
+    fetch(`${SERVER_URL}ingredients/${ingredientId}/stock-movements`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(movement)
+    })
+  );
+
+// --- Menu management API calls (admin role and 2FA required) ---
+
+/**
+ * Get the low-stock alert feed, newest first
+ * @returns {Promise<Array>} Alerts as { id, ingredientName, availability, threshold, createdAt, acknowledgedAt, acknowledgedBy }
+ */
+const getStockAlerts = async () =>
+  getJson(fetch(SERVER_URL + 'stock-alerts', { credentials: 'include' }));
+
+/**
+ * Mark a low-stock alert as handled
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<Object>} Confirmation message
+ */
+const acknowledgeStockAlert = async (alertId) =>
+  getJson(
+    fetch(`${SERVER_URL}stock-alerts/${alertId}/acknowledge`, {
+      method: 'POST',
+      credentials: 'include'
+    })
+  );
+
+/**
+ * Set the stock level at or below which an ingredient raises a low-stock alert
+ * @param {number} ingredientId - Ingredient ID
+ * @param {number|null} reorderThreshold - Threshold (null = no alerts)
+ * @returns {Promise<Object>} { id, reorderThreshold }
+ */
+const setReorderThreshold = async (ingredientId, reorderThreshold) =>
+  getJson(
+    fetch(`${SERVER_URL}ingredients/${ingredientId}/reorder-threshold`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ reorderThreshold })
+    })
+  );
+
+/**
+ * Add a requirement rule: selecting an ingredient requires another one
+ * @param {number} ingredientId - Ingredient that gets the requirement
+ * @param {number} requiredId - Required ingredient
+ * @returns {Promise<Array>} Updated ingredients list
+ */
+const addRequirement = async (ingredientId, requiredId) =>
+  getJson(
+    fetch(`${SERVER_URL}ingredients/${ingredientId}/requirements`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ requiredId })
+    })
+  );
+
+/**
+ * Remove a requirement rule
+ * @param {number} ingredientId - Ingredient that has the requirement
+ * @param {number} requiredId - Required ingredient
+ * @returns {Promise<Array>} Updated ingredients list
+ */
+const removeRequirement = async (ingredientId, requiredId) =>
+  getJson(
+    fetch(`${SERVER_URL}ingredients/${ingredientId}/requirements/${requiredId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    })
+  );
+
+/**
+ * Add a (symmetric) incompatibility rule between two ingredients
+ * @param {number} ingredientId - First ingredient
+ * @param {number} incompatibleWithId - Second ingredient
+ * @returns {Promise<Array>} Updated ingredients list
+ */
+const addIncompatibility = async (ingredientId, incompatibleWithId) =>
+  getJson(
+    fetch(`${SERVER_URL}ingredients/${ingredientId}/incompatibilities`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ incompatibleWithId })
+    })
+  );
+
+/**
+ * Remove an incompatibility rule (both directions)
+ * @param {number} ingredientId - First ingredient
+ * @param {number} otherId - Second ingredient
+ * @returns {Promise<Array>} Updated ingredients list
+ */
+const removeIncompatibility = async (ingredientId, otherId) =>
+  getJson(
+    fetch(`${SERVER_URL}ingredients/${ingredientId}/incompatibilities/${otherId}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    })
+  );
+
 /**
  * Exported API object containing all available methods
  * Provides a single import point for all API functionality
@@ -192,10 +622,24 @@ const cancelOrder = async orderId =>
 const API = {
   // Authentication methods
   logIn,
+  register,
   getUserInfo,
   logOut,
   totpVerify,
+  recoveryLogin,
   skipTotp,
+  getAccountActivity,
+  changePassword,
+  updateDietaryProfile,
+  requestPasswordReset,
+  resetPassword,
+
+  // Two-factor enrollment methods
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  getRecoveryCodeCount,
+  regenerateRecoveryCodes,
+  disableTotp,
   
   // Restaurant data methods
   getBaseDishes,
@@ -205,7 +649,37 @@ const API = {
   // Order management methods
   getUserOrders,
   createOrder,
-  cancelOrder
+  quoteOrder,
+  suggestCompletions,
+  cancelOrder,
+  prefillOrder,
+
+  // Favorites methods
+  getFavorites,
+  createFavorite,
+  prefillFavorite,
+  deleteFavorite,
+
+  // Live updates
+  subscribeToUpdates,
+
+  // Kitchen methods (staff)
+  getKitchenOrders,
+  updateOrderStatus,
+
+  // Inventory methods (staff)
+  getStockReconciliation,
+  getStockMovements,
+  recordStockMovement,
+
+  // Menu management methods (admin)
+  getStockAlerts,
+  acknowledgeStockAlert,
+  setReorderThreshold,
+  addRequirement,
+  removeRequirement,
+  addIncompatibility,
+  removeIncompatibility
 };
 
 export default API;
@@ -8,7 +8,7 @@ import './App.css';
 
 import { React, useState, useEffect, useRef } from 'react';
 import { Container } from 'react-bootstrap';
-import { Routes, Route, Navigate, useNavigate } from 'react-router';
+import { Routes, Route, Navigate, useNavigate, useLocation } from 'react-router';
 
 import { 
   GenericLayout, 
@@ -16,14 +16,23 @@ import {
   MenuBrowser, 
   ConfiguratorLayout, 
   OrdersLayout,
+  AccountLayout,
+  AdminLayout,
+  KitchenLayout,
+  InventoryLayout,
   LoginLayout, 
+  RegistrationLayout,
+  ForgotPasswordLayout,
+  ResetPasswordLayout,
   TotpLayout 
 } from './components/Layout';
 
 import API from './API.js';
+import { clearDraft } from './draft.js';
 
 function App() {
   const navigate = useNavigate();
+  const location = useLocation();
   
   // Add timeout reference for message cleanup
   const messageTimeoutRef = useRef(null);
@@ -143,6 +152,36 @@ function App() {
       .catch(handleErrors);
   }, [loggedIn]);
 
+  /**
+   * Listen to the updates pushed by the server
+   * Stock changes patch the ingredient list in place; a status change of one of the
+   * user's orders reloads them. The server picks the audience when the connection
+   * opens, so it is reopened whenever the user changes
+   */
+  const userId = loggedIn && user ? user.id : null;
+  useEffect(() => {
+    return API.subscribeToUpdates({
+      // (Re)connected: reload the availability that may have changed meanwhile
+      onOpen: () => {
+        API.getIngredients()
+          .then(ing => setIngredients(ing))
+          .catch(() => {});
+      },
+      onStock: (changes) => {
+        const availability = new Map(changes.map(change => [change.id, change.availability]));
+        setIngredients(prev => prev.map(ing =>
+          availability.has(ing.id) ? { ...ing, availability: availability.get(ing.id) } : ing
+        ));
+      },
+      onOrderStatus: () => {
+        if (userId === null) return;
+        API.getUserOrders()
+          .then(o => setOrders(o))
+          .catch(() => {});
+      }
+    });
+  }, [userId]);
+
   /**
    * Handle user login with proper 2FA flow
    * Manages complex authentication states including partial authentication
@@ -168,18 +207,36 @@ function App() {
       .catch(err => { throw err; });
   };
 
+  /**
+   * Handle new account registration
+   * The server logs the new user in; new accounts have no 2FA, so they are fully authenticated
+   * @param {Object} account - Email, name and password
+   * @returns {Promise} Registration operation promise
+   */
+  const handleRegister = (account) => {
+    return API.register(account)
+      .then(u => {
+        setUser(u);
+        setLoggedIn(true);
+        setPendingTotpUser(null);
+        setMessageWithTimeout({ type: 'success', text: `Welcome, ${u.name}! Your account has been created.` });
+        navigate('/');
+      });
+  };
+
   /**
    * Handle successful TOTP verification
    * Transitions user from pending 2FA state to fully authenticated
+   * @param {string} returnTo - Page that sent the user to the login (default: main page)
    */
-  const handleTotpSuccess = () => {
+  const handleTotpSuccess = (returnTo = '/') => {
     // Refresh user info to get updated authentication status
     API.getUserInfo()
       .then(u => {
         setUser(u);
         setLoggedIn(true);
         setPendingTotpUser(null);
-        navigate('/'); // Redirect to main page
+        navigate(returnTo); // Redirect to the page that asked for the login
       })
       .catch(handleErrors);
   };
@@ -187,14 +244,15 @@ function App() {
   /**
    * Handle skipping TOTP verification (partial authentication)
    * Allows user to access most features without 2FA
+   * @param {string} returnTo - Page that sent the user to the login (default: main page)
    */
-  const handleSkipTotp = () => {
+  const handleSkipTotp = (returnTo = '/') => {
     // User is partially authenticated - can access most features but not cancel orders
     const partialUser = { ...pendingTotpUser, isTotp: false };
     setUser(partialUser);
     setLoggedIn(true);
     setPendingTotpUser(null);
-    navigate('/'); // Redirect to main page
+    navigate(returnTo); // Redirect to the page that asked for the login
   };
 
   /**
@@ -219,9 +277,29 @@ function App() {
     navigate(loginUrl);
   };
 
+  /**
+   * Handle account changes made from the account page (e.g. 2FA enrollment)
+   * @param {Object} u - Updated user object returned by the server
+   * @param {string} text - Success message to show
+   */
+  const handleUserUpdate = (u, text) => {
+    setUser(u);
+    setMessageWithTimeout({ type: 'success', text });
+  };
+
+  /**
+   * Handle menu changes made from the admin page
+   * @param {Array} updated - Updated ingredients list returned by the server
+   * @param {string} text - Success message to show
+   */
+  const handleIngredientsUpdate = (updated, text) => {
+    setIngredients(updated);
+    setMessageWithTimeout({ type: 'success', text });
+  };
+
   /**
    * Handle user logout
-   * Clears all authentication state and redirects to home
+   * Clears all authentication state and the configurator draft, and redirects to home
    */
   const handleLogout = () => {
     API.logOut()
@@ -232,6 +310,7 @@ function App() {
         setUser(null);
         setPendingTotpUser(false);
         setOrders([]);
+        clearDraft(); // The next user of this browser must not find it
         navigate('/'); // Redirect to home page
       });
   };
@@ -240,13 +319,12 @@ function App() {
    * Handle order creation
    * Creates order and refreshes related data (ingredients availability, user orders)
    * Handles validation errors by redirecting back to configurator with preserved state
-   * @param {string} dishId - Selected dish ID (baseDishId_sizeId)
-   * @param {Array} ingredientIds - Selected ingredient IDs
+   * @param {Array<Object>} items - Configured dishes as { dishId, ingredientIds, quantity }
    * @param {Function} onUnavailableIngredient - Callback to handle unavailable ingredient
    * @returns {Promise} Order creation promise
    */
-  const handleCreateOrder = (dishId, ingredientIds, onUnavailableIngredient) => {
-    return API.createOrder(dishId, ingredientIds)
+  const handleCreateOrder = (items, onUnavailableIngredient) => {
+    return API.createOrder(items)
       .then(() => API.getIngredients()) // Refresh ingredients for availability updates
       .then(ing => {
         setIngredients(ing);
@@ -267,7 +345,12 @@ function App() {
             // console.log('Notifying configurator to deselect ingredient:', err.ingredient); // Debug log
             onUnavailableIngredient(err.ingredient);
           }
-          
+
+          // Another order took the last units while this one was being placed
+          if (err.constraintViolation === 'availability_changed' && err.unavailableIngredients && onUnavailableIngredient) {
+            err.unavailableIngredients.forEach(name => onUnavailableIngredient(name));
+          }
+
           // Refresh ingredients to show current availability
           API.getIngredients()
             .then(ing => setIngredients(ing))
@@ -286,10 +369,12 @@ function App() {
   /**
    * Handle order cancellation
    * Cancels order and refreshes related data (ingredients availability, user orders)
+   * A request for a fresh TOTP code is passed on to the caller, which asks for it in place
    * @param {number} orderId - Order ID to cancel
+   * @returns {Promise} Rejects only with stepUpRequired errors
    */
   const handleCancelOrder = (orderId) => {
-    API.cancelOrder(orderId)
+    return API.cancelOrder(orderId)
       .then(() => API.getIngredients()) // Refresh ingredients for availability updates
       .then(ing => {
         setIngredients(ing);
@@ -299,6 +384,19 @@ function App() {
         setOrders(o);
         setMessageWithTimeout({ type: 'success', text: 'Order cancelled successfully!' });
       })
+      .catch(err => {
+        if (err.stepUpRequired) throw err;
+        handleErrors(err);
+      });
+  };
+
+  /**
+   * Handle a TOTP code verified in place (step-up)
+   * The session is now fully authenticated: reload the user to get the new isTotp flag
+   */
+  const handleStepUpCompleted = () => {
+    API.getUserInfo()
+      .then(u => setUser(u))
       .catch(handleErrors);
   };
 
@@ -333,10 +431,11 @@ function App() {
               sizes={sizes}
               ingredients={ingredients}
               loggedIn={loggedIn}
+              dietaryProfile={user?.dietaryProfile}
             />
           } />
           
-          {/* Order configurator - requires authentication */}
+          {/* Order configurator - requires authentication; the login comes back here with the same dish */}
           <Route path="configure" element={
             loggedIn ? (
               <ConfiguratorLayout 
@@ -345,9 +444,10 @@ function App() {
                 ingredients={ingredients}
                 createOrder={handleCreateOrder}
                 handleErrors={handleErrors}
+                dietaryProfile={user?.dietaryProfile}
               />
             ) : (
-              <Navigate replace to='/login' />
+              <Navigate replace to='/login' state={{ from: location.pathname + location.search }} />
             )
           } />
           
@@ -358,14 +458,59 @@ function App() {
                 orders={orders}
                 cancelOrder={handleCancelOrder}
                 canCancel={user?.isTotp} // Only allow cancellation with 2FA
-                upgradeTo2FA={handleUpgradeTo2FA}
+                stepUpCompleted={handleStepUpCompleted}
+                user={user}
+              />
+            ) : (
+              <Navigate replace to='/login' />
+            )
+          } />
+          
+          {/* Account settings - requires authentication */}
+          <Route path="account" element={
+            loggedIn ? (
+              <AccountLayout 
                 user={user}
+                updateUser={handleUserUpdate}
               />
             ) : (
               <Navigate replace to='/login' />
             )
           } />
           
+          {/* Menu administration - requires the admin role */}
+          <Route path="admin" element={
+            loggedIn && user?.role === 'admin' ? (
+              <AdminLayout 
+                user={user}
+                ingredients={ingredients}
+                updateIngredients={handleIngredientsUpdate}
+                upgradeTo2FA={handleUpgradeTo2FA}
+                stepUpCompleted={handleStepUpCompleted}
+              />
+            ) : (
+              <Navigate replace to='/' />
+            )
+          } />
+          
+          {/* Kitchen display - requires the staff or admin role */}
+          <Route path="kitchen" element={
+            loggedIn && (user?.role === 'staff' || user?.role === 'admin') ? (
+              <KitchenLayout />
+            ) : (
+              <Navigate replace to='/' />
+            )
+          } />
+
+          {/* Inventory ledger - requires the staff or admin role */}
+          <Route path="inventory" element={
+            loggedIn && (user?.role === 'staff' || user?.role === 'admin') ? (
+              <InventoryLayout />
+            ) : (
+              <Navigate replace to='/' />
+            )
+          } />
+          
           {/* 404 page for unknown routes */}
           <Route path="*" element={<NotFoundLayout />} />
         </Route>
@@ -383,6 +528,17 @@ function App() {
             handleErrors={handleErrors}
           />
         } />
+
+        {/* Registration route - separate layout */}
+        <Route path='/register' element={
+          loggedIn ? <Navigate replace to='/' /> : <RegistrationLayout register={handleRegister} />
+        } />
+
+        {/* Password reset routes - separate layout, the reset page is opened from the emailed link */}
+        <Route path='/forgot-password' element={
+          loggedIn ? <Navigate replace to='/' /> : <ForgotPasswordLayout />
+        } />
+        <Route path='/reset-password' element={<ResetPasswordLayout />} />
       </Routes>
     </Container>
   );
@@ -392,13 +548,17 @@ function App() {
  * Component to handle login flow with optional TOTP verification
  * Shows either login form or TOTP form based on authentication state
  * Manages the complex multi-step authentication process
+ * Once done, goes back to the page that required the login (location state from), or to the main page
  * @param {Object} props - Component props containing authentication handlers
  * @returns {JSX.Element} Appropriate authentication form component
  */
 function LoginWithTotp(props) {
-  // If user is fully authenticated, redirect to main page
-  if (props.loggedIn && props.user?.isTotp) {
-    return <Navigate replace to='/' />;
+  const location = useLocation();
+  const returnTo = location.state?.from || '/';
+
+  // If user is fully authenticated (or has no 2FA to complete), redirect
+  if (props.loggedIn && (props.user?.isTotp || !props.user?.canDoTotp)) {
+    return <Navigate replace to={returnTo} />;
   } 
   // If user has completed basic login but needs 2FA
   else if (props.pendingTotpUser) {
@@ -406,11 +566,11 @@ function LoginWithTotp(props) {
       <TotpLayout 
         totpSuccessful={() => {
           props.setPendingTotpUser(null);
-          props.totpSuccessful();
+          props.totpSuccessful(returnTo);
         }}
         skipTotpSuccessful={() => {
           props.setPendingTotpUser(null);
-          props.skipTotpSuccessful();
+          props.skipTotpSuccessful(returnTo);
         }}
         handleErrors={props.handleErrors}
       />
@@ -0,0 +1,653 @@
+/* Account Settings Component for Restaurant Application */
+
+/* This component shows the user's account details, manages two-factor authentication enrollment
+   and the dietary profile, and lists the recent activity of the account. */
+
+import { useState, useEffect } from 'react';
+import { Card, Button, Badge, Row, Col, Form, Alert, Image, Table } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import API from '../API.js';
+import { StepUpModal } from './Auth';
+import { ALLERGENS, DIETS, DIET_LABELS } from '../../../shared/dietary.mjs';
+
+// Descriptions of the audit log events shown to the user
+const ACTIVITY_LABELS = {
+  login: 'Sign-in with password',
+  second_factor: 'Two-factor verification',
+  totp_skipped: 'Continued without 2FA',
+  logout: 'Sign-out',
+  register: 'Account created',
+  totp_enabled: 'Two-factor authentication enabled',
+  totp_disabled: 'Two-factor authentication disabled',
+  recovery_codes_regenerated: 'New recovery codes generated',
+  password_changed: 'Password changed',
+  password_reset_requested: 'Password reset link requested',
+  password_reset: 'Password reset with an emailed link',
+  order_placed: 'Order placed',
+  order_cancelled: 'Order cancelled',
+  order_status_changed: 'Order status changed'
+};
+
+const OUTCOME_VARIANTS = { success: 'success', failure: 'danger', blocked: 'warning' };
+
+// Client names and their user agent tokens, in matching order:
+// Edge also announces Chrome, and Chrome announces Safari
+const CLIENT_TOKENS = [['Edge', 'Edg'], ['Firefox', 'Firefox'], ['Chrome', 'Chrome'], ['Safari', 'Version'], ['curl', 'curl']];
+
+/**
+ * Describe an activity entry, with its order or second-factor method
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Description
+ */
+const describeActivity = (entry) => {
+  const label = ACTIVITY_LABELS[entry.event] || entry.event;
+  if (entry.details?.orderId) return `${label} #${entry.details.orderId}`;
+  if (entry.details?.method === 'recovery_code') return `${label} (recovery code)`;
+  return label;
+};
+
+/**
+ * Shorten a user agent to the browser or client name
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {string} Short client name
+ */
+const shortUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown';
+  for (const [name, token] of CLIENT_TOKENS) {
+    const match = userAgent.match(new RegExp(`${token}/(\\d+)`));
+    if (match) return `${name} ${match[1]}`;
+  }
+  return userAgent.slice(0, 30);
+};
+
+/**
+ * Recent account activity: sign-ins (including failed ones), 2FA changes and orders
+ * Lets the user notice activity they do not recognize
+ * @returns {JSX.Element} Activity card
+ */
+function AccountActivity() {
+  const [entries, setEntries] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    API.getAccountActivity()
+      .then(list => setEntries(list))
+      .catch(err => setErrorMessage(err.error || 'Could not load the account activity'));
+  }, []);
+
+  return (
+    <Card className="shadow-lg border-0 rounded-4 mt-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+      <Card.Body className="p-4">
+        <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+          <i className="bi bi-clock-history me-2" style={{ color: '#f39c12' }}></i>
+          Recent Activity
+        </h4>
+
+        {errorMessage && (
+          <Alert variant="danger" className="border-0 rounded-3" style={{ background: 'rgba(220, 53, 69, 0.1)' }}>
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {errorMessage}
+          </Alert>
+        )}
+
+        {entries && entries.length === 0 && <p className="text-muted mb-0">No activity yet.</p>}
+        {entries && entries.length > 0 && (
+          <Table hover responsive size="sm" className="align-middle mb-0">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Activity</th>
+                <th>Result</th>
+                <th>IP address</th>
+                <th>Client</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="text-nowrap">{dayjs(entry.createdAt).format('MMM D, HH:mm')}</td>
+                  <td>{describeActivity(entry)}</td>
+                  <td>
+                    <Badge bg={OUTCOME_VARIANTS[entry.outcome]} className="rounded-pill text-capitalize">{entry.outcome}</Badge>
+                  </td>
+                  <td><code>{entry.ip || '-'}</code></td>
+                  <td className="text-muted" title={entry.userAgent || ''}>{shortUserAgent(entry.userAgent)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+        <Form.Text className="text-muted">
+          Failed sign-ins with your email address are listed too.
+        </Form.Text>
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * Password change form
+ * Users with 2FA confirm the change with a TOTP code; the other sessions of the account are logged out
+ * The strength rules are checked by the server, whose messages are shown as they are
+ * @param {Object} props - Component properties
+ * @param {Object} props.user - Current user object with username and canDoTotp
+ * @returns {JSX.Element} Change password card
+ */
+function ChangePassword(props) {
+  const { user } = props;
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Validate and submit the change
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSuccessMessage('');
+
+    if (!currentPassword) {
+      setErrorMessage('Please enter your current password');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setErrorMessage('Passwords do not match');
+      return;
+    }
+    if (user.canDoTotp && !/^\d{6}$/.test(code)) {
+      setErrorMessage('Invalid content: code must be 6 digits');
+      return;
+    }
+
+    setBusy(true);
+    setErrorMessage('');
+    API.changePassword({ currentPassword, newPassword, ...(user.canDoTotp ? { code } : {}) })
+      .then(data => {
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        setCode('');
+        setSuccessMessage(data.otherSessionsLoggedOut > 0
+          ? `Password changed. ${data.otherSessionsLoggedOut} other session${data.otherSessionsLoggedOut === 1 ? ' was' : 's were'} signed out.`
+          : 'Password changed.');
+      })
+      .catch(err => setErrorMessage(err.error || (err.errors && err.errors.map(e => e.msg).join('. ')) || 'Could not change the password'))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <Card className="shadow-lg border-0 rounded-4 mt-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+      <Card.Body className="p-4">
+        <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+          <i className="bi bi-key me-2" style={{ color: '#8e44ad' }}></i>
+          Change Password
+        </h4>
+
+        {errorMessage && (
+          <Alert variant="danger" dismissible onClose={() => setErrorMessage('')} className="border-0 rounded-3" style={{ background: 'rgba(220, 53, 69, 0.1)' }}>
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {errorMessage}
+          </Alert>
+        )}
+        {successMessage && (
+          <Alert variant="success" dismissible onClose={() => setSuccessMessage('')} className="border-0 rounded-3" style={{ background: 'rgba(39, 174, 96, 0.1)' }}>
+            <i className="bi bi-check-circle me-2"></i>
+            {successMessage}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit} noValidate>
+          <Form.Group controlId="currentPassword" className="mb-3">
+            <Form.Label className="fw-semibold">Current password</Form.Label>
+            <Form.Control type="password" value={currentPassword} onChange={e => setCurrentPassword(e.target.value)} className="rounded-3" />
+          </Form.Group>
+          <Row>
+            <Col md={6}>
+              <Form.Group controlId="newPassword" className="mb-3">
+                <Form.Label className="fw-semibold">New password</Form.Label>
+                <Form.Control type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} className="rounded-3" />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group controlId="confirmNewPassword" className="mb-3">
+                <Form.Label className="fw-semibold">Confirm new password</Form.Label>
+                <Form.Control type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} className="rounded-3" />
+              </Form.Group>
+            </Col>
+          </Row>
+          <Form.Text className="d-block text-muted mb-3">
+            At least 8 characters, with uppercase and lowercase letters and a digit, different from your email.
+          </Form.Text>
+          {user.canDoTotp && (
+            <Form.Group controlId="passwordChangeCode" className="mb-3">
+              <Form.Label className="fw-semibold">Authenticator code</Form.Label>
+              <Form.Control
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                value={code}
+                onChange={e => setCode(e.target.value.replace(/\D/g, ''))}
+                placeholder="000000"
+                className="rounded-3"
+                style={{ maxWidth: '10rem', letterSpacing: '0.3rem' }}
+              />
+            </Form.Group>
+          )}
+          <Button type="submit" disabled={busy} className="fw-semibold rounded-pill px-4"
+            style={{ background: 'linear-gradient(135deg, #8e44ad 0%, #9b59b6 100%)', border: 'none' }}>
+            <i className="bi bi-check2 me-2"></i>
+            {busy ? 'Saving...' : 'Change Password'}
+          </Button>
+          <Form.Text className="d-block text-muted mt-2">
+            Your other signed-in sessions are signed out after the change.
+          </Form.Text>
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * Dietary profile form: a diet to follow and the allergens to avoid
+ * The menu and the configurator flag (or hide) what does not fit the saved profile
+ * @param {Object} props - Component properties
+ * @param {Object} props.user - Current user object with dietaryProfile
+ * @param {Function} props.updateUser - Handler called with the updated user object and a success message
+ * @returns {JSX.Element} Dietary profile card
+ */
+function DietaryProfile(props) {
+  const { user, updateUser } = props;
+  const [diet, setDiet] = useState(user.dietaryProfile?.diet || '');
+  const [allergens, setAllergens] = useState(user.dietaryProfile?.allergens || []);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Add or remove an allergen to avoid
+   * @param {string} allergen - Allergen name
+   */
+  const toggleAllergen = (allergen) => {
+    setAllergens(previous => previous.includes(allergen)
+      ? previous.filter(a => a !== allergen)
+      : [...previous, allergen]);
+  };
+
+  /**
+   * Save the profile
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setErrorMessage('');
+    API.updateDietaryProfile({ diet: diet || null, allergens })
+      .then(u => updateUser(u, 'Dietary profile saved'))
+      .catch(err => setErrorMessage(err.error || (err.errors && err.errors.map(e => e.msg).join('. ')) || 'Could not save the dietary profile'))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <Card className="shadow-lg border-0 rounded-4 mt-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+      <Card.Body className="p-4">
+        <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+          <i className="bi bi-heart-pulse me-2" style={{ color: '#27ae60' }}></i>
+          Dietary Profile
+        </h4>
+        <p className="text-muted">
+          Dishes and ingredients that do not fit your profile are flagged on the menu and in the configurator.
+        </p>
+
+        {errorMessage && (
+          <Alert variant="danger" dismissible onClose={() => setErrorMessage('')} className="border-0 rounded-3" style={{ background: 'rgba(220, 53, 69, 0.1)' }}>
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {errorMessage}
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit}>
+          <Form.Group controlId="dietaryDiet" className="mb-3">
+            <Form.Label className="fw-semibold">Diet</Form.Label>
+            <Form.Select value={diet} onChange={e => setDiet(e.target.value)} className="rounded-3" style={{ maxWidth: '16rem' }}>
+              <option value="">No particular diet</option>
+              {DIETS.map(d => <option key={d} value={d}>{DIET_LABELS[d]}</option>)}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group className="mb-3">
+            <Form.Label className="fw-semibold d-block">Allergens to avoid</Form.Label>
+            <Row className="g-1">
+              {ALLERGENS.map(allergen => (
+                <Col xs={6} md={4} key={allergen}>
+                  <Form.Check
+                    type="checkbox"
+                    id={`dietaryAllergen-${allergen}`}
+                    label={allergen}
+                    checked={allergens.includes(allergen)}
+                    onChange={() => toggleAllergen(allergen)}
+                    className="text-capitalize"
+                  />
+                </Col>
+              ))}
+            </Row>
+          </Form.Group>
+          <Button type="submit" disabled={busy} className="fw-semibold rounded-pill px-4"
+            style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', border: 'none' }}>
+            <i className="bi bi-check2 me-2"></i>
+            {busy ? 'Saving...' : 'Save Profile'}
+          </Button>
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * Account settings component with 2FA enrollment status and controls
+ * @param {Object} props - Component properties
+ * @param {Object} props.user - Current user object with canDoTotp and isTotp flags
+ * @param {Function} props.updateUser - Handler called with the updated user object and a success message
+ * @returns {JSX.Element} Account details and two-factor authentication panel
+ */
+function AccountSettings(props) {
+  const { user, updateUser } = props;
+
+  // Enrollment / disable flow state
+  const [enrollment, setEnrollment] = useState(null); // { secret, otpauthUri, qrCode } while enrolling
+  const [disabling, setDisabling] = useState(false);
+  const [totpCode, setTotpCode] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Recovery codes state
+  const [recoveryCodes, setRecoveryCodes] = useState(null);   // Newly issued codes, shown once
+  const [remainingCodes, setRemainingCodes] = useState(null); // Unused codes on the server
+  const [showStepUp, setShowStepUp] = useState(false);        // Fresh code needed to regenerate
+
+  // Load the number of unused recovery codes when 2FA is enabled
+  useEffect(() => {
+    if (!user.canDoTotp) {
+      setRemainingCodes(null);
+      return;
+    }
+    API.getRecoveryCodeCount()
+      .then(data => setRemainingCodes(data.remaining))
+      .catch(() => setRemainingCodes(null));
+  }, [user.canDoTotp]);
+
+  /**
+   * Reset the enrollment and disable flows
+   */
+  const resetFlow = () => {
+    setEnrollment(null);
+    setDisabling(false);
+    setTotpCode('');
+    setErrorMessage('');
+  };
+
+  /**
+   * Start enrollment: ask the server for a new pending secret and QR code
+   */
+  const handleStartEnrollment = () => {
+    setBusy(true);
+    setErrorMessage('');
+    API.startTotpEnrollment()
+      .then(data => setEnrollment(data))
+      .catch(err => setErrorMessage(err.error || 'Could not start two-factor enrollment'))
+      .finally(() => setBusy(false));
+  };
+
+  /**
+   * Submit the 6-digit code to confirm enrollment or to disable 2FA
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmitCode = (e) => {
+    e.preventDefault();
+
+    // Validate TOTP code length (must be exactly 6 digits)
+    if (!/^\d{6}$/.test(totpCode)) {
+      setErrorMessage('Invalid content: code must be 6 digits');
+      return;
+    }
+
+    setBusy(true);
+    const request = enrollment ? API.confirmTotpEnrollment(totpCode) : API.disableTotp(totpCode);
+    request
+      .then(({ recoveryCodes: newCodes, ...u }) => {
+        resetFlow();
+        // Enrollment returns the first set of recovery codes
+        setRecoveryCodes(newCodes || null);
+        if (newCodes) setRemainingCodes(newCodes.length);
+        updateUser(u, enrollment
+          ? 'Two-factor authentication enabled!'
+          : 'Two-factor authentication disabled');
+      })
+      .catch(err => setErrorMessage(err.error === 'Invalid TOTP code' ? 'Wrong code, please try again' : (err.error || 'Request failed')))
+      .finally(() => setBusy(false));
+  };
+
+  /**
+   * Replace the recovery codes with a new set (old codes stop working)
+   * If the last verified code is too old, a new one is asked in place and the request retried
+   */
+  const handleRegenerateCodes = () => {
+    setBusy(true);
+    setErrorMessage('');
+    API.regenerateRecoveryCodes()
+      .then(data => {
+        setRecoveryCodes(data.recoveryCodes);
+        setRemainingCodes(data.recoveryCodes.length);
+      })
+      .catch(err => {
+        if (err.stepUpRequired) setShowStepUp(true);
+        else setErrorMessage(err.error || 'Could not generate recovery codes');
+      })
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <Row className="justify-content-center">
+      <Col md={10} lg={8}>
+        {/* Account details */}
+        <Card className="shadow-lg border-0 rounded-4 mb-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+          <Card.Body className="p-4">
+            <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+              <i className="bi bi-person-circle me-2" style={{ color: '#f39c12' }}></i>
+              Profile
+            </h4>
+            <div className="mb-2"><span className="text-muted me-2">Name:</span><strong>{user.name}</strong></div>
+            <div><span className="text-muted me-2">Email:</span><strong>{user.username}</strong></div>
+          </Card.Body>
+        </Card>
+
+        {/* Two-factor authentication */}
+        <Card className="shadow-lg border-0 rounded-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+          <Card.Body className="p-4">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h4 className="fw-bold mb-0" style={{ color: '#2c3e50' }}>
+                <i className="bi bi-shield-lock me-2" style={{ color: '#f39c12' }}></i>
+                Two-Factor Authentication
+              </h4>
+              <Badge bg={user.canDoTotp ? 'success' : 'secondary'} className="px-3 py-2 rounded-pill">
+                {user.canDoTotp ? 'Enabled' : 'Not enabled'}
+              </Badge>
+            </div>
+
+            <p className="text-muted">
+              {user.canDoTotp
+                ? (user.isTotp
+                  ? 'This session has been verified with your authenticator app.'
+                  : 'This session has not been verified with your authenticator app yet.')
+                : 'Protect your account with a code from an authenticator app. Order cancellation requires 2FA.'}
+            </p>
+
+            {/* Error message display */}
+            {errorMessage && (
+              <Alert
+                variant="danger"
+                dismissible
+                onClose={() => setErrorMessage('')}
+                className="border-0 rounded-3"
+                style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+              >
+                <i className="bi bi-exclamation-triangle me-2"></i>
+                {errorMessage}
+              </Alert>
+            )}
+
+            {/* Enrollment: QR code, manual secret and confirmation */}
+            {enrollment && (
+              <div className="text-center mb-3">
+                <p className="fw-semibold" style={{ color: '#2c3e50' }}>
+                  Scan this QR code with your authenticator app
+                </p>
+                <Image src={enrollment.qrCode} alt="TOTP QR code" thumbnail style={{ width: '200px' }} />
+                <p className="text-muted small mt-3 mb-1">Or enter this key manually:</p>
+                <code className="d-block mb-2" style={{ letterSpacing: '0.1rem' }}>{enrollment.secret}</code>
+                <a href={enrollment.otpauthUri} className="small">Open in authenticator app</a>
+              </div>
+            )}
+
+            {/* Code entry for enrollment confirmation or disabling */}
+            {(enrollment || disabling) ? (
+              <Form onSubmit={handleSubmitCode}>
+                <Form.Group controlId="accountTotpCode" className="mb-3">
+                  <Form.Label className="fw-semibold" style={{ color: '#2c3e50' }}>
+                    <i className="bi bi-key me-2"></i>
+                    {enrollment ? 'Enter the first code to confirm' : 'Enter a current code to disable 2FA'}
+                  </Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={totpCode}
+                    onChange={(e) => setTotpCode(e.target.value)}
+                    placeholder="Enter 6-digit code"
+                    className="text-center py-2 rounded-3 border-2"
+                    style={{ fontSize: '1.5rem', letterSpacing: '0.3rem', borderColor: '#e9ecef' }}
+                    maxLength={6}
+                  />
+                </Form.Group>
+                <div className="d-flex gap-2">
+                  <Button
+                    type="submit"
+                    disabled={busy}
+                    className="fw-semibold rounded-pill px-4"
+                    style={{
+                      background: enrollment
+                        ? 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)'
+                        : 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)',
+                      border: 'none'
+                    }}
+                  >
+                    <i className={`bi ${enrollment ? 'bi-check-circle' : 'bi-shield-x'} me-2`}></i>
+                    {enrollment ? 'Enable 2FA' : 'Disable 2FA'}
+                  </Button>
+                  <Button variant="outline-secondary" onClick={resetFlow} className="fw-semibold rounded-pill px-4">
+                    Cancel
+                  </Button>
+                </div>
+              </Form>
+            ) : (
+              user.canDoTotp ? (
+                <Button
+                  variant="outline-danger"
+                  onClick={() => setDisabling(true)}
+                  className="fw-semibold rounded-pill px-4"
+                >
+                  <i className="bi bi-shield-x me-2"></i>Disable 2FA
+                </Button>
+              ) : (
+                <Button
+                  onClick={handleStartEnrollment}
+                  disabled={busy}
+                  className="fw-semibold rounded-pill px-4"
+                  style={{ background: 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)', border: 'none' }}
+                >
+                  <i className="bi bi-qr-code me-2"></i>Set Up 2FA
+                </Button>
+              )
+            )}
+          </Card.Body>
+        </Card>
+
+        {/* Recovery codes (only with 2FA enabled) */}
+        {user.canDoTotp && (
+          <Card className="shadow-lg border-0 rounded-4 mt-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+            <Card.Body className="p-4">
+              <div className="d-flex justify-content-between align-items-center mb-3">
+                <h4 className="fw-bold mb-0" style={{ color: '#2c3e50' }}>
+                  <i className="bi bi-life-preserver me-2" style={{ color: '#f39c12' }}></i>
+                  Recovery Codes
+                </h4>
+                {remainingCodes !== null && (
+                  <Badge bg={remainingCodes > 2 ? 'info' : 'warning'} className="px-3 py-2 rounded-pill">
+                    {remainingCodes} unused
+                  </Badge>
+                )}
+              </div>
+              <p className="text-muted">
+                Each code can be used once instead of an authenticator code, if you lose access to your device.
+              </p>
+
+              {/* Newly issued codes - they cannot be shown again */}
+              {recoveryCodes && (
+                <Alert variant="warning" className="border-0 rounded-3" style={{ background: 'rgba(243, 156, 18, 0.1)' }}>
+                  <div className="fw-semibold mb-2">
+                    <i className="bi bi-exclamation-triangle me-2"></i>
+                    Save these codes now: they will not be shown again
+                  </div>
+                  <Row className="g-2 mb-3">
+                    {recoveryCodes.map(code => (
+                      <Col xs={6} key={code}>
+                        <code className="fs-6" style={{ letterSpacing: '0.1rem' }}>{code}</code>
+                      </Col>
+                    ))}
+                  </Row>
+                  <Button size="sm" variant="outline-secondary" onClick={() => setRecoveryCodes(null)} className="rounded-pill">
+                    I have saved them
+                  </Button>
+                </Alert>
+              )}
+
+              <Button
+                variant="outline-secondary"
+                onClick={handleRegenerateCodes}
+                disabled={busy || !user.isTotp}
+                className="fw-semibold rounded-pill px-4"
+              >
+                <i className="bi bi-arrow-repeat me-2"></i>Generate New Codes
+              </Button>
+              {!user.isTotp && (
+                <Form.Text className="d-block text-muted mt-2">
+                  Complete 2FA for this session to generate new codes.
+                </Form.Text>
+              )}
+            </Card.Body>
+          </Card>
+        )}
+
+        {/* Step-up modal - a fresh code is needed to regenerate the recovery codes */}
+        <StepUpModal
+          show={showStepUp}
+          onHide={() => setShowStepUp(false)}
+          onVerified={() => { setShowStepUp(false); handleRegenerateCodes(); }}
+          user={user}
+          action="generate new recovery codes"
+        />
+
+        {/* Password change, confirmed with a TOTP code when 2FA is enabled */}
+        <ChangePassword user={user} />
+
+        {/* Diet and allergens used to flag menu items */}
+        <DietaryProfile user={user} updateUser={updateUser} />
+
+        {/* Sign-ins, 2FA changes and orders of this account */}
+        <AccountActivity />
+      </Col>
+    </Row>
+  );
+}
+
+export { AccountSettings };
@@ -2,7 +2,7 @@
 
 /* This file contains components for user authentication in the application. */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Form, Button, Alert, Col, Row, Card, Container, Modal } from 'react-bootstrap';
 import { useNavigate, useSearchParams } from 'react-router';
 import API from '../API.js';
@@ -48,6 +48,53 @@ function LogoutButton(props) {
   );
 }
 
+/**
+ * Countdown of the seconds left before the server accepts another sign-in attempt
+ * Started from the retryAfter and locked fields of a throttled login response
+ * @returns {Object} { secondsLeft, locked, start(err) }
+ */
+function useRetryCountdown() {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [locked, setLocked] = useState(false);
+
+  useEffect(() => {
+    if (secondsLeft <= 0) return;
+    const timer = setTimeout(() => setSecondsLeft(s => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
+  /**
+   * Start the countdown if the error response carries a wait
+   * @param {Object} err - Error body from the server
+   * @returns {boolean} True if the attempts are now blocked
+   */
+  const start = (err) => {
+    if (!err || !err.retryAfter) return false;
+    setSecondsLeft(err.retryAfter);
+    setLocked(!!err.locked);
+    return true;
+  };
+
+  return { secondsLeft: Math.max(secondsLeft, 0), locked, start };
+}
+
+/**
+ * Message shown when the server blocks further attempts
+ * The remaining time is shown on the submit button
+ * @param {Object} err - Error body with locked and retryAfter
+ * @returns {string} Error message
+ */
+const blockedMessage = (err) => err.locked
+  ? 'Too many failed attempts: sign-in is temporarily locked'
+  : 'Too many failed attempts: please wait before trying again';
+
+/**
+ * Format a wait in seconds as m:ss
+ * @param {number} seconds - Seconds left
+ * @returns {string} Formatted wait
+ */
+const formatWait = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
 /**
  * Login form component for username/password authentication
  * Provides full-page login interface with validation and error handling
@@ -77,6 +124,7 @@ function LoginForm(props) {
   const [username, setUsername] = useState(effectiveUsername);
   const [password, setPassword] = useState('');
   const [errorMessage, setErrorMessage] = useState('');
+  const retry = useRetryCountdown(); // Backoff or lockout after repeated failures
 
   /**
    * Handle login API call with error handling
@@ -86,7 +134,7 @@ function LoginForm(props) {
     props
       .login({ username, password })
       .then(() => setErrorMessage('')) // Clear errors on success
-      .catch((err) => setErrorMessage(err.error || 'Wrong username or password'));
+      .catch((err) => setErrorMessage(retry.start(err) ? blockedMessage(err) : err.error || 'Wrong username or password'));
   };
 
   /**
@@ -204,6 +252,11 @@ function LoginForm(props) {
                     className="py-3 rounded-3 border-2"
                     style={{ borderColor: '#e9ecef', transition: 'all 0.3s ease' }}
                   />
+                  {!require2fa && (
+                    <Button variant="link" onClick={() => navigate('/forgot-password')} className="p-0 mt-2 small">
+                      Forgot your password?
+                    </Button>
+                  )}
                 </Form.Group>
 
                 {/* Form action buttons */}
@@ -213,6 +266,7 @@ function LoginForm(props) {
                     type="submit"
                     size="lg"
                     className="py-3 fw-semibold rounded-3"
+                    disabled={retry.secondsLeft > 0}
                     style={{ 
                       background: require2fa 
                         ? 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)'
@@ -221,8 +275,17 @@ function LoginForm(props) {
                       transition: 'all 0.3s ease' 
                     }}
                   >
-                    <i className={`bi ${require2fa ? 'bi-shield-check' : 'bi-box-arrow-in-right'} me-2`}></i>
-                    {require2fa ? 'Sign In for 2FA' : 'Sign In'}
+                    {retry.secondsLeft > 0 ? (
+                      <>
+                        <i className={`bi ${retry.locked ? 'bi-lock' : 'bi-hourglass-split'} me-2`}></i>
+                        {retry.locked ? 'Locked' : 'Try again'} in {formatWait(retry.secondsLeft)}
+                      </>
+                    ) : (
+                      <>
+                        <i className={`bi ${require2fa ? 'bi-shield-check' : 'bi-box-arrow-in-right'} me-2`}></i>
+                        {require2fa ? 'Sign In for 2FA' : 'Sign In'}
+                      </>
+                    )}
                   </Button>
                   {/* Back to menu button */}
                   <Button 
@@ -233,6 +296,16 @@ function LoginForm(props) {
                     <i className="bi bi-arrow-left me-2"></i>Back to Menu
                   </Button>
                 </div>
+
+                {/* Link to registration (not during 2FA completion) */}
+                {!require2fa && (
+                  <div className="text-center mt-4">
+                    <span className="text-muted">Don't have an account?</span>
+                    <Button variant="link" onClick={() => navigate('/register')} className="fw-semibold p-0 ms-2 align-baseline">
+                      Create one
+                    </Button>
+                  </div>
+                )}
               </Form>
             </Card.Body>
           </Card>
@@ -242,6 +315,451 @@ function LoginForm(props) {
   );
 }
 
+/**
+ * Check a password against the same strength rules enforced by the server
+ * @param {string} password - Candidate password
+ * @param {string} email - Email address the password must differ from
+ * @returns {Array<string>} Unmet rules (empty if the password is acceptable)
+ */
+function passwordProblems(password, email) {
+  const problems = [];
+  if (password.length < 8 || password.length > 128) problems.push('be between 8 and 128 characters');
+  if (!/[a-z]/.test(password)) problems.push('contain a lowercase letter');
+  if (!/[A-Z]/.test(password)) problems.push('contain an uppercase letter');
+  if (!/\d/.test(password)) problems.push('contain a digit');
+  if (email && password.toLowerCase() === email.trim().toLowerCase()) problems.push('be different from the email address');
+  return problems;
+}
+
+/**
+ * Registration form component for creating a new account
+ * Validates input on the client and shows the server's validation errors per field
+ * @param {Object} props - Component properties
+ * @param {Function} props.register - Registration handler function that returns a promise
+ * @returns {JSX.Element} Full-page registration form
+ */
+function RegistrationForm(props) {
+  const navigate = useNavigate();
+
+  // Form state management
+  const [email, setEmail] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({}); // { fieldName: [messages] }
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Group express-validator errors by field for inline display
+   * @param {Array} errors - Array of { path, msg } objects from the server
+   * @returns {Object} Messages grouped by field name
+   */
+  const groupFieldErrors = (errors) => {
+    const grouped = {};
+    for (const err of errors) {
+      grouped[err.path] = [...(grouped[err.path] || []), err.msg];
+    }
+    return grouped;
+  };
+
+  /**
+   * Handle form submission with validation
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setErrorMessage('');
+
+    // Client-side validation
+    const errors = {};
+    if (!email.trim()) errors.email = ['Email is required'];
+    if (!name.trim()) errors.name = ['Name is required'];
+    const problems = passwordProblems(password, email);
+    if (problems.length > 0) errors.password = [`Password must ${problems.join(', ')}`];
+    if (password !== confirmPassword) errors.confirmPassword = ['Passwords do not match'];
+
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setSubmitting(true);
+    props
+      .register({ email: email.trim(), name: name.trim(), password })
+      .catch((err) => {
+        if (err.errors) {
+          setFieldErrors(groupFieldErrors(err.errors));
+        } else if (err.constraintViolation === 'email_taken') {
+          setFieldErrors({ email: ['An account with this email already exists'] });
+        } else {
+          setErrorMessage(err.error || 'Registration failed, please try again');
+        }
+      })
+      .finally(() => setSubmitting(false));
+  };
+
+  /**
+   * Render a labelled form field with its validation messages
+   * @param {string} field - Field name (matches the server's error path)
+   * @param {string} label - Field label
+   * @param {string} icon - Bootstrap icon name
+   * @param {string} type - Input type
+   * @param {string} value - Current value
+   * @param {Function} setValue - State setter
+   * @param {string} placeholder - Input placeholder
+   * @param {string} [help] - Optional hint shown while the field has no errors
+   * @returns {JSX.Element} Form group
+   */
+  const renderField = (field, label, icon, type, value, setValue, placeholder, help) => (
+    <Form.Group controlId={field} className="mb-3">
+      <Form.Label className="fw-semibold" style={{ color: '#2c3e50' }}>
+        <i className={`bi ${icon} me-2`}></i>{label}
+      </Form.Label>
+      <Form.Control
+        type={type}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={placeholder}
+        isInvalid={!!fieldErrors[field]}
+        className="py-3 rounded-3 border-2"
+        style={{ borderColor: '#e9ecef', transition: 'all 0.3s ease' }}
+      />
+      <Form.Control.Feedback type="invalid">
+        {(fieldErrors[field] || []).map((msg, index) => (
+          <div key={index}>{msg}</div>
+        ))}
+      </Form.Control.Feedback>
+      {help && !fieldErrors[field] && <Form.Text className="text-muted">{help}</Form.Text>}
+    </Form.Group>
+  );
+
+  return (
+    <Container
+      fluid
+      className="min-vh-100 d-flex align-items-center justify-content-center py-4"
+      style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' }}
+    >
+      <Row className="w-100 justify-content-center">
+        <Col xs={12} sm={8} md={6} lg={4} xl={3}>
+          <Card
+            className="shadow-lg border-0"
+            style={{
+              background: 'rgba(255, 255, 255, 0.95)',
+              backdropFilter: 'blur(10px)',
+              borderRadius: '20px',
+            }}
+          >
+            <Card.Body className="p-5">
+              {/* Registration form header */}
+              <div className="text-center mb-4">
+                <i className="bi bi-person-plus" style={{ fontSize: '4rem', color: '#2c3e50' }}></i>
+                <h2 className="mt-3 mb-2 fw-bold" style={{ color: '#2c3e50' }}>Create Account</h2>
+                <p className="text-muted">Sign up to configure and order your dishes</p>
+              </div>
+
+              <Form onSubmit={handleSubmit} noValidate>
+                {/* Error message display */}
+                {errorMessage && (
+                  <Alert
+                    variant="danger"
+                    dismissible
+                    onClose={() => setErrorMessage('')}
+                    className="border-0 rounded-3"
+                    style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+                  >
+                    <i className="bi bi-exclamation-triangle me-2"></i>
+                    {errorMessage}
+                  </Alert>
+                )}
+
+                {renderField('email', 'Email', 'bi-envelope', 'email', email, setEmail, 'Enter your email')}
+                {renderField('name', 'Name', 'bi-person', 'text', name, setName, 'Enter your name')}
+                {renderField('password', 'Password', 'bi-lock', 'password', password, setPassword, 'Choose a password',
+                  'At least 8 characters, with uppercase and lowercase letters and a digit')}
+                {renderField('confirmPassword', 'Confirm Password', 'bi-lock-fill', 'password', confirmPassword, setConfirmPassword, 'Repeat your password')}
+
+                {/* Form action buttons */}
+                <div className="d-grid gap-3 mt-4">
+                  <Button
+                    type="submit"
+                    size="lg"
+                    disabled={submitting}
+                    className="py-3 fw-semibold rounded-3"
+                    style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', border: 'none', transition: 'all 0.3s ease' }}
+                  >
+                    <i className="bi bi-person-check me-2"></i>
+                    {submitting ? 'Creating account...' : 'Sign Up'}
+                  </Button>
+                  <Button
+                    variant="outline-secondary"
+                    onClick={() => navigate('/login')}
+                    className="py-3 fw-semibold rounded-3"
+                  >
+                    <i className="bi bi-box-arrow-in-right me-2"></i>Already have an account? Sign In
+                  </Button>
+                </div>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+/**
+ * Full-page card shared by the password reset pages
+ * @param {Object} props - Component properties
+ * @param {string} props.icon - Bootstrap icon name
+ * @param {string} props.title - Page title
+ * @param {string} props.subtitle - Text under the title
+ * @param {JSX.Element} props.children - Page content
+ * @returns {JSX.Element} Centered card on the gradient background
+ */
+function AuthPage({ icon, title, subtitle, children }) {
+  return (
+    <Container
+      fluid
+      className="min-vh-100 d-flex align-items-center justify-content-center py-4"
+      style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)' }}
+    >
+      <Row className="w-100 justify-content-center">
+        <Col xs={12} sm={8} md={6} lg={4} xl={3}>
+          <Card
+            className="shadow-lg border-0"
+            style={{
+              background: 'rgba(255, 255, 255, 0.95)',
+              backdropFilter: 'blur(10px)',
+              borderRadius: '20px',
+            }}
+          >
+            <Card.Body className="p-5">
+              <div className="text-center mb-4">
+                <i className={`bi ${icon}`} style={{ fontSize: '4rem', color: '#2c3e50' }}></i>
+                <h2 className="mt-3 mb-2 fw-bold" style={{ color: '#2c3e50' }}>{title}</h2>
+                <p className="text-muted">{subtitle}</p>
+              </div>
+              {children}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
+
+/**
+ * Forgotten password form: asks for the email address the reset link is sent to
+ * The confirmation is the same whether or not the address has an account
+ * @returns {JSX.Element} Full-page form
+ */
+function ForgotPasswordForm() {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [sentMessage, setSentMessage] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!email.trim()) {
+      setErrorMessage('Please enter your email address');
+      return;
+    }
+
+    setSubmitting(true);
+    setErrorMessage('');
+    API.requestPasswordReset(email.trim())
+      .then(data => setSentMessage(data.message))
+      .catch(err => setErrorMessage(err.error || (err.errors && err.errors[0].msg) || 'Could not send the reset link'))
+      .finally(() => setSubmitting(false));
+  };
+
+  return (
+    <AuthPage icon="bi-key" title="Forgot Password" subtitle="We'll email you a link to choose a new password">
+      {sentMessage ? (
+        <Alert variant="success" className="border-0 rounded-3" style={{ background: 'rgba(39, 174, 96, 0.1)' }}>
+          <i className="bi bi-envelope-check me-2"></i>
+          {sentMessage}
+        </Alert>
+      ) : (
+        <Form onSubmit={handleSubmit} noValidate>
+          {errorMessage && (
+            <Alert
+              variant="danger"
+              dismissible
+              onClose={() => setErrorMessage('')}
+              className="border-0 rounded-3"
+              style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+            >
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {errorMessage}
+            </Alert>
+          )}
+          <Form.Group controlId="email" className="mb-4">
+            <Form.Label className="fw-semibold" style={{ color: '#2c3e50' }}>
+              <i className="bi bi-envelope me-2"></i>Email
+            </Form.Label>
+            <Form.Control
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              className="py-3 rounded-3 border-2"
+              style={{ borderColor: '#e9ecef', transition: 'all 0.3s ease' }}
+            />
+          </Form.Group>
+          <div className="d-grid">
+            <Button
+              type="submit"
+              size="lg"
+              disabled={submitting}
+              className="py-3 fw-semibold rounded-3"
+              style={{ background: 'linear-gradient(135deg, #2c3e50 0%, #34495e 100%)', border: 'none' }}
+            >
+              <i className="bi bi-send me-2"></i>
+              {submitting ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+          </div>
+        </Form>
+      )}
+      <div className="d-grid mt-3">
+        <Button variant="outline-secondary" onClick={() => navigate('/login')} className="py-3 fw-semibold rounded-3">
+          <i className="bi bi-arrow-left me-2"></i>Back to Sign In
+        </Button>
+      </div>
+    </AuthPage>
+  );
+}
+
+/**
+ * Password reset form opened from the emailed link (/reset-password?token=...)
+ * Checks the strength rules on the client; the server also checks the token and the email rule
+ * @returns {JSX.Element} Full-page form
+ */
+function ResetPasswordForm() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [doneMessage, setDoneMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Handle form submission with validation
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problems = passwordProblems(password, '');
+    if (problems.length > 0) {
+      setErrorMessage(`Password must ${problems.join(', ')}`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setErrorMessage('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    setErrorMessage('');
+    API.resetPassword(token, password)
+      .then(data => setDoneMessage(data.message))
+      .catch(err => setErrorMessage(err.error || (err.errors && err.errors.map(e => e.msg).join('. ')) || 'Could not reset the password'))
+      .finally(() => setSubmitting(false));
+  };
+
+  return (
+    <AuthPage icon="bi-shield-lock" title="New Password" subtitle="Choose a new password for your account">
+      {!token ? (
+        <Alert variant="danger" className="border-0 rounded-3" style={{ background: 'rgba(220, 53, 69, 0.1)' }}>
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          This reset link is incomplete. Open the link from the email again, or ask for a new one.
+        </Alert>
+      ) : doneMessage ? (
+        <>
+          <Alert variant="success" className="border-0 rounded-3" style={{ background: 'rgba(39, 174, 96, 0.1)' }}>
+            <i className="bi bi-check-circle me-2"></i>
+            {doneMessage}
+          </Alert>
+          <div className="d-grid">
+            <Button onClick={() => navigate('/login')} size="lg" className="py-3 fw-semibold rounded-3"
+              style={{ background: 'linear-gradient(135deg, #2c3e50 0%, #34495e 100%)', border: 'none' }}>
+              <i className="bi bi-box-arrow-in-right me-2"></i>Sign In
+            </Button>
+          </div>
+        </>
+      ) : (
+        <Form onSubmit={handleSubmit} noValidate>
+          {errorMessage && (
+            <Alert
+              variant="danger"
+              dismissible
+              onClose={() => setErrorMessage('')}
+              className="border-0 rounded-3"
+              style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+            >
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {errorMessage}
+            </Alert>
+          )}
+          <Form.Group controlId="newPassword" className="mb-3">
+            <Form.Label className="fw-semibold" style={{ color: '#2c3e50' }}>
+              <i className="bi bi-lock me-2"></i>New Password
+            </Form.Label>
+            <Form.Control
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Choose a password"
+              className="py-3 rounded-3 border-2"
+              style={{ borderColor: '#e9ecef', transition: 'all 0.3s ease' }}
+            />
+            <Form.Text className="text-muted">At least 8 characters, with uppercase and lowercase letters and a digit</Form.Text>
+          </Form.Group>
+          <Form.Group controlId="confirmPassword" className="mb-4">
+            <Form.Label className="fw-semibold" style={{ color: '#2c3e50' }}>
+              <i className="bi bi-lock-fill me-2"></i>Confirm Password
+            </Form.Label>
+            <Form.Control
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Repeat your password"
+              className="py-3 rounded-3 border-2"
+              style={{ borderColor: '#e9ecef', transition: 'all 0.3s ease' }}
+            />
+          </Form.Group>
+          <div className="d-grid">
+            <Button
+              type="submit"
+              size="lg"
+              disabled={submitting}
+              className="py-3 fw-semibold rounded-3"
+              style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', border: 'none' }}
+            >
+              <i className="bi bi-check2-circle me-2"></i>
+              {submitting ? 'Saving...' : 'Set New Password'}
+            </Button>
+          </div>
+        </Form>
+      )}
+      {!doneMessage && (
+        <div className="text-center mt-4">
+          <Button variant="link" onClick={() => navigate('/forgot-password')} className="fw-semibold p-0">
+            Ask for a new link
+          </Button>
+        </div>
+      )}
+    </AuthPage>
+  );
+}
+
 /**
  * TOTP (Two-Factor Authentication) form component
  * Handles TOTP code verification with option to skip 2FA
@@ -255,6 +773,8 @@ function TotpForm(props) {
   const [totpCode, setTotpCode] = useState('');
   const [errorMessage, setErrorMessage] = useState('');
   const [showSkipConfirmation, setShowSkipConfirmation] = useState(false);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false); // Recovery code instead of TOTP
+  const retry = useRetryCountdown(); // Codes and recovery codes share the server's attempt counter
 
   /**
    * Handle TOTP verification API call
@@ -263,7 +783,26 @@ function TotpForm(props) {
   const doTotpVerify = () => {
     API.totpVerify(totpCode)
       .then(() => props.totpSuccessful()) // Success - upgrade to full authentication
-      .catch(() => setErrorMessage('Wrong code, please try again')); // Error handling
+      .catch((err) => setErrorMessage(retry.start(err) ? blockedMessage(err) : 'Wrong code, please try again')); // Error handling
+  };
+
+  /**
+   * Handle recovery code verification API call
+   * A recovery code grants the same access as a TOTP code and can only be used once
+   */
+  const doRecoveryLogin = () => {
+    API.recoveryLogin(totpCode)
+      .then(() => props.totpSuccessful()) // Success - upgrade to full authentication
+      .catch((err) => setErrorMessage(retry.start(err) ? blockedMessage(err) : 'Invalid or already used recovery code')); // Error handling
+  };
+
+  /**
+   * Switch between authenticator code and recovery code input
+   */
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setTotpCode('');
+    setErrorMessage('');
   };
 
   /**
@@ -282,6 +821,16 @@ function TotpForm(props) {
    */
   const handleSubmit = (e) => {
     e.preventDefault();
+
+    if (useRecoveryCode) {
+      // Recovery codes look like "XXXXX-XXXXX"
+      if (totpCode.replace(/[\s-]/g, '').length === 10) {
+        doRecoveryLogin();
+      } else {
+        setErrorMessage('Invalid content: recovery code must be 10 characters');
+      }
+      return;
+    }
     
     // Validate TOTP code length (must be exactly 6 digits)
     if (totpCode.length === 6) {
@@ -343,7 +892,11 @@ function TotpForm(props) {
                   <h3 className="mt-3 mb-2 fw-bold" style={{ color: '#2c3e50' }}>
                     Two-Factor Authentication
                   </h3>
-                  <p className="text-muted">Enter the 6-digit code from your authenticator app</p>
+                  <p className="text-muted">
+                    {useRecoveryCode
+                      ? 'Enter one of your recovery codes'
+                      : 'Enter the 6-digit code from your authenticator app'}
+                  </p>
                 </div>
 
                 <Form onSubmit={handleSubmit}>
@@ -364,21 +917,25 @@ function TotpForm(props) {
                   {/* TOTP code input field */}
                   <Form.Group controlId="totpCode" className="mb-4">
                     <Form.Label className="fw-semibold" style={{ color: '#2c3e50' }}>
-                      <i className="bi bi-key me-2"></i>Verification Code
+                      <i className="bi bi-key me-2"></i>{useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
                     </Form.Label>
                     <Form.Control
                       type="text"
                       value={totpCode}
                       onChange={(e) => setTotpCode(e.target.value)}
-                      placeholder="Enter 6-digit code"
+                      placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : 'Enter 6-digit code'}
                       className="text-center py-3 rounded-3 border-2"
                       style={{ 
                         fontSize: '1.5rem', 
                         letterSpacing: '0.3rem', 
                         borderColor: '#e9ecef' 
                       }}
-                      maxLength={6} // Restrict input to 6 characters
+                      maxLength={useRecoveryCode ? 11 : 6} // 6 digits, or 10 characters plus dash
                     />
+                    {/* Switch between authenticator and recovery code */}
+                    <Button variant="link" onClick={toggleRecoveryCode} className="p-0 mt-2 small">
+                      {useRecoveryCode ? 'Use a code from your authenticator app' : 'Lost your authenticator? Use a recovery code'}
+                    </Button>
                   </Form.Group>
 
                   {/* Form action buttons */}
@@ -388,12 +945,20 @@ function TotpForm(props) {
                       type="submit" 
                       size="lg" 
                       className="py-3 fw-semibold rounded-3" 
+                      disabled={retry.secondsLeft > 0}
                       style={{ 
                         background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', 
                         border: 'none' 
                       }}
                     >
-                      <i className="bi bi-check-circle me-2"></i>Verify Code
+                      {retry.secondsLeft > 0 ? (
+                        <>
+                          <i className={`bi ${retry.locked ? 'bi-lock' : 'bi-hourglass-split'} me-2`}></i>
+                          {retry.locked ? 'Locked' : 'Try again'} in {formatWait(retry.secondsLeft)}
+                        </>
+                      ) : (
+                        <><i className="bi bi-check-circle me-2"></i>Verify Code</>
+                      )}
                     </Button>
 
                     {/* Skip 2FA button */}
@@ -415,4 +980,133 @@ function TotpForm(props) {
   );
 }
 
-export { LoginButton, LogoutButton, LoginForm, TotpForm };
+/**
+ * Step-up verification modal for sensitive actions
+ * Asks for a fresh authenticator (or recovery) code in place, without leaving the page.
+ * Users without 2FA are pointed to the account page to enable it
+ * @param {Object} props - Component properties
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onHide - Handler for closing without verifying
+ * @param {Function} props.onVerified - Handler called once the server accepted the code
+ * @param {Object} props.user - Current user object with username and canDoTotp
+ * @param {string} props.action - What the code is needed for, e.g. "cancel order #3"
+ * @returns {JSX.Element} Verification modal
+ */
+function StepUpModal(props) {
+  const { show, onHide, onVerified, user, action } = props;
+  const navigate = useNavigate();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+  const retry = useRetryCountdown();
+
+  /**
+   * Clear the form once the modal is closed
+   */
+  const reset = () => {
+    setCode('');
+    setUseRecoveryCode(false);
+    setErrorMessage('');
+  };
+
+  /**
+   * Verify the code with the server
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const valid = useRecoveryCode ? code.replace(/[\s-]/g, '').length === 10 : /^\d{6}$/.test(code);
+    if (!valid) {
+      setErrorMessage(useRecoveryCode ? 'Recovery code must be 10 characters' : 'Code must be 6 digits');
+      return;
+    }
+
+    setBusy(true);
+    setErrorMessage('');
+    (useRecoveryCode ? API.recoveryLogin(code) : API.totpVerify(code))
+      .then(() => onVerified())
+      .catch((err) => setErrorMessage(retry.start(err) ? blockedMessage(err)
+        : useRecoveryCode ? 'Invalid or already used recovery code' : 'Wrong code, please try again'))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} onExited={reset} centered>
+      <Modal.Header closeButton className="border-0 pb-0">
+        <Modal.Title className="w-100 text-center">
+          <i className="bi bi-shield-lock" style={{ color: '#f39c12', fontSize: '2rem' }}></i>
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body className="text-center p-4">
+        <h4 className="mb-3" style={{ color: '#2c3e50' }}>Confirm It's You</h4>
+
+        {!user?.canDoTotp ? (
+          <>
+            <p className="text-muted mb-4">
+              To {action}, enable two-factor authentication on your account first.
+            </p>
+            <div className="d-grid gap-2">
+              <Button onClick={() => navigate('/account')} className="py-2 fw-semibold rounded-3">
+                <i className="bi bi-shield-plus me-2"></i>Set Up 2FA
+              </Button>
+              <Button variant="outline-secondary" onClick={onHide} className="py-2 fw-semibold rounded-3">
+                Cancel
+              </Button>
+            </div>
+          </>
+        ) : (
+          <Form onSubmit={handleSubmit}>
+            <p className="text-muted mb-4">
+              To {action}, enter {useRecoveryCode ? 'one of your recovery codes' : 'the current code from your authenticator app'}.
+            </p>
+
+            {errorMessage && (
+              <Alert variant="danger" className="border-0 rounded-3 text-start" style={{ background: 'rgba(220, 53, 69, 0.1)' }}>
+                <i className="bi bi-exclamation-triangle me-2"></i>
+                {errorMessage}
+              </Alert>
+            )}
+
+            <Form.Control
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '6-digit code'}
+              className="text-center py-2 rounded-3 border-2 mb-2"
+              style={{ fontSize: '1.5rem', letterSpacing: '0.3rem' }}
+              maxLength={useRecoveryCode ? 11 : 6}
+              autoFocus
+            />
+            <Button variant="link" size="sm" className="p-0 mb-3" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setErrorMessage(''); }}>
+              {useRecoveryCode ? 'Use a code from your authenticator app' : 'Use a recovery code'}
+            </Button>
+
+            <div className="d-grid gap-2">
+              <Button
+                type="submit"
+                disabled={busy || retry.secondsLeft > 0}
+                className="py-2 fw-semibold rounded-3"
+                style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', border: 'none' }}
+              >
+                {retry.secondsLeft > 0 ? (
+                  <>
+                    <i className={`bi ${retry.locked ? 'bi-lock' : 'bi-hourglass-split'} me-2`}></i>
+                    {retry.locked ? 'Locked' : 'Try again'} in {formatWait(retry.secondsLeft)}
+                  </>
+                ) : (
+                  <><i className="bi bi-shield-check me-2"></i>Verify and Continue</>
+                )}
+              </Button>
+              <Button variant="outline-secondary" onClick={onHide} className="py-2 fw-semibold rounded-3">
+                Cancel
+              </Button>
+            </div>
+          </Form>
+        )}
+      </Modal.Body>
+    </Modal>
+  );
+}
+
+export { LoginButton, LogoutButton, LoginForm, RegistrationForm, ForgotPasswordForm, ResetPasswordForm, TotpForm, StepUpModal };
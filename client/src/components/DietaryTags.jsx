@@ -0,0 +1,44 @@
+/* Allergen and Diet Tags for Restaurant Application */
+
+/* Small badges shown next to dishes and ingredients: the allergens they contain, the diets they
+   suit and, when the user has a dietary profile, why they do not fit it. */
+
+import { Badge } from 'react-bootstrap';
+import { DIETS, DIET_LABELS } from '../../../shared/dietary.mjs';
+
+/**
+ * Allergen, diet and dietary profile badges of a menu item
+ * @param {Object} props - Component properties
+ * @param {Array<string>} props.allergens - Allergens the item contains
+ * @param {Array<string>} [props.diets] - Diets the item suits (not shown when omitted)
+ * @param {Array<string>} [props.conflicts] - Reasons the item does not fit the user's profile
+ * @param {string} [props.className] - Extra classes of the container
+ * @returns {JSX.Element|null} Badges, or nothing if there is nothing to show
+ */
+function DietaryTags({ allergens, diets = [], conflicts = [], className = '' }) {
+  if (allergens.length === 0 && diets.length === 0 && conflicts.length === 0) return null;
+
+  return (
+    <div className={`d-flex flex-wrap gap-1 ${className}`} style={{ fontSize: '0.7rem' }}>
+      {conflicts.length > 0 && (
+        <Badge bg="danger" className="rounded-pill" title="Does not fit your dietary profile">
+          <i className="bi bi-exclamation-octagon me-1"></i>
+          {conflicts.join(', ')}
+        </Badge>
+      )}
+      {allergens.map(allergen => (
+        <Badge key={allergen} bg="warning" text="dark" className="rounded-pill fw-normal" title="Allergen">
+          {allergen}
+        </Badge>
+      ))}
+      {DIETS.filter(diet => diets.includes(diet)).map(diet => (
+        <Badge key={diet} bg="success" className="rounded-pill fw-normal" style={{ opacity: 0.8 }}>
+          <i className="bi bi-leaf me-1"></i>
+          {DIET_LABELS[diet]}
+        </Badge>
+      ))}
+    </div>
+  );
+}
+
+export { DietaryTags };
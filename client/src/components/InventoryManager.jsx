@@ -0,0 +1,307 @@
+/* Inventory Manager Component for Restaurant Application */
+
+/* This component lets restaurant staff record restocks, waste and adjustments, and check the stock ledger. */
+
+import { useState, useEffect } from 'react';
+import { Card, Table, Badge, Button, Form, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import API from '../API.js';
+
+// Movements the staff can record; waste is entered as a positive quantity and subtracted
+const STAFF_REASONS = {
+  restock: 'Restock',
+  waste: 'Waste',
+  adjustment: 'Adjustment'
+};
+
+// Label and badge color of every ledger reason
+const REASON_BADGES = {
+  opening: { label: 'Opening', bg: 'secondary' },
+  order: { label: 'Order', bg: 'primary' },
+  cancellation: { label: 'Cancellation', bg: 'info' },
+  rejection: { label: 'Rejection', bg: 'info' },
+  restock: { label: 'Restock', bg: 'success' },
+  waste: { label: 'Waste', bg: 'danger' },
+  adjustment: { label: 'Adjustment', bg: 'warning' },
+  unlimited: { label: 'Unlimited', bg: 'dark' }
+};
+
+/**
+ * Ledger of one ingredient with the stock after each movement
+ * @param {Object} props - Component properties
+ * @param {Object} props.ledger - { ingredient, movements } as returned by the server
+ * @param {Function} props.onClose - Handler to hide the ledger
+ * @returns {JSX.Element} Ledger card
+ */
+function StockLedger({ ledger, onClose }) {
+  return (
+    <Card className="shadow-lg border-0 rounded-4 mt-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+      <Card.Body className="p-4">
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h5 className="fw-bold mb-0 text-capitalize" style={{ color: '#2c3e50' }}>
+            <i className="bi bi-journal-text me-2" style={{ color: '#f39c12' }}></i>
+            {ledger.ingredient.name} ledger
+          </h5>
+          <Button variant="outline-secondary" size="sm" className="rounded-pill" onClick={onClose}>
+            Close
+          </Button>
+        </div>
+        <Table hover responsive size="sm" className="align-middle mb-0">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Reason</th>
+              <th className="text-end">Change</th>
+              <th className="text-end">Stock after</th>
+              <th>By</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ledger.movements.length === 0 && (
+              <tr><td colSpan={6} className="text-muted text-center">No movements recorded</td></tr>
+            )}
+            {ledger.movements.map(movement => (
+              <tr key={movement.id}>
+                <td className="text-nowrap">{dayjs(movement.createdAt).format('MMM D, HH:mm')}</td>
+                <td>
+                  <Badge bg={REASON_BADGES[movement.reason].bg} className="rounded-pill">
+                    {REASON_BADGES[movement.reason].label}
+                  </Badge>
+                </td>
+                <td className="text-end fw-semibold" style={{ color: movement.quantity > 0 ? '#27ae60' : '#e74c3c' }}>
+                  {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                </td>
+                <td className="text-end">{movement.balance === null ? <span className="text-muted">Unlimited</span> : movement.balance}</td>
+                <td>{movement.createdBy || <span className="text-muted">-</span>}</td>
+                <td className="small">
+                  {movement.orderId && <span className="me-2">Order #{movement.orderId}</span>}
+                  {movement.note}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * Inventory page: stock of every ingredient checked against its ledger,
+ * a form to record movements and the ledger of a chosen ingredient
+ * Stock is reloaded whenever the server reports a change (orders consume it too)
+ * @returns {JSX.Element} Inventory manager
+ */
+function InventoryManager() {
+  const [reconciliation, setReconciliation] = useState(null); // { consistent, ingredients }, null while loading
+  const [ledger, setLedger] = useState(null);                 // Ledger of the ingredient being inspected
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Record form state
+  const [ingredientId, setIngredientId] = useState('');
+  const [reason, setReason] = useState('restock');
+  const [quantity, setQuantity] = useState('');
+  const [note, setNote] = useState('');
+
+  // Load the stock on every (re)connection and after every stock change
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      API.getStockReconciliation()
+        .then(result => { if (active) setReconciliation(result); })
+        .catch(err => { if (active) setErrorMessage(err.error || 'Could not load the inventory'); });
+    };
+
+    const unsubscribe = API.subscribeToUpdates({ onOpen: refresh, onStock: refresh });
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  /**
+   * Show the ledger of an ingredient
+   * @param {number} id - Ingredient ID
+   */
+  const showLedger = (id) => {
+    API.getStockMovements(id)
+      .then(result => setLedger(result))
+      .catch(err => setErrorMessage(err.error || 'Could not load the ledger'));
+  };
+
+  /**
+   * Handle the record movement form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleRecord = (e) => {
+    e.preventDefault();
+    const amount = Number(quantity);
+    if (!ingredientId || !Number.isInteger(amount) || amount === 0 || (reason !== 'adjustment' && amount < 0)) {
+      setErrorMessage(reason === 'adjustment'
+        ? 'Please choose an ingredient and a non-zero whole quantity'
+        : 'Please choose an ingredient and a positive whole quantity');
+      return;
+    }
+    if (reason === 'adjustment' && !note.trim()) {
+      setErrorMessage('Please explain the adjustment in the note');
+      return;
+    }
+
+    setBusy(true);
+    setErrorMessage('');
+    setSuccessMessage('');
+    API.recordStockMovement(Number(ingredientId), { reason, quantity: amount, note: note.trim() || null })
+      .then(result => {
+        const name = reconciliation.ingredients.find(ing => ing.id === result.ingredientId).name;
+        setSuccessMessage(`${STAFF_REASONS[reason]} recorded: ${name} now at ${result.availability}`);
+        setQuantity('');
+        setNote('');
+        if (ledger && ledger.ingredient.id === result.ingredientId)
+          showLedger(result.ingredientId);
+        return API.getStockReconciliation().then(setReconciliation);
+      })
+      .catch(err => setErrorMessage(err.error || (err.errors && err.errors[0].msg) || 'Could not record the movement'))
+      .finally(() => setBusy(false));
+  };
+
+  if (reconciliation === null && !errorMessage) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" variant="warning" />
+      </div>
+    );
+  }
+
+  const ingredients = reconciliation ? reconciliation.ingredients : [];
+  const mismatches = ingredients.filter(ing => !ing.consistent);
+
+  return (
+    <>
+      <Card className="shadow-lg border-0 rounded-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+        <Card.Body className="p-4">
+          <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+            <i className="bi bi-box-seam me-2" style={{ color: '#f39c12' }}></i>
+            Stock
+          </h4>
+
+          {/* Messages */}
+          {errorMessage && (
+            <Alert
+              variant="danger"
+              dismissible
+              onClose={() => setErrorMessage('')}
+              className="border-0 rounded-3"
+              style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+            >
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              {errorMessage}
+            </Alert>
+          )}
+          {successMessage && (
+            <Alert variant="success" dismissible onClose={() => setSuccessMessage('')} className="border-0 rounded-3">
+              <i className="bi bi-check-circle me-2"></i>
+              {successMessage}
+            </Alert>
+          )}
+          {mismatches.length > 0 && (
+            <Alert variant="warning" className="border-0 rounded-3">
+              <i className="bi bi-exclamation-diamond me-2"></i>
+              Stock and ledger disagree for: {mismatches.map(ing => ing.name).join(', ')}.
+              Record an adjustment once the real stock has been counted.
+            </Alert>
+          )}
+
+          {/* Record movement form */}
+          <Form onSubmit={handleRecord} className="mb-4">
+            <Row className="g-2 align-items-end">
+              <Col md={3}>
+                <Form.Label className="fw-semibold small">Ingredient</Form.Label>
+                <Form.Select value={ingredientId} onChange={e => setIngredientId(e.target.value)}>
+                  <option value="">Choose...</option>
+                  {ingredients
+                    .filter(ing => ing.availability !== null)
+                    .map(ing => <option key={ing.id} value={ing.id}>{ing.name}</option>)}
+                </Form.Select>
+              </Col>
+              <Col md={2}>
+                <Form.Label className="fw-semibold small">Movement</Form.Label>
+                <Form.Select value={reason} onChange={e => setReason(e.target.value)}>
+                  {Object.entries(STAFF_REASONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </Form.Select>
+              </Col>
+              <Col md={2}>
+                <Form.Label className="fw-semibold small">Quantity</Form.Label>
+                <Form.Control
+                  type="number"
+                  step={1}
+                  min={reason === 'adjustment' ? undefined : 1}
+                  value={quantity}
+                  onChange={e => setQuantity(e.target.value)}
+                  placeholder={reason === 'adjustment' ? '±' : ''}
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Label className="fw-semibold small">Note</Form.Label>
+                <Form.Control
+                  value={note}
+                  maxLength={200}
+                  onChange={e => setNote(e.target.value)}
+                  placeholder={reason === 'adjustment' ? 'Required' : 'Optional'}
+                />
+              </Col>
+              <Col md={2} className="d-grid">
+                <Button
+                  type="submit"
+                  disabled={busy}
+                  className="fw-semibold rounded-pill"
+                  style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', border: 'none' }}
+                >
+                  <i className="bi bi-plus-circle me-2"></i>Record
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+
+          {/* Stock checked against the ledger */}
+          <Table hover responsive className="align-middle mb-0">
+            <thead>
+              <tr>
+                <th>Ingredient</th>
+                <th className="text-end">Stock</th>
+                <th className="text-end">Ledger</th>
+                <th>Check</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {ingredients.map(ing => (
+                <tr key={ing.id}>
+                  <td className="fw-semibold text-capitalize">{ing.name}</td>
+                  <td className="text-end">{ing.availability === null ? <span className="text-muted">Unlimited</span> : ing.availability}</td>
+                  <td className="text-end">{ing.ledgerBalance}</td>
+                  <td>
+                    {ing.consistent
+                      ? <Badge bg="success" className="rounded-pill">OK</Badge>
+                      : <Badge bg="danger" className="rounded-pill">Off by {ing.difference > 0 ? `+${ing.difference}` : ing.difference}</Badge>}
+                  </td>
+                  <td className="text-end">
+                    <Button variant="outline-secondary" size="sm" className="rounded-pill" onClick={() => showLedger(ing.id)}>
+                      <i className="bi bi-journal-text me-1"></i>Ledger
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
+      {ledger && <StockLedger ledger={ledger} onClose={() => setLedger(null)} />}
+    </>
+  );
+}
+
+export { InventoryManager };
@@ -0,0 +1,196 @@
+/* Kitchen Display Component for Restaurant Application */
+
+/* This component shows the open orders of every customer to the kitchen staff and lets them move orders forward. */
+
+import { useState, useEffect } from 'react';
+import { Card, Button, Badge, Row, Col, Alert, Spinner } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import API from '../API.js';
+import { STATUS_LABELS, TRANSITIONS } from '../../../shared/order-status.mjs';
+
+// Board columns, one per open status
+const COLUMNS = [
+  { status: 'received', icon: 'bi-inbox', color: '#3498db' },
+  { status: 'preparing', icon: 'bi-fire', color: '#f39c12' },
+  { status: 'ready', icon: 'bi-bell', color: '#27ae60' }
+];
+
+// Button for each status the kitchen can move an order to
+const ACTIONS = {
+  preparing: { label: 'Start Preparing', icon: 'bi-fire', variant: 'warning' },
+  ready: { label: 'Mark Ready', icon: 'bi-bell', variant: 'success' },
+  picked_up: { label: 'Picked Up', icon: 'bi-bag-check', variant: 'primary' },
+  rejected: { label: 'Reject', icon: 'bi-slash-circle', variant: 'outline-danger' }
+};
+
+/**
+ * Card for one open order with its dishes and the next-step buttons
+ * @param {Object} props - Component properties
+ * @param {Object} props.order - Order with customerName, orderDate, status and items
+ * @param {boolean} props.busy - Whether a change for this order is in progress
+ * @param {Function} props.onAdvance - Handler called with the order and the new status
+ * @returns {JSX.Element} Kitchen order card
+ */
+function KitchenOrderCard({ order, busy, onAdvance }) {
+  // Cancelling belongs to the customer, so it is not offered here
+  const nextStatuses = TRANSITIONS[order.status].filter(status => ACTIONS[status]);
+
+  return (
+    <Card className="mb-3 border-0 shadow rounded-4">
+      <Card.Body className="p-3">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <h5 className="fw-bold mb-0" style={{ color: '#2c3e50' }}>#{order.id}</h5>
+          <small className="text-muted">
+            <i className="bi bi-clock me-1"></i>
+            {dayjs(order.orderDate).format('HH:mm')}
+          </small>
+        </div>
+        <div className="text-muted small mb-2">
+          <i className="bi bi-person me-1"></i>{order.customerName}
+        </div>
+
+        {/* Dishes to prepare */}
+        {order.items.map(item => (
+          <div key={item.id} className="mb-2">
+            <div className="fw-semibold" style={{ color: '#2c3e50' }}>
+              {item.quantity > 1 && (
+                <Badge bg="info" className="me-2 rounded-pill">×{item.quantity}</Badge>
+              )}
+              {item.dishName} - {item.dishSize}
+            </div>
+            <small className="text-muted">
+              {item.ingredients.length > 0 ? item.ingredients.join(', ') : 'No extra ingredients'}
+            </small>
+            {item.allergens && item.allergens.length > 0 && (
+              <div className="small">
+                <i className="bi bi-exclamation-triangle me-1" style={{ color: '#f39c12' }}></i>
+                Allergens: {item.allergens.join(', ')}
+              </div>
+            )}
+          </div>
+        ))}
+
+        {/* Next steps */}
+        <div className="d-flex flex-wrap gap-2 mt-3">
+          {nextStatuses.map(status => (
+            <Button
+              key={status}
+              size="sm"
+              variant={ACTIONS[status].variant}
+              disabled={busy}
+              onClick={() => onAdvance(order, status)}
+              className="fw-semibold rounded-pill px-3"
+            >
+              <i className={`bi ${ACTIONS[status].icon} me-1`}></i>
+              {ACTIONS[status].label}
+            </Button>
+          ))}
+        </div>
+      </Card.Body>
+    </Card>
+  );
+}
+
+/**
+ * Kitchen board with the open orders of every customer, grouped by status, oldest first
+ * The list is reloaded whenever the server reports a status change, so new orders appear
+ * and cancelled ones disappear without polling
+ * @returns {JSX.Element} Kitchen display
+ */
+function KitchenDisplay() {
+  const [orders, setOrders] = useState(null);           // Open orders, null while loading
+  const [errorMessage, setErrorMessage] = useState('');
+  const [busyOrderId, setBusyOrderId] = useState(null); // Order being changed
+
+  // Load the board on every (re)connection and after every status change
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      API.getKitchenOrders()
+        .then(list => { if (active) setOrders(list); })
+        .catch(err => { if (active) setErrorMessage(err.error || 'Could not load the orders'); });
+    };
+
+    const unsubscribe = API.subscribeToUpdates({ onOpen: refresh, onOrderStatus: refresh });
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  /**
+   * Move an order to a new status and reload the board
+   * The board is reloaded on failure too: a 409 means the order changed in the meantime
+   * @param {Object} order - Order to change
+   * @param {string} status - New status
+   */
+  const handleAdvance = (order, status) => {
+    setBusyOrderId(order.id);
+    setErrorMessage('');
+    API.updateOrderStatus(order.id, status)
+      .catch(err => setErrorMessage(err.error || `Could not update order #${order.id}`))
+      .then(() => API.getKitchenOrders())
+      .then(list => setOrders(list))
+      .catch(() => {})
+      .finally(() => setBusyOrderId(null));
+  };
+
+  if (orders === null && !errorMessage) {
+    return (
+      <div className="text-center py-5">
+        <Spinner animation="border" variant="warning" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {/* Error message display */}
+      {errorMessage && (
+        <Alert
+          variant="danger"
+          dismissible
+          onClose={() => setErrorMessage('')}
+          className="border-0 rounded-3"
+          style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+        >
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {errorMessage}
+        </Alert>
+      )}
+
+      <Row>
+        {COLUMNS.map(column => {
+          const columnOrders = (orders || []).filter(order => order.status === column.status);
+          return (
+            <Col lg={4} key={column.status} className="mb-4">
+              <div
+                className="d-flex justify-content-between align-items-center px-3 py-2 mb-3 rounded-3 text-white"
+                style={{ background: column.color }}
+              >
+                <h5 className="fw-bold mb-0">
+                  <i className={`bi ${column.icon} me-2`}></i>
+                  {STATUS_LABELS[column.status]}
+                </h5>
+                <Badge bg="light" text="dark" className="rounded-pill">{columnOrders.length}</Badge>
+              </div>
+              {columnOrders.length === 0 && (
+                <p className="text-muted text-center">No orders</p>
+              )}
+              {columnOrders.map(order => (
+                <KitchenOrderCard
+                  key={order.id}
+                  order={order}
+                  busy={busyOrderId === order.id}
+                  onAdvance={handleAdvance}
+                />
+              ))}
+            </Col>
+          );
+        })}
+      </Row>
+    </>
+  );
+}
+
+export { KitchenDisplay };
@@ -9,7 +9,12 @@ import { Navigation } from './Navigation';
 import { MenuBrowser } from './MenuBrowser';
 import { RestaurantConfigurator } from './RestaurantConfigurator';
 import { OrdersList } from './OrdersList';
-import { LoginForm, TotpForm } from './Auth';
+import { AccountSettings } from './Account';
+import { IngredientRulesEditor } from './admin/IngredientRulesEditor';
+import { StockAlerts } from './admin/StockAlerts';
+import { KitchenDisplay } from './KitchenDisplay';
+import { InventoryManager } from './InventoryManager';
+import { LoginForm, RegistrationForm, ForgotPasswordForm, ResetPasswordForm, TotpForm } from './Auth';
 
 /**
  * Generic layout wrapper with navigation and global message handling
@@ -138,6 +143,7 @@ function ConfiguratorLayout(props) {
         ingredients={props.ingredients}
         createOrder={props.createOrder}
         handleErrors={props.handleErrors}
+        dietaryProfile={props.dietaryProfile}
       />
     </Container>
   );
@@ -199,13 +205,167 @@ function OrdersLayout(props) {
         orders={props.orders}
         cancelOrder={props.cancelOrder}
         canCancel={props.canCancel}
-        upgradeTo2FA={props.upgradeTo2FA}
+        stepUpCompleted={props.stepUpCompleted}
+        user={props.user}
+      />
+    </Container>
+  );
+}
+
+/**
+ * Account layout for viewing account details and managing 2FA
+ * @param {Object} props - Current user and user update handler
+ * @returns {JSX.Element} Account settings interface
+ */
+function AccountLayout(props) {
+  return (
+    <Container>
+      {/* Page header with navigation */}
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h1 className="fw-bold mb-2" style={{ color: '#2c3e50', fontSize: '3rem' }}>
+                <i className="bi bi-person-gear me-3" style={{ color: '#f39c12' }}></i>
+                My Account
+              </h1>
+              <p className="text-muted fs-5">Manage your profile and security settings</p>
+            </div>
+            <Link to="/">
+              <Button 
+                variant="outline-secondary" 
+                size="lg"
+                className="px-4 py-3 fw-semibold rounded-pill"
+              >
+                <i className="bi bi-arrow-left me-2"></i>
+                Back to Menu
+              </Button>
+            </Link>
+          </div>
+        </Col>
+      </Row>
+
+      {/* Account settings component */}
+      <AccountSettings user={props.user} updateUser={props.updateUser} />
+    </Container>
+  );
+}
+
+/**
+ * Admin layout for menu management
+ * Admin changes require a session verified with 2FA and a recent code, asked in place
+ * @param {Object} props - Current user, ingredients and update handlers
+ * @returns {JSX.Element} Admin interface
+ */
+function AdminLayout(props) {
+  return (
+    <Container>
+      {/* Page header with navigation */}
+      <Row className="mb-4">
+        <Col>
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <h1 className="fw-bold mb-2" style={{ color: '#2c3e50', fontSize: '3rem' }}>
+                <i className="bi bi-tools me-3" style={{ color: '#f39c12' }}></i>
+                Menu Administration
+              </h1>
+              <p className="text-muted fs-5">Watch low stock and manage how ingredients can be combined</p>
+            </div>
+            <Link to="/">
+              <Button 
+                variant="outline-secondary" 
+                size="lg"
+                className="px-4 py-3 fw-semibold rounded-pill"
+              >
+                <i className="bi bi-arrow-left me-2"></i>
+                Back to Menu
+              </Button>
+            </Link>
+          </div>
+        </Col>
+      </Row>
+
+      {/* Admin changes are rejected by the server without 2FA */}
+      {!props.user?.isTotp && (
+        <Alert variant="warning" className="border-0 rounded-3 d-flex justify-content-between align-items-center">
+          <span>
+            <i className="bi bi-shield-exclamation me-2"></i>
+            Complete two-factor authentication to make changes.
+          </span>
+          <Button variant="warning" size="sm" className="fw-semibold rounded-pill" onClick={props.upgradeTo2FA}>
+            Complete 2FA
+          </Button>
+        </Alert>
+      )}
+
+      {/* The alert feed is only readable after 2FA */}
+      {props.user?.isTotp && (
+        <StockAlerts
+          ingredients={props.ingredients}
+          updateIngredients={props.updateIngredients}
+          user={props.user}
+          stepUpCompleted={props.stepUpCompleted}
+        />
+      )}
+
+      <IngredientRulesEditor
+        ingredients={props.ingredients}
+        updateIngredients={props.updateIngredients}
         user={props.user}
+        stepUpCompleted={props.stepUpCompleted}
       />
     </Container>
   );
 }
 
+/**
+ * Kitchen layout for restaurant staff
+ * Shows the open orders of every customer
+ * @returns {JSX.Element} Kitchen display interface
+ */
+function KitchenLayout() {
+  return (
+    <Container fluid className="px-lg-5">
+      {/* Page header */}
+      <Row className="mb-4">
+        <Col>
+          <h1 className="fw-bold mb-2" style={{ color: '#2c3e50', fontSize: '3rem' }}>
+            <i className="bi bi-fire me-3" style={{ color: '#f39c12' }}></i>
+            Kitchen
+          </h1>
+          <p className="text-muted fs-5">Open orders, oldest first</p>
+        </Col>
+      </Row>
+
+      <KitchenDisplay />
+    </Container>
+  );
+}
+
+/**
+ * Inventory layout for restaurant staff
+ * Shows the stock ledger and the form to record restocks, waste and adjustments
+ * @returns {JSX.Element} Inventory management interface
+ */
+function InventoryLayout() {
+  return (
+    <Container className="px-lg-5">
+      {/* Page header */}
+      <Row className="mb-4">
+        <Col>
+          <h1 className="fw-bold mb-2" style={{ color: '#2c3e50', fontSize: '3rem' }}>
+            <i className="bi bi-box-seam me-3" style={{ color: '#f39c12' }}></i>
+            Inventory
+          </h1>
+          <p className="text-muted fs-5">Restocks, waste and adjustments, checked against the stock ledger</p>
+        </Col>
+      </Row>
+
+      <InventoryManager />
+    </Container>
+  );
+}
+
 /**
  * Login layout wrapper
  * Simple wrapper for the LoginForm component
@@ -216,6 +376,34 @@ function LoginLayout(props) {
   return <LoginForm login={props.login} user={props.user} />;
 }
 
+/**
+ * Registration layout wrapper
+ * Simple wrapper for the RegistrationForm component
+ * @param {Object} props - Registration handler function
+ * @returns {JSX.Element} Registration form interface
+ */
+function RegistrationLayout(props) {
+  return <RegistrationForm register={props.register} />;
+}
+
+/**
+ * Forgotten password layout wrapper
+ * Simple wrapper for the ForgotPasswordForm component
+ * @returns {JSX.Element} Reset link request interface
+ */
+function ForgotPasswordLayout() {
+  return <ForgotPasswordForm />;
+}
+
+/**
+ * Password reset layout wrapper, opened from the emailed link
+ * Simple wrapper for the ResetPasswordForm component
+ * @returns {JSX.Element} New password interface
+ */
+function ResetPasswordLayout() {
+  return <ResetPasswordForm />;
+}
+
 /**
  * TOTP layout wrapper for two-factor authentication
  * Simple wrapper for the TotpForm component
@@ -279,7 +467,14 @@ export {
   MenuBrowser, 
   ConfiguratorLayout, 
   OrdersLayout,
+  AccountLayout,
+  AdminLayout,
+  KitchenLayout,
+  InventoryLayout,
   LoginLayout, 
+  RegistrationLayout,
+  ForgotPasswordLayout,
+  ResetPasswordLayout,
   TotpLayout,
   NotFoundLayout
 };
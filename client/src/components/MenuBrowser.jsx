@@ -2,19 +2,30 @@
 
 /* Public menu browsing layout component. */
 
-import { Row, Col, Button, Card, Container } from 'react-bootstrap';
+import { useState } from 'react';
+import { Row, Col, Button, Card, Container, Form } from 'react-bootstrap';
 import { Link, useNavigate } from 'react-router';
+import { DietaryTags } from './DietaryTags';
+import { profileConflicts, hasDietaryProfile } from '../../../shared/dietary.mjs';
 
 /**
  * Menu browser for public menu viewing
  * Displays dishes, sizes, and ingredients without requiring authentication
  * Includes call-to-action buttons for logged-in users
- * @param {Object} props - Menu data and authentication status
+ * Items that do not fit the user's dietary profile are flagged, or hidden on request
+ * @param {Object} props - Menu data, authentication status and the user's dietary profile (null if none)
  * @returns {JSX.Element} Public menu browsing interface
  */
 function MenuBrowser(props) {
-  const { baseDishes, sizes, ingredients, loggedIn } = props;
+  const { baseDishes, sizes, ingredients, loggedIn, dietaryProfile } = props;
   const navigate = useNavigate();
+  const [hideUnfit, setHideUnfit] = useState(false);
+
+  // Reasons each item does not fit the profile (empty arrays without one)
+  const profile = hasDietaryProfile(dietaryProfile) ? dietaryProfile : null;
+  const fits = (item) => !hideUnfit || profileConflicts(item, profile).length === 0;
+  const shownDishes = baseDishes.filter(fits);
+  const shownIngredients = ingredients.filter(fits);
 
   /**
    * Get appropriate icon for each dish type
@@ -124,6 +135,23 @@ function MenuBrowser(props) {
         </Row>
       )}
 
+      {/* Dietary profile filter */}
+      {profile && (
+        <Row className="mb-3">
+          <Col>
+            <Form.Check
+              type="switch"
+              id="menuHideUnfit"
+              label="Hide what does not fit my dietary profile"
+              checked={hideUnfit}
+              onChange={(e) => setHideUnfit(e.target.checked)}
+              className="fw-semibold"
+              style={{ color: '#2c3e50' }}
+            />
+          </Col>
+        </Row>
+      )}
+
       <Row>
         {/* Base Dishes Column */}
         <Col lg={3} className="mb-4">
@@ -139,8 +167,8 @@ function MenuBrowser(props) {
             </Card.Header>
             <Card.Body className="p-4 d-flex flex-column justify-content-center">
               {/* Display each base dish type */}
-              {baseDishes.map((baseDish, index) => (
-                <Card key={baseDish.id} className="mb-3 border-2 rounded-3 shadow-sm" style={{ marginBottom: index === baseDishes.length - 1 ? '0' : undefined }}>
+              {shownDishes.map((baseDish, index) => (
+                <Card key={baseDish.id} className="mb-3 border-2 rounded-3 shadow-sm" style={{ marginBottom: index === shownDishes.length - 1 ? '0' : undefined }}>
                   <Card.Body className="p-4 text-center">
                     <h5 className="fw-bold mb-2" style={{ color: '#2c3e50' }}>
                       {baseDish.name.charAt(0).toUpperCase() + baseDish.name.slice(1)}
@@ -149,6 +177,12 @@ function MenuBrowser(props) {
                       <i className={`${getDishIcon(baseDish.name)} me-1`}></i>
                       Customizable with<br />fresh ingredients
                     </div>
+                    <DietaryTags
+                      allergens={baseDish.allergens}
+                      diets={baseDish.diets}
+                      conflicts={profileConflicts(baseDish, profile)}
+                      className="justify-content-center mt-2"
+                    />
                   </Card.Body>
                 </Card>
               ))}
@@ -213,7 +247,7 @@ function MenuBrowser(props) {
             </Card.Header>
             <Card.Body className="p-4" style={{ maxHeight: '600px', overflowY: 'auto' }}>
               {/* Display ingredients with constraints and availability */}
-              {ingredients.map(ingredient => (
+              {shownIngredients.map(ingredient => (
                 <Card key={ingredient.id} className="mb-3 border-2 rounded-3 shadow-sm">
                   <Card.Body className="p-4">
                     <div className="d-flex justify-content-between align-items-start">
@@ -227,6 +261,11 @@ function MenuBrowser(props) {
                         >
                           €{ingredient.price.toFixed(2)}
                         </div>
+                        <DietaryTags
+                          allergens={ingredient.allergens}
+                          diets={ingredient.diets}
+                          conflicts={profileConflicts(ingredient, profile)}
+                        />
                       </div>
                       <div className="text-end">
                         {/* Availability indicator */}
@@ -4,6 +4,7 @@
 
 import 'bootstrap-icons/font/bootstrap-icons.css';
 import { Navbar, Nav, Form, Button } from 'react-bootstrap';
+import { Link } from 'react-router';
 import { LoginButton, LogoutButton } from './Auth';
 
 /**
@@ -71,6 +72,62 @@ const Navigation = (props) => {
           </Button>
         )}
         
+        {/* Admin page link for admins */}
+        {props.loggedIn && props.user?.role === 'admin' && (
+          <Link to="/admin" className="me-3">
+            <Button 
+              variant="outline-warning"
+              className="fw-semibold px-4 py-2 rounded-pill"
+              style={{ transition: 'all 0.3s ease', borderWidth: '2px' }}
+            >
+              <i className="bi bi-tools me-2"></i>
+              Admin
+            </Button>
+          </Link>
+        )}
+
+        {/* Kitchen page link for restaurant staff */}
+        {props.loggedIn && (props.user?.role === 'staff' || props.user?.role === 'admin') && (
+          <Link to="/kitchen" className="me-3">
+            <Button 
+              variant="outline-warning"
+              className="fw-semibold px-4 py-2 rounded-pill"
+              style={{ transition: 'all 0.3s ease', borderWidth: '2px' }}
+            >
+              <i className="bi bi-fire me-2"></i>
+              Kitchen
+            </Button>
+          </Link>
+        )}
+
+        {/* Inventory page link for restaurant staff */}
+        {props.loggedIn && (props.user?.role === 'staff' || props.user?.role === 'admin') && (
+          <Link to="/inventory" className="me-3">
+            <Button 
+              variant="outline-warning"
+              className="fw-semibold px-4 py-2 rounded-pill"
+              style={{ transition: 'all 0.3s ease', borderWidth: '2px' }}
+            >
+              <i className="bi bi-box-seam me-2"></i>
+              Inventory
+            </Button>
+          </Link>
+        )}
+
+        {/* Account page link for logged in users */}
+        {props.loggedIn && (
+          <Link to="/account" className="me-3">
+            <Button 
+              variant="outline-light"
+              className="fw-semibold px-4 py-2 rounded-pill"
+              style={{ transition: 'all 0.3s ease', border: '2px solid white' }}
+            >
+              <i className="bi bi-person-gear me-2"></i>
+              Account
+            </Button>
+          </Link>
+        )}
+
         {/* Login/Logout button based on authentication status */}
         <Form>
           {props.loggedIn ? <LogoutButton logout={props.logout} /> : <LoginButton />}
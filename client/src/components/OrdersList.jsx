@@ -6,63 +6,96 @@ import { Card, Button, Badge, Row, Col, Container, Modal } from 'react-bootstrap
 import dayjs from 'dayjs';
 import { Link } from 'react-router';
 import { useState } from 'react';
+import { OrderTimeline } from './orders/OrderTimeline';
+import { StepUpModal } from './Auth';
+import { DietaryTags } from './DietaryTags';
+import { STATUS_LABELS, isCancellable, isActive } from '../../../shared/order-status.mjs';
+
+// Badge background for each status
+const STATUS_BADGE_BACKGROUNDS = {
+  received: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)',
+  preparing: 'linear-gradient(135deg, #f39c12 0%, #e67e22 100%)',
+  ready: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)',
+  picked_up: 'linear-gradient(135deg, #95a5a6 0%, #7f8c8d 100%)',
+  rejected: 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)',
+  cancelled: 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)'
+};
 
 /**
  * Main orders list component displaying user's order history
  * @param {Object} props - Component properties
  * @param {Array} props.orders - Array of user's orders with full details
- * @param {Function} props.cancelOrder - Function to cancel an order
- * @param {boolean} props.canCancel - Whether user can cancel orders (requires 2FA)
- * @param {Function} props.upgradeTo2FA - Function to upgrade user to 2FA authentication
+ * @param {Function} props.cancelOrder - Function to cancel an order; returns a promise that rejects
+ *                                         with stepUpRequired when a fresh TOTP code is needed
+ * @param {boolean} props.canCancel - Whether the session completed 2FA
+ * @param {Function} props.stepUpCompleted - Handler called after a code was verified in place
  * @param {Object} props.user - Current user object with username
  * @returns {JSX.Element} Orders list interface with cancellation capabilities
  */
 const OrdersList = (props) => {
-  const { orders, cancelOrder, canCancel, upgradeTo2FA, user } = props;
+  const { orders, cancelOrder, canCancel, stepUpCompleted, user } = props;
   
-  // Modal state for 2FA upgrade flow
-  const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  // Modal state for the cancellation and step-up flow
+  const [showStepUp, setShowStepUp] = useState(false);
   const [pendingCancelOrderId, setPendingCancelOrderId] = useState(null);
   const [showCancelConfirmation, setShowCancelConfirmation] = useState(false); // Confirmation modal state
+  const [cancelConfirmed, setCancelConfirmed] = useState(false); // Step-up asked after the confirmation
 
   /**
    * Handle order cancellation with 2FA security check
-   * Determines if user can cancel directly or needs 2FA upgrade
+   * Without 2FA in this session the code is asked first, then the cancellation is confirmed
    * @param {number} orderId - ID of order to cancel
    */
   const handleCancelOrder = (orderId) => {
+    setPendingCancelOrderId(orderId);
+    setCancelConfirmed(false);
     if (!canCancel) {
-      // User needs 2FA to cancel orders - show upgrade modal
-      setPendingCancelOrderId(orderId);
-      setShowUpgradeModal(true);
+      setShowStepUp(true);
       return;
     }
     
     // User has 2FA - show styled confirmation modal instead of browser popup
-    setPendingCancelOrderId(orderId);
     setShowCancelConfirmation(true);
   };
 
+  /**
+   * Cancel the pending order
+   * If the last verified code is too old, the server asks for a new one: the
+   * step-up modal opens and the cancellation is retried once it is verified
+   * @param {number} orderId - ID of order to cancel
+   */
+  const doCancel = (orderId) => {
+    cancelOrder(orderId)
+      .then(() => setPendingCancelOrderId(null))
+      .catch(err => {
+        if (err.stepUpRequired) {
+          setCancelConfirmed(true);
+          setShowStepUp(true);
+        }
+      });
+  };
+
   /**
    * Handle confirmed order cancellation
    * Called when user confirms cancellation in the modal
    */
   const handleConfirmCancel = () => {
-    if (pendingCancelOrderId) {
-      cancelOrder(pendingCancelOrderId);
-      setPendingCancelOrderId(null);
-    }
     setShowCancelConfirmation(false);
+    if (pendingCancelOrderId)
+      doCancel(pendingCancelOrderId);
   };
 
   /**
-   * Handle 2FA upgrade confirmation from order cancellation
-   * Initiates the 2FA upgrade flow with username context and closes modal
+   * Continue after a code was verified in the step-up modal
+   * Retries an already confirmed cancellation, otherwise asks for the confirmation
    */
-  const handleUpgradeTo2FA = () => {
-    setShowUpgradeModal(false);
-    // Call the upgrade function which will now include username in navigation
-    upgradeTo2FA();
+  const handleStepUpVerified = () => {
+    setShowStepUp(false);
+    stepUpCompleted();
+    if (cancelConfirmed)
+      doCancel(pendingCancelOrderId);
+    else
+      setShowCancelConfirmation(true);
   };
 
   // Empty state - no orders found
@@ -149,64 +182,26 @@ const OrdersList = (props) => {
         </Modal.Body>
       </Modal>
 
-      {/* 2FA Upgrade Modal - shown when user tries to cancel without 2FA */}
-      <Modal show={showUpgradeModal} onHide={() => setShowUpgradeModal(false)} centered>
-        <Modal.Header closeButton className="border-0 pb-0">
-          <Modal.Title className="w-100 text-center">
-            <i className="bi bi-shield-exclamation" style={{ color: '#f39c12', fontSize: '2rem' }}></i>
-          </Modal.Title>
-        </Modal.Header>
-        <Modal.Body className="text-center p-4">
-          <h4 className="mb-3" style={{ color: '#2c3e50' }}>Two-Factor Authentication Required</h4>
-          <p className="text-muted mb-4">
-            To cancel orders, you need to complete two-factor authentication for security purposes.
-          </p>
-          {user && (
-            <div className="mb-3 p-3 rounded-3" style={{ background: 'rgba(52, 152, 219, 0.1)' }}>
-              <small className="text-muted">
-                <i className="bi bi-person me-2"></i>
-                Completing 2FA for: <strong>{user.username}</strong>
-              </small>
-            </div>
-          )}
-          <div className="d-grid gap-2">
-            {/* Upgrade to 2FA button */}
-            <Button 
-              onClick={handleUpgradeTo2FA}
-              className="py-2 fw-semibold rounded-3"
-              style={{
-                background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)',
-                border: 'none'
-              }}
-            >
-              <i className="bi bi-shield-check me-2"></i>
-              Complete 2FA Now
-            </Button>
-            {/* Cancel modal button */}
-            <Button 
-              variant="outline-secondary" 
-              onClick={() => setShowUpgradeModal(false)}
-              className="py-2 fw-semibold rounded-3"
-            >
-              Cancel
-            </Button>
-          </div>
-        </Modal.Body>
-      </Modal>
+      {/* Step-up modal - a fresh TOTP code is needed to cancel */}
+      <StepUpModal
+        show={showStepUp}
+        onHide={() => setShowStepUp(false)}
+        onVerified={handleStepUpVerified}
+        user={user}
+        action={`cancel order #${pendingCancelOrderId}`}
+      />
 
       {/* Orders list - map through each order */}
       {orders.map(order => (
         <Card 
           key={order.id} 
-          className={`mb-4 shadow-lg border-0 rounded-4 ${
-            order.status === 'cancelled' ? '' : ''
-          }`}
+          className="mb-4 shadow-lg border-0 rounded-4"
           style={{
             // Dynamic styling based on order status
-            background: order.status === 'cancelled' 
-              ? 'linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%)'  // Red tint for cancelled
-              : 'linear-gradient(135deg, #ffffff 0%, #f8f9fa 100%)', // Normal for confirmed
-            opacity: order.status === 'cancelled' ? 0.8 : 1 // Reduced opacity for cancelled
+            background: order.status === 'cancelled' || order.status === 'rejected'
+              ? 'linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%)'  // Red tint for orders that ended early
+              : 'linear-gradient(135deg, #ffffff 0%, #f8f9fa 100%)', // Normal otherwise
+            opacity: isActive(order.status) ? 1 : 0.8 // Reduced opacity for closed orders
           }}
         >
           <Card.Body className="p-4">
@@ -220,83 +215,68 @@ const OrdersList = (props) => {
                       <i className="bi bi-receipt me-2"></i>
                       Order #{order.id}
                     </h4>
-                    {/* Status badges with different styling */}
-                    {order.status === 'cancelled' && (
-                      <Badge 
-                        className="px-3 py-2 rounded-pill fs-6"
-                        style={{ background: 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)' }}
-                      >
-                        <i className="bi bi-x-circle me-1"></i>
-                        Cancelled
-                      </Badge>
-                    )}
-                    {order.status === 'confirmed' && (
-                      <Badge 
-                        className="px-3 py-2 rounded-pill fs-6"
-                        style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)' }}
-                      >
-                        <i className="bi bi-check-circle me-1"></i>
-                        Confirmed
-                      </Badge>
-                    )}
+                    {/* Current status badge */}
+                    <Badge 
+                      className="px-3 py-2 rounded-pill fs-6"
+                      style={{ background: STATUS_BADGE_BACKGROUNDS[order.status] }}
+                    >
+                      {STATUS_LABELS[order.status]}
+                    </Badge>
                   </div>
                   {/* Order date information */}
                   <div className="text-muted mb-4">
                     <i className="bi bi-calendar3 me-2"></i>
                     <strong>Ordered on:</strong> {dayjs(order.orderDate).format('MMMM D, YYYY HH:mm')}
                   </div>
-                </div>
 
-                {/* Dish information card */}
-                <Card className="mb-4 border-2 rounded-3" style={{ borderColor: '#e9ecef' }}>
-                  <Card.Body className="p-3">
-                    <div className="d-flex align-items-center justify-content-between">
-                      <div className="d-flex align-items-center">
-                        <i 
-                          className="bi bi-bowl me-3" 
-                          style={{ color: '#e74c3c', fontSize: '1.5rem' }}
-                        ></i>
-                        <div>
-                          <strong style={{ color: '#2c3e50' }}>
-                            {order.dishName} - {order.dishSize}
-                          </strong>
-                        </div>
-                      </div>
-                      {/* Dish base price */}
-                      <div 
-                        className="fs-5 fw-bold"
-                        style={{ color: '#27ae60' }}
-                      >
-                        €{order.dishPrice.toFixed(2)}
-                      </div>
-                    </div>
-                  </Card.Body>
-                </Card>
+                  {/* Progress through the order lifecycle */}
+                  <OrderTimeline status={order.status} history={order.history} />
+                </div>
 
-                {/* Ingredients section - only show if order has ingredients */}
-                {order.ingredients.length > 0 && (
-                  <Card className="border-2 rounded-3" style={{ borderColor: '#e9ecef' }}>
+                {/* One card per configured dish in the order */}
+                {order.items.map(item => (
+                  <Card key={item.id} className="mb-3 border-2 rounded-3" style={{ borderColor: '#e9ecef' }}>
                     <Card.Header 
                       className="border-0 py-3"
                       style={{ background: 'rgba(39, 174, 96, 0.1)' }}
                     >
-                      <div className="d-flex align-items-center">
-                        <i 
-                          className="bi bi-collection me-2" 
-                          style={{ color: '#27ae60', fontSize: '1.2rem' }}
-                        ></i>
-                        <strong style={{ color: '#2c3e50' }}>Ingredients:</strong>
-                        <Badge 
-                          className="ms-2 px-2 py-1 rounded-pill"
-                          style={{ background: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)' }}
+                      <div className="d-flex align-items-center justify-content-between">
+                        <div className="d-flex align-items-center">
+                          <i 
+                            className="bi bi-bowl me-3" 
+                            style={{ color: '#e74c3c', fontSize: '1.5rem' }}
+                          ></i>
+                          <strong style={{ color: '#2c3e50' }}>
+                            {item.dishName} - {item.dishSize}
+                          </strong>
+                          {item.quantity > 1 && (
+                            <Badge 
+                              className="ms-2 px-2 py-1 rounded-pill"
+                              style={{ background: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)' }}
+                            >
+                              ×{item.quantity}
+                            </Badge>
+                          )}
+                        </div>
+                        {/* Dish line price (unit price × quantity) */}
+                        <div 
+                          className="fs-5 fw-bold"
+                          style={{ color: '#27ae60' }}
                         >
-                          {order.ingredients.length}
-                        </Badge>
+                          €{item.totalPrice.toFixed(2)}
+                        </div>
                       </div>
                     </Card.Header>
                     <Card.Body className="p-3">
+                      {/* Dish base price */}
+                      <div className="d-flex justify-content-between align-items-center mb-2">
+                        <span className="text-muted">Base ({item.dishSize})</span>
+                        <span className="fw-semibold" style={{ color: '#27ae60' }}>
+                          €{item.dishPrice.toFixed(2)}
+                        </span>
+                      </div>
                       {/* Map through ingredients with pricing */}
-                      {order.ingredients.map((ingredient, index) => (
+                      {item.ingredients.map((ingredient, index) => (
                         <div key={index} className="d-flex justify-content-between align-items-center mb-2">
                           <span style={{ color: '#2c3e50' }}>
                             • {ingredient}
@@ -305,13 +285,23 @@ const OrdersList = (props) => {
                             className="fw-semibold"
                             style={{ color: '#27ae60' }}
                           >
-                            €{order.ingredientPrices[index]?.toFixed(2)}
+                            €{item.ingredientPrices[index]?.toFixed(2)}
                           </span>
                         </div>
                       ))}
+                      {item.ingredients.length === 0 && (
+                        <small className="text-muted">No extra ingredients</small>
+                      )}
+                      {/* Allergens recorded when ordered (not known for older orders) */}
+                      {item.allergens && item.allergens.length > 0 && (
+                        <div className="d-flex flex-wrap align-items-center gap-1 mt-2">
+                          <small className="text-muted">Contains:</small>
+                          <DietaryTags allergens={item.allergens} />
+                        </div>
+                      )}
                     </Card.Body>
                   </Card>
-                )}
+                ))}
               </Col>
 
               {/* Right column - Total price and actions */}
@@ -335,29 +325,50 @@ const OrdersList = (props) => {
                     >
                       Total: €{order.totalPrice.toFixed(2)}
                     </div>
+                    {/* Nutrition recorded when ordered (not known for older orders) */}
+                    {order.totalNutrition && (
+                      <small className="text-muted">
+                        {order.totalNutrition.kcal} kcal · {order.totalNutrition.protein} g protein · {order.totalNutrition.fat} g fat · {order.totalNutrition.carbs} g carbs
+                      </small>
+                    )}
                   </div>
                 </div>
 
-                {/* Cancel button - only show for confirmed orders */}
-                {order.status === 'confirmed' && (
-                  <div>
-                    <Button 
-                      variant={canCancel ? "outline-danger" : "outline-warning"}
+                <div>
+                  {/* Order again - the configurator checks the dishes against today's menu and stock */}
+                  <Link to={`/configure?reorder=${order.id}`}>
+                    <Button
+                      variant="outline-success"
                       size="lg"
-                      onClick={() => handleCancelOrder(order.id)}
-                      className="px-4 py-3 fw-semibold rounded-pill w-100"
-                      style={{
-                        // Dynamic styling based on user's cancellation capability
-                        border: `2px solid ${canCancel ? '#e74c3c' : '#f39c12'}`,
-                        color: canCancel ? '#e74c3c' : '#f39c12',
-                        transition: 'all 0.3s ease'
-                      }}
+                      className="px-4 py-3 fw-semibold rounded-pill w-100 mb-3"
+                      style={{ border: '2px solid #27ae60', color: '#27ae60' }}
                     >
-                      <i className={`bi ${canCancel ? 'bi-x-circle' : 'bi-shield-exclamation'} me-2`}></i>
-                      {canCancel ? 'Cancel Order' : 'Cancel Order (Requires 2FA)'}
+                      <i className="bi bi-arrow-repeat me-2"></i>
+                      Order Again
                     </Button>
-                  </div>
-                )}
+                  </Link>
+
+                  {/* Cancel button - only until preparation starts */}
+                  {isCancellable(order.status) && (
+                    <div>
+                      <Button 
+                        variant={canCancel ? "outline-danger" : "outline-warning"}
+                        size="lg"
+                        onClick={() => handleCancelOrder(order.id)}
+                        className="px-4 py-3 fw-semibold rounded-pill w-100"
+                        style={{
+                          // Dynamic styling based on user's cancellation capability
+                          border: `2px solid ${canCancel ? '#e74c3c' : '#f39c12'}`,
+                          color: canCancel ? '#e74c3c' : '#f39c12',
+                          transition: 'all 0.3s ease'
+                        }}
+                      >
+                        <i className={`bi ${canCancel ? 'bi-x-circle' : 'bi-shield-exclamation'} me-2`}></i>
+                        {canCancel ? 'Cancel Order' : 'Cancel Order (Requires 2FA)'}
+                      </Button>
+                    </div>
+                  )}
+                </div>
               </Col>
             </Row>
           </Card.Body>
@@ -1,12 +1,44 @@
 /* Restaurant Order Configurator Component for Restaurant Application */
 
 /* This component allows users to configure restaurant orders by selecting base dishes, sizes, and ingredients. */
+/* Configured dishes are collected in a cart so a single order can contain several of them. */
+/* Saved favorites and past orders (/configure?reorder=<orderId>) pre-fill it, as checked by the server. */
+/* The dish being configured is kept in the URL (/configure?dish=&size=&ingredients=) so it can be shared, */
+/* and the whole configuration is kept as a local draft, restored on the next visit or after logging in. */
+/* "Complete my dish" asks the server for valid ways to fill the dish being configured. */
+/* Dishes and ingredients that do not fit the user's dietary profile are flagged, or hidden on request. */
+/* Nutrition totals follow the configuration like prices, replaced by the quote's values when it arrives. */
 
-import { useState, useEffect } from 'react';
-import { Row, Col, Card } from 'react-bootstrap';
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { Row, Col, Card, Alert, Form } from 'react-bootstrap';
+import { useSearchParams } from 'react-router';
 import { DishSelectionCard } from './configurator/DishSelectionCard';
 import { IngredientCard } from './configurator/IngredientCard';
 import { OrderSummary } from './configurator/OrderSummary';
+import { FavoritesBar } from './configurator/FavoritesBar';
+import { DishCompletion } from './configurator/DishCompletion';
+import { DietaryTags } from './DietaryTags';
+import { addIngredient, removalViolation, removeIngredients } from '../../../shared/constraints.mjs';
+import { profileConflicts, hasDietaryProfile } from '../../../shared/dietary.mjs';
+import { dishNutrition, scaleNutrition, sumNutrition } from '../../../shared/nutrition.mjs';
+import { draftFromSearch, searchFromDraft, loadDraft, saveDraft, clearDraft, reconcileDraft } from '../draft.js';
+import API from '../API.js';
+
+// Maximum quantity of the same configured dish in the cart (mirrors the server limit)
+const MAX_ITEM_QUANTITY = 10;
+
+// Delay before asking the server for a quote, so quick changes send a single request
+const QUOTE_DELAY_MS = 300;
+
+/**
+ * Explain what could not be carried over from a favorite or a past order
+ * @param {Object} prefill - Server answer as { items, skippedItems }
+ * @returns {Array<string>} One line per skipped dish and per dropped ingredient
+ */
+const prefillNotes = ({ items, skippedItems }) => [
+  ...skippedItems.map(item => item.error),
+  ...items.flatMap(item => item.dropped.map(dropped => `${item.dishName} - ${item.sizeLabel}: ${dropped.error}`))
+];
 
 /**
  * Main configurator component for creating restaurant orders
@@ -16,32 +48,225 @@ import { OrderSummary } from './configurator/OrderSummary';
  * @param {Array} props.ingredients - Available ingredients with constraints
  * @param {Function} props.createOrder - Function to create order
  * @param {Function} props.handleErrors - Global error handler
+ * @param {Object|null} props.dietaryProfile - User's dietary profile as { diet, allergens }
  * @returns {JSX.Element} Order configuration interface
  */
 const RestaurantConfigurator = (props) => {
-  const { baseDishes, sizes, ingredients, createOrder, handleErrors } = props;
+  const { baseDishes, sizes, ingredients: menuIngredients, createOrder, handleErrors, dietaryProfile } = props;
 
   // Order configuration state management
   const [selectedBaseDish, setSelectedBaseDish] = useState(null);     // Currently selected dish type
   const [selectedSize, setSelectedSize] = useState(null);             // Currently selected size
   const [selectedIngredients, setSelectedIngredients] = useState([]); // Array of selected ingredient IDs
-  const [totalPrice, setTotalPrice] = useState(0);                    // Calculated total order price
+  const [cartItems, setCartItems] = useState([]);                     // Configured dishes waiting to be ordered
+  const [quote, setQuote] = useState(null);                           // Server quote, tagged with the items it was computed for
+  const nextCartKey = useRef(1);                                      // Local key generator for cart items
+  const [favorites, setFavorites] = useState([]);                     // Saved favorite configurations
+  const [prefillResult, setPrefillResult] = useState(null);           // { title, notes } after loading a favorite or order
+  const [searchParams, setSearchParams] = useSearchParams();
+  const restoreStarted = useRef(false);                               // Draft, shared link or past order being loaded
+  const [restored, setRestored] = useState(false);                    // Loaded: changes are now mirrored in the URL and the draft
+  const [suggestions, setSuggestions] = useState(null);               // "Complete my dish" answer, tagged like the quote
+  const [suggesting, setSuggesting] = useState(false);                // Suggestions being computed
+  const [hideUnfit, setHideUnfit] = useState(false);                  // Hide ingredients that do not fit the dietary profile
 
   /**
-   * Calculate total price whenever selection changes
-   * Updates in real-time as user modifies their order
+   * Ingredients with availability reduced by what the cart already uses
+   * All constraint checks below work on this view, so the cart as a whole never exceeds stock
    */
-  useEffect(() => {
-    let price = selectedSize ? selectedSize.basePrice : 0;
-    // Add price of each selected ingredient
-    selectedIngredients.forEach(ingredientId => {
-      const ingredient = ingredients.find(ing => ing.id === ingredientId);
+  const ingredients = useMemo(() => menuIngredients.map(ingredient => {
+    if (ingredient.availability === null) return ingredient;
+    const usedInCart = cartItems
+      .filter(item => item.ingredientIds.includes(ingredient.id))
+      .reduce((sum, item) => sum + item.quantity, 0);
+    return { ...ingredient, availability: ingredient.availability - usedInCart };
+  }), [menuIngredients, cartItems]);
+
+  /**
+   * Compute the unit price of a dish configuration from current menu prices
+   * @param {Object} size - Selected size object
+   * @param {Array<number>} ingredientIds - Selected ingredient IDs
+   * @returns {number} Base price plus ingredient prices
+   */
+  const computeDishPrice = (size, ingredientIds) => {
+    let price = size ? size.basePrice : 0;
+    ingredientIds.forEach(ingredientId => {
+      const ingredient = menuIngredients.find(ing => ing.id === ingredientId);
       if (ingredient) {
         price += ingredient.price;
       }
     });
-    setTotalPrice(price);
-  }, [selectedSize, selectedIngredients, ingredients]);
+    return price;
+  };
+
+  /**
+   * Compute the nutrition of a dish configuration from current menu values
+   * @param {Object} size - Selected size object
+   * @param {Array<number>} ingredientIds - Selected ingredient IDs
+   * @returns {Object} Nutrition of the plain dish plus the ingredients, as { kcal, protein, fat, carbs }
+   */
+  const computeDishNutrition = (size, ingredientIds) =>
+    dishNutrition(size, ingredientIds.map(id => menuIngredients.find(ing => ing.id === id)).filter(Boolean));
+
+  const isDishComplete = Boolean(selectedBaseDish && selectedSize);
+
+  // Combined dish IDs (baseDishId_sizeId) for every cart item, plus the dish being configured if complete
+  const orderItems = useMemo(() => {
+    const items = cartItems.map(item => ({
+      dishId: `${item.baseDish.id}_${item.size.id}`,
+      ingredientIds: item.ingredientIds,
+      quantity: item.quantity
+    }));
+    if (selectedBaseDish && selectedSize) {
+      items.push({
+        dishId: `${selectedBaseDish.id}_${selectedSize.id}`,
+        ingredientIds: selectedIngredients,
+        quantity: 1
+      });
+    }
+    return items;
+  }, [cartItems, selectedBaseDish, selectedSize, selectedIngredients]);
+
+  // Ask the server to validate and price the order whenever it changes (or the menu is refreshed)
+  useEffect(() => {
+    if (orderItems.length === 0) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      API.quoteOrder(orderItems)
+        .then(result => { if (!cancelled) setQuote({ ...result, key: JSON.stringify(orderItems) }); })
+        .catch(() => { if (!cancelled) setQuote(null); });
+    }, QUOTE_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [orderItems, menuIngredients]);
+
+  // Drop selected ingredients that ran out meanwhile (stock is pushed by the server),
+  // together with the ones that require them
+  useEffect(() => {
+    const soldOut = selectedIngredients.filter(id => {
+      const ingredient = ingredients.find(ing => ing.id === id);
+      return ingredient && ingredient.availability !== null && ingredient.availability <= 0;
+    });
+    if (soldOut.length === 0) return;
+    const { selection, removed } = removeIngredients(soldOut, selectedIngredients, ingredients);
+    setSelectedIngredients(selection);
+    handleErrors(`No longer available, removed from your dish: ${removed.join(', ')}`);
+  }, [ingredients, selectedIngredients, handleErrors]);
+
+  // Load the saved favorites once
+  useEffect(() => {
+    API.getFavorites()
+      .then(list => setFavorites(list))
+      .catch(() => setFavorites([]));
+  }, []);
+
+  // Once the menu is loaded, start from a past order ("Order again"), a shared link or the saved draft,
+  // keeping only what the current menu, rules and stock still allow
+  useEffect(() => {
+    if (restoreStarted.current || baseDishes.length === 0 || sizes.length === 0 || menuIngredients.length === 0) return;
+    restoreStarted.current = true;
+
+    const orderId = searchParams.get('reorder');
+    if (orderId) {
+      API.prefillOrder(orderId)
+        .then(result => {
+          setCartItems(result.items.map(item => ({
+            key: nextCartKey.current++,
+            baseDish: baseDishes.find(dish => dish.id === item.baseDishId),
+            size: sizes.find(size => size.id === item.sizeId),
+            ingredientIds: item.ingredientIds,
+            quantity: item.quantity
+          })));
+          setPrefillResult({
+            title: result.items.length > 0 ? `Order #${orderId} is in your cart` : `Nothing from order #${orderId} can be ordered again`,
+            notes: prefillNotes(result)
+          });
+        })
+        .catch(err => handleErrors(err))
+        .finally(() => setRestored(true));
+      return;
+    }
+
+    // A link opens its dish; the cart of the saved draft is kept
+    const linked = draftFromSearch(searchParams);
+    const saved = loadDraft();
+    const draft = linked ? { ...linked, cart: saved ? saved.cart : [] } : saved;
+    if (draft) {
+      const result = reconcileDraft(draft, { baseDishes, sizes, ingredients: menuIngredients });
+      setSelectedBaseDish(result.baseDish);
+      setSelectedSize(result.size);
+      setSelectedIngredients(result.selection);
+      setCartItems(result.cart.map(item => ({ ...item, key: nextCartKey.current++ })));
+
+      // The user's own link (e.g. back from the login page) is their draft, not a shared dish
+      const ownLink = saved && new URLSearchParams(searchFromDraft(saved)).toString() === searchParams.toString();
+      if (result.notes.length > 0 || result.baseDish || result.cart.length > 0)
+        setPrefillResult({ title: linked && !ownLink ? 'Opened a shared dish' : 'Restored your draft', notes: result.notes });
+    }
+    setRestored(true);
+  }, [searchParams, baseDishes, sizes, menuIngredients, handleErrors]);
+
+  // Mirror the dish being configured in the URL, and the whole configuration in the draft
+  useEffect(() => {
+    if (!restored) return;
+    const dish = {
+      dish: selectedBaseDish ? selectedBaseDish.id : null,
+      size: selectedSize ? selectedSize.id : null,
+      ingredients: selectedIngredients
+    };
+    const params = searchFromDraft(dish);
+    if (new URLSearchParams(params).toString() !== searchParams.toString())
+      setSearchParams(params, { replace: true });
+    saveDraft({
+      ...dish,
+      cart: cartItems.map(item => ({
+        dish: item.baseDish.id,
+        size: item.size.id,
+        ingredients: item.ingredientIds,
+        quantity: item.quantity
+      }))
+    });
+  }, [restored, selectedBaseDish, selectedSize, selectedIngredients, cartItems, searchParams, setSearchParams]);
+
+  // A quote only counts while the order is still the one it was computed for
+  const currentQuote = quote && quote.key === JSON.stringify(orderItems) ? quote : null;
+
+  // Prices update in real-time as the user modifies the dish and the cart;
+  // the local estimate is replaced by the server total as soon as the quote arrives
+  const dishPrice = computeDishPrice(selectedSize, selectedIngredients);
+  const cartLines = cartItems.map(item => ({
+    ...item,
+    unitPrice: computeDishPrice(item.size, item.ingredientIds),
+    unitNutrition: computeDishNutrition(item.size, item.ingredientIds)
+  }));
+  const totalPrice = currentQuote
+    ? currentQuote.totalPrice
+    : cartLines.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0) + (isDishComplete ? dishPrice : 0);
+
+  // Nutrition is computed the same way, and replaced by the server totals in the same way
+  const currentNutrition = isDishComplete ? computeDishNutrition(selectedSize, selectedIngredients) : null;
+  const totalNutrition = currentQuote
+    ? currentQuote.totalNutrition
+    : sumNutrition([
+      ...cartLines.map(item => scaleNutrition(item.unitNutrition, item.quantity)),
+      ...(currentNutrition ? [currentNutrition] : [])
+    ]);
+
+  // Dietary profile checks (no flags without a profile)
+  const profile = hasDietaryProfile(dietaryProfile) ? dietaryProfile : null;
+
+  // Suggestions only apply to the configuration they were computed for
+  const currentSuggestions = suggestions && suggestions.key === JSON.stringify(orderItems) ? suggestions : null;
+
+  // Quote violations, labelled with the dish they refer to (stock shortages concern the whole order)
+  const quoteWarnings = currentQuote ? currentQuote.violations.map(violation => {
+    if (violation.item === undefined) return violation.error;
+    const cartItem = cartItems[violation.item];
+    const label = cartItem ? `${cartItem.baseDish.name} - ${cartItem.size.label}` : 'Current dish';
+    return `${label}: ${violation.error}`;
+  }) : [];
 
   /**
    * Handle base dish selection
@@ -67,176 +292,119 @@ const RestaurantConfigurator = (props) => {
   };
 
   /**
-   * Recursively add required ingredients for a given ingredient
-   * Handles complex dependency chains and validates capacity constraints and incompatibilities
-   * @param {number} ingredientId - ID of ingredient to add with dependencies
-   * @param {Array} currentSelection - Current ingredient selection
-   * @param {number} maxIngredients - Maximum allowed ingredients for selected size
-   * @param {Array} dependencyChain - Chain of ingredients that led to this requirement (for error messages)
-   * @returns {Object} Result object with success status and updated selection
-   */
-  const addRequiredIngredientsRecursively = (ingredientId, currentSelection, maxIngredients, dependencyChain = []) => {
-    const ingredient = ingredients.find(ing => ing.id === ingredientId);
-    if (!ingredient) return { success: false, error: 'Ingredient not found' };
-
-    let newSelection = [...currentSelection];
-    const currentChain = [...dependencyChain, ingredient.name];
-    
-    // Add the ingredient itself if not already in selection
-    if (!newSelection.includes(ingredientId)) {
-      if (newSelection.length >= maxIngredients) {
-        const chainMessage = currentChain.length > 1 
-          ? ` (required by dependency chain: ${currentChain.slice(0, -1).join(' → ')})`
-          : '';
-        return { 
-          success: false, 
-          error: `Cannot add "${ingredient.name}"${chainMessage}. Not enough space - maximum ${maxIngredients} ingredients allowed.` 
-        };
-      }
-      
-      // Check availability constraint
-      if (ingredient.availability !== null && ingredient.availability <= 0) {
-        const chainMessage = currentChain.length > 1 
-          ? ` (required by dependency chain: ${currentChain.slice(0, -1).join(' → ')})`
-          : '';
-        return { 
-          success: false, 
-          error: `Cannot add "${ingredient.name}"${chainMessage}. Ingredient is not available.` 
-        };
-      }
-      
-      // Check incompatibility constraints with currently selected ingredients
-      const currentlySelectedIngredientNames = newSelection
-        .map(id => ingredients.find(ing => ing.id === id)?.name)
-        .filter(Boolean);
-      
-      const incompatibleWithCurrent = ingredient.incompatible.filter(incompatName => 
-        currentlySelectedIngredientNames.includes(incompatName)
-      );
-      
-      if (incompatibleWithCurrent.length > 0) {
-        const chainMessage = currentChain.length > 1 
-          ? ` (required by dependency chain: ${currentChain.slice(0, -1).join(' → ')})`
-          : '';
-        return { 
-          success: false, 
-          error: `Cannot add "${ingredient.name}"${chainMessage}. It is incompatible with currently selected: ${incompatibleWithCurrent.join(', ')}.` 
-        };
-      }
-      
-      newSelection.push(ingredientId);
-    }
-
-    // Recursively process required ingredients
-    for (const reqName of ingredient.requires) {
-      const reqIngredient = ingredients.find(ing => ing.name === reqName);
-      if (!reqIngredient) continue;
-      
-      // If required ingredient is not already selected, add it recursively
-      if (!newSelection.includes(reqIngredient.id)) {
-        const result = addRequiredIngredientsRecursively(reqIngredient.id, newSelection, maxIngredients, currentChain);
-        if (!result.success) {
-          // Return the detailed error from the recursive call
-          return { success: false, error: result.error };
-        }
-        newSelection = result.selection;
-      }
-    }
-
-    return { success: true, selection: newSelection };
-  };
-
-  /**
-   * Handle ingredient selection/deselection with comprehensive constraint checking
-   * Manages complex business rules for ingredient combinations
+   * Handle ingredient selection/deselection
+   * Selecting also adds every required ingredient; the shared constraint engine explains any refusal
    * @param {number} ingredientId - ID of ingredient to toggle
    */
   const handleIngredientToggle = (ingredientId) => {
-    const ingredient = ingredients.find(ing => ing.id === ingredientId);
-    if (!ingredient) return;
-
-    const isSelected = selectedIngredients.includes(ingredientId);
-    
-    if (isSelected) {
-      // Deselecting - check if it's required by other selected ingredients
-      const dependentIngredients = selectedIngredients
-        .map(id => ingredients.find(ing => ing.id === id))
-        .filter(ing => ing && ing.requires.includes(ingredient.name));
-      
-      if (dependentIngredients.length > 0) {
-        handleErrors(`Cannot remove ${ingredient.name} as it is required by: ${dependentIngredients.map(ing => ing.name).join(', ')}`);
+    if (selectedIngredients.includes(ingredientId)) {
+      // Deselecting - not allowed while other selected ingredients require it
+      const violation = removalViolation(ingredientId, selectedIngredients, ingredients);
+      if (violation) {
+        handleErrors(violation.error);
         return;
       }
-      
-      // Safe to remove - filter out the ingredient
       setSelectedIngredients(prev => prev.filter(id => id !== ingredientId));
     } else {
-      // Selecting - perform comprehensive validation checks
-      
-      // Check if size is selected first
-      if (!selectedSize) {
-        handleErrors('Please select a size first');
-        return;
-      }
-      
-      // Check capacity constraint
-      if (selectedIngredients.length >= selectedSize.maxIngredients) {
-        handleErrors(`${selectedSize.label} dishes can have at most ${selectedSize.maxIngredients} ingredients`);
-        return;
-      }
-      
-      // Check availability constraint
-      if (ingredient.availability !== null && ingredient.availability <= 0) {
-        handleErrors(`${ingredient.name} is not available`);
-        return;
-      }
-      
-      // Check incompatibility constraints
-      const selectedIngredientNames = selectedIngredients
-        .map(id => ingredients.find(ing => ing.id === id)?.name)
-        .filter(Boolean);
-      
-      const incompatibleSelected = ingredient.incompatible.filter(incompatName => 
-        selectedIngredientNames.includes(incompatName)
-      );
-      
-      if (incompatibleSelected.length > 0) {
-        handleErrors(`${ingredient.name} is incompatible with: ${incompatibleSelected.join(', ')}`);
-        return;
-      }
-      
-      // Add the ingredient and all required ingredients recursively
-      const result = addRequiredIngredientsRecursively(ingredientId, selectedIngredients, selectedSize.maxIngredients);
-      
-      if (!result.success) {
-        handleErrors(result.error);
+      // Selecting - the ingredient and its requirements must all fit
+      const result = addIngredient(ingredientId, selectedIngredients, selectedSize, ingredients);
+      if (result.violation) {
+        handleErrors(result.violation.error);
         return;
       }
-      
       setSelectedIngredients(result.selection);
     }
   };
 
   /**
-   * Handle order submission with validation
-   * Validates complete order before sending to server
+   * Reset the dish being configured
    */
-  const handleSubmitOrder = async () => {
-    // Validate required selections
+  const resetConfiguration = () => {
+    setSelectedBaseDish(null);
+    setSelectedSize(null);
+    setSelectedIngredients([]);
+  };
+
+  /**
+   * Move the configured dish into the cart and start a new configuration
+   */
+  const handleAddToCart = () => {
     if (!selectedBaseDish) {
       handleErrors('Please select a dish type');
       return;
     }
-    
+
     if (!selectedSize) {
       handleErrors('Please select a size');
       return;
     }
 
+    setCartItems(prev => [...prev, {
+      key: nextCartKey.current++,
+      baseDish: selectedBaseDish,
+      size: selectedSize,
+      ingredientIds: selectedIngredients,
+      quantity: 1
+    }]);
+    resetConfiguration();
+  };
+
+  /**
+   * Change the quantity of a cart item
+   * Increasing is only allowed while every limited ingredient of the item has stock left
+   * @param {number} key - Cart item key
+   * @param {number} delta - Quantity change (+1 or -1)
+   */
+  const handleCartQuantityChange = (key, delta) => {
+    const item = cartItems.find(cartItem => cartItem.key === key);
+    if (!item) return;
+
+    const quantity = item.quantity + delta;
+    if (quantity < 1 || quantity > MAX_ITEM_QUANTITY) return;
+
+    if (delta > 0) {
+      // Stock left after the cart and the dish being configured
+      const exhausted = item.ingredientIds
+        .map(id => ingredients.find(ing => ing.id === id))
+        .filter(ing => ing && ing.availability !== null &&
+          ing.availability - (selectedIngredients.includes(ing.id) ? 1 : 0) < delta);
+
+      if (exhausted.length > 0) {
+        handleErrors(`Not enough ${exhausted.map(ing => ing.name).join(', ')} left for another one`);
+        return;
+      }
+    }
+
+    setCartItems(prev => prev.map(cartItem => cartItem.key === key ? { ...cartItem, quantity } : cartItem));
+  };
+
+  /**
+   * Remove an item from the cart
+   * @param {number} key - Cart item key
+   */
+  const handleRemoveCartItem = (key) => {
+    setCartItems(prev => prev.filter(cartItem => cartItem.key !== key));
+  };
+
+  /**
+   * Handle order submission with validation
+   * Sends every cart item, plus the dish being configured if it is complete
+   */
+  const handleSubmitOrder = async () => {
+    // With an empty cart the dish being configured is the whole order
+    if (cartItems.length === 0) {
+      if (!selectedBaseDish) {
+        handleErrors('Please select a dish type');
+        return;
+      }
+
+      if (!selectedSize) {
+        handleErrors('Please select a size');
+        return;
+      }
+    }
+
     try {
-      // Create combined dish ID and submit order
-      const dishId = `${selectedBaseDish.id}_${selectedSize.id}`;
-      
       // Define callback to handle unavailable ingredient
       const handleUnavailableIngredient = (unavailableIngredientName) => {
         // console.log('Deselecting unavailable ingredient:', unavailableIngredientName); // Debug log
@@ -260,12 +428,12 @@ const RestaurantConfigurator = (props) => {
         }
       };
       
-      await createOrder(dishId, selectedIngredients, handleUnavailableIngredient);
+      await createOrder(orderItems, handleUnavailableIngredient);
       
-      // Reset form after successful order
-      setSelectedBaseDish(null);
-      setSelectedSize(null);
-      setSelectedIngredients([]);
+      // Reset form and cart after successful order; the page is left, so the draft is cleared here
+      resetConfiguration();
+      setCartItems([]);
+      clearDraft();
     } catch (err) {
       // Handle order creation errors with global handler
       handleErrors(err);
@@ -273,92 +441,124 @@ const RestaurantConfigurator = (props) => {
   };
 
   /**
-   * Check if ingredient can be selected based on current constraints
-   * @param {Object} ingredient - Ingredient to check
-   * @returns {boolean} Whether ingredient can be selected
+   * Load a favorite into the dish being configured, replacing it; the cart is kept
+   * @param {Object} favorite - Favorite to load
    */
-  const canSelectIngredient = (ingredient) => {
-    if (!selectedSize) return false; // Size must be selected first
-    if (selectedIngredients.includes(ingredient.id)) return true; // Already selected
-    if (selectedIngredients.length >= selectedSize.maxIngredients) return false; // Capacity exceeded
-    if (ingredient.availability !== null && ingredient.availability <= 0) return false; // Not available
-    
-    // Check for incompatibilities with currently selected ingredients
-    const selectedIngredientNames = selectedIngredients
-      .map(id => ingredients.find(ing => ing.id === id)?.name)
-      .filter(Boolean);
-    
-    const hasIncompatible = ingredient.incompatible.some(incompatName => 
-      selectedIngredientNames.includes(incompatName)
-    );
-    
-    return !hasIncompatible;
+  const handleLoadFavorite = (favorite) => {
+    API.prefillFavorite(favorite.id)
+      .then(result => {
+        const [item] = result.items;
+        if (item) {
+          setSelectedBaseDish(baseDishes.find(dish => dish.id === item.baseDishId));
+          setSelectedSize(sizes.find(size => size.id === item.sizeId));
+          setSelectedIngredients(item.ingredientIds);
+        }
+        setPrefillResult({
+          title: item ? `Loaded "${favorite.name}"` : `"${favorite.name}" can no longer be made`,
+          notes: prefillNotes(result)
+        });
+      })
+      .catch(err => handleErrors(err));
   };
 
   /**
-   * Check if ingredient can be deselected
-   * @param {Object} ingredient - Ingredient to check
-   * @returns {boolean} Whether ingredient can be deselected
+   * Save the dish being configured as a favorite
+   * @param {string} name - Name of the favorite
+   * @returns {Promise<boolean>} Whether it was saved
    */
-  const canDeselectIngredient = (ingredient) => {
-    if (!selectedIngredients.includes(ingredient.id)) return false;
-    
-    // Check if any other selected ingredients require this one
-    const dependentIngredients = selectedIngredients
-      .map(id => ingredients.find(ing => ing.id === id))
-      .filter(ing => ing && ing.requires.includes(ingredient.name));
-    
-    return dependentIngredients.length === 0; // Can deselect if no dependencies
+  const handleSaveFavorite = (name) =>
+    API.createFavorite({ name, dishId: `${selectedBaseDish.id}_${selectedSize.id}`, ingredientIds: selectedIngredients })
+      .then(favorite => {
+        setFavorites(prev => [favorite, ...prev]);
+        return true;
+      })
+      .catch(err => {
+        handleErrors(err);
+        return false;
+      });
+
+  /**
+   * Delete a favorite
+   * @param {Object} favorite - Favorite to delete
+   */
+  const handleDeleteFavorite = (favorite) => {
+    API.deleteFavorite(favorite.id)
+      .then(() => setFavorites(prev => prev.filter(fav => fav.id !== favorite.id)))
+      .catch(err => handleErrors(err));
   };
 
   /**
-   * Get tooltip message explaining why ingredient cannot be selected/deselected
+   * Ask the server for ways to complete the dish being configured
+   * The cart is sent along so its dishes get their stock first
+   * @param {string} goal - max_ingredients, min_price or include
+   * @param {number|null} ingredientId - Ingredient to include (include goal)
+   */
+  const handleSuggest = (goal, ingredientId) => {
+    const key = JSON.stringify(orderItems);
+    setSuggesting(true);
+    API.suggestCompletions({
+      dishId: `${selectedBaseDish.id}_${selectedSize.id}`,
+      ingredientIds: selectedIngredients,
+      goal,
+      ingredientId,
+      cart: cartItems.map(item => ({ ingredientIds: item.ingredientIds, quantity: item.quantity }))
+    })
+      .then(result => setSuggestions({ ...result, key }))
+      .catch(err => handleErrors(err))
+      .finally(() => setSuggesting(false));
+  };
+
+  /**
+   * Apply a suggested completion to the dish being configured
+   * @param {Object} suggestion - Suggestion with the full list of ingredient IDs
+   */
+  const handlePickSuggestion = (suggestion) => {
+    setSelectedIngredients(suggestion.ingredientIds);
+  };
+
+  /**
+   * Get the constraint that prevents toggling an ingredient, if any
    * @param {Object} ingredient - Ingredient to check
-   * @returns {string|null} Tooltip message or null if no constraint
+   * @returns {Object|null} Violation from the shared constraint engine, or null if it can be toggled
    */
-  const getConstraintTooltip = (ingredient) => {
+  const getToggleViolation = (ingredient) => {
     if (selectedIngredients.includes(ingredient.id)) {
-      // Check if it can be deselected
-      const dependentIngredients = selectedIngredients
-        .map(id => ingredients.find(ing => ing.id === id))
-        .filter(ing => ing && ing.requires.includes(ingredient.name));
-      
-      if (dependentIngredients.length > 0) {
-        return `Cannot remove ${ingredient.name} as it is required by: ${dependentIngredients.map(ing => ing.name).join(', ')}`;
-      }
-      return null;
-    }
-
-    // Check various constraints for selection
-    if (!selectedSize) {
-      return 'Please select a size first';
-    }
-    
-    if (selectedIngredients.length >= selectedSize.maxIngredients) {
-      return `${selectedSize.label} dishes can have at most ${selectedSize.maxIngredients} ingredients`;
-    }
-    
-    if (ingredient.availability !== null && ingredient.availability <= 0) {
-      return `${ingredient.name} is not available`;
-    }
-    
-    const selectedIngredientNames = selectedIngredients
-      .map(id => ingredients.find(ing => ing.id === id)?.name)
-      .filter(Boolean);
-    
-    const incompatibleSelected = ingredient.incompatible.filter(incompatName => 
-      selectedIngredientNames.includes(incompatName)
-    );
-    
-    if (incompatibleSelected.length > 0) {
-      return `${ingredient.name} is incompatible with: ${incompatibleSelected.join(', ')}. Remove them first to add this ingredient.`;
+      return removalViolation(ingredient.id, selectedIngredients, ingredients);
     }
-
-    return null;
+    return addIngredient(ingredient.id, selectedIngredients, selectedSize, ingredients).violation ?? null;
   };
 
   return (
     <>
+      {/* What a loaded favorite or past order could not keep */}
+      {prefillResult && (
+        <Alert
+          variant={prefillResult.notes.length > 0 ? 'warning' : 'success'}
+          dismissible
+          onClose={() => setPrefillResult(null)}
+          className="border-0 rounded-4 shadow-sm"
+        >
+          <strong>{prefillResult.title}</strong>
+          {prefillResult.notes.length > 0 && (
+            <>
+              {', without what is no longer possible:'}
+              <ul className="mb-0 mt-2">
+                {prefillResult.notes.map((note, index) => <li key={index}>{note}</li>)}
+              </ul>
+            </>
+          )}
+        </Alert>
+      )}
+
+      {/* Saved favorites */}
+      <FavoritesBar
+        favorites={favorites}
+        canSave={isDishComplete}
+        onLoad={handleLoadFavorite}
+        onSave={handleSaveFavorite}
+        onDelete={handleDeleteFavorite}
+      />
+
       <Row>
         {/* Base Dish Selection Column */}
         <Col lg={2} className="mb-4">
@@ -370,9 +570,16 @@ const RestaurantConfigurator = (props) => {
             selectedItem={selectedBaseDish}
             onItemSelect={handleBaseDishSelect}
             renderItemContent={(baseDish) => (
-              <strong style={{ color: '#2c3e50' }}>
-                {baseDish.name.charAt(0).toUpperCase() + baseDish.name.slice(1)}
-              </strong>
+              <div>
+                <strong style={{ color: '#2c3e50' }}>
+                  {baseDish.name.charAt(0).toUpperCase() + baseDish.name.slice(1)}
+                </strong>
+                <DietaryTags
+                  allergens={baseDish.allergens}
+                  conflicts={profileConflicts(baseDish, profile)}
+                  className="justify-content-center mt-1"
+                />
+              </div>
             )}
           />
         </Col>
@@ -421,22 +628,42 @@ const RestaurantConfigurator = (props) => {
               </h4>
             </Card.Header>
             <Card.Body className="p-4">
+              <DishCompletion
+                canSuggest={isDishComplete}
+                ingredients={ingredients.filter(ingredient => !selectedIngredients.includes(ingredient.id))}
+                result={currentSuggestions}
+                loading={suggesting}
+                onSuggest={handleSuggest}
+                onPick={handlePickSuggestion}
+              />
+              {profile && (
+                <Form.Check
+                  type="switch"
+                  id="configuratorHideUnfit"
+                  label="Hide ingredients that do not fit my dietary profile"
+                  checked={hideUnfit}
+                  onChange={(e) => setHideUnfit(e.target.checked)}
+                  className="mb-3 small"
+                />
+              )}
               <div style={{ maxHeight: '600px', overflowY: 'auto' }}>
                 {ingredients.map(ingredient => {
                   // Calculate constraint status for this ingredient
                   const isSelected = selectedIngredients.includes(ingredient.id);
-                  const canSelect = canSelectIngredient(ingredient);
-                  const canDeselect = canDeselectIngredient(ingredient);
-                  const tooltipMessage = getConstraintTooltip(ingredient);
-                  
+                  const conflicts = profileConflicts(ingredient, profile);
+                  // Selected ingredients stay visible so they can still be removed
+                  if (hideUnfit && conflicts.length > 0 && !isSelected) return null;
+                  const violation = getToggleViolation(ingredient);
+
                   return (
                     <IngredientCard
                       key={ingredient.id}
                       ingredient={ingredient}
                       isSelected={isSelected}
-                      canSelect={canSelect}
-                      canDeselect={canDeselect}
-                      tooltipMessage={tooltipMessage}
+                      canSelect={isSelected || !violation}
+                      canDeselect={isSelected && !violation}
+                      tooltipMessage={violation ? violation.error : null}
+                      dietaryConflicts={conflicts}
                       onToggle={handleIngredientToggle}
                     />
                   );
@@ -453,7 +680,16 @@ const RestaurantConfigurator = (props) => {
             selectedSize={selectedSize}
             selectedIngredients={selectedIngredients}
             ingredients={ingredients}
+            dishPrice={dishPrice}
+            dishNutrition={currentNutrition}
+            cartItems={cartLines}
             totalPrice={totalPrice}
+            totalNutrition={totalNutrition}
+            priceConfirmed={currentQuote !== null}
+            warnings={quoteWarnings}
+            onAddToCart={handleAddToCart}
+            onChangeQuantity={handleCartQuantityChange}
+            onRemoveItem={handleRemoveCartItem}
             onSubmitOrder={handleSubmitOrder}
           />
         </Col>
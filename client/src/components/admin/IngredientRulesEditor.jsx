@@ -0,0 +1,256 @@
+/* Ingredient Rules Editor Component for Restaurant Application */
+
+/* This component lets admins add and remove ingredient requirements and incompatibilities. */
+
+import { useState } from 'react';
+import { Card, Table, Badge, Button, Form, Row, Col, Alert, CloseButton } from 'react-bootstrap';
+import API from '../../API.js';
+import { StepUpModal } from '../Auth';
+
+// Rule types offered in the add form
+const RULE_TYPES = {
+  requires: { label: 'requires', add: API.addRequirement, remove: API.removeRequirement },
+  incompatible: { label: 'is incompatible with', add: API.addIncompatibility, remove: API.removeIncompatibility }
+};
+
+/**
+ * Badge for an existing rule with a remove button
+ * @param {Object} props - Component properties
+ * @param {string} props.name - Name of the other ingredient of the rule
+ * @param {string} props.bg - Badge background variant
+ * @param {boolean} props.disabled - Whether removal is disabled
+ * @param {Function} props.onRemove - Handler to remove the rule
+ * @returns {JSX.Element} Rule badge
+ */
+function RuleBadge({ name, bg, disabled, onRemove }) {
+  return (
+    <Badge bg={bg} className="me-2 mb-1 px-2 py-1 d-inline-flex align-items-center rounded-pill">
+      {name}
+      <CloseButton
+        variant="white"
+        disabled={disabled}
+        onClick={onRemove}
+        aria-label={`Remove rule with ${name}`}
+        className="ms-1"
+        style={{ fontSize: '0.55rem' }}
+      />
+    </Badge>
+  );
+}
+
+/**
+ * Editor for the ingredient requirement / incompatibility graph
+ * The server rejects rules that create cycles, contradictions or chains
+ * longer than the smallest size allows; its message is shown as is
+ * @param {Object} props - Component properties
+ * @param {Array} props.ingredients - Ingredients with requires and incompatible name lists
+ * @param {Function} props.updateIngredients - Handler called with the updated ingredients list
+ * @param {Object} props.user - Current user object with username and canDoTotp
+ * @param {Function} props.stepUpCompleted - Handler called after a code was verified in place
+ * @returns {JSX.Element} Rules editor with add form and rules table
+ */
+function IngredientRulesEditor(props) {
+  const { ingredients, updateIngredients, user, stepUpCompleted } = props;
+
+  // Add form state
+  const [ingredientId, setIngredientId] = useState('');
+  const [ruleType, setRuleType] = useState('requires');
+  const [otherId, setOtherId] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Step-up flow: a rule change waiting for a fresh TOTP code
+  const [showStepUp, setShowStepUp] = useState(false);
+  const [pendingChange, setPendingChange] = useState(null);
+
+  /**
+   * Find an ingredient ID by name (rules are listed by name)
+   * @param {string} name - Ingredient name
+   * @returns {number|undefined} Ingredient ID
+   */
+  const idOf = (name) => ingredients.find(ing => ing.name === name)?.id;
+
+  /**
+   * Run a rule change and publish the updated ingredients
+   * If the last verified code is too old, the server asks for a new one: the
+   * step-up modal opens and the change is sent again once it is verified
+   * @param {Function} send - API call returning the updated ingredients
+   * @param {string} successText - Message shown on success
+   * @returns {Promise<boolean>} True if the change was accepted
+   */
+  const applyChange = (send, successText) => {
+    setBusy(true);
+    setErrorMessage('');
+    return send()
+      .then(updated => {
+        updateIngredients(updated, successText);
+        return true;
+      })
+      .catch(err => {
+        if (err.stepUpRequired) {
+          setPendingChange({ send, successText });
+          setShowStepUp(true);
+        } else {
+          setErrorMessage(err.error || 'Could not update the rules');
+        }
+        return false;
+      })
+      .finally(() => setBusy(false));
+  };
+
+  /**
+   * Send the pending rule change again after a code was verified in the step-up modal
+   */
+  const handleStepUpVerified = () => {
+    setShowStepUp(false);
+    stepUpCompleted();
+    applyChange(pendingChange.send, pendingChange.successText);
+  };
+
+  /**
+   * Handle the add rule form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!ingredientId || !otherId) {
+      setErrorMessage('Please choose both ingredients');
+      return;
+    }
+    if (ingredientId === otherId) {
+      setErrorMessage('An ingredient cannot have a rule with itself');
+      return;
+    }
+
+    const first = ingredients.find(ing => ing.id === Number(ingredientId));
+    const second = ingredients.find(ing => ing.id === Number(otherId));
+    applyChange(
+      () => RULE_TYPES[ruleType].add(Number(ingredientId), Number(otherId)),
+      `Rule added: ${first.name} ${RULE_TYPES[ruleType].label} ${second.name}`
+    ).then(added => {
+      if (added) setOtherId('');
+    });
+  };
+
+  /**
+   * Remove an existing rule
+   * @param {string} type - Rule type ('requires' or 'incompatible')
+   * @param {Object} ingredient - Ingredient the rule is listed under
+   * @param {string} otherName - Name of the other ingredient
+   */
+  const handleRemove = (type, ingredient, otherName) => {
+    applyChange(
+      () => RULE_TYPES[type].remove(ingredient.id, idOf(otherName)),
+      `Rule removed: ${ingredient.name} ${RULE_TYPES[type].label} ${otherName}`
+    );
+  };
+
+  return (
+    <Card className="shadow-lg border-0 rounded-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+      <Card.Body className="p-4">
+        <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+          <i className="bi bi-diagram-3 me-2" style={{ color: '#f39c12' }}></i>
+          Ingredient Rules
+        </h4>
+
+        {/* Error message display */}
+        {errorMessage && (
+          <Alert
+            variant="danger"
+            dismissible
+            onClose={() => setErrorMessage('')}
+            className="border-0 rounded-3"
+            style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+          >
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {errorMessage}
+          </Alert>
+        )}
+
+        {/* Add rule form */}
+        <Form onSubmit={handleAdd} className="mb-4">
+          <Row className="g-2 align-items-end">
+            <Col md={4}>
+              <Form.Label className="fw-semibold small">Ingredient</Form.Label>
+              <Form.Select value={ingredientId} onChange={e => setIngredientId(e.target.value)}>
+                <option value="">Choose...</option>
+                {ingredients.map(ing => <option key={ing.id} value={ing.id}>{ing.name}</option>)}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Label className="fw-semibold small">Rule</Form.Label>
+              <Form.Select value={ruleType} onChange={e => setRuleType(e.target.value)}>
+                {Object.entries(RULE_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+              </Form.Select>
+            </Col>
+            <Col md={3}>
+              <Form.Label className="fw-semibold small">Other ingredient</Form.Label>
+              <Form.Select value={otherId} onChange={e => setOtherId(e.target.value)}>
+                <option value="">Choose...</option>
+                {ingredients
+                  .filter(ing => ing.id !== Number(ingredientId))
+                  .map(ing => <option key={ing.id} value={ing.id}>{ing.name}</option>)}
+              </Form.Select>
+            </Col>
+            <Col md={2} className="d-grid">
+              <Button
+                type="submit"
+                disabled={busy}
+                className="fw-semibold rounded-pill"
+                style={{ background: 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)', border: 'none' }}
+              >
+                <i className="bi bi-plus-circle me-2"></i>Add
+              </Button>
+            </Col>
+          </Row>
+        </Form>
+
+        {/* Current rules */}
+        <Table hover responsive className="align-middle mb-0">
+          <thead>
+            <tr>
+              <th>Ingredient</th>
+              <th>Requires</th>
+              <th>Incompatible with</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ingredients.map(ing => (
+              <tr key={ing.id}>
+                <td className="fw-semibold text-capitalize">{ing.name}</td>
+                <td>
+                  {ing.requires.length === 0 && <span className="text-muted">-</span>}
+                  {ing.requires.map(name => (
+                    <RuleBadge key={name} name={name} bg="info" disabled={busy}
+                      onRemove={() => handleRemove('requires', ing, name)} />
+                  ))}
+                </td>
+                <td>
+                  {ing.incompatible.length === 0 && <span className="text-muted">-</span>}
+                  {ing.incompatible.map(name => (
+                    <RuleBadge key={name} name={name} bg="danger" disabled={busy}
+                      onRemove={() => handleRemove('incompatible', ing, name)} />
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <Form.Text className="text-muted">
+          Incompatibilities are symmetric: removing one removes it from both ingredients.
+        </Form.Text>
+
+        {/* Step-up modal - a fresh TOTP code is needed for admin changes */}
+        <StepUpModal
+          show={showStepUp}
+          onHide={() => setShowStepUp(false)}
+          onVerified={handleStepUpVerified}
+          user={user}
+          action="change the ingredient rules"
+        />
+      </Card.Body>
+    </Card>
+  );
+}
+
+export { IngredientRulesEditor };
@@ -0,0 +1,230 @@
+/* Stock Alerts Component for Restaurant Application */
+
+/* This component shows admins the low-stock alert feed and lets them set each ingredient's reorder threshold. */
+
+import { useState, useEffect } from 'react';
+import { Card, Table, Badge, Button, Form, Alert, ListGroup } from 'react-bootstrap';
+import dayjs from 'dayjs';
+import API from '../../API.js';
+import { StepUpModal } from '../Auth';
+
+/**
+ * Inline editor for the reorder threshold of one ingredient
+ * @param {Object} props - Component properties
+ * @param {Object} props.ingredient - Ingredient with availability and reorderThreshold
+ * @param {Function} props.onSave - Handler called with the ingredient and the new threshold (null = no alerts)
+ * @returns {JSX.Element} Table row
+ */
+function ThresholdRow({ ingredient, onSave }) {
+  const [value, setValue] = useState(ingredient.reorderThreshold === null ? '' : String(ingredient.reorderThreshold));
+  const saved = ingredient.reorderThreshold === null ? '' : String(ingredient.reorderThreshold);
+
+  /**
+   * Save the threshold; an empty field turns the alerts off
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(ingredient, value === '' ? null : Number(value));
+  };
+
+  return (
+    <tr>
+      <td className="fw-semibold text-capitalize">{ingredient.name}</td>
+      <td className="text-end">{ingredient.availability}</td>
+      <td>
+        <Form onSubmit={handleSubmit} className="d-flex gap-2">
+          <Form.Control
+            type="number"
+            size="sm"
+            min={0}
+            step={1}
+            value={value}
+            placeholder="Off"
+            onChange={e => setValue(e.target.value)}
+            style={{ maxWidth: '6rem' }}
+          />
+          <Button type="submit" size="sm" variant="outline-success" className="rounded-pill" disabled={value === saved}>
+            Save
+          </Button>
+        </Form>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Low-stock alert feed with acknowledgement, plus the reorder thresholds of the
+ * ingredients with limited stock. New alerts are pushed by the server
+ * @param {Object} props - Component properties
+ * @param {Array} props.ingredients - Ingredients with availability and reorderThreshold
+ * @param {Function} props.updateIngredients - Handler called with the updated ingredients list and a message
+ * @param {Object} props.user - Current user object with username and canDoTotp
+ * @param {Function} props.stepUpCompleted - Handler called after a code was verified in place
+ * @returns {JSX.Element} Stock alerts card
+ */
+function StockAlerts(props) {
+  const { ingredients, updateIngredients, user, stepUpCompleted } = props;
+  const [alerts, setAlerts] = useState([]);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [showStepUp, setShowStepUp] = useState(false);
+  const [pendingChange, setPendingChange] = useState(null); // Change waiting for a fresh TOTP code
+
+  // Load the feed on every (re)connection and whenever a new alert is raised
+  useEffect(() => {
+    let active = true;
+    const refresh = () => {
+      API.getStockAlerts()
+        .then(list => { if (active) setAlerts(list); })
+        .catch(err => { if (active) setErrorMessage(err.error || 'Could not load the stock alerts'); });
+    };
+
+    const unsubscribe = API.subscribeToUpdates({ onOpen: refresh, onStockAlert: refresh });
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  /**
+   * Send a change to the server
+   * If the last verified code is too old, the server asks for a new one: the
+   * step-up modal opens and the change is sent again once it is verified
+   * @param {Object} change - { send, action, failureText }: send makes the request, action describes it
+   *   in the modal, failureText is the message shown for other errors
+   */
+  const applyChange = (change) => {
+    setErrorMessage('');
+    change.send().catch(err => {
+      if (err.stepUpRequired) {
+        setPendingChange(change);
+        setShowStepUp(true);
+      } else {
+        setErrorMessage(err.error || (err.errors && err.errors[0].msg) || change.failureText);
+      }
+    });
+  };
+
+  /**
+   * Send the pending change again after a code was verified in the step-up modal
+   */
+  const handleStepUpVerified = () => {
+    setShowStepUp(false);
+    stepUpCompleted();
+    applyChange(pendingChange);
+  };
+
+  /**
+   * Acknowledge an alert and remove it from the open ones
+   * @param {Object} alert - Alert to acknowledge
+   */
+  const handleAcknowledge = (alert) => {
+    applyChange({
+      send: () => API.acknowledgeStockAlert(alert.id)
+        .then(() => API.getStockAlerts())
+        .then(list => setAlerts(list)),
+      action: `acknowledge the ${alert.ingredientName} alert`,
+      failureText: 'Could not acknowledge the alert'
+    });
+  };
+
+  /**
+   * Save an ingredient's reorder threshold
+   * @param {Object} ingredient - Ingredient to change
+   * @param {number|null} threshold - New threshold (null = no alerts)
+   */
+  const handleSaveThreshold = (ingredient, threshold) => {
+    applyChange({
+      send: () => API.setReorderThreshold(ingredient.id, threshold)
+        .then(({ reorderThreshold }) => updateIngredients(
+          ingredients.map(ing => ing.id === ingredient.id ? { ...ing, reorderThreshold } : ing),
+          reorderThreshold === null
+            ? `Low-stock alerts turned off for ${ingredient.name}`
+            : `${ingredient.name} will raise an alert at ${reorderThreshold} or fewer`
+        )),
+      action: `change the ${ingredient.name} alert threshold`,
+      failureText: 'Could not save the threshold'
+    });
+  };
+
+  const openAlerts = alerts.filter(alert => alert.acknowledgedAt === null);
+  const limitedIngredients = ingredients.filter(ing => ing.availability !== null);
+
+  return (
+    <Card className="shadow-lg border-0 rounded-4 mb-4" style={{ background: 'rgba(255, 255, 255, 0.9)' }}>
+      <Card.Body className="p-4">
+        <h4 className="fw-bold mb-3" style={{ color: '#2c3e50' }}>
+          <i className="bi bi-bell me-2" style={{ color: '#f39c12' }}></i>
+          Low Stock
+          {openAlerts.length > 0 && (
+            <Badge bg="danger" className="ms-2 rounded-pill fs-6">{openAlerts.length}</Badge>
+          )}
+        </h4>
+
+        {/* Error message display */}
+        {errorMessage && (
+          <Alert
+            variant="danger"
+            dismissible
+            onClose={() => setErrorMessage('')}
+            className="border-0 rounded-3"
+            style={{ background: 'rgba(220, 53, 69, 0.1)' }}
+          >
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {errorMessage}
+          </Alert>
+        )}
+
+        {/* Alerts still to handle */}
+        {openAlerts.length === 0 ? (
+          <p className="text-muted">No open alerts.</p>
+        ) : (
+          <ListGroup className="mb-4">
+            {openAlerts.map(alert => (
+              <ListGroup.Item key={alert.id} className="d-flex justify-content-between align-items-center">
+                <span>
+                  <i className="bi bi-exclamation-circle me-2 text-danger"></i>
+                  <strong className="text-capitalize">{alert.ingredientName}</strong> is down to {alert.availability}
+                  <span className="text-muted"> (threshold {alert.threshold}) · {dayjs(alert.createdAt).format('MMM D, HH:mm')}</span>
+                </span>
+                <Button size="sm" variant="outline-secondary" className="rounded-pill" onClick={() => handleAcknowledge(alert)}>
+                  <i className="bi bi-check2 me-1"></i>Acknowledge
+                </Button>
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+
+        {/* Reorder thresholds */}
+        <Table hover responsive size="sm" className="align-middle mb-0">
+          <thead>
+            <tr>
+              <th>Ingredient</th>
+              <th className="text-end">Stock</th>
+              <th>Alert at or below</th>
+            </tr>
+          </thead>
+          <tbody>
+            {limitedIngredients.map(ing => (
+              <ThresholdRow key={ing.id} ingredient={ing} onSave={handleSaveThreshold} />
+            ))}
+          </tbody>
+        </Table>
+        <Form.Text className="text-muted">
+          Customers see "only N left" on ingredients at or below their threshold. Leave the field empty to turn alerts off.
+        </Form.Text>
+
+        {/* Step-up modal - a fresh TOTP code is needed for admin changes */}
+        <StepUpModal
+          show={showStepUp}
+          onHide={() => setShowStepUp(false)}
+          onVerified={handleStepUpVerified}
+          user={user}
+          action={pendingChange?.action}
+        />
+      </Card.Body>
+    </Card>
+  );
+}
+
+export { StockAlerts };
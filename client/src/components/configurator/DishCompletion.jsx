@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Button, Form, ListGroup, Alert } from 'react-bootstrap';
+
+// Goals offered to the user, as understood by the suggestions API
+const GOALS = [
+  { value: 'max_ingredients', label: 'Most ingredients' },
+  { value: 'min_price', label: 'Lowest price' },
+  { value: 'include', label: 'Include an ingredient' }
+];
+
+/**
+ * "Complete my dish" panel
+ * Asks the server for valid ways to fill the dish being configured and lets the user pick one
+ * @param {Object} props - Component properties
+ * @param {boolean} props.canSuggest - Whether a dish type and size are selected
+ * @param {Array} props.ingredients - Ingredients that can be asked for (the ones not selected yet)
+ * @param {Object|null} props.result - Suggestions for the current configuration, or null
+ * @param {boolean} props.loading - Whether suggestions are being computed
+ * @param {Function} props.onSuggest - Handler asking for suggestions (goal, ingredientId)
+ * @param {Function} props.onPick - Handler applying a suggestion (suggestion)
+ * @returns {JSX.Element} Suggestions panel
+ */
+const DishCompletion = ({ canSuggest, ingredients, result, loading, onSuggest, onPick }) => {
+  const [goal, setGoal] = useState('max_ingredients');
+  const [ingredientId, setIngredientId] = useState('');
+
+  // The chosen ingredient may have been selected meanwhile
+  const includeId = ingredients.some(ing => ing.id === Number(ingredientId)) ? Number(ingredientId) : null;
+  const canAsk = canSuggest && !loading && (goal !== 'include' || includeId !== null);
+
+  return (
+    <div className="mb-4 p-3 rounded-3" style={{ background: '#f8f9fa', border: '2px dashed #a8dadc' }}>
+      <div className="d-flex flex-wrap align-items-center gap-2">
+        <strong style={{ color: '#2c3e50' }}>
+          <i className="bi bi-magic me-2" style={{ color: '#27ae60' }}></i>
+          Complete my dish:
+        </strong>
+        <Form.Select size="sm" value={goal} onChange={(e) => setGoal(e.target.value)} style={{ width: 'auto' }}>
+          {GOALS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </Form.Select>
+        {goal === 'include' && (
+          <Form.Select size="sm" value={ingredientId} onChange={(e) => setIngredientId(e.target.value)} style={{ width: 'auto' }}>
+            <option value="">Choose...</option>
+            {ingredients.map(ing => <option key={ing.id} value={ing.id}>{ing.name}</option>)}
+          </Form.Select>
+        )}
+        <Button size="sm" variant="success" disabled={!canAsk} onClick={() => onSuggest(goal, includeId)} className="fw-semibold">
+          {loading ? 'Searching...' : 'Suggest'}
+        </Button>
+      </div>
+
+      {!canSuggest && (
+        <small className="text-muted d-block mt-2">Choose a dish type and size to get suggestions.</small>
+      )}
+
+      {canSuggest && result && (
+        result.violation ? (
+          <Alert variant="warning" className="mb-0 mt-3 py-2 small">
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {result.violation.error}
+          </Alert>
+        ) : result.suggestions.length === 0 ? (
+          <small className="text-muted d-block mt-2">Nothing more fits this dish.</small>
+        ) : (
+          <ListGroup className="mt-3">
+            {result.suggestions.map(suggestion => (
+              <ListGroup.Item
+                key={suggestion.ingredientIds.join(',')}
+                action
+                onClick={() => onPick(suggestion)}
+                className="d-flex justify-content-between align-items-center"
+                title={suggestion.ingredients.join(', ')}
+              >
+                <span>
+                  <i className="bi bi-plus-circle me-2 text-success"></i>
+                  {suggestion.added.join(', ')}
+                  <small className="text-muted ms-2">({suggestion.ingredients.length} ingredients)</small>
+                </span>
+                <strong style={{ color: '#27ae60' }}>€{suggestion.unitPrice.toFixed(2)}</strong>
+              </ListGroup.Item>
+            ))}
+            {!result.exhaustive && (
+              <ListGroup.Item className="small text-muted">
+                Best of the combinations tried; the menu has too many to try them all.
+              </ListGroup.Item>
+            )}
+          </ListGroup>
+        )
+      )}
+    </div>
+  );
+};
+
+export { DishCompletion };
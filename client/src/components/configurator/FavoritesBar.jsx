@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Card, Button, Form, InputGroup, Row, Col } from 'react-bootstrap';
+
+/**
+ * Saved favorite configurations panel
+ * Lists the user's favorites to load them into the configurator, and saves the dish being configured
+ * @param {Object} props - Component properties
+ * @param {Array} props.favorites - Favorites as returned by the server
+ * @param {boolean} props.canSave - Whether a dish type and size are selected
+ * @param {Function} props.onLoad - Handler to load a favorite into the configurator (favorite)
+ * @param {Function} props.onSave - Handler to save the current dish (name); returns a promise resolving to true on success
+ * @param {Function} props.onDelete - Handler to delete a favorite (favorite)
+ * @returns {JSX.Element} Favorites card
+ */
+const FavoritesBar = ({ favorites, canSave, onLoad, onSave, onDelete }) => {
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Save the dish being configured under the typed name
+   * @param {Event} e - Form submit event
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    onSave(name.trim())
+      .then(saved => { if (saved) setName(''); })
+      .finally(() => setSaving(false));
+  };
+
+  return (
+    <Card className="shadow-lg border-0 rounded-4 mb-4" style={{ background: 'rgba(255, 255, 255, 0.95)' }}>
+      <Card.Body className="p-3">
+        <Row className="align-items-center g-3">
+          <Col lg={8}>
+            <div className="d-flex flex-wrap align-items-center gap-2">
+              <strong className="me-2" style={{ color: '#2c3e50' }}>
+                <i className="bi bi-star-fill me-2" style={{ color: '#f39c12' }}></i>
+                Favorites:
+              </strong>
+              {favorites.length === 0 && (
+                <span className="text-muted">Save a dish you order often to load it again in one click.</span>
+              )}
+              {favorites.map(favorite => (
+                <div key={favorite.id} className="btn-group" role="group">
+                  <Button
+                    size="sm"
+                    variant="outline-warning"
+                    onClick={() => onLoad(favorite)}
+                    className="rounded-start-pill fw-semibold"
+                    style={{ color: '#2c3e50' }}
+                    title={`${favorite.dishName} - ${favorite.sizeLabel}: ${favorite.ingredients.map(ing => ing.name).join(', ') || 'no extra ingredients'}`}
+                  >
+                    {favorite.name}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline-warning"
+                    onClick={() => onDelete(favorite)}
+                    className="rounded-end-pill"
+                    aria-label={`Delete favorite ${favorite.name}`}
+                  >
+                    <i className="bi bi-x"></i>
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </Col>
+          <Col lg={4}>
+            <Form onSubmit={handleSave}>
+              <InputGroup size="sm">
+                <Form.Control
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder={canSave ? 'Name this dish' : 'Choose a dish type and size first'}
+                  maxLength={60}
+                  disabled={!canSave || saving}
+                />
+                <Button type="submit" variant="warning" disabled={!canSave || saving || !name.trim()} className="fw-semibold">
+                  <i className="bi bi-star me-1"></i>Save
+                </Button>
+              </InputGroup>
+            </Form>
+          </Col>
+        </Row>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export { FavoritesBar };
@@ -1,4 +1,9 @@
+import { useState, useEffect, useRef } from 'react';
 import { Card, Badge, OverlayTrigger, Tooltip } from 'react-bootstrap';
+import { DietaryTags } from '../DietaryTags';
+
+// How long the availability badge stays highlighted after the stock changes
+const STOCK_HIGHLIGHT_MS = 1500;
 
 /**
  * Individual ingredient card component
@@ -8,6 +13,7 @@ import { Card, Badge, OverlayTrigger, Tooltip } from 'react-bootstrap';
  * @param {boolean} props.canSelect - Whether ingredient can be selected
  * @param {boolean} props.canDeselect - Whether ingredient can be deselected
  * @param {string|null} props.tooltipMessage - Constraint tooltip message
+ * @param {Array<string>} props.dietaryConflicts - Reasons the ingredient does not fit the user's dietary profile
  * @param {Function} props.onToggle - Handler for ingredient toggle
  * @returns {JSX.Element} Ingredient card component
  */
@@ -17,8 +23,20 @@ const IngredientCard = ({
   canSelect,
   canDeselect,
   tooltipMessage,
+  dietaryConflicts = [],
   onToggle
 }) => {
+  // Highlight the availability badge when the stock changes while the card is shown
+  const [stockChanged, setStockChanged] = useState(false);
+  const previousAvailability = useRef(ingredient.availability);
+  useEffect(() => {
+    if (previousAvailability.current === ingredient.availability) return;
+    previousAvailability.current = ingredient.availability;
+    setStockChanged(true);
+    const timer = setTimeout(() => setStockChanged(false), STOCK_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [ingredient.availability]);
+
   // Dynamic styling based on ingredient state
   let cardStyle = {
     cursor: 'pointer',
@@ -53,6 +71,10 @@ const IngredientCard = ({
     }
   };
 
+  // Few units left: customers are told before the ingredient runs out
+  const lowStock = ingredient.availability !== null && ingredient.availability > 0 &&
+    ingredient.reorderThreshold !== null && ingredient.availability <= ingredient.reorderThreshold;
+
   const ingredientCard = (
     <Card
       className="mb-3 rounded-3 shadow-sm"
@@ -66,6 +88,12 @@ const IngredientCard = ({
               <strong className="me-2" style={{ color: '#2c3e50' }}>
                 {ingredient.name}
               </strong>
+              {lowStock && (
+                <Badge bg="warning" text="dark" className="px-2 py-1 me-2 rounded-pill">
+                  <i className="bi bi-hourglass-split me-1"></i>
+                  Only {ingredient.availability} left
+                </Badge>
+              )}
               {isSelected && (
                 <Badge 
                   className="px-2 py-1 rounded-pill"
@@ -82,6 +110,7 @@ const IngredientCard = ({
             >
               €{ingredient.price.toFixed(2)}
             </div>
+            <DietaryTags allergens={ingredient.allergens} conflicts={dietaryConflicts} className="mt-1" />
           </div>
           <div className="text-end">
             {/* Availability indicator */}
@@ -92,11 +121,13 @@ const IngredientCard = ({
                   background: ingredient.availability > 0 
                     ? 'rgba(39, 174, 96, 0.1)' 
                     : 'rgba(231, 76, 60, 0.1)',
-                  color: ingredient.availability > 0 ? '#27ae60' : '#e74c3c'
+                  color: ingredient.availability > 0 ? '#27ae60' : '#e74c3c',
+                  transition: 'box-shadow 0.3s ease',
+                  boxShadow: stockChanged ? '0 0 0 3px rgba(243, 156, 18, 0.6)' : 'none'
                 }}
               >
                 <i className="bi bi-box me-1"></i>
-                {ingredient.availability}
+                {ingredient.availability > 0 ? ingredient.availability : 'Sold out'}
               </div>
             )}
             {/* Requirements indicator */}
@@ -1,13 +1,59 @@
-import { Card, Button, Badge } from 'react-bootstrap';
+import { useState } from 'react';
+import { Card, Button, Badge, ButtonGroup, Alert } from 'react-bootstrap';
+import { DietaryTags } from '../DietaryTags';
+import { dishAllergens, dishDiets } from '../../../../shared/dietary.mjs';
+import { NUTRIENTS, NUTRIENT_LABELS, NUTRIENT_UNITS } from '../../../../shared/nutrition.mjs';
+
+// How long the "Link copied" confirmation stays
+const COPIED_DELAY_MS = 2000;
+
+/**
+ * Capitalize a dish name for display
+ * @param {string} name - Dish name
+ * @returns {string} Name with uppercase first letter
+ */
+const formatDishName = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+/**
+ * Nutrition values of the dish being configured, one cell per nutrient
+ * @param {Object} props - Component properties
+ * @param {Object} props.nutrition - Values as { kcal, protein, fat, carbs }
+ * @returns {JSX.Element} Nutrition grid
+ */
+const NutritionFacts = ({ nutrition }) => (
+  <div className="d-flex justify-content-between text-center rounded-3 p-2" style={{ background: '#f8f9fa' }}>
+    {NUTRIENTS.map(nutrient => (
+      <div key={nutrient} className="flex-fill">
+        <div className="fw-bold" style={{ color: '#2c3e50' }}>
+          {nutrition[nutrient]}
+          <small className="fw-normal ms-1">{NUTRIENT_UNITS[nutrient]}</small>
+        </div>
+        <small className="text-muted" style={{ fontSize: '0.7rem' }}>{NUTRIENT_LABELS[nutrient]}</small>
+      </div>
+    ))}
+  </div>
+);
 
 /**
  * Order summary panel component
+ * Shows the dish being configured and the cart of dishes already added to the order
+ * The page URL encodes the dish being configured, so copying it shares the dish
+ * The allergens, diets and nutrition of the dish being configured are updated as ingredients are picked
  * @param {Object} props - Component properties
  * @param {Object} props.selectedBaseDish - Selected base dish
  * @param {Object} props.selectedSize - Selected size
  * @param {Array} props.selectedIngredients - Array of selected ingredient IDs
  * @param {Array} props.ingredients - All available ingredients
- * @param {number} props.totalPrice - Calculated total price
+ * @param {number} props.dishPrice - Price of the dish being configured
+ * @param {Object|null} props.dishNutrition - Nutrition of the dish being configured, null until it is complete
+ * @param {Array} props.cartItems - Cart lines with baseDish, size, ingredientIds, quantity, unitPrice and unitNutrition
+ * @param {number} props.totalPrice - Calculated total price of the whole order
+ * @param {Object} props.totalNutrition - Nutrition of the whole order
+ * @param {boolean} props.priceConfirmed - Whether the total comes from a server quote rather than a local estimate
+ * @param {Array<string>} props.warnings - Problems the server quote found with the order
+ * @param {Function} props.onAddToCart - Handler to move the configured dish into the cart
+ * @param {Function} props.onChangeQuantity - Handler for cart quantity changes (key, delta)
+ * @param {Function} props.onRemoveItem - Handler to remove a cart line (key)
  * @param {Function} props.onSubmitOrder - Handler for order submission
  * @returns {JSX.Element} Order summary component
  */
@@ -16,9 +62,38 @@ const OrderSummary = ({
   selectedSize,
   selectedIngredients,
   ingredients,
+  dishPrice,
+  dishNutrition,
+  cartItems,
   totalPrice,
+  totalNutrition,
+  priceConfirmed,
+  warnings,
+  onAddToCart,
+  onChangeQuantity,
+  onRemoveItem,
   onSubmitOrder
 }) => {
+  const isDishComplete = Boolean(selectedBaseDish && selectedSize);
+  const canSubmit = isDishComplete || cartItems.length > 0;
+  const dishCount = cartItems.reduce((sum, item) => sum + item.quantity, 0) + (isDishComplete ? 1 : 0);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const dishIngredients = ingredients.filter(ing => selectedIngredients.includes(ing.id));
+  const allergens = selectedBaseDish ? dishAllergens(selectedBaseDish, dishIngredients) : [];
+  const diets = selectedBaseDish ? dishDiets(selectedBaseDish, dishIngredients) : [];
+
+  /**
+   * Copy the link to the dish being configured
+   */
+  const handleCopyLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), COPIED_DELAY_MS);
+      })
+      .catch(() => {});
+  };
+
   return (
     <Card 
       className="shadow-lg border-0 rounded-4 position-sticky"
@@ -53,8 +128,15 @@ const OrderSummary = ({
                 <div className="d-flex justify-content-between align-items-center">
                   <div>
                     <div className="fw-semibold" style={{ color: '#2c3e50' }}>
-                      {selectedBaseDish.name.charAt(0).toUpperCase() + selectedBaseDish.name.slice(1)} - {selectedSize.label}
+                      {formatDishName(selectedBaseDish.name)} - {selectedSize.label}
                     </div>
+                    {allergens.length > 0 && (
+                      <div className="d-flex flex-wrap align-items-center gap-1 mt-1">
+                        <small className="text-muted">Contains:</small>
+                        <DietaryTags allergens={allergens} />
+                      </div>
+                    )}
+                    <DietaryTags allergens={[]} diets={diets} className="mt-1" />
                   </div>
                   <div 
                     className="fs-5 fw-bold"
@@ -118,6 +200,100 @@ const OrderSummary = ({
           </div>
         )}
 
+        {/* Nutrition of the configured dish, updated as ingredients are toggled */}
+        {dishNutrition && (
+          <div className="mb-4">
+            <div className="d-flex align-items-center mb-3">
+              <i 
+                className="bi bi-activity me-2" 
+                style={{ color: '#e67e22', fontSize: '1.2rem' }}
+              ></i>
+              <strong style={{ color: '#2c3e50' }}>Nutrition:</strong>
+            </div>
+            <NutritionFacts nutrition={dishNutrition} />
+          </div>
+        )}
+
+        {/* Add configured dish to cart */}
+        <div className="d-grid mb-4">
+          <Button 
+            variant="outline-primary"
+            disabled={!isDishComplete}
+            onClick={onAddToCart}
+            className="py-2 fw-semibold rounded-3"
+          >
+            <i className="bi bi-cart-plus me-2"></i>
+            Add to Cart{isDishComplete && ` (€${dishPrice.toFixed(2)})`}
+          </Button>
+          <Button
+            variant="link"
+            size="sm"
+            disabled={!isDishComplete}
+            onClick={handleCopyLink}
+            className="mt-1"
+          >
+            <i className={`bi ${linkCopied ? 'bi-check2' : 'bi-link-45deg'} me-1`}></i>
+            {linkCopied ? 'Link copied' : 'Copy a link to this dish'}
+          </Button>
+        </div>
+
+        {/* Cart display */}
+        {cartItems.length > 0 && (
+          <div className="mb-4">
+            <div className="d-flex align-items-center mb-3">
+              <i 
+                className="bi bi-cart3 me-2" 
+                style={{ color: '#3498db', fontSize: '1.2rem' }}
+              ></i>
+              <strong style={{ color: '#2c3e50' }}>Cart:</strong>
+              <Badge 
+                className="ms-2 px-2 py-1 rounded-pill"
+                style={{ background: 'linear-gradient(135deg, #3498db 0%, #2980b9 100%)' }}
+              >
+                {cartItems.length}
+              </Badge>
+            </div>
+            {cartItems.map(item => (
+              <Card key={item.key} className="border-2 rounded-3 mb-2" style={{ borderColor: '#e9ecef' }}>
+                <Card.Body className="p-3">
+                  <div className="d-flex justify-content-between align-items-center">
+                    <div className="fw-semibold" style={{ color: '#2c3e50' }}>
+                      {formatDishName(item.baseDish.name)} - {item.size.label}
+                    </div>
+                    <div className="fw-bold" style={{ color: '#27ae60' }}>
+                      €{(item.unitPrice * item.quantity).toFixed(2)}
+                    </div>
+                  </div>
+                  <small className="text-muted d-block mb-2">
+                    {item.ingredientIds.length > 0
+                      ? item.ingredientIds.map(id => ingredients.find(ing => ing.id === id)?.name).filter(Boolean).join(', ')
+                      : 'No ingredients'}
+                    {` · ${item.unitNutrition.kcal} kcal each`}
+                  </small>
+                  <div className="d-flex justify-content-between align-items-center">
+                    {/* Quantity controls */}
+                    <ButtonGroup size="sm">
+                      <Button variant="outline-secondary" onClick={() => onChangeQuantity(item.key, -1)} disabled={item.quantity <= 1}>
+                        <i className="bi bi-dash"></i>
+                      </Button>
+                      <Button variant="outline-secondary" disabled className="px-3">
+                        {item.quantity}
+                      </Button>
+                      <Button variant="outline-secondary" onClick={() => onChangeQuantity(item.key, 1)}>
+                        <i className="bi bi-plus"></i>
+                      </Button>
+                    </ButtonGroup>
+                    {/* Remove line */}
+                    <Button variant="outline-danger" size="sm" onClick={() => onRemoveItem(item.key)}>
+                      <i className="bi bi-trash"></i>
+                    </Button>
+                  </div>
+                </Card.Body>
+              </Card>
+            ))}
+          </div>
+        )}
+
         <hr 
           className="my-4"
           style={{ 
@@ -144,24 +320,49 @@ const OrderSummary = ({
           >
             Total: €{totalPrice.toFixed(2)}
           </div>
+          {dishCount > 0 && (
+            <div className="small fw-semibold" style={{ color: '#2c3e50' }}>
+              {totalNutrition.kcal} kcal · {totalNutrition.protein} g protein · {totalNutrition.fat} g fat · {totalNutrition.carbs} g carbs
+            </div>
+          )}
+          <small className="text-muted">
+            {priceConfirmed ? 'Checked with current prices and stock' : 'Estimated'}
+          </small>
         </div>
 
+        {/* Problems found by the server quote */}
+        {warnings.length > 0 && (
+          <Alert
+            variant="warning"
+            className="border-0 rounded-3 small"
+            style={{ background: 'rgba(243, 156, 18, 0.1)' }}
+          >
+            <div className="fw-semibold mb-1">
+              <i className="bi bi-exclamation-triangle me-2"></i>
+              This order cannot be placed yet:
+            </div>
+            <ul className="mb-0 ps-3">
+              {warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+            </ul>
+          </Alert>
+        )}
+
         {/* Order submission button */}
         <div className="d-grid">
           <Button 
             size="lg"
-            disabled={!selectedBaseDish || !selectedSize}
+            disabled={!canSubmit}
             onClick={onSubmitOrder}
             className="py-3 fw-semibold rounded-3"
             style={{
-              background: (selectedBaseDish && selectedSize)
+              background: canSubmit
                 ? 'linear-gradient(135deg, #27ae60 0%, #2ecc71 100%)'
                 : 'linear-gradient(135deg, #95a5a6 0%, #7f8c8d 100%)',
               border: 'none'
             }}
           >
             <i className="bi bi-check-circle me-2"></i>
-            Place Order
+            Place Order{dishCount > 1 && ` (${dishCount} dishes)`}
           </Button>
         </div>
       </Card.Body>
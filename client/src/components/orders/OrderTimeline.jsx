@@ -0,0 +1,78 @@
+import dayjs from 'dayjs';
+import { ORDER_STEPS, STATUS_LABELS } from '../../../../shared/order-status.mjs';
+
+// Icon for each status
+const STATUS_ICONS = {
+  received: 'bi-inbox',
+  preparing: 'bi-fire',
+  ready: 'bi-bell',
+  picked_up: 'bi-bag-check',
+  rejected: 'bi-slash-circle',
+  cancelled: 'bi-x-circle'
+};
+
+// Colors of reached, current and early-ending steps
+const DONE_COLOR = '#27ae60';
+const CURRENT_COLOR = '#f39c12';
+const ENDED_COLOR = '#e74c3c';
+const PENDING_COLOR = '#ced4da';
+
+/**
+ * Progress timeline of an order through its lifecycle
+ * Shows the regular steps with the time each one was reached; an order that was
+ * rejected or cancelled ends with that step instead of the remaining ones
+ * @param {Object} props - Component properties
+ * @param {string} props.status - Current order status
+ * @param {Array} props.history - Status changes as { status, changedAt }, oldest first
+ * @returns {JSX.Element} Horizontal step timeline
+ */
+const OrderTimeline = ({ status, history }) => {
+  const endedEarly = !ORDER_STEPS.includes(status);
+  const reachedAt = new Map(history.map(entry => [entry.status, entry.changedAt]));
+
+  // Regular steps reached so far, then either the remaining ones or the early end
+  const steps = endedEarly
+    ? [...ORDER_STEPS.filter(step => reachedAt.has(step)), status]
+    : ORDER_STEPS;
+
+  return (
+    <div className="d-flex align-items-start mb-4">
+      {steps.map((step, index) => {
+        const reached = reachedAt.has(step) || step === status;
+        const color = step === status
+          ? (endedEarly ? ENDED_COLOR : (step === 'picked_up' ? DONE_COLOR : CURRENT_COLOR))
+          : (reached ? DONE_COLOR : PENDING_COLOR);
+
+        return (
+          <div key={step} className={`d-flex align-items-start ${index < steps.length - 1 ? 'flex-fill' : ''}`}>
+            <div className="text-center" style={{ minWidth: '5.5rem' }}>
+              <div
+                className="rounded-circle d-inline-flex align-items-center justify-content-center text-white"
+                style={{ width: '2.5rem', height: '2.5rem', background: color }}
+              >
+                <i className={`bi ${STATUS_ICONS[step]}`}></i>
+              </div>
+              <div className="small fw-semibold mt-1" style={{ color: reached ? '#2c3e50' : '#95a5a6' }}>
+                {STATUS_LABELS[step]}
+              </div>
+              {reachedAt.has(step) && (
+                <div className="text-muted" style={{ fontSize: '0.75rem' }}>
+                  {dayjs(reachedAt.get(step)).format('MMM D, HH:mm')}
+                </div>
+              )}
+            </div>
+            {/* Connector to the next step */}
+            {index < steps.length - 1 && (
+              <div
+                className="flex-fill mx-1"
+                style={{ height: '3px', marginTop: '1.2rem', background: reachedAt.has(steps[index + 1]) ? DONE_COLOR : PENDING_COLOR }}
+              ></div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export { OrderTimeline };
@@ -0,0 +1,151 @@
+/* Configurator Drafts */
+
+/* The dish being configured is mirrored in the /configure URL (?dish=&size=&ingredients=), so a
+   link reproduces it, and the whole configuration, cart included, is kept in localStorage so it
+   survives refreshes and the login detour. A restored draft is checked against the current menu
+   with the shared constraint engine before it is shown. */
+
+import { reconcileSelection } from '../../shared/constraints.mjs';
+
+const STORAGE_KEY = 'restaurant.configuratorDraft';
+
+// Drafts older than this are discarded
+const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a positive integer ID
+ * @param {string|number|null} value - Raw value
+ * @returns {number|null} ID, or null if the value is not one
+ */
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/**
+ * Read the dish encoded in the configurator URL
+ * @param {URLSearchParams} searchParams - Query string of /configure
+ * @returns {Object|null} Draft as { dish, size, ingredients } (raw values, checked by reconcileDraft), or null if the URL has none
+ */
+const draftFromSearch = (searchParams) => {
+  if (!searchParams.has('dish') && !searchParams.has('size') && !searchParams.has('ingredients')) return null;
+  const ingredients = searchParams.get('ingredients');
+  return {
+    dish: searchParams.get('dish'),
+    size: searchParams.get('size'),
+    ingredients: ingredients ? ingredients.split(',') : [],
+    cart: []
+  };
+};
+
+/**
+ * Encode the dish being configured as configurator URL parameters
+ * @param {Object} draft - { dish, size, ingredients } with IDs (dish and size may be null)
+ * @returns {Object} Parameters for setSearchParams (empty when nothing is selected)
+ */
+const searchFromDraft = ({ dish, size, ingredients }) => {
+  const params = {};
+  if (dish) params.dish = String(dish);
+  if (size) params.size = String(size);
+  if (ingredients.length > 0) params.ingredients = ingredients.join(',');
+  return params;
+};
+
+/**
+ * Load the draft kept in the browser
+ * @returns {Object|null} Draft as { dish, size, ingredients, cart }, or null if there is none or it is too old
+ */
+const loadDraft = () => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!draft || Date.now() - draft.savedAt > DRAFT_MAX_AGE_MS) return null;
+    return draft;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Keep the configuration in the browser; an empty one removes the draft
+ * @param {Object} draft - { dish, size, ingredients, cart } with IDs; cart items as { dish, size, ingredients, quantity }
+ */
+const saveDraft = (draft) => {
+  try {
+    if (!draft.dish && !draft.size && draft.ingredients.length === 0 && draft.cart.length === 0)
+      localStorage.removeItem(STORAGE_KEY);
+    else
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...draft, savedAt: Date.now() }));
+  } catch {
+    // Storage full or disabled: the URL still holds the dish being configured
+  }
+};
+
+/**
+ * Forget the draft (after an order or at logout)
+ */
+const clearDraft = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+};
+
+/**
+ * Check a restored draft against the current menu, rules and stock
+ * Cart items come first and use up stock in order; the dish being configured gets what is left.
+ * Unknown dishes and sizes, and ingredients that no longer fit, are left out with a note each
+ * @param {Object} draft - Draft as returned by loadDraft or draftFromSearch
+ * @param {Object} menu - { baseDishes, sizes, ingredients } as loaded by the app
+ * @returns {Object} { baseDish, size, selection, cart, notes }: menu objects for the dish being
+ *   configured, cart items as { baseDish, size, ingredientIds, quantity }, and the notes for the user
+ */
+const reconcileDraft = (draft, { baseDishes, sizes, ingredients }) => {
+  const notes = [];
+  let stock = ingredients;
+
+  /**
+   * Rebuild one dish and take its ingredients out of the stock left
+   * @param {Object} saved - { dish, size, ingredients, quantity } with raw IDs
+   * @param {string} fallbackLabel - How the dish is called in the notes when its dish type or size is unknown
+   * @returns {Object} { baseDish, size, selection }
+   */
+  const rebuild = (saved, fallbackLabel) => {
+    const baseDish = baseDishes.find(dish => dish.id === parseId(saved.dish)) || null;
+    const size = sizes.find(s => s.id === parseId(saved.size)) || null;
+    if (saved.dish && !baseDish) notes.push(`${fallbackLabel}: the dish type is no longer on the menu`);
+    if (saved.size && !size) notes.push(`${fallbackLabel}: the size is no longer on the menu`);
+    const label = baseDish && size ? `${baseDish.name} - ${size.label}` : fallbackLabel;
+
+    const ids = saved.ingredients.map(parseId);
+    const unknown = ids.filter(id => !stock.some(ing => ing.id === id)).length;
+    if (unknown > 0)
+      notes.push(`${label}: ${unknown === 1 ? 'an ingredient is' : `${unknown} ingredients are`} no longer on the menu`);
+
+    const known = ids.filter(id => stock.some(ing => ing.id === id));
+    if (known.length === 0 || !size) {
+      if (known.length > 0) notes.push(`${label}: ingredients need a size, choose one to add them again`);
+      return { baseDish, size, selection: [] };
+    }
+
+    const quantity = parseId(saved.quantity) || 1;
+    const { selection, dropped } = reconcileSelection(known, size, stock, quantity);
+    dropped.forEach(({ error }) => notes.push(`${label}: ${error}`));
+    stock = stock.map(ing => ing.availability !== null && selection.includes(ing.id)
+      ? { ...ing, availability: ing.availability - quantity }
+      : ing);
+    return { baseDish, size, selection };
+  };
+
+  const cart = [];
+  for (const item of draft.cart || []) {
+    const { baseDish, size, selection } = rebuild(item, 'A dish in your cart');
+    if (baseDish && size)
+      cart.push({ baseDish, size, ingredientIds: selection, quantity: parseId(item.quantity) || 1 });
+  }
+
+  const current = rebuild({ ...draft, quantity: 1 }, 'Your dish');
+  return { ...current, cart, notes };
+};
+
+export { draftFromSearch, searchFromDraft, loadDraft, saveDraft, clearDraft, reconcileDraft };
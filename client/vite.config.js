@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The constraint engine in ../shared is imported by both the client and the server
+  server: {
+    fs: { allow: ['..'] },
+  },
 })
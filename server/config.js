@@ -0,0 +1,108 @@
+/* Server Configuration Module */
+
+/* Settings that change between deployments, read from environment variables once at startup.
+   SESSION_SECRET          secret signing the session cookie; when unset, a random one is
+                           generated on first start and kept in server/.session-secret
+   SESSION_COOKIE_SECURE   'true' to send the cookie over HTTPS only (default false)
+   SESSION_COOKIE_SAMESITE 'lax' (default), 'strict' or 'none' ('none' requires secure)
+   SESSION_MAX_AGE_MS      session lifetime since the last request (default 24 hours)
+   SESSION_STEP_UP_MAX_AGE_MS
+                           how long a verified TOTP code allows sensitive actions such as
+                           cancelling an order (default 5 minutes)
+   APP_URL                 address of the client, used in links sent by email
+                           (default http://localhost:5173)
+   MAIL_OUTBOX             file receiving the emails sent by the default mail transport
+                           (default server/outbox.txt)
+   PASSWORD_RESET_TTL_MS   lifetime of a password reset link (default 1 hour) */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File holding the generated secret when SESSION_SECRET is not set
+const SECRET_FILE = path.join(__dirname, '.session-secret');
+
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_STEP_UP_MAX_AGE_MS = 5 * 60 * 1000;
+const DEFAULT_RESET_TTL_MS = 60 * 60 * 1000;
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+/**
+ * Get the session secret from the environment, or from the local secret file
+ * The file is created with a random secret the first time, so sessions stay valid across restarts
+ * @returns {string} Session secret
+ */
+const loadSessionSecret = () => {
+  if (process.env.SESSION_SECRET)
+    return process.env.SESSION_SECRET;
+  if (fs.existsSync(SECRET_FILE))
+    return fs.readFileSync(SECRET_FILE, 'utf8').trim();
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(SECRET_FILE, secret + '\n', { mode: 0o600 });
+  return secret;
+};
+
+/**
+ * Read a true/false environment variable
+ * @param {string} name - Variable name
+ * @param {boolean} fallback - Value when the variable is not set
+ * @returns {boolean} Parsed value
+ */
+const readBoolean = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value !== 'true' && value !== 'false')
+    throw new Error(`${name} must be 'true' or 'false'`);
+  return value === 'true';
+};
+
+/**
+ * Read the SameSite cookie attribute
+ * @returns {string} lax, strict or none
+ */
+const readSameSite = () => {
+  const value = (process.env.SESSION_COOKIE_SAMESITE || 'lax').toLowerCase();
+  if (!SAME_SITE_VALUES.includes(value))
+    throw new Error(`SESSION_COOKIE_SAMESITE must be one of ${SAME_SITE_VALUES.join(', ')}`);
+  return value;
+};
+
+/**
+ * Read a positive integer number of milliseconds
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is not set
+ * @returns {number} Parsed value
+ */
+const readDuration = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms <= 0)
+    throw new Error(`${name} must be a positive number of milliseconds`);
+  return ms;
+};
+
+const cookie = {
+  httpOnly: true,
+  secure: readBoolean('SESSION_COOKIE_SECURE', false),
+  sameSite: readSameSite(),
+  maxAge: readDuration('SESSION_MAX_AGE_MS', DEFAULT_MAX_AGE_MS)
+};
+if (cookie.sameSite === 'none' && !cookie.secure)
+  throw new Error("SESSION_COOKIE_SAMESITE 'none' requires SESSION_COOKIE_SECURE=true");
+
+module.exports = {
+  session: {
+    secret: loadSessionSecret(),
+    cookie,
+    stepUpMaxAge: readDuration('SESSION_STEP_UP_MAX_AGE_MS', DEFAULT_STEP_UP_MAX_AGE_MS)
+  },
+  appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+  mail: {
+    outbox: process.env.MAIL_OUTBOX || path.join(__dirname, 'outbox.txt')
+  },
+  passwordResetTtl: readDuration('PASSWORD_RESET_TTL_MS', DEFAULT_RESET_TTL_MS)
+};
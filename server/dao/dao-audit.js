@@ -0,0 +1,116 @@
+/* Data Access Object (DAO) module for the security audit log */
+
+/* Authentication and order events are appended to audit_log with the actor, the
+   client's IP address and user agent, and the outcome. The table is append-only
+   (enforced by triggers), so this module only inserts and reads. */
+
+'use strict';
+
+const db = require('../db');
+const { runInTransaction } = require('../utils/transaction');
+
+// Events written to the log
+exports.AUDIT_EVENTS = [
+  'login',                      // password login (failure includes unknown accounts)
+  'second_factor',              // TOTP or recovery code login, details.method tells which
+  'totp_skipped',               // user continued without 2FA
+  'logout',
+  'register',
+  'totp_enabled',
+  'totp_disabled',
+  'recovery_codes_regenerated',
+  'password_changed',           // failure: wrong current password or TOTP code
+  'password_reset_requested',   // also for unknown email addresses (no user ID)
+  'password_reset',             // new password set with a reset link
+  'order_placed',
+  'order_cancelled',
+  'order_status_changed'        // kitchen moved or rejected an order
+];
+
+exports.AUDIT_OUTCOMES = ['success', 'failure', 'blocked'];
+
+// Longest page returned by getEntries
+const MAX_LIMIT = 500;
+
+/**
+ * Append an event to the log
+ * @param {Object} entry - { event, outcome, userId, username, ip, userAgent, details }
+ * @returns {Promise<number>} ID of the new entry
+ */
+exports.record = ({ event, outcome, userId = null, username = null, ip = null, userAgent = null, details = null }) => {
+  return runInTransaction(tx => tx.run(
+    'INSERT INTO audit_log (user_id, username, event, outcome, ip, user_agent, details) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [userId, username, event, outcome, ip, userAgent, details ? JSON.stringify(details) : null]))
+    .then(({ lastID }) => lastID);
+};
+
+/**
+ * Convert an audit_log row
+ * @param {Object} row - Database row
+ * @returns {Object} Entry as { id, createdAt, userId, username, event, outcome, ip, userAgent, details }
+ */
+const entryFromRow = (row) => ({
+  id: row.id,
+  createdAt: row.created_at,
+  userId: row.user_id,
+  username: row.username,
+  event: row.event,
+  outcome: row.outcome,
+  ip: row.ip,
+  userAgent: row.user_agent,
+  details: row.details ? JSON.parse(row.details) : null
+});
+
+/**
+ * Query the log, newest first
+ * Every filter is optional; from and to compare with created_at (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * @param {Object} filters - { userId, username, event, outcome, ip, from, to, beforeId, limit }
+ * @returns {Promise<Array>} Matching entries, at most limit (default and maximum 500)
+ */
+exports.getEntries = ({ userId, username, event, outcome, ip, from, to, beforeId, limit } = {}) => {
+  const conditions = [];
+  const params = [];
+  const filter = (sql, value) => {
+    if (value === undefined || value === null || value === '') return;
+    conditions.push(sql);
+    params.push(value);
+  };
+
+  filter('user_id = ?', userId);
+  filter('username = ?', username);
+  filter('event = ?', event);
+  filter('outcome = ?', outcome);
+  filter('ip = ?', ip);
+  filter('created_at >= ?', from);
+  filter('created_at <= ?', to);
+  filter('id < ?', beforeId); // Next page: pass the ID of the last entry received
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  params.push(Math.min(limit || MAX_LIMIT, MAX_LIMIT));
+
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(entryFromRow));
+    });
+  });
+};
+
+/**
+ * Recent activity of an account, newest first
+ * Includes the failed logins made with its email address, which have no user ID
+ * @param {Object} user - User as { id, username }
+ * @param {number} limit - Number of entries
+ * @returns {Promise<Array>} Entries of the account
+ */
+exports.getAccountActivity = (user, limit) => {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT * FROM audit_log
+                 WHERE user_id = ? OR (user_id IS NULL AND username = ?)
+                 ORDER BY id DESC LIMIT ?`;
+    db.all(sql, [user.id, user.username, limit], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(entryFromRow));
+    });
+  });
+};
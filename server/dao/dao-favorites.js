@@ -0,0 +1,135 @@
+/* Data Access Object (DAO) module for saved favorite configurations */
+
+/* A favorite is one configured dish (dish type, size and ingredients) saved by a customer
+   under a name. The dish, size and ingredient names are stored with it, so a favorite whose
+   parts left the menu can still be described; checking it against the current menu is done
+   when it is loaded into the configurator. */
+
+'use strict';
+
+const db = require('../db');
+const { runInTransaction } = require('../utils/transaction');
+
+/**
+ * Build the error thrown when the user already has a favorite with the name
+ * @param {string} name - Duplicate name
+ * @returns {Error} Error with constraintViolation 'duplicate_name'
+ */
+const duplicateNameError = (name) => {
+  const err = new Error(`You already have a favorite named "${name}"`);
+  err.constraintViolation = 'duplicate_name';
+  return err;
+};
+
+/**
+ * Load favorites matching a condition, with their ingredients in the saved order
+ * @param {string} condition - SQL condition on the favorites table, aliased as f
+ * @param {Array} params - Parameters of the condition
+ * @returns {Promise<Array>} Favorites as { id, name, createdAt, baseDishId, sizeId, dishName,
+ *   sizeLabel, ingredients: [{ id, name }] }, newest first
+ */
+const loadFavorites = (condition, params) => {
+  return new Promise((resolve, reject) => {
+    const favoritesSql = `SELECT * FROM favorites f WHERE ${condition} ORDER BY f.created_at DESC, f.id DESC`;
+    const ingredientsSql = `
+      SELECT fi.favorite_id, fi.ingredient_id, fi.ingredient_name
+      FROM favorite_ingredients fi
+      JOIN favorites f ON fi.favorite_id = f.id
+      WHERE ${condition}
+      ORDER BY fi.position
+    `;
+    db.all(favoritesSql, params, (err, rows) => {
+      if (err) return reject(err);
+      db.all(ingredientsSql, params, (err, ingredientRows) => {
+        if (err) return reject(err);
+        resolve(rows.map(row => ({
+          id: row.id,
+          name: row.name,
+          createdAt: row.created_at,
+          baseDishId: row.base_dish_id,
+          sizeId: row.size_id,
+          dishName: row.dish_name,
+          sizeLabel: row.size_label,
+          ingredients: ingredientRows
+            .filter(ing => ing.favorite_id === row.id)
+            .map(ing => ({ id: ing.ingredient_id, name: ing.ingredient_name }))
+        })));
+      });
+    });
+  });
+};
+
+/**
+ * Get the favorites of a user, newest first
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} Favorites
+ */
+exports.getFavorites = (userId) => loadFavorites('f.user_id = ?', [userId]);
+
+/**
+ * Get one favorite of a user
+ * @param {number} id - Favorite ID
+ * @param {number} userId - ID of the user, who must own the favorite
+ * @returns {Promise<Object|null>} Favorite, or null if the user has none with this ID
+ */
+exports.getFavorite = (id, userId) =>
+  loadFavorites('f.id = ? AND f.user_id = ?', [id, userId]).then(favorites => favorites[0] || null);
+
+/**
+ * Count the favorites of a user
+ * @param {number} userId - ID of the user
+ * @returns {Promise<number>} Number of favorites
+ */
+exports.countFavorites = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT COUNT(*) AS count FROM favorites WHERE user_id = ?', [userId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row.count);
+    });
+  });
+};
+
+/**
+ * Save a configured dish as a favorite
+ * @param {number} userId - ID of the owner
+ * @param {string} name - Name of the favorite, unique per user (case-insensitive)
+ * @param {Object} dish - Dish as returned by getDishById
+ * @param {Array<Object>} ingredients - Chosen ingredients as { id, name }, in the order they were chosen
+ * @returns {Promise<number>} ID of the new favorite
+ */
+exports.createFavorite = (userId, name, dish, ingredients) => {
+  return runInTransaction(async (tx) => {
+    let favoriteId;
+    try {
+      const sql = `INSERT INTO favorites (user_id, name, base_dish_id, size_id, dish_name, size_label)
+                   VALUES (?, ?, ?, ?, ?, ?)`;
+      ({ lastID: favoriteId } = await tx.run(sql, [userId, name, dish.baseDishId, dish.sizeId, dish.name, dish.size]));
+    } catch (err) {
+      if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('UNIQUE'))
+        throw duplicateNameError(name);
+      throw err;
+    }
+
+    for (const [position, ingredient] of ingredients.entries()) {
+      await tx.run('INSERT INTO favorite_ingredients (favorite_id, position, ingredient_id, ingredient_name) VALUES (?, ?, ?, ?)',
+        [favoriteId, position, ingredient.id, ingredient.name]);
+    }
+    return favoriteId;
+  });
+};
+
+/**
+ * Delete a favorite of a user
+ * @param {number} id - Favorite ID
+ * @param {number} userId - ID of the user, who must own the favorite
+ * @returns {Promise<void>} Rejects with 'Favorite not found' if the user has none with this ID
+ */
+exports.deleteFavorite = (id, userId) => {
+  return runInTransaction(async (tx) => {
+    const favorite = await tx.get('SELECT id FROM favorites WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!favorite)
+      throw new Error('Favorite not found');
+    await tx.run('DELETE FROM favorite_ingredients WHERE favorite_id = ?', [id]);
+    await tx.run('DELETE FROM favorites WHERE id = ?', [id]);
+  });
+};
@@ -0,0 +1,237 @@
+/* Data Access Object (DAO) module for the inventory ledger */
+
+/* Every change to an ingredient's limited availability is written to stock_movements
+   as a signed quantity, so the stock of any ingredient can be traced back over time.
+   Order placement, cancellation and rejection record their movements through
+   recordMovement inside their own transactions; staff record restocks, waste and
+   adjustments with recordStaffMovement. Switching an ingredient to unlimited stock is an
+   'unlimited' event that ends the running balance; the next 'opening' starts it again. A decrease that crosses the ingredient's
+   reorder threshold also writes a stock alert, sent out later by dispatchStockAlerts. */
+
+'use strict';
+
+const db = require('../db');
+const { runInTransaction } = require('../utils/transaction');
+
+/**
+ * Write one movement inside an open transaction
+ * The caller changes ingredients.availability by the same quantity first; a decrease
+ * that takes the availability from above the reorder threshold to or below it raises an alert
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {Object} movement - { ingredientId, quantity, reason, orderId, note, createdBy }
+ * @returns {Promise<Object>} Object with lastID and changes of the movement
+ */
+exports.recordMovement = async (tx, { ingredientId, quantity, reason, orderId = null, note = null, createdBy = null }) => {
+  const result = await tx.run(
+    'INSERT INTO stock_movements (ingredient_id, quantity, reason, order_id, note, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [ingredientId, quantity, reason, orderId, note, createdBy]);
+
+  if (quantity < 0) {
+    const { availability, reorder_threshold: threshold } = await tx.get(
+      'SELECT availability, reorder_threshold FROM ingredients WHERE id = ?', [ingredientId]);
+    if (threshold !== null && availability !== null && availability <= threshold && availability - quantity > threshold)
+      await tx.run('INSERT INTO stock_alerts (ingredient_id, availability, threshold) VALUES (?, ?, ?)',
+        [ingredientId, availability, threshold]);
+  }
+  return result;
+};
+
+/**
+ * Build the error thrown when a staff movement cannot be applied
+ * @param {string} message - Error message
+ * @param {string} constraintViolation - Violation code
+ * @returns {Error} Error with constraintViolation
+ */
+const stockError = (message, constraintViolation) => {
+  const err = new Error(message);
+  err.constraintViolation = constraintViolation;
+  return err;
+};
+
+/**
+ * Record a restock, waste or adjustment and apply it to the availability
+ * Restock and waste quantities are positive (waste is subtracted); adjustments are signed.
+ * Ingredients with unlimited stock have no ledger, and stock can never become negative
+ * @param {number} ingredientId - Ingredient ID
+ * @param {Object} movement - { reason, quantity, note }
+ * @param {number} createdBy - ID of the staff member
+ * @returns {Promise<Object>} { ingredientId, availability, movement } after the change
+ */
+exports.recordStaffMovement = (ingredientId, { reason, quantity, note }, createdBy) => {
+  return runInTransaction(async (tx) => {
+    const ingredient = await tx.get('SELECT name, availability FROM ingredients WHERE id = ?', [ingredientId]);
+    if (!ingredient)
+      throw new Error('Ingredient not found');
+    if (ingredient.availability === null)
+      throw stockError(`${ingredient.name} has unlimited stock`, 'untracked_stock');
+
+    const change = reason === 'waste' ? -quantity : quantity;
+    if (ingredient.availability + change < 0)
+      throw stockError(`Only ${ingredient.availability} ${ingredient.name} left in stock`, 'insufficient_stock');
+
+    await tx.run('UPDATE ingredients SET availability = availability + ? WHERE id = ?', [change, ingredientId]);
+    const { lastID } = await exports.recordMovement(tx, { ingredientId, quantity: change, reason, note, createdBy });
+    const row = await tx.get('SELECT created_at FROM stock_movements WHERE id = ?', [lastID]);
+
+    return {
+      ingredientId,
+      availability: ingredient.availability + change,
+      movement: { id: lastID, quantity: change, reason, note, createdAt: row.created_at }
+    };
+  });
+};
+
+/**
+ * Get the availability of every ingredient as committed
+ * Read through the transaction queue: on the shared connection a plain read could see
+ * the changes of a transaction still open, which may yet be rolled back
+ * @returns {Promise<Array>} Array of { id, availability }
+ */
+exports.getStockSnapshot = () =>
+  runInTransaction(tx => tx.all('SELECT id, availability FROM ingredients ORDER BY id'));
+
+/**
+ * Get the ledger of an ingredient, oldest first, with the stock after each movement
+ * @param {number} ingredientId - Ingredient ID
+ * @returns {Promise<Object>} { ingredient: { id, name, availability }, movements } or
+ *   rejects with 'Ingredient not found'
+ */
+exports.getMovements = (ingredientId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT id, name, availability FROM ingredients WHERE id = ?', [ingredientId], (err, ingredient) => {
+      if (err) return reject(err);
+      if (!ingredient) return reject(new Error('Ingredient not found'));
+
+      const sql = `
+        SELECT m.id, m.quantity, m.reason, m.order_id, m.note, m.created_at, u.name as created_by
+        FROM stock_movements m
+        LEFT JOIN users u ON u.id = m.created_by
+        WHERE m.ingredient_id = ?
+        ORDER BY m.id
+      `;
+      db.all(sql, [ingredientId], (err, rows) => {
+        if (err) return reject(err);
+        // Running sum: the stock right after each movement (null while the stock is unlimited)
+        let balance = 0;
+        resolve({
+          ingredient,
+          movements: rows.map(row => {
+            balance = row.reason === 'unlimited' ? null : (balance || 0) + row.quantity;
+            return {
+              id: row.id,
+              quantity: row.quantity,
+              reason: row.reason,
+              orderId: row.order_id,
+              note: row.note,
+              createdAt: row.created_at,
+              createdBy: row.created_by,
+              balance
+            };
+          })
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Compare every ingredient's availability with the sum of its ledger
+ * Only the movements after the last 'unlimited' event count: limited stock must equal
+ * their sum, and unlimited stock must have none (or a zero sum)
+ * @returns {Promise<Array>} Array of { id, name, availability, ledgerBalance, difference, consistent }
+ */
+exports.reconcileStock = () => {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT i.id, i.name, i.availability, COALESCE(SUM(m.quantity), 0) as ledger_balance
+      FROM ingredients i
+      LEFT JOIN stock_movements m ON m.ingredient_id = i.id AND m.id > COALESCE(
+        (SELECT MAX(u.id) FROM stock_movements u WHERE u.ingredient_id = i.id AND u.reason = 'unlimited'), 0)
+      GROUP BY i.id, i.name, i.availability
+      ORDER BY i.name
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows.map(row => {
+        const difference = (row.availability === null ? 0 : row.availability) - row.ledger_balance;
+        return {
+          id: row.id,
+          name: row.name,
+          availability: row.availability,
+          ledgerBalance: row.ledger_balance,
+          difference,
+          consistent: difference === 0
+        };
+      }));
+    });
+  });
+};
+
+/**
+ * Convert a stock_alerts row joined with the ingredient name
+ * @param {Object} row - Database row
+ * @returns {Object} Alert as { id, ingredientId, ingredientName, availability, threshold, createdAt, acknowledgedAt, acknowledgedBy }
+ */
+const alertFromRow = (row) => ({
+  id: row.id,
+  ingredientId: row.ingredient_id,
+  ingredientName: row.ingredient_name,
+  availability: row.availability,
+  threshold: row.threshold,
+  createdAt: row.created_at,
+  acknowledgedAt: row.acknowledged_at,
+  acknowledgedBy: row.acknowledged_by
+});
+
+// Alerts with the ingredient name and the name of the admin who acknowledged them
+const alertSelectSql = `
+  SELECT a.id, a.ingredient_id, i.name as ingredient_name, a.availability, a.threshold,
+         a.created_at, a.acknowledged_at, u.name as acknowledged_by
+  FROM stock_alerts a
+  JOIN ingredients i ON i.id = a.ingredient_id
+  LEFT JOIN users u ON u.id = a.acknowledged_by
+`;
+
+/**
+ * Take the alerts that have not been sent out yet and mark them as sent
+ * Runs in a transaction, so concurrent calls never hand out the same alert twice
+ * @returns {Promise<Array>} Alerts to notify, oldest first
+ */
+exports.dispatchStockAlerts = () => {
+  return runInTransaction(async (tx) => {
+    const rows = await tx.all(`${alertSelectSql} WHERE a.notified_at IS NULL ORDER BY a.id`);
+    if (rows.length > 0)
+      await tx.run(`UPDATE stock_alerts SET notified_at = CURRENT_TIMESTAMP WHERE id IN (${rows.map(() => '?').join(', ')})`,
+        rows.map(row => row.id));
+    return rows.map(alertFromRow);
+  });
+};
+
+/**
+ * Get the alert feed, newest first
+ * @returns {Promise<Array>} Alerts, acknowledged ones included
+ */
+exports.getStockAlerts = () => {
+  return new Promise((resolve, reject) => {
+    db.all(`${alertSelectSql} ORDER BY a.id DESC`, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(alertFromRow));
+    });
+  });
+};
+
+/**
+ * Mark an alert as handled
+ * @param {number} id - Alert ID
+ * @param {number} userId - ID of the admin acknowledging it
+ * @returns {Promise<void>} Rejects with 'Alert not found' if it does not exist or was already acknowledged
+ */
+exports.acknowledgeStockAlert = (id, userId) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run(
+      'UPDATE stock_alerts SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ? WHERE id = ? AND acknowledged_at IS NULL',
+      [userId, id]);
+    if (changes === 0)
+      throw new Error('Alert not found');
+  });
+};
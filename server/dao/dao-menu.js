@@ -0,0 +1,483 @@
+/* Data Access Object (DAO) module for menu management (admin) */
+
+'use strict';
+
+const { runInTransaction } = require('../utils/transaction');
+const { findRuleViolations } = require('../utils/ingredient-rules');
+const { recordMovement } = require('./dao-inventory');
+
+// Writes go through runInTransaction even when they are a single statement:
+// the shared connection must not run them in the middle of an order transaction.
+
+/**
+ * Build the error thrown when a UNIQUE name/label is already taken
+ * @param {string} entity - Entity description for the message
+ * @param {string} value - Duplicate value
+ * @returns {Error} Error with constraintViolation 'duplicate_name'
+ */
+const duplicateNameError = (entity, value) => {
+  const err = new Error(`${entity} "${value}" already exists`);
+  err.constraintViolation = 'duplicate_name';
+  return err;
+};
+
+/**
+ * Build the error thrown when an entity is referenced by existing orders
+ * @param {string} entity - Entity description for the message
+ * @returns {Error} Error with constraintViolation 'in_use'
+ */
+const inUseError = (entity) => {
+  const err = new Error(`${entity} is used by existing orders and cannot be deleted`);
+  err.constraintViolation = 'in_use';
+  return err;
+};
+
+/**
+ * Build the error thrown when a write would leave the rules graph inconsistent
+ * @param {Object} violation - Violation returned by findRuleViolations
+ * @returns {Error} Error with constraintViolation and the violation details
+ */
+const ruleViolationError = ({ error, constraintViolation, ...details }) => {
+  const err = new Error(error);
+  err.constraintViolation = constraintViolation;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Load the requirement / incompatibility graph and list its violations
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @returns {Promise<Array<Object>>} Violations found by findRuleViolations
+ */
+const rulesGraphViolations = async (tx) => {
+  const names = new Map((await tx.all('SELECT id, name FROM ingredients')).map(row => [row.id, row.name]));
+  const requires = new Map();
+  const incompatible = new Map();
+  const addEdge = (map, from, to) => map.set(from, (map.get(from) || new Set()).add(to));
+
+  for (const row of await tx.all('SELECT ingredient_id, required_id FROM ingredient_requirements'))
+    addEdge(requires, row.ingredient_id, row.required_id);
+  for (const row of await tx.all('SELECT ingredient_id, incompatible_with_id FROM ingredient_incompatibilities'))
+    addEdge(incompatible, row.ingredient_id, row.incompatible_with_id);
+
+  const { maxIngredients } = await tx.get('SELECT MIN(max_ingredients) AS maxIngredients FROM sizes');
+
+  return findRuleViolations({ requires, incompatible, names, maxIngredients });
+};
+
+/**
+ * Identify a violation so the same one can be recognized before and after a write
+ * @param {Object} violation - Violation returned by findRuleViolations
+ * @returns {string} Key of the violation
+ */
+const violationKey = (violation) =>
+  [violation.constraintViolation, violation.ingredient, violation.required].join(':');
+
+/**
+ * Apply a change to the rules graph (or to the sizes) and reject it if it adds a violation
+ * Violations already present before the change (e.g. from seeded data) do not block it
+ * Throwing inside the transaction rolls the change back
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {Function} change - Async function performing the writes
+ * @returns {Promise<*>} Result of change
+ */
+const guardRulesGraph = async (tx, change) => {
+  const before = new Set((await rulesGraphViolations(tx)).map(violationKey));
+  const result = await change();
+  const introduced = (await rulesGraphViolations(tx)).find(violation => !before.has(violationKey(violation)));
+  if (introduced)
+    throw ruleViolationError(introduced);
+  return result;
+};
+
+/**
+ * Run a write statement, translating UNIQUE constraint failures
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {string} sql - Statement to run
+ * @param {Array} params - Statement parameters
+ * @param {string} entity - Entity description for error messages
+ * @param {string} value - Name/label being written
+ * @returns {Promise<Object>} Object with lastID and changes
+ */
+const runUnique = async (tx, sql, params, entity, value) => {
+  try {
+    return await tx.run(sql, params);
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('UNIQUE'))
+      throw duplicateNameError(entity, value);
+    throw err;
+  }
+};
+
+/**
+ * Store the dietary tags of a base dish or an ingredient as comma-separated lists
+ * @param {string} table - base_dishes or ingredients
+ * @param {string} entity - Entity name for the not found error
+ * @param {number} id - Row ID
+ * @param {Object} tags - { allergens, diets }
+ * @returns {Promise<Object>} { id, allergens, diets } as stored
+ */
+const setTags = (table, entity, id, { allergens, diets }) => {
+  const normalize = (tags) => [...new Set(tags)].sort();
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run(`UPDATE ${table} SET allergens=?, diets=? WHERE id=?`,
+      [normalize(allergens).join(','), normalize(diets).join(','), id]);
+    if (changes === 0)
+      throw new Error(`${entity} not found`);
+    return { id, allergens: normalize(allergens), diets: normalize(diets) };
+  });
+};
+
+/**
+ * Store the nutrition values of a size or an ingredient
+ * @param {string} table - sizes or ingredients
+ * @param {string} entity - Entity name for the not found error
+ * @param {number} id - Row ID
+ * @param {Object} nutrition - { kcal, protein, fat, carbs }
+ * @returns {Promise<Object>} { id, nutrition } as stored
+ */
+const setNutrition = (table, entity, id, { kcal, protein, fat, carbs }) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run(`UPDATE ${table} SET kcal=?, protein=?, fat=?, carbs=? WHERE id=?`,
+      [kcal, protein, fat, carbs, id]);
+    if (changes === 0)
+      throw new Error(`${entity} not found`);
+    return { id, nutrition: { kcal, protein, fat, carbs } };
+  });
+};
+
+// Nutrition of new sizes and ingredients, until it is set
+const NO_NUTRITION = { kcal: 0, protein: 0, fat: 0, carbs: 0 };
+
+// --- Base dishes ---
+
+/**
+ * Create a new base dish
+ * @param {string} name - Dish name (unique)
+ * @returns {Promise<Object>} Created base dish
+ */
+exports.createBaseDish = (name) => {
+  return runInTransaction(async (tx) => {
+    const { lastID } = await runUnique(tx, 'INSERT INTO base_dishes (name) VALUES (?)', [name], 'Dish', name);
+    return { id: lastID, name, allergens: [], diets: [] };
+  });
+};
+
+/**
+ * Rename a base dish
+ * Past orders keep the name they were placed with (snapshot)
+ * @param {number} id - Base dish ID
+ * @param {string} name - New dish name (unique)
+ * @returns {Promise<Object>} Updated base dish
+ */
+exports.updateBaseDish = (id, name) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await runUnique(tx, 'UPDATE base_dishes SET name=? WHERE id=?', [name, id], 'Dish', name);
+    if (changes === 0)
+      throw new Error('Dish not found');
+    return { id, name };
+  });
+};
+
+/**
+ * Set the allergens a base dish contains and the diets it suits
+ * Past orders keep the allergens they were placed with (snapshot)
+ * @param {number} id - Base dish ID
+ * @param {Object} tags - { allergens, diets } as lists of names from shared/dietary.mjs
+ * @returns {Promise<Object>} { id, allergens, diets } as stored (sorted, no repetitions)
+ */
+exports.setBaseDishTags = (id, tags) => setTags('base_dishes', 'Dish', id, tags);
+
+/**
+ * Delete a base dish that no order refers to
+ * @param {number} id - Base dish ID
+ * @returns {Promise<void>}
+ */
+exports.deleteBaseDish = (id) => {
+  return runInTransaction(async (tx) => {
+    const usage = await tx.get('SELECT COUNT(*) AS count FROM order_items WHERE base_dish_id=?', [id]);
+    if (usage.count > 0)
+      throw inUseError('Dish');
+
+    const { changes } = await tx.run('DELETE FROM base_dishes WHERE id=?', [id]);
+    if (changes === 0)
+      throw new Error('Dish not found');
+  });
+};
+
+// --- Sizes ---
+
+/**
+ * Create a new size
+ * @param {Object} size - Size with label, basePrice and maxIngredients
+ * @returns {Promise<Object>} Created size
+ */
+exports.createSize = ({ label, basePrice, maxIngredients }) => {
+  return runInTransaction(async (tx) => {
+    // A new smallest size must still fit every requirement chain
+    const { lastID } = await guardRulesGraph(tx, () => runUnique(tx,
+      'INSERT INTO sizes (label, base_price, max_ingredients) VALUES (?, ?, ?)',
+      [label, basePrice, maxIngredients], 'Size', label));
+    return { id: lastID, label, basePrice, maxIngredients, nutrition: { ...NO_NUTRITION } };
+  });
+};
+
+/**
+ * Update a size's label, price and ingredient capacity
+ * @param {number} id - Size ID
+ * @param {Object} size - Size with label, basePrice and maxIngredients
+ * @returns {Promise<Object>} Updated size
+ */
+exports.updateSize = (id, { label, basePrice, maxIngredients }) => {
+  return runInTransaction(async (tx) => {
+    // A smaller capacity must still fit every requirement chain
+    const { changes } = await guardRulesGraph(tx, () => runUnique(tx,
+      'UPDATE sizes SET label=?, base_price=?, max_ingredients=? WHERE id=?',
+      [label, basePrice, maxIngredients, id], 'Size', label));
+    if (changes === 0)
+      throw new Error('Size not found');
+    return { id, label, basePrice, maxIngredients };
+  });
+};
+
+/**
+ * Set the nutrition values of a plain dish of a size
+ * Past orders keep the nutrition they were placed with (snapshot)
+ * @param {number} id - Size ID
+ * @param {Object} nutrition - { kcal, protein, fat, carbs }: kcal and grams
+ * @returns {Promise<Object>} { id, nutrition }
+ */
+exports.setSizeNutrition = (id, nutrition) => setNutrition('sizes', 'Size', id, nutrition);
+
+/**
+ * Delete a size that no order refers to
+ * @param {number} id - Size ID
+ * @returns {Promise<void>}
+ */
+exports.deleteSize = (id) => {
+  return runInTransaction(async (tx) => {
+    const usage = await tx.get('SELECT COUNT(*) AS count FROM order_items WHERE size_id=?', [id]);
+    if (usage.count > 0)
+      throw inUseError('Size');
+
+    const { changes } = await tx.run('DELETE FROM sizes WHERE id=?', [id]);
+    if (changes === 0)
+      throw new Error('Size not found');
+  });
+};
+
+// --- Ingredients ---
+
+/**
+ * Create a new ingredient without requirements or incompatibilities
+ * Limited stock is recorded as the opening balance of its ledger
+ * @param {Object} ingredient - Ingredient with name, price and availability (null = unlimited)
+ * @param {number} createdBy - ID of the admin
+ * @returns {Promise<Object>} Created ingredient
+ */
+exports.createIngredient = ({ name, price, availability }, createdBy) => {
+  return runInTransaction(async (tx) => {
+    const { lastID } = await runUnique(tx,
+      'INSERT INTO ingredients (name, price, availability) VALUES (?, ?, ?)',
+      [name, price, availability], 'Ingredient', name);
+    if (availability !== null)
+      await recordMovement(tx, { ingredientId: lastID, quantity: availability, reason: 'opening', createdBy });
+    return { id: lastID, name, price, availability, reorderThreshold: null, allergens: [], diets: [], nutrition: { ...NO_NUTRITION }, requires: [], incompatible: [] };
+  });
+};
+
+/**
+ * Update an ingredient's name, price and availability
+ * Requirements and incompatibilities are left unchanged. A new limited availability is
+ * recorded in the ledger as an adjustment; switching to unlimited stock records an
+ * 'unlimited' event and switching back a new opening balance
+ * @param {number} id - Ingredient ID
+ * @param {Object} ingredient - Ingredient with name, price and availability (null = unlimited)
+ * @param {number} changedBy - ID of the admin
+ * @returns {Promise<Object>} Updated ingredient fields
+ */
+exports.updateIngredient = (id, { name, price, availability }, changedBy) => {
+  return runInTransaction(async (tx) => {
+    const previous = await tx.get('SELECT availability FROM ingredients WHERE id=?', [id]);
+    if (!previous)
+      throw new Error('Ingredient not found');
+
+    await runUnique(tx,
+      'UPDATE ingredients SET name=?, price=?, availability=? WHERE id=?',
+      [name, price, availability, id], 'Ingredient', name);
+
+    if (previous.availability !== null && availability === null)
+      await recordMovement(tx, { ingredientId: id, quantity: 0, reason: 'unlimited', note: 'Stock tracking stopped in the menu', createdBy: changedBy });
+    else if (previous.availability === null && availability !== null)
+      await recordMovement(tx, { ingredientId: id, quantity: availability, reason: 'opening', note: 'Stock tracking started in the menu', createdBy: changedBy });
+    else if (availability !== previous.availability)
+      await recordMovement(tx, { ingredientId: id, quantity: availability - previous.availability, reason: 'adjustment', note: 'Availability edited in the menu', createdBy: changedBy });
+    return { id, name, price, availability };
+  });
+};
+
+/**
+ * Set the stock level at or below which an ingredient raises a low-stock alert
+ * @param {number} id - Ingredient ID
+ * @param {number|null} threshold - Reorder threshold (null = no alerts)
+ * @returns {Promise<Object>} { id, reorderThreshold }
+ */
+exports.setReorderThreshold = (id, threshold) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run('UPDATE ingredients SET reorder_threshold=? WHERE id=?', [threshold, id]);
+    if (changes === 0)
+      throw new Error('Ingredient not found');
+    return { id, reorderThreshold: threshold };
+  });
+};
+
+/**
+ * Set the allergens an ingredient contains and the diets it suits
+ * @param {number} id - Ingredient ID
+ * @param {Object} tags - { allergens, diets } as lists of names from shared/dietary.mjs
+ * @returns {Promise<Object>} { id, allergens, diets } as stored (sorted, no repetitions)
+ */
+exports.setIngredientTags = (id, tags) => setTags('ingredients', 'Ingredient', id, tags);
+
+/**
+ * Set the nutrition values of the portion of an ingredient added to a dish
+ * @param {number} id - Ingredient ID
+ * @param {Object} nutrition - { kcal, protein, fat, carbs }: kcal and grams
+ * @returns {Promise<Object>} { id, nutrition }
+ */
+exports.setIngredientNutrition = (id, nutrition) => setNutrition('ingredients', 'Ingredient', id, nutrition);
+
+/**
+ * Delete an ingredient that no order refers to and that has no stock ledger
+ * The ledger is kept for reconciliation, so an ingredient whose stock was ever tracked stays.
+ * Its requirement and incompatibility rules (in both directions) are deleted too
+ * @param {number} id - Ingredient ID
+ * @returns {Promise<void>}
+ */
+exports.deleteIngredient = (id) => {
+  return runInTransaction(async (tx) => {
+    const usage = await tx.get('SELECT COUNT(*) AS count FROM order_item_ingredients WHERE ingredient_id=?', [id]);
+    if (usage.count > 0)
+      throw inUseError('Ingredient');
+    const movements = await tx.get('SELECT COUNT(*) AS count FROM stock_movements WHERE ingredient_id=?', [id]);
+    if (movements.count > 0) {
+      const err = new Error('Ingredient has a stock history and cannot be deleted');
+      err.constraintViolation = 'in_use';
+      throw err;
+    }
+
+    await tx.run('DELETE FROM ingredient_requirements WHERE ingredient_id=? OR required_id=?', [id, id]);
+    await tx.run('DELETE FROM ingredient_incompatibilities WHERE ingredient_id=? OR incompatible_with_id=?', [id, id]);
+
+    const { changes } = await tx.run('DELETE FROM ingredients WHERE id=?', [id]);
+    if (changes === 0)
+      throw new Error('Ingredient not found');
+  });
+};
+
+// --- Ingredient rules (requirements and incompatibilities) ---
+
+/**
+ * Check that both ingredients of a rule exist and are different
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {number} ingredientId - Ingredient the rule belongs to
+ * @param {number} otherId - Required / incompatible ingredient
+ * @returns {Promise<void>}
+ */
+const checkRuleIngredients = async (tx, ingredientId, otherId) => {
+  if (ingredientId === otherId) {
+    const err = new Error('An ingredient cannot have a rule with itself');
+    err.constraintViolation = 'self_reference';
+    throw err;
+  }
+  const { count } = await tx.get('SELECT COUNT(*) AS count FROM ingredients WHERE id IN (?, ?)', [ingredientId, otherId]);
+  if (count < 2)
+    throw new Error('Ingredient not found');
+};
+
+/**
+ * Build the error thrown when a rule already exists
+ * @returns {Error} Error with constraintViolation 'duplicate_rule'
+ */
+const duplicateRuleError = () => {
+  const err = new Error('This rule already exists');
+  err.constraintViolation = 'duplicate_rule';
+  return err;
+};
+
+/**
+ * Add a requirement: selecting ingredientId requires requiredId
+ * Rejected if it creates a cycle, a contradiction with an incompatibility
+ * or a chain that does not fit in the smallest size
+ * @param {number} ingredientId - Ingredient that gets the requirement
+ * @param {number} requiredId - Required ingredient
+ * @returns {Promise<void>}
+ */
+exports.addRequirement = (ingredientId, requiredId) => {
+  return runInTransaction(async (tx) => {
+    await checkRuleIngredients(tx, ingredientId, requiredId);
+
+    const existing = await tx.get('SELECT 1 FROM ingredient_requirements WHERE ingredient_id=? AND required_id=?', [ingredientId, requiredId]);
+    if (existing)
+      throw duplicateRuleError();
+
+    await guardRulesGraph(tx, () =>
+      tx.run('INSERT INTO ingredient_requirements (ingredient_id, required_id) VALUES (?, ?)', [ingredientId, requiredId]));
+  });
+};
+
+/**
+ * Remove a requirement
+ * @param {number} ingredientId - Ingredient that has the requirement
+ * @param {number} requiredId - Required ingredient
+ * @returns {Promise<void>}
+ */
+exports.removeRequirement = (ingredientId, requiredId) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run('DELETE FROM ingredient_requirements WHERE ingredient_id=? AND required_id=?', [ingredientId, requiredId]);
+    if (changes === 0)
+      throw new Error('Rule not found');
+  });
+};
+
+/**
+ * Add an incompatibility between two ingredients
+ * Stored in both directions, so each ingredient lists the other
+ * Rejected if some ingredient would then require two incompatible ingredients
+ * @param {number} ingredientId - First ingredient
+ * @param {number} otherId - Second ingredient
+ * @returns {Promise<void>}
+ */
+exports.addIncompatibility = (ingredientId, otherId) => {
+  return runInTransaction(async (tx) => {
+    await checkRuleIngredients(tx, ingredientId, otherId);
+
+    const existing = await tx.get(
+      'SELECT 1 FROM ingredient_incompatibilities WHERE (ingredient_id=? AND incompatible_with_id=?) OR (ingredient_id=? AND incompatible_with_id=?)',
+      [ingredientId, otherId, otherId, ingredientId]
+    );
+    if (existing)
+      throw duplicateRuleError();
+
+    await guardRulesGraph(tx, () =>
+      tx.run('INSERT INTO ingredient_incompatibilities (ingredient_id, incompatible_with_id) VALUES (?, ?), (?, ?)',
+        [ingredientId, otherId, otherId, ingredientId]));
+  });
+};
+
+/**
+ * Remove an incompatibility in both directions
+ * @param {number} ingredientId - First ingredient
+ * @param {number} otherId - Second ingredient
+ * @returns {Promise<void>}
+ */
+exports.removeIncompatibility = (ingredientId, otherId) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run(
+      'DELETE FROM ingredient_incompatibilities WHERE (ingredient_id=? AND incompatible_with_id=?) OR (ingredient_id=? AND incompatible_with_id=?)',
+      [ingredientId, otherId, otherId, ingredientId]
+    );
+    if (changes === 0)
+      throw new Error('Rule not found');
+  });
+};
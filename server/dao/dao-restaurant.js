@@ -3,11 +3,33 @@
 'use strict';
 
 const db = require('../db');
+const { runInTransaction } = require('../utils/transaction');
+const { recordMovement } = require('./dao-inventory');
+
+// Order lifecycle rules shared with the client (ES module, loaded with import())
+const loadOrderStatus = () => import('../../shared/order-status.mjs');
+
+// Nutrition totals shared with the client (ES module, loaded with import())
+const loadNutrition = () => import('../../shared/nutrition.mjs');
+
+/**
+ * Split a comma-separated tag column (allergens, diets) into a list
+ * @param {string|null} value - Column value ('' or null = none)
+ * @returns {Array<string>} Tags
+ */
+const splitTags = (value) => value ? value.split(',') : [];
+
+/**
+ * Read the nutrition columns of a size, ingredient or order item row
+ * @param {Object} row - Row with kcal, protein, fat and carbs
+ * @returns {Object} { kcal, protein, fat, carbs }
+ */
+const nutritionOf = (row) => ({ kcal: row.kcal, protein: row.protein, fat: row.fat, carbs: row.carbs });
 
 /**
  * Get all base dishes (pizza, pasta, salad, etc.)
  * Simple lookup for menu display and order configuration
- * @returns {Promise<Array>} Array of base dish objects
+ * @returns {Promise<Array>} Array of base dish objects with their allergens and diets
  */
 exports.getBaseDishes = () => {
   return new Promise((resolve, reject) => {
@@ -16,7 +38,9 @@ exports.getBaseDishes = () => {
       if (err) reject(err);
       else resolve(rows.map(row => ({
         id: row.id,
-        name: row.name
+        name: row.name,
+        allergens: splitTags(row.allergens),
+        diets: splitTags(row.diets)
       })));
     });
   });
@@ -25,7 +49,7 @@ exports.getBaseDishes = () => {
 /**
  * Get all available sizes with pricing and constraints
  * Provides size options with pricing and ingredient capacity limits
- * @returns {Promise<Array>} Array of size objects with pricing information
+ * @returns {Promise<Array>} Array of size objects with pricing information and the nutrition of the plain dish
  */
 exports.getSizes = () => {
   return new Promise((resolve, reject) => {
@@ -36,7 +60,8 @@ exports.getSizes = () => {
         id: row.id,
         label: row.label,
         basePrice: row.base_price,
-        maxIngredients: row.max_ingredients
+        maxIngredients: row.max_ingredients,
+        nutrition: nutritionOf(row)
       })));
     });
   });
@@ -63,7 +88,9 @@ exports.getDishById = (combinedId) => {
         s.base_price as price,
         s.max_ingredients as maxIngredients,
         bd.id as baseDishId,
-        s.id as sizeId
+        s.id as sizeId,
+        bd.allergens,
+        bd.diets
       FROM base_dishes bd
       JOIN sizes s ON s.id = ?
       WHERE bd.id = ?
@@ -78,7 +105,9 @@ exports.getDishById = (combinedId) => {
         price: row.price,
         maxIngredients: row.maxIngredients,
         baseDishId: row.baseDishId,
-        sizeId: row.sizeId
+        sizeId: row.sizeId,
+        allergens: splitTags(row.allergens), // Of the base dish
+        diets: splitTags(row.diets)
       });
     });
   });
@@ -100,6 +129,13 @@ exports.getAllIngredients = () => {
         i.name,
         i.price,
         i.availability,
+        i.reorder_threshold,
+        i.allergens,
+        i.diets,
+        i.kcal,
+        i.protein,
+        i.fat,
+        i.carbs,
         GROUP_CONCAT(DISTINCT req.name) as requires,
         GROUP_CONCAT(DISTINCT inc.name) as incompatible
       FROM ingredients i
@@ -107,7 +143,8 @@ exports.getAllIngredients = () => {
       LEFT JOIN ingredients req ON ir.required_id = req.id
       LEFT JOIN ingredient_incompatibilities ii ON i.id = ii.ingredient_id
       LEFT JOIN ingredients inc ON ii.incompatible_with_id = inc.id
-      GROUP BY i.id, i.name, i.price, i.availability
+      GROUP BY i.id, i.name, i.price, i.availability, i.reorder_threshold, i.allergens, i.diets,
+        i.kcal, i.protein, i.fat, i.carbs
       ORDER BY i.name
     `;
     db.all(sql, [], (err, rows) => {
@@ -117,6 +154,10 @@ exports.getAllIngredients = () => {
         name: row.name,
         price: row.price,
         availability: row.availability,
+        reorderThreshold: row.reorder_threshold, // "Only N left" at or below this stock
+        allergens: splitTags(row.allergens),
+        diets: splitTags(row.diets),
+        nutrition: nutritionOf(row), // Of the portion added to a dish
         // Convert comma-separated strings to arrays for easier frontend handling
         requires: row.requires ? row.requires.split(',') : [],
         incompatible: row.incompatible ? row.incompatible.split(',') : []
@@ -126,238 +167,394 @@ exports.getAllIngredients = () => {
 };
 
 /**
- * Get all orders for a specific user with full details
- * Fetches orders and their ingredients in separate queries for better performance
- * Calculates total prices including ingredient costs
- * @param {number} userId - ID of the user whose orders to retrieve
- * @returns {Promise<Array>} Array of order objects with full details
+ * Load orders matching a condition with full details
+ * Loads orders, their items, the items' ingredients and the status history with four flat queries
+ * Uses the names and prices snapshotted at purchase time, not the current menu
+ * @param {string} condition - SQL condition on the orders table, aliased as o
+ * @param {Array} params - Parameters of the condition
+ * @param {string} ordering - ORDER BY clause for the orders
+ * @returns {Promise<Array>} Array of order objects with their items
  */
-exports.getUserOrders = (userId) => {
+const loadOrders = (condition, params, ordering) => {
   return new Promise((resolve, reject) => {
-    // First query: get basic order information with dish details
-    const sql = `
-      SELECT 
-        o.id,
-        o.user_id,
-        o.created_at as order_date,
-        o.status,
-        bd.name as dish_name,
-        s.label as dish_size,
-        s.base_price as dish_price
+    // First query: order headers, with the customer's name for the kitchen
+    const ordersSql = `
+      SELECT o.id, o.user_id, u.name as customer_name, o.created_at as order_date, o.status
       FROM orders o
-      JOIN base_dishes bd ON o.base_dish_id = bd.id
-      JOIN sizes s ON o.size_id = s.id
-      WHERE o.user_id = ?
-      ORDER BY o.created_at DESC
+      JOIN users u ON u.id = o.user_id
+      WHERE ${condition}
+      ORDER BY ${ordering}
     `;
-    
-    db.all(sql, [userId], (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      // No orders found for this user
-      if (rows.length === 0) {
-        resolve([]);
-        return;
-      }
-      
-      // For each order, fetch its ingredients separately to avoid complex JOINs
-      let processedOrders = 0;
-      const orders = [];
-      
-      rows.forEach(row => {
-        // Second query: get ingredients for this specific order
-        const ingredientsSql = `
-          SELECT i.name, i.price
-          FROM order_ingredients oi
-          JOIN ingredients i ON oi.ingredient_id = i.id
-          WHERE oi.order_id = ?
-        `;
-        
-        db.all(ingredientsSql, [row.id], (err, ingredientRows) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          // Process ingredient data and calculate total price
-          const ingredients = ingredientRows.map(ing => ing.name);
-          const ingredientPrices = ingredientRows.map(ing => ing.price);
-          const totalPrice = row.dish_price + ingredientPrices.reduce((sum, price) => sum + price, 0);
-          
-          // Build complete order object with all details
-          orders.push({
-            id: row.id,
-            userId: row.user_id,
-            dishName: row.dish_name,
-            dishSize: row.dish_size,
-            dishPrice: row.dish_price,
-            totalPrice: totalPrice,
-            orderDate: row.order_date,
-            status: row.status,
-            ingredients: ingredients,
-            ingredientPrices: ingredientPrices
+    // Second query: configured dishes of those orders
+    const itemsSql = `
+      SELECT oi.id, oi.order_id, oi.quantity, oi.dish_name, oi.size_label, oi.base_price, oi.allergens,
+        oi.kcal, oi.protein, oi.fat, oi.carbs
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE ${condition}
+      ORDER BY oi.id
+    `;
+    // Third query: ingredients of each configured dish
+    const ingredientsSql = `
+      SELECT oii.order_item_id, oii.ingredient_name as name, oii.unit_price as price
+      FROM order_item_ingredients oii
+      JOIN order_items oi ON oii.order_item_id = oi.id
+      JOIN orders o ON oi.order_id = o.id
+      WHERE ${condition}
+      ORDER BY oii.ingredient_name
+    `;
+    // Fourth query: status transitions of those orders
+    const historySql = `
+      SELECT h.order_id, h.status, h.changed_at
+      FROM order_status_history h
+      JOIN orders o ON h.order_id = o.id
+      WHERE ${condition}
+      ORDER BY h.id
+    `;
+
+    db.all(ordersSql, params, (err, orderRows) => {
+      if (err) return reject(err);
+      db.all(itemsSql, params, (err, itemRows) => {
+        if (err) return reject(err);
+        db.all(ingredientsSql, params, (err, ingredientRows) => {
+          if (err) return reject(err);
+          db.all(historySql, params, (err, historyRows) => {
+            if (err) return reject(err);
+            loadNutrition()
+              .then(nutrition => resolve(buildOrders(orderRows, itemRows, ingredientRows, historyRows, nutrition)))
+              .catch(reject);
           });
-          
-          processedOrders++;
-          // When all orders are processed, sort and return
-          if (processedOrders === rows.length) {
-            orders.sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
-            resolve(orders);
-          }
         });
       });
-    })
+    });
   });
 };
 
 /**
- * Create a new order with ingredients and update availability
- * Handles transaction-like behavior by inserting order and updating ingredient availability
- * Processes each ingredient individually to handle availability constraints
- * @param {number} userId - ID of the user placing the order
- * @param {string} dishId - Combined dish ID (baseDishId_sizeId)
- * @param {Array<number>} ingredientIds - Array of ingredient IDs to include
- * @returns {Promise<Object>} Created order object with ID
+ * Get all orders for a specific user with full details, newest first
+ * @param {number} userId - ID of the user whose orders to retrieve
+ * @returns {Promise<Array>} Array of order objects with their items
  */
-exports.createOrder = (userId, dishId, ingredientIds) => {
+exports.getUserOrders = (userId) =>
+  loadOrders('o.user_id = ?', [userId], 'o.created_at DESC, o.id DESC');
+
+/**
+ * Get the configuration of each dish of an order, to order it again
+ * Ingredients come in the order they were chosen, with the names they had at purchase time
+ * @param {number} orderId - Order ID
+ * @param {number} userId - ID of the user, who must own the order
+ * @returns {Promise<Array|null>} Items as { baseDishId, sizeId, dishName, sizeLabel, quantity,
+ *   ingredients: [{ id, name }] }, or null if the user has no order with this ID
+ */
+exports.getOrderConfiguration = (orderId, userId) => {
   return new Promise((resolve, reject) => {
-    // Extract base dish and size IDs from combined dish ID
-    const [baseDishId, sizeId] = dishId.split('_');
-    
-    // Insert main order record with 'confirmed' status
-    const orderSql = 'INSERT INTO orders (user_id, base_dish_id, size_id, status) VALUES (?, ?, ?, ?)';
-    db.run(orderSql, [userId, baseDishId, sizeId, 'confirmed'], function(err) {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      const orderId = this.lastID; // SQLite provides auto-generated ID
-      
-      // If no ingredients selected, order is complete
-      if (ingredientIds.length === 0) {
-        resolve({ id: orderId });
-        return;
-      }
-      
-      // Process each ingredient: add to order and update availability
-      let completed = 0;
-      let hasError = false;
-      
-      ingredientIds.forEach(ingredientId => {
-        if (hasError) return; // Skip remaining if error occurred
-        
-        // Insert ingredient-order relationship
-        const orderIngSql = 'INSERT INTO order_ingredients (order_id, ingredient_id) VALUES (?, ?)';
-        db.run(orderIngSql, [orderId, ingredientId], (err) => {
-          if (err) {
-            hasError = true;
-            reject(err);
-            return;
-          }
-          
-          // Update ingredient availability (only if it has limited availability)
-          // Prevents negative availability and only updates when constraint exists
-          const updateSql = `
-            UPDATE ingredients 
-            SET availability = availability - 1 
-            WHERE id = ? AND availability IS NOT NULL AND availability > 0
-          `;
-          db.run(updateSql, [ingredientId], (err) => {
-            if (err) {
-              hasError = true;
-              reject(err);
-              return;
-            }
-            
-            completed++;
-            // Resolve when all ingredients have been processed
-            if (completed === ingredientIds.length) {
-              resolve({ id: orderId });
-            }
-          });
-        });
+    const itemsSql = `
+      SELECT oi.id, oi.base_dish_id, oi.size_id, oi.dish_name, oi.size_label, oi.quantity
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE o.id = ? AND o.user_id = ?
+      ORDER BY oi.id
+    `;
+    const ingredientsSql = `
+      SELECT oii.order_item_id, oii.ingredient_id, oii.ingredient_name
+      FROM order_item_ingredients oii
+      JOIN order_items oi ON oii.order_item_id = oi.id
+      WHERE oi.order_id = ?
+      ORDER BY oii.rowid
+    `;
+    db.all(itemsSql, [orderId, userId], (err, itemRows) => {
+      if (err) return reject(err);
+      if (itemRows.length === 0) return resolve(null);
+      db.all(ingredientsSql, [orderId], (err, ingredientRows) => {
+        if (err) return reject(err);
+        resolve(itemRows.map(row => ({
+          baseDishId: row.base_dish_id,
+          sizeId: row.size_id,
+          dishName: row.dish_name,
+          sizeLabel: row.size_label,
+          quantity: row.quantity,
+          ingredients: ingredientRows
+            .filter(ing => ing.order_item_id === row.id)
+            .map(ing => ({ id: ing.ingredient_id, name: ing.ingredient_name }))
+        })));
       });
     });
   });
 };
 
+/**
+ * Get the open orders of every customer for the kitchen, oldest first
+ * @param {Array<string>} statuses - Statuses that count as open
+ * @returns {Promise<Array>} Array of order objects with their items and customer name
+ */
+exports.getOrdersByStatus = (statuses) =>
+  loadOrders(`o.status IN (${statuses.map(() => '?').join(', ')})`, statuses, 'o.created_at, o.id');
+
+/**
+ * Round a monetary amount to cents to avoid floating point noise in totals
+ * @param {number} amount - Amount in euros
+ * @returns {number} Amount rounded to two decimals
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Assemble order objects from flat order, item and ingredient rows
+ * Item price = (base price + ingredient prices) * quantity; order total = sum of items
+ * Allergens are null for dishes ordered before they were recorded; an order lists those of its recorded dishes
+ * Nutrition is null for dishes ordered before it was recorded, and for orders with any such dish
+ * @param {Array} orderRows - Rows from the orders table
+ * @param {Array} itemRows - Rows from the order_items table
+ * @param {Array} ingredientRows - Rows from the order_item_ingredients table
+ * @param {Array} historyRows - Rows from the order_status_history table, oldest first
+ * @param {Object} nutrition - Helpers from shared/nutrition.mjs
+ * @returns {Array} Order objects with nested items and status history
+ */
+const buildOrders = (orderRows, itemRows, ingredientRows, historyRows, { scaleNutrition, sumNutrition }) => {
+  const items = itemRows.map(row => {
+    const itemIngredients = ingredientRows.filter(ing => ing.order_item_id === row.id);
+    const ingredientPrices = itemIngredients.map(ing => ing.price);
+    const unitPrice = row.base_price + ingredientPrices.reduce((sum, price) => sum + price, 0);
+    const unitNutrition = row.kcal === null ? null : nutritionOf(row);
+    return {
+      id: row.id,
+      orderId: row.order_id,
+      dishName: row.dish_name,
+      dishSize: row.size_label,
+      dishPrice: row.base_price,
+      quantity: row.quantity,
+      ingredients: itemIngredients.map(ing => ing.name),
+      ingredientPrices: ingredientPrices,
+      allergens: row.allergens === null ? null : splitTags(row.allergens),
+      unitPrice: roundPrice(unitPrice),
+      totalPrice: roundPrice(unitPrice * row.quantity),
+      unitNutrition,
+      totalNutrition: unitNutrition && scaleNutrition(unitNutrition, row.quantity)
+    };
+  });
+
+  return orderRows.map(row => {
+    const orderItems = items.filter(item => item.orderId === row.id);
+    const recorded = orderItems.filter(item => item.allergens !== null);
+    return {
+      id: row.id,
+      userId: row.user_id,
+      customerName: row.customer_name,
+      orderDate: row.order_date,
+      status: row.status,
+      history: historyRows
+        .filter(entry => entry.order_id === row.id)
+        .map(entry => ({ status: entry.status, changedAt: entry.changed_at })),
+      items: orderItems,
+      allergens: recorded.length > 0 ? [...new Set(recorded.flatMap(item => item.allergens))].sort() : null,
+      totalPrice: roundPrice(orderItems.reduce((sum, item) => sum + item.totalPrice, 0)),
+      totalNutrition: orderItems.every(item => item.totalNutrition)
+        ? sumNutrition(orderItems.map(item => item.totalNutrition))
+        : null
+    };
+  });
+};
+
+/**
+ * Build the error raised when stock runs out while an order is being written
+ * Carries the same constraint information the order routes return to the client
+ * @param {Array<string>} unavailableIngredients - Names of exhausted ingredients
+ * @returns {Error} Error tagged with the availability_changed constraint
+ */
+const availabilityChangedError = (unavailableIngredients) => {
+  const err = new Error(`The following ingredients became unavailable: ${unavailableIngredients.join(', ')}. Please refresh and try again.`);
+  err.constraintViolation = 'availability_changed';
+  err.unavailableIngredients = unavailableIngredients;
+  return err;
+};
+
+// Records one lifecycle step of an order
+const insertHistorySql = 'INSERT INTO order_status_history (order_id, status, changed_by) VALUES (?, ?, ?)';
+
+/**
+ * Create a new order containing one or more configured dishes
+ * Inserts the order, its items and decrements stock (recording it in the ledger) as a single atomic transaction:
+ * if any ingredient ran out in the meantime nothing is written at all.
+ * Dish and ingredient names and prices are copied onto the order item rows, with the allergens
+ * and the nutrition of each dish
+ * @param {number} userId - ID of the user placing the order
+ * @param {Array<Object>} items - Items as { baseDishId, sizeId, quantity, ingredientIds }
+ * @returns {Promise<Object>} Created order object with ID, snapshotted total price and total nutrition
+ */
+exports.createOrder = async (userId, items) => {
+  const { dishNutrition, scaleNutrition, sumNutrition } = await loadNutrition();
+  return runInTransaction(async (tx) => {
+    // Insert main order record with 'received' status, the start of its lifecycle
+    const orderSql = 'INSERT INTO orders (user_id, status) VALUES (?, ?)';
+    const { lastID: orderId } = await tx.run(orderSql, [userId, 'received']);
+    await tx.run(insertHistorySql, [orderId, 'received', userId]);
+
+    const stockUsage = new Map(); // ingredient ID -> units consumed by the whole order
+    let totalPrice = 0;
+    const itemNutrition = []; // Nutrition of each item, all its dishes included
+
+    for (const item of items) {
+      // Snapshot dish name, size label and base price as they are right now
+      const dishSql = `
+        SELECT bd.name as dish_name, s.label as size_label, s.base_price, bd.allergens,
+          s.kcal, s.protein, s.fat, s.carbs
+        FROM base_dishes bd, sizes s
+        WHERE bd.id = ? AND s.id = ?
+      `;
+      const dish = await tx.get(dishSql, [item.baseDishId, item.sizeId]);
+      if (!dish)
+        throw new Error('Invalid dish');
+
+      // Ingredients as they are right now; the dish contains the allergens of its base and of each of them
+      const ingredients = [];
+      for (const ingredientId of item.ingredientIds) {
+        const ingredient = await tx.get('SELECT id, name, price, allergens, kcal, protein, fat, carbs FROM ingredients WHERE id = ?', [ingredientId]);
+        if (!ingredient)
+          throw new Error(`Invalid ingredient: ${ingredientId}`);
+        ingredients.push(ingredient);
+      }
+      const allergens = [...new Set([dish, ...ingredients].flatMap(row => splitTags(row.allergens)))].sort();
+      const nutrition = dishNutrition(
+        { nutrition: nutritionOf(dish) },
+        ingredients.map(ingredient => ({ nutrition: nutritionOf(ingredient) }))
+      );
+      itemNutrition.push(scaleNutrition(nutrition, item.quantity));
+
+      const itemSql = `
+        INSERT INTO order_items (order_id, base_dish_id, size_id, quantity, dish_name, size_label, base_price, allergens,
+          kcal, protein, fat, carbs)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const { lastID: itemId } = await tx.run(itemSql, [orderId, item.baseDishId, item.sizeId, item.quantity, dish.dish_name, dish.size_label, dish.base_price, allergens.join(','),
+        nutrition.kcal, nutrition.protein, nutrition.fat, nutrition.carbs]);
+
+      let unitPrice = dish.base_price;
+      for (const ingredient of ingredients) {
+        // Insert ingredient-item relationship with the price paid
+        const itemIngSql = 'INSERT INTO order_item_ingredients (order_item_id, ingredient_id, ingredient_name, unit_price) VALUES (?, ?, ?, ?)';
+        await tx.run(itemIngSql, [itemId, ingredient.id, ingredient.name, ingredient.price]);
+
+        unitPrice += ingredient.price;
+        stockUsage.set(ingredient.id, (stockUsage.get(ingredient.id) || 0) + item.quantity);
+      }
+      totalPrice += unitPrice * item.quantity;
+    }
+
+    // Decrement limited stock by the combined usage, only if enough is left
+    const unavailableIngredients = [];
+    for (const [ingredientId, units] of stockUsage) {
+      const updateSql = `
+        UPDATE ingredients 
+        SET availability = availability - ? 
+        WHERE id = ? AND availability IS NOT NULL AND availability >= ?
+      `;
+      const { changes } = await tx.run(updateSql, [units, ingredientId, units]);
+      if (changes > 0)
+        await recordMovement(tx, { ingredientId, quantity: -units, reason: 'order', orderId, createdBy: userId });
+
+      // No row updated: either unlimited stock (fine) or not enough left (lost the race)
+      if (changes === 0) {
+        const ingredient = await tx.get('SELECT name, availability FROM ingredients WHERE id = ?', [ingredientId]);
+        if (ingredient.availability !== null)
+          unavailableIngredients.push(ingredient.name);
+      }
+    }
+
+    // Throwing rolls back the order rows and every decrement made above
+    if (unavailableIngredients.length > 0)
+      throw availabilityChangedError(unavailableIngredients);
+
+    return { id: orderId, totalPrice: roundPrice(totalPrice), totalNutrition: sumNutrition(itemNutrition) };
+  });
+};
+
+/**
+ * Move an order to a new status inside an open transaction
+ * Checks the transition against the shared lifecycle rules, records it in the history
+ * and gives the ingredients back to stock (recorded in the ledger) when the order will never be prepared
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {Object} order - Order row with id, user_id and status
+ * @param {string} status - New status
+ * @param {number} changedBy - ID of the user making the change
+ * @returns {Promise<Object>} Updated order as { id, userId, status, changedAt }
+ */
+const changeOrderStatus = async (tx, order, status, changedBy) => {
+  const { canTransition, releasesStock, STATUS_LABELS } = await loadOrderStatus();
+  if (!canTransition(order.status, status)) {
+    const err = new Error(`Order #${order.id} is ${STATUS_LABELS[order.status].toLowerCase()} and cannot become ${STATUS_LABELS[status].toLowerCase()}`);
+    err.constraintViolation = 'invalid_transition';
+    err.status = order.status;
+    throw err;
+  }
+
+  // The status condition keeps a concurrent change from being overwritten
+  const { changes } = await tx.run('UPDATE orders SET status = ? WHERE id = ? AND status = ?', [status, order.id, order.status]);
+  if (changes === 0)
+    throw new Error('Order not found');
+  const { lastID: historyId } = await tx.run(insertHistorySql, [order.id, status, changedBy]);
+  const { changed_at: changedAt } = await tx.get('SELECT changed_at FROM order_status_history WHERE id = ?', [historyId]);
+
+  if (releasesStock(status)) {
+    // Give back every unit the order's items consumed (quantity per item)
+    const usageSql = `
+      SELECT oii.ingredient_id, SUM(oi.quantity) as units
+      FROM order_items oi
+      JOIN order_item_ingredients oii ON oii.order_item_id = oi.id
+      WHERE oi.order_id = ?
+      GROUP BY oii.ingredient_id
+    `;
+    const usage = await tx.all(usageSql, [order.id]);
+
+    const restoreAvailabilitySql = `
+      UPDATE ingredients 
+      SET availability = availability + ? 
+      WHERE id = ? AND availability IS NOT NULL
+    `;
+    for (const row of usage) {
+      const { changes: restored } = await tx.run(restoreAvailabilitySql, [row.units, row.ingredient_id]);
+      // Only limited stock is restored, so only limited stock gets a ledger entry
+      if (restored > 0)
+        await recordMovement(tx, {
+          ingredientId: row.ingredient_id,
+          quantity: row.units,
+          reason: status === 'cancelled' ? 'cancellation' : 'rejection',
+          orderId: order.id,
+          createdBy: changedBy
+        });
+    }
+  }
+
+  return { id: order.id, userId: order.user_id, status, changedAt };
+};
+
 /**
  * Cancel an order and restore ingredient availability
- * Only confirmed orders can be cancelled, and ingredient availability is restored
- * Implements reverse operation of order creation for availability management
+ * Only the owner can cancel, and only before preparation starts; status change and stock restore are atomic
  * @param {number} orderId - ID of the order to cancel
  * @param {number} userId - ID of the user (for security check)
- * @returns {Promise<void>} Promise that resolves when cancellation is complete
+ * @returns {Promise<Object>} Updated order as { id, userId, status, changedAt }
  */
 exports.cancelOrder = (orderId, userId) => {
-  return new Promise((resolve, reject) => {
-    // First, retrieve ingredients from the order to restore their availability
-    const getIngredientsSql = `
-      SELECT ingredient_id 
-      FROM order_ingredients
-      WHERE order_id = ?
-    `;
-    
-    db.all(getIngredientsSql, [orderId], (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      
-      // Update order status to cancelled (with security check)
-      // Only allows cancellation of confirmed orders by the order owner
-      const updateOrderSql = 'UPDATE orders SET status = ? WHERE id = ? AND user_id = ? AND status = ?';
-      db.run(updateOrderSql, ['cancelled', orderId, userId, 'confirmed'], function(err) {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        // Check if the order was actually updated (exists and was confirmed)
-        if (this.changes === 0) {
-          reject(new Error('Order not found or cannot be cancelled'));
-          return;
-        }
-        
-        // If no ingredients to restore, cancellation is complete
-        if (rows.length === 0) {
-          resolve();
-          return;
-        }
-        
-        // Restore availability for each ingredient that was used in the order
-        let completed = 0;
-        let hasError = false;
-        
-        rows.forEach(row => {
-          if (hasError) return; // Skip remaining if error occurred
-          
-          // Increment availability for ingredients that have availability tracking
-          const restoreAvailabilitySql = `
-            UPDATE ingredients 
-            SET availability = availability + 1 
-            WHERE id = ? AND availability IS NOT NULL
-          `;
-          
-          db.run(restoreAvailabilitySql, [row.ingredient_id], (err) => {
-            if (err) {
-              hasError = true;
-              reject(err);
-              return;
-            }
-            
-            completed++;
-            // Resolve when all ingredient availabilities have been restored
-            if (completed === rows.length) {
-              resolve();
-            }
-          });
-        });
-      });
-    });
+  return runInTransaction(async (tx) => {
+    // Other users' orders are reported as not found
+    const order = await tx.get('SELECT id, user_id, status FROM orders WHERE id = ? AND user_id = ?', [orderId, userId]);
+    if (!order)
+      throw new Error('Order not found');
+    return changeOrderStatus(tx, order, 'cancelled', userId);
+  });
+};
+
+/**
+ * Move any order to a new status (kitchen staff)
+ * @param {number} orderId - ID of the order
+ * @param {string} status - New status
+ * @param {number} changedBy - ID of the staff member making the change
+ * @returns {Promise<Object>} Updated order as { id, userId, status, changedAt }
+ */
+exports.updateOrderStatus = (orderId, status, changedBy) => {
+  return runInTransaction(async (tx) => {
+    const order = await tx.get('SELECT id, user_id, status FROM orders WHERE id = ?', [orderId]);
+    if (!order)
+      throw new Error('Order not found');
+    return changeOrderStatus(tx, order, status, changedBy);
   });
 };
@@ -4,6 +4,95 @@
 
 const db = require('../db');
 const crypto = require('crypto');
+const { runInTransaction } = require('../utils/transaction');
+
+// Recovery codes issued per 2FA enrollment
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I look-alikes
+
+/**
+ * Generate a random recovery code formatted as "XXXXX-XXXXX" (50 bits of entropy)
+ * @returns {string} Recovery code
+ */
+const generateRecoveryCode = () => {
+  const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % 32]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+/**
+ * Hash a recovery code for storage or lookup
+ * Codes are random rather than user-chosen, so a plain SHA-256 is enough (no salt needed)
+ * Spaces, dashes and letter case typed by the user are ignored
+ * @param {string} code - Recovery code as issued or typed
+ * @returns {string} Hex digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Replace all recovery codes of a user with a fresh set inside a transaction
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} The new plain-text codes (shown to the user once)
+ */
+const replaceRecoveryCodes = async (tx, userId) => {
+  await tx.run('DELETE FROM recovery_codes WHERE user_id=?', [userId]);
+
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  for (const code of codes)
+    await tx.run('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, hashRecoveryCode(code)]);
+  return codes;
+};
+
+/**
+ * Hash a password with a new random salt (scrypt, 32-byte key)
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} { hash, salt } as hex strings
+ */
+const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 32, (err, hashedPassword) => {
+      if (err) reject(err);
+      else resolve({ hash: hashedPassword.toString('hex'), salt });
+    });
+  });
+};
+
+/**
+ * Check a password against a stored hash using a timing-safe comparison
+ * @param {Object} row - users row with hash and salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+const verifyPassword = (row, password) => {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, row.salt, 32, (err, hashedPassword) => {
+      if (err) reject(err);
+      else resolve(crypto.timingSafeEqual(Buffer.from(row.hash, 'hex'), hashedPassword));
+    });
+  });
+};
+
+/**
+ * Hash a password reset token for storage or lookup
+ * Tokens are random, so a plain SHA-256 is enough (no salt needed)
+ * @param {string} token - Token as sent to the user
+ * @returns {string} Hex digest
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Read the dietary profile stored on a users row
+ * @param {Object} row - users row
+ * @returns {Object} { diet, allergens }: diet to follow (null = none) and allergens to avoid
+ */
+const dietaryProfileOf = (row) => ({
+  diet: row.diet,
+  allergens: row.allergens ? row.allergens.split(',') : []
+});
 
 /**
  * Get user by ID for session management
@@ -22,12 +111,15 @@ exports.getUserById = (id) => {
         resolve({ error: 'User not found.' });
       else {
         // Passport expects a "username" property (set to email)
-        // Include TOTP secret for 2FA functionality
+        // Include TOTP secrets for 2FA functionality and enrollment
         const user = { 
           id: row.id, 
           username: row.email, 
           name: row.name, 
-          secret: row.secret 
+          secret: row.secret,
+          pendingSecret: row.pending_secret,
+          role: row.role,
+          dietaryProfile: dietaryProfileOf(row)
         };
         resolve(user);
       }
@@ -59,7 +151,9 @@ exports.getUser = (email, password) => {
           id: row.id, 
           username: row.email, 
           name: row.name, 
-          secret: row.secret 
+          secret: row.secret,
+          role: row.role,
+          dietaryProfile: dietaryProfileOf(row)
         };
         
         // Verify password using scrypt with stored salt
@@ -76,3 +170,205 @@ exports.getUser = (email, password) => {
     });
   });
 };
+
+/**
+ * Create a new user account with a salted scrypt password hash
+ * Uses the same hashing scheme verified by getUser (random salt, 32-byte key)
+ * New accounts have no TOTP secret, so they start without 2FA
+ * @param {string} email - User email (must be unique)
+ * @param {string} name - Display name
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} Created user object without sensitive data
+ */
+exports.createUser = async (email, name, password) => {
+  const { hash, salt } = await hashPassword(password);
+  try {
+    const { lastID } = await runInTransaction(tx =>
+      tx.run('INSERT INTO users (email, name, hash, salt) VALUES (?, ?, ?, ?)', [email, name, hash, salt]));
+    return { id: lastID, username: email, name: name, secret: null, role: 'customer', dietaryProfile: { diet: null, allergens: [] } };
+  } catch (err) {
+    // UNIQUE constraint on users.email
+    if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('users.email')) {
+      const duplicate = new Error('Email already registered');
+      duplicate.constraintViolation = 'email_taken';
+      throw duplicate;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Change the password of a user who knows the current one
+ * @param {number} id - User ID
+ * @param {string} currentPassword - Current plain text password
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<boolean>} False if the current password is wrong (nothing changed)
+ */
+exports.changePassword = async (id, currentPassword, newPassword) => {
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT hash, salt FROM users WHERE id=?', [id], (err, row) => err ? reject(err) : resolve(row));
+  });
+  if (!row || !(await verifyPassword(row, currentPassword)))
+    return false;
+
+  const { hash, salt } = await hashPassword(newPassword);
+  await runInTransaction(async (tx) => {
+    await tx.run('UPDATE users SET hash=?, salt=? WHERE id=?', [hash, salt, id]);
+    await tx.run('DELETE FROM password_reset_tokens WHERE user_id=?', [id]); // Pending links are no longer needed
+  });
+  return true;
+};
+
+/**
+ * Issue a password reset token for an account
+ * Replaces the previous tokens of the user; only the token's hash is stored
+ * @param {string} email - Email address of the account
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {Promise<Object|null>} { user: { id, username, name }, token }, or null if no account has this email
+ */
+exports.createPasswordResetToken = (email, ttlMs) => {
+  return runInTransaction(async (tx) => {
+    const row = await tx.get('SELECT id, email, name FROM users WHERE email=?', [email]);
+    if (!row)
+      return null;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await tx.run('DELETE FROM password_reset_tokens WHERE user_id=?', [row.id]);
+    await tx.run('INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [row.id, hashResetToken(token), Date.now() + ttlMs]);
+    return { user: { id: row.id, username: row.email, name: row.name }, token };
+  });
+};
+
+/**
+ * Find the account a valid (unused, not expired) reset token belongs to
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<Object|null>} The user as { id, username }, or null
+ */
+exports.findPasswordResetUser = (token) => {
+  return new Promise((resolve, reject) => {
+    const sql = `SELECT u.id, u.email FROM password_reset_tokens t JOIN users u ON u.id = t.user_id
+                 WHERE t.token_hash=? AND t.used_at IS NULL AND t.expires_at > ?`;
+    db.get(sql, [hashResetToken(token), Date.now()], (err, row) => {
+      if (err) reject(err);
+      else resolve(row ? { id: row.id, username: row.email } : null);
+    });
+  });
+};
+
+/**
+ * Set a new password with a reset token
+ * The token must be unused and not expired; it is spent in the same transaction
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<Object|null>} The user as { id, username }, or null if the token is not valid
+ */
+exports.resetPassword = async (token, newPassword) => {
+  const { hash, salt } = await hashPassword(newPassword);
+  return runInTransaction(async (tx) => {
+    const row = await tx.get(`
+      SELECT t.id, t.user_id, u.email FROM password_reset_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash=? AND t.used_at IS NULL AND t.expires_at > ?
+    `, [hashResetToken(token), Date.now()]);
+    if (!row)
+      return null;
+
+    await tx.run('UPDATE password_reset_tokens SET used_at=CURRENT_TIMESTAMP WHERE id=?', [row.id]);
+    await tx.run('UPDATE users SET hash=?, salt=? WHERE id=?', [hash, salt, row.user_id]);
+    return { id: row.user_id, username: row.email };
+  });
+};
+
+/**
+ * Save the dietary profile of a user
+ * @param {number} id - User ID
+ * @param {Object} profile - { diet, allergens }: diet from shared/dietary.mjs or null, allergens to avoid
+ * @returns {Promise<Object>} Profile as stored (allergens sorted, no repetitions)
+ */
+exports.setDietaryProfile = (id, { diet, allergens }) => {
+  const profile = { diet, allergens: [...new Set(allergens)].sort() };
+  return runInTransaction(tx => tx.run('UPDATE users SET diet=?, allergens=? WHERE id=?', [diet, profile.allergens.join(','), id]))
+    .then(() => profile);
+};
+
+/**
+ * Store a newly generated TOTP secret as pending enrollment
+ * Replaces any previous pending secret; the active secret is untouched
+ * @param {number} id - User ID
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {Promise<void>}
+ */
+exports.setPendingTotpSecret = (id, secret) => {
+  return runInTransaction(tx => tx.run('UPDATE users SET pending_secret=? WHERE id=?', [secret, id]))
+    .then(() => {});
+};
+
+/**
+ * Activate the pending TOTP secret after the user confirmed it with a valid code
+ * Issues a new set of recovery codes in the same transaction
+ * @param {number} id - User ID
+ * @returns {Promise<Array<string>|null>} New recovery codes, or null if no secret was pending
+ */
+exports.confirmTotpSecret = (id) => {
+  return runInTransaction(async (tx) => {
+    const { changes } = await tx.run(
+      'UPDATE users SET secret=pending_secret, pending_secret=NULL WHERE id=? AND pending_secret IS NOT NULL',
+      [id]
+    );
+    if (changes === 0)
+      return null;
+    return replaceRecoveryCodes(tx, id);
+  });
+};
+
+/**
+ * Disable two-factor authentication by removing the user's TOTP secrets
+ * Recovery codes are removed as well
+ * @param {number} id - User ID
+ * @returns {Promise<void>}
+ */
+exports.disableTotp = (id) => {
+  return runInTransaction(async (tx) => {
+    await tx.run('UPDATE users SET secret=NULL, pending_secret=NULL WHERE id=?', [id]);
+    await tx.run('DELETE FROM recovery_codes WHERE user_id=?', [id]);
+  });
+};
+
+/**
+ * Generate a new set of recovery codes, invalidating every previous code
+ * @param {number} id - User ID
+ * @returns {Promise<Array<string>>} New plain-text recovery codes
+ */
+exports.regenerateRecoveryCodes = (id) => {
+  return runInTransaction(tx => replaceRecoveryCodes(tx, id));
+};
+
+/**
+ * Spend a recovery code
+ * The update only matches an unused code of this user, so each code works once
+ * @param {number} id - User ID
+ * @param {string} code - Recovery code typed by the user
+ * @returns {Promise<boolean>} True if the code was valid and is now used
+ */
+exports.useRecoveryCode = (id, code) => {
+  const sql = 'UPDATE recovery_codes SET used_at=CURRENT_TIMESTAMP WHERE user_id=? AND code_hash=? AND used_at IS NULL';
+  return runInTransaction(tx => tx.run(sql, [id, hashRecoveryCode(code)]))
+    .then(({ changes }) => changes > 0);
+};
+
+/**
+ * Count the recovery codes a user has not used yet
+ * @param {number} id - User ID
+ * @returns {Promise<number>} Number of unused recovery codes
+ */
+exports.countRecoveryCodes = (id) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id=? AND used_at IS NULL';
+    db.get(sql, [id], (err, row) => {
+      if (err)
+        reject(err);
+      else
+        resolve(row.remaining);
+    });
+  });
+};
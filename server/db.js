@@ -4,12 +4,14 @@
 
 const sqlite3 = require('sqlite3');
 
+// Database file, relative to the server root; DB_FILE points elsewhere (the tests use a copy)
+const DB_FILE = process.env.DB_FILE || './db/restaurant.db';
+
 /**
  * Open SQLite database connection
- * Database file is located at ./db/restaurant.db relative to server root
  * Contains tables for users, dishes, ingredients, orders, and their relationships
  */
-const db = new sqlite3.Database('./db/restaurant.db', (err) => {
+const db = new sqlite3.Database(DB_FILE, (err) => {
   if (err) {
     console.error('Failed to connect to database:', err.message);
     throw err;
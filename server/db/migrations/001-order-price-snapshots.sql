@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Migration 001: snapshot dish and ingredient prices on orders
+-- ============================================================================
+-- Orders keep what the customer actually paid instead of joining the live menu.
+
+ALTER TABLE orders ADD COLUMN dish_name  TEXT;
+ALTER TABLE orders ADD COLUMN size_label TEXT;
+ALTER TABLE orders ADD COLUMN base_price REAL;
+
+ALTER TABLE order_ingredients ADD COLUMN ingredient_name TEXT;
+ALTER TABLE order_ingredients ADD COLUMN unit_price      REAL;
+
+-- Backfill existing orders with the current menu values
+UPDATE orders SET
+    dish_name  = (SELECT name       FROM base_dishes WHERE id = orders.base_dish_id),
+    size_label = (SELECT label      FROM sizes       WHERE id = orders.size_id),
+    base_price = (SELECT base_price FROM sizes       WHERE id = orders.size_id);
+
+UPDATE order_ingredients SET
+    ingredient_name = (SELECT name  FROM ingredients WHERE id = order_ingredients.ingredient_id),
+    unit_price      = (SELECT price FROM ingredients WHERE id = order_ingredients.ingredient_id);
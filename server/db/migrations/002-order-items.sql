@@ -0,0 +1,54 @@
+-- ============================================================================
+-- Migration 002: orders contain one or more configured dishes (order items)
+-- ============================================================================
+-- The dish, size and price snapshot move from orders to order_items, and each
+-- item keeps its own ingredient list. Existing orders become single-item orders.
+
+-- New orders table without the per-dish columns
+CREATE TABLE orders_new (
+    id         INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER  NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    status     TEXT     NOT NULL CHECK(status IN ('confirmed','cancelled')),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+INSERT INTO orders_new (id, user_id, created_at, status)
+SELECT id, user_id, created_at, status FROM orders;
+
+-- One row per configured dish in an order
+CREATE TABLE order_items (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id     INTEGER NOT NULL,
+    base_dish_id INTEGER NOT NULL,
+    size_id      INTEGER NOT NULL,
+    quantity     INTEGER NOT NULL DEFAULT 1 CHECK(quantity >= 1),
+    dish_name    TEXT    NOT NULL,
+    size_label   TEXT    NOT NULL,
+    base_price   REAL    NOT NULL,
+    FOREIGN KEY (order_id)     REFERENCES orders(id),
+    FOREIGN KEY (base_dish_id) REFERENCES base_dishes(id),
+    FOREIGN KEY (size_id)      REFERENCES sizes(id)
+);
+
+-- Existing orders keep their ID as the ID of their single item
+INSERT INTO order_items (id, order_id, base_dish_id, size_id, quantity, dish_name, size_label, base_price)
+SELECT id, id, base_dish_id, size_id, 1, dish_name, size_label, base_price FROM orders;
+
+-- Ingredients chosen for each order item
+CREATE TABLE order_item_ingredients (
+    order_item_id   INTEGER NOT NULL,
+    ingredient_id   INTEGER NOT NULL,
+    ingredient_name TEXT    NOT NULL,
+    unit_price      REAL    NOT NULL,
+    PRIMARY KEY (order_item_id, ingredient_id),
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+);
+
+INSERT INTO order_item_ingredients (order_item_id, ingredient_id, ingredient_name, unit_price)
+SELECT order_id, ingredient_id, ingredient_name, unit_price FROM order_ingredients;
+
+DROP TABLE order_ingredients;
+DROP TABLE orders;
+ALTER TABLE orders_new RENAME TO orders;
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Migration 003: self-service TOTP enrollment
+-- ============================================================================
+-- A new secret is stored as pending until the user confirms it with a first
+-- valid code; only then it becomes the active users.secret.
+
+ALTER TABLE users ADD COLUMN pending_secret TEXT;
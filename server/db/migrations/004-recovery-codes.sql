@@ -0,0 +1,15 @@
+-- ============================================================================
+-- Migration 004: one-time 2FA recovery codes
+-- ============================================================================
+-- Only a SHA-256 hash of each code is stored. A code is spent by setting used_at;
+-- regenerating the set deletes every previous code of the user.
+
+CREATE TABLE recovery_codes (
+    id        INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id   INTEGER  NOT NULL,
+    code_hash TEXT     NOT NULL,
+    used_at   DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id);
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- Migration 005: user roles
+-- ============================================================================
+-- customer: places orders (default for every account, including new registrations)
+-- staff:    restaurant employee
+-- admin:    manages the menu (requires 2FA for admin routes)
+
+ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'customer'
+    CHECK(role IN ('customer','staff','admin'));
+
+-- Seeded accounts without pre-loaded orders get the restaurant roles
+UPDATE users SET role = 'admin' WHERE email = 'u3@rest.com';
+UPDATE users SET role = 'staff' WHERE email = 'u4@rest.com';
@@ -0,0 +1,43 @@
+-- ============================================================================
+-- Migration 006: order status lifecycle
+-- ============================================================================
+-- Orders move through received -> preparing -> ready -> picked_up, or end early
+-- as rejected (by the kitchen) or cancelled (by the customer, before preparation).
+-- Every transition is recorded with its time. The allowed transitions live in
+-- shared/order-status.mjs. Existing 'confirmed' orders become 'received'.
+
+CREATE TABLE orders_new (
+    id         INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER  NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    status     TEXT     NOT NULL DEFAULT 'received'
+               CHECK(status IN ('received','preparing','ready','picked_up','rejected','cancelled')),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+INSERT INTO orders_new (id, user_id, created_at, status)
+SELECT id, user_id, created_at, CASE status WHEN 'confirmed' THEN 'received' ELSE status END FROM orders;
+
+DROP TABLE orders;
+ALTER TABLE orders_new RENAME TO orders;
+
+-- One row per status an order entered, including the initial 'received'
+CREATE TABLE order_status_history (
+    id         INTEGER  PRIMARY KEY AUTOINCREMENT,
+    order_id   INTEGER  NOT NULL,
+    status     TEXT     NOT NULL
+               CHECK(status IN ('received','preparing','ready','picked_up','rejected','cancelled')),
+    changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    changed_by INTEGER,  -- user who made the change
+    FOREIGN KEY (order_id)   REFERENCES orders(id),
+    FOREIGN KEY (changed_by) REFERENCES users(id)
+);
+
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id);
+
+-- Existing orders: placement, plus the cancellation (its time was not recorded)
+INSERT INTO order_status_history (order_id, status, changed_at, changed_by)
+SELECT id, 'received', created_at, user_id FROM orders;
+
+INSERT INTO order_status_history (order_id, status, changed_at, changed_by)
+SELECT id, status, created_at, user_id FROM orders WHERE status <> 'received';
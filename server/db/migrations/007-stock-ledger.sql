@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration 007: inventory ledger
+-- ============================================================================
+-- Every change to ingredients.availability is recorded as a signed movement:
+--   opening       stock the ledger starts from (tracking started or ingredient created)
+--   order         units consumed by a placed order (negative)
+--   cancellation  units given back by a cancelled order
+--   rejection     units given back by an order rejected by the kitchen
+--   restock       delivery recorded by the staff
+--   waste         spoiled or discarded units (negative)
+--   adjustment    manual correction (count mismatch, admin edit of the availability)
+-- For an ingredient with limited stock the sum of its movements equals its availability.
+
+CREATE TABLE stock_movements (
+    id            INTEGER  PRIMARY KEY AUTOINCREMENT,
+    ingredient_id INTEGER  NOT NULL,
+    quantity      INTEGER  NOT NULL,  -- signed change of availability
+    reason        TEXT     NOT NULL
+                  CHECK(reason IN ('opening','order','cancellation','rejection','restock','waste','adjustment')),
+    order_id      INTEGER,            -- for order, cancellation and rejection
+    note          TEXT,
+    created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by    INTEGER,            -- user who caused the movement (NULL for the migration)
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+    FOREIGN KEY (order_id)      REFERENCES orders(id),
+    FOREIGN KEY (created_by)    REFERENCES users(id)
+);
+
+CREATE INDEX idx_stock_movements_ingredient ON stock_movements(ingredient_id);
+
+-- The ledger starts from the stock as it is now
+INSERT INTO stock_movements (ingredient_id, quantity, reason, note)
+SELECT id, availability, 'opening', 'Opening balance'
+FROM ingredients
+WHERE availability IS NOT NULL;
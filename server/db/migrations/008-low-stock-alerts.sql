@@ -0,0 +1,27 @@
+-- ============================================================================
+-- Migration 008: low-stock thresholds and alerts
+-- ============================================================================
+-- An ingredient with limited stock can have a reorder threshold: when a decrease
+-- (an order, waste, an adjustment) brings its availability from above the threshold
+-- to or below it, an alert is raised for the admins. NULL = no alerts.
+-- Alerts are written in the same transaction as the stock change and sent out
+-- afterwards; notified_at marks the ones already handed to the notifiers.
+
+ALTER TABLE ingredients ADD COLUMN reorder_threshold INTEGER
+    CHECK(reorder_threshold IS NULL OR reorder_threshold >= 0);
+
+CREATE TABLE stock_alerts (
+    id                INTEGER  PRIMARY KEY AUTOINCREMENT,
+    ingredient_id     INTEGER  NOT NULL,
+    availability      INTEGER  NOT NULL,  -- stock left when the threshold was crossed
+    threshold         INTEGER  NOT NULL,
+    created_at        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    notified_at       DATETIME,
+    acknowledged_at   DATETIME,
+    acknowledged_by   INTEGER,
+    FOREIGN KEY (ingredient_id)   REFERENCES ingredients(id),
+    FOREIGN KEY (acknowledged_by) REFERENCES users(id)
+);
+
+-- Seeded ingredients with limited stock warn when two units or fewer are left
+UPDATE ingredients SET reorder_threshold = 2 WHERE availability IS NOT NULL;
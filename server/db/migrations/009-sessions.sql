@@ -0,0 +1,13 @@
+-- ============================================================================
+-- Migration 009: persistent sessions
+-- ============================================================================
+-- express-session data (login and 2FA state), so sessions survive server restarts.
+-- Rows are written by utils/session-store.js; expired ones are deleted periodically.
+
+CREATE TABLE sessions (
+    sid     TEXT    PRIMARY KEY,
+    sess    TEXT    NOT NULL,  -- JSON-serialized session
+    expires INTEGER NOT NULL   -- expiry time in milliseconds since the epoch
+);
+
+CREATE INDEX idx_sessions_expires ON sessions(expires);
@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration 010: login throttling
+-- ============================================================================
+-- Failed login attempts per key, where a key is a scope and an identifier:
+--   account:<username>   password attempts for an account
+--   second-factor:<id>   TOTP and recovery code attempts of a logged in user
+--   ip:<address>         every attempt from an address
+-- utils/login-throttle.js turns the counters into exponential backoff and
+-- temporary account lockouts. Times are milliseconds since the epoch.
+
+CREATE TABLE login_throttle (
+    key           TEXT    PRIMARY KEY,
+    failures      INTEGER NOT NULL,
+    last_failure  INTEGER NOT NULL,
+    blocked_until INTEGER NOT NULL DEFAULT 0,  -- no attempt accepted before this time
+    locked        INTEGER NOT NULL DEFAULT 0   -- 1 if the block is a lockout rather than a backoff delay
+);
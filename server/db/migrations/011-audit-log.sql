@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Migration 011: security audit log
+-- ============================================================================
+-- One row per authentication or order event: who acted, from where, what
+-- happened and whether it succeeded. Rows are never changed or removed: the
+-- triggers below reject every UPDATE and DELETE.
+-- user_id is NULL when the actor is unknown (e.g. a login with an unknown
+-- email address); username keeps the identifier that was submitted.
+
+CREATE TABLE audit_log (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id     INTEGER,
+    username    TEXT,
+    event       TEXT     NOT NULL,  -- see AUDIT_EVENTS in dao/dao-audit.js
+    outcome     TEXT     NOT NULL CHECK(outcome IN ('success', 'failure', 'blocked')),
+    ip          TEXT,
+    user_agent  TEXT,
+    details     TEXT,               -- JSON object with event-specific data, or NULL
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX idx_audit_log_user ON audit_log(user_id, id);
+CREATE INDEX idx_audit_log_event ON audit_log(event, id);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 012: password reset tokens
+-- ============================================================================
+-- A forgotten password is replaced through a link carrying a random token.
+-- Only the SHA-256 hash of the token is stored, so the table cannot be used
+-- to reset passwords. A token works once and until expires_at (milliseconds
+-- since the epoch); requesting a new one deletes the previous ones.
+
+CREATE TABLE password_reset_tokens (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id     INTEGER  NOT NULL,
+    token_hash  TEXT     NOT NULL UNIQUE,
+    expires_at  INTEGER  NOT NULL,
+    created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    used_at     DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);
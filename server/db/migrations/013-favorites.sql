@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration 013: saved favorite configurations
+-- ============================================================================
+-- A favorite is a configured dish a customer saved under a name, to pre-fill
+-- the configurator later. Like order items, favorites keep the names of the
+-- dish, size and ingredients they were saved with, so a favorite whose dish or
+-- ingredients were removed from the menu can still say what is missing. The
+-- menu IDs are therefore not foreign keys.
+
+CREATE TABLE favorites (
+    id           INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER  NOT NULL,
+    name         TEXT     NOT NULL COLLATE NOCASE,
+    base_dish_id INTEGER  NOT NULL,
+    size_id      INTEGER  NOT NULL,
+    dish_name    TEXT     NOT NULL,
+    size_label   TEXT     NOT NULL,
+    created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Ingredients of each favorite, in the order they were chosen
+CREATE TABLE favorite_ingredients (
+    favorite_id     INTEGER NOT NULL,
+    position        INTEGER NOT NULL,
+    ingredient_id   INTEGER NOT NULL,
+    ingredient_name TEXT    NOT NULL,
+    PRIMARY KEY (favorite_id, position),
+    FOREIGN KEY (favorite_id) REFERENCES favorites(id)
+);
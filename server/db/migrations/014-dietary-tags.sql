@@ -0,0 +1,30 @@
+-- ============================================================================
+-- Migration 014: allergens, dietary tags and dietary profiles
+-- ============================================================================
+-- Ingredients and base dishes list the allergens they contain and the diets
+-- they suit, as comma-separated names from shared/dietary.mjs (validated by the
+-- server, '' = none). Users keep a dietary profile: a diet to follow (NULL =
+-- none) and the allergens to avoid. Every ordered dish records the allergens it
+-- contained when it was ordered; NULL marks dishes ordered before this migration.
+
+ALTER TABLE ingredients ADD COLUMN allergens TEXT NOT NULL DEFAULT '';
+ALTER TABLE ingredients ADD COLUMN diets     TEXT NOT NULL DEFAULT '';
+ALTER TABLE base_dishes ADD COLUMN allergens TEXT NOT NULL DEFAULT '';
+ALTER TABLE base_dishes ADD COLUMN diets     TEXT NOT NULL DEFAULT '';
+
+ALTER TABLE users ADD COLUMN diet      TEXT;
+ALTER TABLE users ADD COLUMN allergens TEXT NOT NULL DEFAULT '';
+
+ALTER TABLE order_items ADD COLUMN allergens TEXT;
+
+-- Tags of the seeded menu
+UPDATE base_dishes SET allergens = 'gluten', diets = 'pescatarian,vegan,vegetarian' WHERE name IN ('Pizza', 'Pasta');
+UPDATE base_dishes SET diets = 'pescatarian,vegan,vegetarian' WHERE name = 'Salad';
+
+UPDATE ingredients SET diets = 'pescatarian,vegan,vegetarian'
+    WHERE name IN ('tomatoes', 'mushrooms', 'olives', 'carrots', 'potatoes');
+UPDATE ingredients SET allergens = 'dairy', diets = 'pescatarian,vegetarian' WHERE name = 'mozzarella';
+UPDATE ingredients SET allergens = 'eggs', diets = 'pescatarian,vegetarian' WHERE name = 'eggs';
+UPDATE ingredients SET allergens = 'fish', diets = 'pescatarian' WHERE name IN ('tuna', 'anchovies');
+-- Traditionally made with animal rennet
+UPDATE ingredients SET allergens = 'dairy', diets = 'pescatarian' WHERE name = 'parmesan';
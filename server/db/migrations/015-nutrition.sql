@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Migration 015: nutrition values
+-- ============================================================================
+-- Sizes carry the nutrition values of the plain dish and ingredients those of
+-- the portion added to a dish: energy in kcal, protein, fat and carbohydrates
+-- in grams. Every ordered dish records the nutrition of one dish (size plus
+-- ingredients) as it was when ordered; NULL marks dishes ordered before this
+-- migration.
+
+ALTER TABLE sizes ADD COLUMN kcal    REAL NOT NULL DEFAULT 0;
+ALTER TABLE sizes ADD COLUMN protein REAL NOT NULL DEFAULT 0;
+ALTER TABLE sizes ADD COLUMN fat     REAL NOT NULL DEFAULT 0;
+ALTER TABLE sizes ADD COLUMN carbs   REAL NOT NULL DEFAULT 0;
+
+ALTER TABLE ingredients ADD COLUMN kcal    REAL NOT NULL DEFAULT 0;
+ALTER TABLE ingredients ADD COLUMN protein REAL NOT NULL DEFAULT 0;
+ALTER TABLE ingredients ADD COLUMN fat     REAL NOT NULL DEFAULT 0;
+ALTER TABLE ingredients ADD COLUMN carbs   REAL NOT NULL DEFAULT 0;
+
+ALTER TABLE order_items ADD COLUMN kcal    REAL;
+ALTER TABLE order_items ADD COLUMN protein REAL;
+ALTER TABLE order_items ADD COLUMN fat     REAL;
+ALTER TABLE order_items ADD COLUMN carbs   REAL;
+
+-- Values of the seeded menu
+UPDATE sizes SET kcal = 450, protein = 14, fat = 8,  carbs = 80  WHERE label = 'Small';
+UPDATE sizes SET kcal = 650, protein = 20, fat = 11, carbs = 116 WHERE label = 'Medium';
+UPDATE sizes SET kcal = 850, protein = 26, fat = 15, carbs = 152 WHERE label = 'Large';
+
+UPDATE ingredients SET kcal = 140, protein = 10,  fat = 10,  carbs = 1   WHERE name = 'mozzarella';
+UPDATE ingredients SET kcal = 20,  protein = 1,   fat = 0.2, carbs = 4   WHERE name = 'tomatoes';
+UPDATE ingredients SET kcal = 15,  protein = 2,   fat = 0.2, carbs = 2   WHERE name = 'mushrooms';
+UPDATE ingredients SET kcal = 70,  protein = 10,  fat = 3,   carbs = 1   WHERE name = 'ham';
+UPDATE ingredients SET kcal = 60,  protein = 0.5, fat = 6,   carbs = 2   WHERE name = 'olives';
+UPDATE ingredients SET kcal = 110, protein = 24,  fat = 1,   carbs = 0   WHERE name = 'tuna';
+UPDATE ingredients SET kcal = 140, protein = 12,  fat = 10,  carbs = 1   WHERE name = 'eggs';
+UPDATE ingredients SET kcal = 40,  protein = 6,   fat = 2,   carbs = 0   WHERE name = 'anchovies';
+UPDATE ingredients SET kcal = 80,  protein = 7,   fat = 5.5, carbs = 1   WHERE name = 'parmesan';
+UPDATE ingredients SET kcal = 25,  protein = 0.5, fat = 0.1, carbs = 6   WHERE name = 'carrots';
+UPDATE ingredients SET kcal = 110, protein = 3,   fat = 0.1, carbs = 25  WHERE name = 'potatoes';
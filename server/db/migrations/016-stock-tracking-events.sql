@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration 016: stock tracking events
+-- ============================================================================
+-- Switching an ingredient between limited and unlimited stock is recorded as an
+-- event instead of a numeric adjustment against zero:
+--   unlimited  tracking stopped (quantity 0); the ledger balance starts again
+--              from the next 'opening' movement, written when tracking restarts
+-- Existing movements are kept as they are.
+
+CREATE TABLE stock_movements_new (
+    id            INTEGER  PRIMARY KEY AUTOINCREMENT,
+    ingredient_id INTEGER  NOT NULL,
+    quantity      INTEGER  NOT NULL,  -- signed change of availability
+    reason        TEXT     NOT NULL
+                  CHECK(reason IN ('opening','order','cancellation','rejection','restock','waste','adjustment','unlimited')),
+    order_id      INTEGER,            -- for order, cancellation and rejection
+    note          TEXT,
+    created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by    INTEGER,            -- user who caused the movement (NULL for the migration)
+    FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+    FOREIGN KEY (order_id)      REFERENCES orders(id),
+    FOREIGN KEY (created_by)    REFERENCES users(id)
+);
+
+INSERT INTO stock_movements_new (id, ingredient_id, quantity, reason, order_id, note, created_at, created_by)
+SELECT id, ingredient_id, quantity, reason, order_id, note, created_at, created_by FROM stock_movements;
+
+DROP TABLE stock_movements;
+ALTER TABLE stock_movements_new RENAME TO stock_movements;
+
+CREATE INDEX idx_stock_movements_ingredient ON stock_movements(ingredient_id);
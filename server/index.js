@@ -9,17 +9,45 @@ const passport = require('passport');
 const LocalStrategy = require('passport-local');
 const TotpStrategy = require('passport-totp').Strategy;
 const base32 = require('thirty-two');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
 const cors = require('cors');
-const { check, validationResult } = require('express-validator');
+const { check, body, validationResult } = require('express-validator');
+
+// Deployment settings (session secret and cookie options)
+const config = require('./config');
 
 // Import DAO modules for database operations
 const userDao = require('./dao/dao-users');
 const restaurantDao = require('./dao/dao-restaurant');
+const menuDao = require('./dao/dao-menu');
+const inventoryDao = require('./dao/dao-inventory');
+const auditDao = require('./dao/dao-audit');
+const favoritesDao = require('./dao/dao-favorites');
+const { runMigrations } = require('./utils/migrate');
+const events = require('./utils/events');
+const notifier = require('./utils/notifier');
+const SqliteSessionStore = require('./utils/session-store');
+const throttle = require('./utils/login-throttle');
+const mailer = require('./utils/mailer');
+
+// Modules shared with the client; they are ES modules, so they are loaded with import()
+const loadConstraints = () => import('../shared/constraints.mjs');
+const loadOrderStatus = () => import('../shared/order-status.mjs');
+const loadDietary = () => import('../shared/dietary.mjs');
+const loadNutrition = () => import('../shared/nutrition.mjs');
 
 // Create Express application instance
 const app = express();
 const PORT = 3001;
 
+// Issuer name shown by authenticator apps
+const TOTP_ISSUER = 'Restaurant';
+
+// Time steps accepted before and after the current one: one step tolerates clock drift
+// without keeping codes valid for minutes (passport-totp accepts six by default)
+const TOTP_WINDOW = 1;
+
 // --- Middleware setup ---
 
 // HTTP request logging for debugging and monitoring
@@ -36,9 +64,15 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Session management with secure configuration
+// Session management: sessions are stored in the database, so logins and 2FA survive restarts;
+// rolling renews the cookie on every request, so maxAge counts from the last activity
+const sessionStore = new SqliteSessionStore();
+sessionStore.on('destroyed', events.closeSessions); // Event streams end with the session that opened them
 app.use(session({
-  secret: 'restaurant-secret-key-change-in-production',
+  store: sessionStore,
+  secret: config.session.secret,
+  cookie: config.session.cookie,
+  rolling: true,
   resave: false,
   saveUninitialized: false,
 }));
@@ -52,17 +86,19 @@ app.use(passport.session());
 /**
  * Local authentication strategy for username/password login
  * Validates credentials against user database and handles login attempts
- * Provides detailed logging for security monitoring
+ * Every attempt is written to the audit log
  */
-passport.use(new LocalStrategy(async function verify(username, password, callback) {
+passport.use(new LocalStrategy({ passReqToCallback: true }, async function verify(req, username, password, callback) {
   try {
     // Verify credentials against database
     const user = await userDao.getUser(username, password);
     if (!user) {
       // console.log('LOGIN', username, false, 'Invalid credentials'); // Debug log
+      audit(req, 'login', 'failure', { user: null, username });
       return callback(null, false, 'Incorrect username or password');
     }
     // console.log('LOGIN', username, true, 'Credentials validated'); // Debug log
+    audit(req, 'login', 'success', { user });
     return callback(null, user);
   } catch (err) {
     // console.log('AUTH', 'Login verification failed', { username, error: err.message }); // Debug log
@@ -70,46 +106,63 @@ passport.use(new LocalStrategy(async function verify(username, password, callbac
   }
 }));
 
+/**
+ * Provide the decoded key of a base32 TOTP secret to a TotpStrategy
+ * @param {string} secret - Base32 TOTP secret
+ * @param {Function} done - Strategy callback (err, key, period)
+ */
+function totpKey(secret, done) {
+  if (!secret) {
+    return done(new Error('No TOTP secret configured'), false);
+  }
+  try {
+    // Decode base32 TOTP secret for verification
+    const key = base32.decode(secret.replace(/ /g, ''));
+    return done(null, key, 30); // 30 seconds validity period
+  } catch (e) {
+    return done(e, false);
+  }
+}
+
 /**
  * TOTP authentication strategy for two-factor authentication
  * Decodes base32 TOTP secret and validates time-based codes
  * Provides 30-second validity window for TOTP codes
  */
-passport.use(new TotpStrategy(
+passport.use(new TotpStrategy({ window: TOTP_WINDOW },
   function(user, done) {
-    if (!user || !user.secret) {
-      return done(new Error('No TOTP secret configured'), false);
-    }
-    try {
-      // Decode base32 TOTP secret for verification
-      const key = base32.decode(user.secret.replace(/ /g, ''));
-      return done(null, key, 30); // 30 seconds validity period
-    } catch (e) {
-      return done(e, false);
-    }
+    return totpKey(user?.secret, done);
+  }
+));
+
+/**
+ * TOTP strategy for confirming a new enrollment
+ * Same verification as 'totp', but against the secret that is still pending
+ */
+passport.use('totp-enroll', new TotpStrategy({ window: TOTP_WINDOW },
+  function(user, done) {
+    return totpKey(user?.pendingSecret, done);
   }
 ));
 
 /**
- * Serialize user object for session storage
- * Stores complete user object in session for easy access
+ * Serialize user for session storage
+ * Only the user ID is stored, so changes to the account (e.g. 2FA enrollment) apply immediately
  */
 passport.serializeUser(function (user, callback) {
   // console.log('AUTH', 'Serializing user', { userId: user.id, username: user.username }); // Debug log
-  callback(null, user);
+  callback(null, user.id);
 });
 
 /**
- * Deserialize user object from session
- * Retrieves user object from session data
+ * Deserialize user from session
+ * Reloads the user from the database on every request
  */
-passport.deserializeUser(function (user, callback) {
-  // console.log('AUTH', 'Deserializing user', { userId: user.id, username: user.username }); // Debug log
-
-  // An extra check to see if the user is still in the database can be added here
-  // e.g.: return userDao.getUserById(id).then(user => callback(null, user)).catch(err => callback(err, null));
-
-  return callback(null, user);
+passport.deserializeUser(function (id, callback) {
+  // console.log('AUTH', 'Deserializing user', { userId: id }); // Debug log
+  userDao.getUserById(id)
+    .then(user => callback(null, user.error ? false : user)) // Deleted users lose their session
+    .catch(err => callback(err, null));
 });
 
 // --- Middleware functions ---
@@ -131,16 +184,82 @@ const isLoggedIn = (req, res, next) => {
 };
 
 /**
- * TOTP middleware - requires completed two-factor authentication
- * Ensures user has completed 2FA for sensitive operations
+ * Step-up middleware - requires a second factor verified within the freshness window
+ * Completing 2FA at login is not enough for sensitive operations: the code must be
+ * recent (SESSION_STEP_UP_MAX_AGE_MS). The client asks for a new code in place,
+ * sends it to POST /api/login-totp and retries the request
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Next middleware function
  */
-function isTotp(req, res, next) {
-  if(req.session.method === 'totp')
+function isRecentTotp(req, res, next) {
+  if (req.session.method === 'totp' && Date.now() - (req.session.totpVerifiedAt || 0) <= config.session.stepUpMaxAge)
     return next();
-  return res.status(401).json({ error: 'Missing TOTP authentication'});
+  return res.status(401).json({
+    error: req.session.method === 'totp' ? 'Please confirm with a new TOTP code' : 'Missing TOTP authentication',
+    stepUpRequired: true
+  });
+}
+
+/**
+ * Admin middleware - requires the admin role and completed two-factor authentication
+ * Use after isLoggedIn
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function isAdmin(req, res, next) {
+  if (req.user.role !== 'admin')
+    return res.status(403).json({ error: 'Admin role required' });
+  if (req.session.method !== 'totp')
+    return res.status(401).json({ error: 'Missing TOTP authentication' });
+  return next();
+}
+
+/**
+ * Middleware to check if the user works in the restaurant (staff or admin role)
+ * Must be used after isLoggedIn
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function isStaff(req, res, next) {
+  if (req.user.role !== 'staff' && req.user.role !== 'admin')
+    return res.status(403).json({ error: 'Staff role required' });
+  return next();
+}
+
+/**
+ * Append an event to the audit log with the client's IP address and user agent
+ * The actor is the logged in user unless another one is given. A failed write is
+ * reported on the console and never fails the request
+ * @param {Object} req - Express request object
+ * @param {string} event - Event name, one of auditDao.AUDIT_EVENTS
+ * @param {string} outcome - success, failure or blocked
+ * @param {Object} [options] - { user, username, details }: actor (null = unknown),
+ *                             submitted username if different, event-specific data
+ */
+function audit(req, event, outcome, { user = req.user, username, details } = {}) {
+  auditDao.record({
+    event,
+    outcome,
+    userId: user ? user.id : null,
+    username: username ?? (user ? user.username : null),
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    details
+  }).catch(err => console.error('Audit log write failed:', err.message));
+}
+
+/**
+ * Send the response for a login attempt refused by the throttle
+ * A lockout answers 423 Locked, a backoff delay 429 Too Many Requests
+ * @param {Object} res - Express response object
+ * @param {Object} block - Block as { locked, retryAfter } from the login throttle
+ */
+function sendThrottled(res, block) {
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(block.locked ? 423 : 429).json({ error: throttle.blockMessage(block), ...block });
 }
 
 /**
@@ -155,11 +274,371 @@ function clientUserInfo(req) {
     id: user.id, 
     username: user.username, 
     name: user.name, 
+    role: user.role,                       // customer, staff or admin
+    dietaryProfile: user.dietaryProfile,   // { diet, allergens } used to flag menu items
     canDoTotp: user.secret ? true : false, // Does user have 2FA configured?
     isTotp: req.session.method === 'totp'  // Has user completed 2FA this session?
   };
 }
 
+/**
+ * Verify the TOTP code in the request body against the user's active secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if the code is valid
+ */
+function verifyTotpCode(req, res) {
+  return new Promise((resolve, reject) => {
+    passport.authenticate('totp', (err, user) => err ? reject(err) : resolve(!!user))(req, res, reject);
+  });
+}
+
+/**
+ * Password strength rules, shared by registration, password change and reset
+ * @param {string} field - Body field holding the new password
+ * @param {Function} emailOf - Returns the account's email address from the request (may be undefined)
+ * @returns {Object} Validation chain
+ */
+const passwordRules = (field, emailOf) => check(field)
+  .isString().withMessage('Password is required').bail()
+  .isLength({ min: 8, max: 128 }).withMessage('Password must be between 8 and 128 characters')
+  .matches(/[a-z]/).withMessage('Password must contain a lowercase letter')
+  .matches(/[A-Z]/).withMessage('Password must contain an uppercase letter')
+  .matches(/\d/).withMessage('Password must contain a digit')
+  .custom((password, { req }) => password.toLowerCase() !== String(emailOf(req)).toLowerCase())
+  .withMessage('Password must be different from the email address');
+
+// --- Order validation helpers ---
+
+// Limits for a single order (cart)
+const MAX_ORDER_ITEMS = 20;
+const MAX_ITEM_QUANTITY = 10;
+
+/**
+ * Round a monetary amount to cents to avoid floating point noise in totals
+ * @param {number} amount - Amount in euros
+ * @returns {number} Amount rounded to two decimals
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check that a list of IDs names each one once
+ * @param {Array<number>} ids - IDs, already converted to integers
+ * @returns {boolean} True if there are no duplicates
+ */
+const hasNoDuplicates = (ids) => new Set(ids).size === ids.length;
+
+// Request body checks shared by order creation and quotes
+// Ingredient IDs are converted to integers before the duplicate check, so "1" and 1 count as the same
+const orderValidators = [
+  check('items').optional().isArray({ min: 1, max: MAX_ORDER_ITEMS }),
+  check('items.*.dishId').isString().notEmpty(), // Combined ID format: baseDishId_sizeId
+  check('items.*.ingredientIds.*').isInt({ min: 1 }).toInt(),
+  check('items.*.ingredientIds').isArray().bail()
+    .custom(hasNoDuplicates).withMessage('Each ingredient can be added only once'),
+  check('items.*.quantity').optional().isInt({ min: 1, max: MAX_ITEM_QUANTITY }),
+  // Single-dish shape, accepted when no items array is sent
+  check('dishId').if(body('items').not().exists()).isString().notEmpty(),
+  check('ingredientIds.*').if(body('items').not().exists()).isInt({ min: 1 }).toInt(),
+  check('ingredientIds').if(body('items').not().exists()).isArray().bail()
+    .custom(hasNoDuplicates).withMessage('Each ingredient can be added only once')
+];
+
+/**
+ * Normalize an order request body into a list of items
+ * Accepts either { items: [...] } or the single-dish shape { dishId, ingredientIds }
+ * @param {Object} body - Request body
+ * @returns {Array<Object>} Items as { dishId, ingredientIds, quantity }
+ */
+function normalizeOrderItems(body) {
+  const items = body.items ?? [{ dishId: body.dishId, ingredientIds: body.ingredientIds }];
+  return items.map(item => ({
+    dishId: item.dishId,
+    ingredientIds: item.ingredientIds,
+    quantity: item.quantity !== undefined ? parseInt(item.quantity, 10) : 1
+  }));
+}
+
+/**
+ * Add up the stock a whole order uses
+ * Each item consumes one unit of each of its ingredients per quantity
+ * @param {Array<Object>} items - Items with ingredientIds and quantity
+ * @param {Array} allIngredients - All ingredients with availability
+ * @returns {Object} { stock, violations }: stock lists every used ingredient as
+ *   { id, name, availability, requested }; violations has one entry per exceeded ingredient
+ */
+function combinedStockUsage(items, allIngredients) {
+  const usage = new Map();
+  for (const item of items)
+    for (const ingrId of item.ingredientIds)
+      usage.set(ingrId, (usage.get(ingrId) || 0) + item.quantity);
+
+  const stock = [];
+  const violations = [];
+  for (const [ingrId, units] of usage) {
+    const ingredient = allIngredients.find(ing => ing.id === ingrId);
+    if (!ingredient) continue; // Reported as invalid_ingredient by the item checks
+    stock.push({ id: ingredient.id, name: ingredient.name, availability: ingredient.availability, requested: units });
+    if (ingredient.availability !== null && units > ingredient.availability) {
+      violations.push({
+        error: `Not enough ${ingredient.name}: the order needs ${units}, only ${ingredient.availability} left`,
+        constraintViolation: 'availability',
+        ingredient: ingredient.name,
+        requested: units,
+        available: ingredient.availability
+      });
+    }
+  }
+  return { stock, violations };
+}
+
+/**
+ * Check an order against the current menu and price it, without writing anything
+ * Used by order creation (which reports the first violation) and by quotes (which report them all)
+ * @param {Array<Object>} items - Normalized items as { dishId, ingredientIds, quantity }
+ * @returns {Promise<Object>} { items, violations, stock }: items are the priced lines of every
+ *   item with a valid dish, violations are tagged with the failing item index (stock ones are order-wide)
+ */
+async function evaluateOrder(items) {
+  const { validateSelection } = await loadConstraints();
+  const { dishAllergens } = await loadDietary();
+  const { dishNutrition, scaleNutrition } = await loadNutrition();
+  const sizes = await restaurantDao.getSizes();
+  const allIngredients = await restaurantDao.getAllIngredients();
+  const lines = [];
+  const violations = [];
+
+  for (const [index, item] of items.entries()) {
+    // Parse combined dish ID to get base dish and size
+    const [baseDishId, sizeId] = item.dishId.split('_');
+    if (!baseDishId || !sizeId) {
+      violations.push({ error: 'Invalid dish ID format', constraintViolation: 'invalid_dish', item: index });
+      continue;
+    }
+
+    // Validate dish exists using combined ID
+    const dish = await restaurantDao.getDishById(item.dishId);
+    const selectedSize = dish && sizes.find(s => s.id.toString() === sizeId);
+    if (!dish || !selectedSize) {
+      violations.push({ error: dish ? 'Invalid size' : 'Invalid dish', constraintViolation: 'invalid_dish', item: index });
+      continue;
+    }
+
+    // Size capacity, availability, incompatibilities and requirements
+    for (const violation of validateSelection(item.ingredientIds, selectedSize, allIngredients))
+      violations.push({ ...violation, item: index });
+
+    // Price and nutrition with current menu values, the same way orders are snapshotted when they are written
+    const itemIngredients = item.ingredientIds
+      .map(id => allIngredients.find(ing => ing.id === id))
+      .filter(Boolean);
+    const unitPrice = dish.price + itemIngredients.reduce((sum, ing) => sum + ing.price, 0);
+    const unitNutrition = dishNutrition(selectedSize, itemIngredients);
+    lines.push({
+      item: index,
+      dishId: item.dishId,
+      baseDishId: dish.baseDishId,
+      sizeId: dish.sizeId,
+      dishName: dish.name,
+      dishSize: dish.size,
+      dishPrice: dish.price,
+      quantity: item.quantity,
+      ingredientIds: item.ingredientIds,
+      ingredients: itemIngredients.map(ing => ing.name),
+      ingredientPrices: itemIngredients.map(ing => ing.price),
+      allergens: dishAllergens(dish, itemIngredients),
+      unitPrice: roundPrice(unitPrice),
+      totalPrice: roundPrice(unitPrice * item.quantity),
+      unitNutrition,
+      totalNutrition: scaleNutrition(unitNutrition, item.quantity)
+    });
+  }
+
+  // The order as a whole must fit in the current stock
+  const { stock, violations: stockViolations } = combinedStockUsage(lines, allIngredients);
+  violations.push(...stockViolations);
+
+  return { items: lines, violations, stock };
+}
+
+/**
+ * Rebuild saved dish configurations (favorites, past orders) against the current menu
+ * Each item keeps the ingredients that still fit its size, the rules and the stock left
+ * after the items before it; the others are listed with the reason. Dishes whose type or
+ * size left the menu are skipped.
+ * @param {Array<Object>} savedItems - Items as { baseDishId, sizeId, dishName, sizeLabel, quantity,
+ *   ingredients: [{ id, name }] }, with the names they were saved with
+ * @returns {Promise<Object>} { items, skippedItems }: items as { dishId, baseDishId, sizeId, dishName,
+ *   sizeLabel, quantity, ingredientIds, dropped: [{ id, name, error, constraintViolation }] },
+ *   skippedItems as { dishName, sizeLabel, error }
+ */
+async function prefillItems(savedItems) {
+  const { reconcileSelection } = await loadConstraints();
+  const sizes = await restaurantDao.getSizes();
+  let stock = await restaurantDao.getAllIngredients(); // Reduced by each rebuilt item
+  const items = [];
+  const skippedItems = [];
+
+  for (const saved of savedItems) {
+    const dish = await restaurantDao.getDishById(`${saved.baseDishId}_${saved.sizeId}`);
+    const size = dish && sizes.find(s => s.id === dish.sizeId);
+    if (!size) {
+      skippedItems.push({
+        dishName: saved.dishName,
+        sizeLabel: saved.sizeLabel,
+        error: `${saved.dishName} (${saved.sizeLabel}) is no longer on the menu`
+      });
+      continue;
+    }
+
+    // Ingredients deleted from the menu are only known by their saved name
+    const removed = saved.ingredients
+      .filter(ing => !stock.some(current => current.id === ing.id))
+      .map(ing => ({ id: ing.id, name: ing.name, error: `${ing.name} is no longer on the menu`, constraintViolation: 'invalid_ingredient' }));
+    const quantity = Math.min(saved.quantity, MAX_ITEM_QUANTITY);
+    const { selection, dropped } = reconcileSelection(
+      saved.ingredients.map(ing => ing.id).filter(id => stock.some(current => current.id === id)),
+      size, stock, quantity);
+
+    stock = stock.map(ing => ing.availability !== null && selection.includes(ing.id)
+      ? { ...ing, availability: ing.availability - quantity }
+      : ing);
+    items.push({
+      dishId: dish.id,
+      baseDishId: dish.baseDishId,
+      sizeId: dish.sizeId,
+      dishName: dish.name,
+      sizeLabel: dish.size,
+      quantity,
+      ingredientIds: selection,
+      dropped: [...removed, ...dropped].sort((a, b) =>
+        saved.ingredients.findIndex(ing => ing.id === a.id) - saved.ingredients.findIndex(ing => ing.id === b.id))
+    });
+  }
+
+  return { items, skippedItems };
+}
+
+/**
+ * Send the error response for a failed order status change
+ * Not allowed transitions are conflicts with the order's current status
+ * @param {Object} res - Express response object
+ * @param {Error} err - Error thrown by the DAO
+ */
+function sendOrderStatusError(res, err) {
+  if (err.constraintViolation === 'invalid_transition')
+    res.status(409).json({ error: err.message, constraintViolation: err.constraintViolation, status: err.status });
+  else if (err.message.includes('not found'))
+    res.status(404).json({ error: err.message });
+  else
+    res.status(500).json({ error: err.message || 'Database error' });
+}
+
+// --- Live update helpers (Server-Sent Events) ---
+
+/**
+ * Push the current availability of every ingredient to all connected clients
+ * Called after anything that changes stock; failures only cost a missed update.
+ * The change may have crossed a reorder threshold, so pending alerts are sent out too
+ */
+function broadcastStock() {
+  // Queued after the change's COMMIT, so only committed stock is pushed
+  inventoryDao.getStockSnapshot()
+    .then(stock => events.publish('stock', stock))
+    .catch(() => {}); // Clients catch up on their next reload
+  dispatchStockAlerts();
+}
+
+/**
+ * Send the low-stock alerts not sent yet to the admins' feed and to the notifiers
+ * Alerts that fail to load stay pending and go out with the next stock change
+ */
+function dispatchStockAlerts() {
+  inventoryDao.dispatchStockAlerts()
+    .then(alerts => {
+      for (const alert of alerts) {
+        events.publish('stock-alert', alert, client => client.role === 'admin');
+        notifier.notify(alert);
+      }
+    })
+    .catch(() => {});
+}
+
+/**
+ * Push an order status change to the order's owner and to the kitchen staff
+ * @param {Object} order - Order as { id, userId, status, changedAt }
+ */
+function broadcastOrderStatus(order) {
+  events.publish('order-status', order, client =>
+    client.userId === order.userId || client.role === 'staff' || client.role === 'admin');
+}
+
+// --- Menu management helpers ---
+
+// Validation chains shared by the create (POST) and replace (PUT) admin routes
+const baseDishValidators = [
+  check('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters')
+];
+
+const sizeValidators = [
+  check('label').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Label must be between 1 and 30 characters'),
+  check('basePrice').isFloat({ min: 0 }).withMessage('Base price must be a non-negative number'),
+  check('maxIngredients').isInt({ min: 1, max: 20 }).withMessage('Max ingredients must be an integer between 1 and 20')
+];
+
+const ingredientValidators = [
+  check('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  check('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number'),
+  check('availability')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 0))
+    .withMessage('Availability must be null (unlimited) or a non-negative integer')
+];
+
+// Allergen lists (menu tags and dietary profiles), checked against shared/dietary.mjs
+const allergenValidators = [
+  check('allergens').isArray(),
+  check('allergens.*').custom(async allergen => {
+    const { ALLERGENS } = await loadDietary();
+    if (!ALLERGENS.includes(allergen))
+      throw new Error(`Allergens must be among ${ALLERGENS.join(', ')}`);
+  })
+];
+
+// Dietary tags of a base dish or an ingredient
+const dietaryTagValidators = [
+  ...allergenValidators,
+  check('diets').isArray(),
+  check('diets.*').custom(async diet => {
+    const { DIETS } = await loadDietary();
+    if (!DIETS.includes(diet))
+      throw new Error(`Diets must be among ${DIETS.join(', ')}`);
+  })
+];
+
+// Nutrition values of a size or an ingredient: kcal, and grams of protein, fat and carbohydrates
+const nutritionValidators = [
+  check('kcal').isFloat({ min: 0, max: 5000 }).withMessage('kcal must be a number between 0 and 5000').toFloat(),
+  ...['protein', 'fat', 'carbs'].map(nutrient =>
+    check(nutrient).isFloat({ min: 0, max: 500 }).withMessage(`${nutrient} must be a number of grams between 0 and 500`).toFloat())
+];
+
+/**
+ * Send the HTTP response for a failed menu management operation
+ * @param {Object} res - Express response object
+ * @param {Error} err - Error thrown by the menu DAO
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendMenuError(res, err, fallbackMessage) {
+  if (err.constraintViolation) {
+    return res.status(409).json({ error: err.message, constraintViolation: err.constraintViolation, ...err.details });
+  }
+  if (err.message.includes('not found')) {
+    return res.status(404).json({ error: err.message });
+  }
+  // console.log('ADMIN', false, { error: err.message }); // Debug log
+  return res.status(500).json({ error: fallbackMessage });
+}
+
 // System startup logging
 // console.log('Server starting up', { PORT, environment: process.env.NODE_ENV || 'development' }); // Debug log
 
@@ -212,26 +691,74 @@ app.get('/api/ingredients', async (req, res) => {
 
 // AUTHENTICATION ROUTES
 
+/**
+ * POST /api/users - User registration endpoint
+ * Creates a new account with a hashed password and logs the user in
+ * New accounts have no 2FA configured
+ */
+app.post('/api/users', [
+  check('email').trim().toLowerCase().isEmail().withMessage('A valid email address is required'),
+  check('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  passwordRules('password', req => req.body.email)
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await userDao.createUser(req.body.email, req.body.name, req.body.password);
+    // console.log('REGISTER', user.username, true, { userId: user.id }); // Debug log
+    audit(req, 'register', 'success', { user });
+
+    // Log the new user in right away
+    req.login(user, (err) => {
+      if (err)
+        return next(err);
+      return res.status(201).json(clientUserInfo(req));
+    });
+  } catch (err) {
+    if (err.constraintViolation === 'email_taken') {
+      audit(req, 'register', 'failure', { user: null, username: req.body.email, details: { reason: err.constraintViolation } });
+      return res.status(409).json({ error: err.message, constraintViolation: err.constraintViolation });
+    }
+    // console.log('REGISTER', req.body.email, false, { error: err.message }); // Debug log
+    res.status(500).json({ error: 'Database error during registration' });
+  }
+});
+
 /**
  * POST /api/sessions - User login endpoint
  * Authenticates user with username/password using Passport Local Strategy
  * Returns user info indicating if 2FA is required
  */
-app.post('/api/sessions', function(req, res, next) {
+app.post('/api/sessions', async function(req, res, next) {
   const username = req.body.username;
   // console.log('AUTH', 'Login attempt', { username }); // Debug log
 
+  // Attempts are counted per account (existing or not) and per address, before the password is checked
+  const accountKey = throttle.key('account', username || '');
+  const ipKey = throttle.key('ip', req.ip);
+  const block = await throttle.claim([accountKey, ipKey]);
+  if (block) {
+    audit(req, 'login', 'blocked', { user: null, username, details: block });
+    return sendThrottled(res, block);
+  }
+
   // Use Passport to authenticate credentials
   passport.authenticate('local', (err, user, info) => { 
     if (err)
       return next(err);
     if (!user) {
       // console.log('LOGIN', username, false, info); // Debug log
-      return res.status(401).json({ error: info });
+      // The claimed failure may have started a delay or a lockout: the client shows it right away
+      return throttle.check([accountKey, ipKey])
+        .then(newBlock => res.status(401).json({ error: info, ...newBlock }))
+        .catch(next);
     }
     
-    // Successful authentication - establish session
-    req.login(user, (err) => {
+    // Successful authentication - clear the account counter and establish session
+    throttle.recordSuccess([accountKey]).then(() => throttle.release([ipKey])).then(() => req.login(user, (err) => {
       if (err)
         return next(err);
       
@@ -242,7 +769,7 @@ app.post('/api/sessions', function(req, res, next) {
       // console.log('LOGIN', username, true, `2FA required: ${userInfo.canDoTotp && !userInfo.isTotp}`); // Debug log
       
       return res.json(userInfo);
-    });
+    })).catch(next);
   })(req, res, next);
 });
 
@@ -253,13 +780,22 @@ app.post('/api/sessions', function(req, res, next) {
  */
 app.post('/api/login-totp', isLoggedIn, [
   check('code').isLength({ min: 6, max: 6 }).isNumeric()
-], (req, res, next) => {
+], async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     // console.log('API', 'TOTP validation failed', { errors: errors.array() }); // Debug log
     return res.status(400).json({ errors: errors.array() });
   }
 
+  // TOTP and recovery code attempts share one counter per user
+  const secondFactorKey = throttle.key('second-factor', req.user.id);
+  const ipKey = throttle.key('ip', req.ip);
+  const block = await throttle.claim([secondFactorKey, ipKey]);
+  if (block) {
+    audit(req, 'second_factor', 'blocked', { details: { method: 'totp', ...block } });
+    return sendThrottled(res, block);
+  }
+
   // Use Passport TOTP strategy to verify code
   passport.authenticate('totp', (err, user, info) => {
     if (err) {
@@ -268,17 +804,73 @@ app.post('/api/login-totp', isLoggedIn, [
     }
     if (!user) {
       // console.log('TOTP', req.user.username, false, 'Invalid TOTP code'); // Debug log
-      return res.status(401).json({ error: 'Invalid TOTP code' });
+      audit(req, 'second_factor', 'failure', { details: { method: 'totp' } });
+      return throttle.check([secondFactorKey, ipKey])
+        .then(newBlock => res.status(401).json({ error: 'Invalid TOTP code', ...newBlock }))
+        .catch(next);
     }
     
     // TOTP verification successful - mark session as fully authenticated
-    req.session.method = 'totp';
-    // console.log('TOTP', req.user.username, true, 'TOTP verification successful'); // Debug log
-    
-    return res.json({ otp: 'authorized' });
+    throttle.recordSuccess([secondFactorKey]).then(() => throttle.release([ipKey])).then(() => {
+      req.session.method = 'totp';
+      req.session.totpVerifiedAt = Date.now(); // Starts the step-up window
+      // console.log('TOTP', req.user.username, true, 'TOTP verification successful'); // Debug log
+      audit(req, 'second_factor', 'success', { details: { method: 'totp' } });
+      
+      return res.json({ otp: 'authorized' });
+    }).catch(next);
   })(req, res, next);
 });
 
+/**
+ * POST /api/login-recovery - Recovery code verification endpoint
+ * Alternative to the TOTP code when the authenticator is not available
+ * Each recovery code can be used once; a valid code completes 2FA for the session
+ */
+app.post('/api/login-recovery', isLoggedIn, [
+  check('code').isString().isLength({ min: 10, max: 20 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!req.user.secret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  try {
+    // Same counter as the TOTP codes, so switching between them gains nothing
+    const secondFactorKey = throttle.key('second-factor', req.user.id);
+    const ipKey = throttle.key('ip', req.ip);
+    const block = await throttle.claim([secondFactorKey, ipKey]);
+    if (block) {
+      audit(req, 'second_factor', 'blocked', { details: { method: 'recovery_code', ...block } });
+      return sendThrottled(res, block);
+    }
+
+    const accepted = await userDao.useRecoveryCode(req.user.id, req.body.code);
+    if (!accepted) {
+      // console.log('RECOVERY', req.user.username, false, 'Invalid or used recovery code'); // Debug log
+      audit(req, 'second_factor', 'failure', { details: { method: 'recovery_code' } });
+      const newBlock = await throttle.check([secondFactorKey, ipKey]);
+      return res.status(401).json({ error: 'Invalid recovery code', ...newBlock });
+    }
+
+    // Same privileges as a TOTP login
+    await throttle.recordSuccess([secondFactorKey]);
+    await throttle.release([ipKey]);
+    req.session.method = 'totp';
+    req.session.totpVerifiedAt = Date.now();
+    const remainingRecoveryCodes = await userDao.countRecoveryCodes(req.user.id);
+    // console.log('RECOVERY', req.user.username, true, { remainingRecoveryCodes }); // Debug log
+    audit(req, 'second_factor', 'success', { details: { method: 'recovery_code', remainingRecoveryCodes } });
+
+    return res.json({ otp: 'authorized', remainingRecoveryCodes });
+  } catch (err) {
+    res.status(500).json({ error: 'Recovery code verification failed' });
+  }
+});
+
 /**
  * POST /api/skip-totp - Skip TOTP verification for partial authentication
  * Allows user to proceed with limited privileges (cannot cancel orders)
@@ -291,6 +883,7 @@ app.post('/api/skip-totp', isLoggedIn, (req, res) => {
   // Mark session as partially authenticated (no TOTP)
   // User can access most features but not sensitive operations
   req.session.method = 'partial'; // Different from 'totp' for full auth
+  audit(req, 'totp_skipped', 'success');
   
   return res.json({ 
     message: 'Proceeding with partial authentication',
@@ -317,6 +910,7 @@ app.get('/api/sessions/current', (req, res) => {
  */
 app.delete('/api/sessions/current', (req, res) => {
   const username = req.isAuthenticated() ? req.user.username : 'unknown';
+  const user = req.user; // req.user is cleared by the logout
   
   req.logout(err => {
     if (err) {
@@ -324,260 +918,1268 @@ app.delete('/api/sessions/current', (req, res) => {
       return res.status(500).json({ error: 'Logout error' });
     }
     // console.log('LOGOUT', username, true, 'Session destroyed'); // Debug log
+    if (user)
+      audit(req, 'logout', 'success', { user });
     res.json({ message: 'Logout successful' });
   });
 });
 
-// ORDER MANAGEMENT ROUTES (require authentication)
+// Entries shown in the account activity view
+const ACCOUNT_ACTIVITY_LIMIT = 20;
 
 /**
- * POST /api/orders - Create a new order
- * Requires authentication; validates dish and ingredients before creation
- * Updates ingredient availability automatically
+ * GET /api/users/current/activity - Recent account activity
+ * The latest audit log entries of the current user, including failed logins with their email
  */
-app.post('/api/orders', isLoggedIn, [
-  check('dishId').isString().notEmpty(), // Combined ID format: baseDishId_sizeId
-  check('ingredientIds').isArray()
+app.get('/api/users/current/activity', isLoggedIn, async (req, res) => {
+  try {
+    const entries = await auditDao.getAccountActivity(req.user, ACCOUNT_ACTIVITY_LIMIT);
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * PUT /api/users/current/password - Change the password
+ * Needs the current password and, with 2FA enabled, a TOTP code; both count as login
+ * attempts for the throttle. Every other session of the user is logged out
+ */
+app.put('/api/users/current/password', isLoggedIn, [
+  check('currentPassword').isString().withMessage('Current password is required'),
+  passwordRules('newPassword', req => req.user.username),
+  check('code').custom((code, { req }) => !req.user.secret || /^\d{6}$/.test(code))
+    .withMessage('A 6-digit TOTP code is required')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    // console.log('API', 'Order creation validation failed', { username: req.user.username, errors: errors.array() }); // Debug log
     return res.status(400).json({ errors: errors.array() });
   }
 
   try {
-    const { dishId, ingredientIds } = req.body;
-    // console.log('BUSINESS', 'Order creation started', { username: req.user.username, dishId, ingredientCount: ingredientIds.length }); // Debug log
-
-    // Parse combined dish ID to get base dish and size
-    const [baseDishId, sizeId] = dishId.split('_');
-    if (!baseDishId || !sizeId) {
-      // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Invalid dish ID format',dishId }); // Debug log
-      return res.status(400).json({ error: 'Invalid dish ID format' });
-    }
-
-    // Validate dish exists using combined ID
-    const dish = await restaurantDao.getDishById(dishId);
-    if (!dish) {
-      // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Invalid dish ID',dishId }); // Debug log
-      return res.status(400).json({ error: 'Invalid dish' });
-    }
-
-    // Get size information for capacity validation
-    const sizes = await restaurantDao.getSizes();
-    const selectedSize = sizes.find(s => s.id.toString() === sizeId);
-    if (!selectedSize) {
-      // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Invalid size ID',sizeId }); // Debug log
-      return res.status(400).json({ error: 'Invalid size' });
-    }
-
-    // SERVER-SIDE CONSTRAINT VALIDATION
-
-    // 1. Check ingredient count constraint
-    if (ingredientIds.length > selectedSize.maxIngredients) {
-      // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Too many ingredients',count: ingredientIds.length,max: selectedSize.maxIngredients }); // Debug log
-      return res.status(400).json({ 
-        error: `${selectedSize.label} dishes can have at most ${selectedSize.maxIngredients} ingredients. You selected ${ingredientIds.length}.`,
-        constraintViolation: 'ingredient_count',
-        maxAllowed: selectedSize.maxIngredients,
-        provided: ingredientIds.length
-      });
-    }
-
-    // 2. Fetch fresh ingredient data and validate each ingredient
-    const allIngredients = await restaurantDao.getAllIngredients();
-    const selectedIngredients = [];
-    let totalPrice = dish.price;
-
-    // Validate each ingredient exists and is available
-    for (const ingrId of ingredientIds) {
-      const ingredient = allIngredients.find(ing => ing.id === ingrId);
-      if (!ingredient) {
-        // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Invalid ingredient ID',ingredientId: ingrId }); // Debug log
-        return res.status(400).json({ 
-          error: `Invalid ingredient: ${ingrId}`,
-          constraintViolation: 'invalid_ingredient'
-        });
-      }
-
-      // Check availability constraint
-      // This check is probably reduntant beacuse we will check it again before creating the order
-      // but it is useful as an early exit point to avoid unnecessary processing if an ingredient is not available
-      if (ingredient.availability !== null && ingredient.availability <= 0) {
-        // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Ingredient not available',ingredient: ingredient.name,availability: ingredient.availability }); // Debug log
-        return res.status(400).json({ 
-          error: `${ingredient.name} is not available (current availability: ${ingredient.availability})`,
-          constraintViolation: 'availability',
-          ingredient: ingredient.name
-        });
-      }
-
-      selectedIngredients.push(ingredient);
-      totalPrice += ingredient.price;
-    }
-
-    // 3. Check incompatibility constraints
-    const selectedIngredientNames = selectedIngredients.map(ing => ing.name);
-    
-    for (const ingredient of selectedIngredients) {
-      const incompatibleSelected = ingredient.incompatible.filter(incompatName => 
-        selectedIngredientNames.includes(incompatName) && incompatName !== ingredient.name
-      );
-      
-      if (incompatibleSelected.length > 0) {
-        // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Incompatible ingredients',ingredient: ingredient.name,incompatibleWith: incompatibleSelected }); // Debug log
-        return res.status(400).json({ 
-          error: `${ingredient.name} is incompatible with: ${incompatibleSelected.join(', ')}`,
-          constraintViolation: 'incompatibility',
-          ingredient: ingredient.name,
-          conflictsWith: incompatibleSelected
-        });
-      }
-    }
-
-    // 4. Check requirement constraints using recursive validation
-    const validateRequirements = (ingredient, checkedIngredients = new Set()) => {
-      // Prevent infinite recursion
-      if (checkedIngredients.has(ingredient.name)) {
-        return { valid: true, missing: [] };
-      }
-      checkedIngredients.add(ingredient.name);
-
-      const missingRequirements = [];
-      
-      for (const reqName of ingredient.requires) {
-        const isRequired = selectedIngredientNames.includes(reqName);
-        if (!isRequired) {
-          missingRequirements.push(reqName);
-        } else {
-          // Recursively check requirements of required ingredients
-          const reqIngredient = selectedIngredients.find(ing => ing.name === reqName);
-          if (reqIngredient) {
-            const reqResult = validateRequirements(reqIngredient, checkedIngredients);
-            if (!reqResult.valid) {
-              missingRequirements.push(...reqResult.missing);
-            }
-          }
-        }
-      }
-
-      return {
-        valid: missingRequirements.length === 0,
-        missing: missingRequirements
-      };
-    };
-
-    // Check requirements for all selected ingredients
-    for (const ingredient of selectedIngredients) {
-      const reqResult = validateRequirements(ingredient);
-      if (!reqResult.valid) {
-        // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Missing required ingredients', ingredient: ingredient.name, missing: reqResult.missing }); // Debug log
-        return res.status(400).json({ 
-          error: `${ingredient.name} requires: ${reqResult.missing.join(', ')}`,
-          constraintViolation: 'requirements',
-          ingredient: ingredient.name,
-          missingRequirements: reqResult.missing
-        });
-      }
+    const accountKey = throttle.key('account', req.user.username);
+    const secondFactorKey = throttle.key('second-factor', req.user.id);
+    const ipKey = throttle.key('ip', req.ip);
+    // Without 2FA there is no code to check, so the second factor is not claimed
+    const factorKeys = req.user.secret ? [accountKey, secondFactorKey] : [accountKey];
+    const block = await throttle.claim([...factorKeys, ipKey]);
+    if (block) {
+      audit(req, 'password_changed', 'blocked', { details: block });
+      return sendThrottled(res, block);
     }
 
-    // 5. Final availability check with potential race condition protection
-    // Re-fetch ingredients to ensure we have the latest availability
-    const freshIngredients = await restaurantDao.getAllIngredients();
-    const unavailableIngredients = [];
-    
-    for (const ingrId of ingredientIds) {
-      const freshIngredient = freshIngredients.find(ing => ing.id === ingrId);
-      if (!freshIngredient || (freshIngredient.availability !== null && freshIngredient.availability <= 0)) {
-        const ingredientName = freshIngredient ? freshIngredient.name : `ID:${ingrId}`;
-        unavailableIngredients.push(ingredientName);
-      }
+    // Each failure keeps only the claims of the factors that failed
+    if (req.user.secret && !(await verifyTotpCode(req, res))) {
+      audit(req, 'password_changed', 'failure', { details: { reason: 'invalid_totp' } });
+      await throttle.release([accountKey]); // The password was not checked
+      const newBlock = await throttle.check([secondFactorKey, ipKey]);
+      return res.status(401).json({ error: 'Invalid TOTP code', ...newBlock });
     }
 
-    if (unavailableIngredients.length > 0) {
-      // console.log('ORDER_CREATE', false, { username: req.user.username, reason: 'Ingredients became unavailable', unavailable: unavailableIngredients }); // Debug log
-      return res.status(400).json({ 
-        error: `The following ingredients became unavailable: ${unavailableIngredients.join(', ')}. Please refresh and try again.`,
-        constraintViolation: 'availability_changed',
-        unavailableIngredients: unavailableIngredients
-      });
+    const changed = await userDao.changePassword(req.user.id, req.body.currentPassword, req.body.newPassword);
+    if (!changed) {
+      audit(req, 'password_changed', 'failure', { details: { reason: 'wrong_password' } });
+      if (req.user.secret)
+        await throttle.release([secondFactorKey]); // The code was right
+      const newBlock = await throttle.check([accountKey, ipKey]);
+      return res.status(401).json({ error: 'Current password is incorrect', ...newBlock });
     }
 
-    // ALL VALIDATIONS PASSED - Create the order
-    const order = await restaurantDao.createOrder(req.user.id, dishId, ingredientIds);
-    
-    // console.log('ORDER_CREATE', true, { username: req.user.username, orderId: order.id, dishName: dish.name, dishSize: dish.size, ingredients: selectedIngredients.map(ing => ing.name), totalPrice: totalPrice }); // Debug log
-
-    res.status(201).json({
-      id: order.id,
-      dishId: dishId,
-      ingredientIds: ingredientIds,
-      totalPrice: totalPrice,
-      message: 'Order created successfully'
-    });
+    await throttle.recordSuccess(factorKeys);
+    await throttle.release([ipKey]);
+    const loggedOut = await sessionStore.destroyUserSessions(req.user.id, req.sessionID);
+    audit(req, 'password_changed', 'success', { details: { otherSessionsLoggedOut: loggedOut } });
+    res.json({ message: 'Password changed', otherSessionsLoggedOut: loggedOut });
   } catch (err) {
-    // console.log('BUSINESS', 'Order creation failed', { username: req.user.username, error: err.message, stack: err.stack }); // Debug log
-    
-    // Handle specific database constraint violations
-    if (err.message.includes('availability')) {
-      res.status(400).json({ 
-        error: err.message,
-        constraintViolation: 'availability'
-      });
-    } else {
-      res.status(500).json({ error: err.message || 'Database error' });
-    }
+    res.status(500).json({ error: 'Could not change the password' });
   }
 });
 
 /**
- * GET /api/orders - Get current user's orders
- * Returns all orders for the authenticated user with full details
+ * PUT /api/users/current/dietary-profile - Save the diet to follow and the allergens to avoid
+ * Body: { diet, allergens } (diet null = none); answers with the updated user info
  */
-app.get('/api/orders', isLoggedIn, async (req, res) => {
+app.put('/api/users/current/dietary-profile', isLoggedIn, [
+  check('diet').custom(async diet => {
+    const { DIETS } = await loadDietary();
+    if (diet !== null && !DIETS.includes(diet))
+      throw new Error(`Diet must be null or one of ${DIETS.join(', ')}`);
+  }),
+  ...allergenValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
-    // console.log('API', 'Fetching user orders', { username: req.user.username }); // Debug log
-    const orders = await restaurantDao.getUserOrders(req.user.id);
-    // console.log('SELECT', 'orders', true, {  username: req.user.username, orderCount: orders.length }); // Debug log
-    res.json(orders);
+    req.user.dietaryProfile = await userDao.setDietaryProfile(req.user.id, req.body);
+    res.json(clientUserInfo(req));
   } catch (err) {
-    // console.log('SELECT', 'orders', false, {  username: req.user.username, error: err.message  }); // Debug log
     res.status(500).json({ error: 'Database error' });
   }
 });
 
 /**
- * DELETE /api/orders/:id - Cancel an order
- * Requires TOTP authentication for security
- * Restores ingredient availability when order is cancelled
+ * POST /api/password-resets - Request a password reset link
+ * The link is emailed through the mailer; the answer is the same whether or not the
+ * address belongs to an account, so it cannot be used to discover accounts
  */
-app.delete('/api/orders/:id', isLoggedIn, isTotp, [
-  check('id').isInt({ min: 1 })
+app.post('/api/password-resets', [
+  check('email').trim().toLowerCase().isEmail().withMessage('A valid email address is required')
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    // console.log('API', 'Order cancellation validation failed', { username: req.user.username, errors: errors.array() }); // Debug log
     return res.status(400).json({ errors: errors.array() });
   }
 
   try {
-    const orderId = parseInt(req.params.id, 10);
-    // console.log('BUSINESS', 'Order cancellation started', { username: req.user.username, orderId }); // Debug log
-    
-    // Cancel order and restore ingredient availability
-    await restaurantDao.cancelOrder(orderId, req.user.id);
-    
-    // console.log('ORDER_CANCEL', true, { username: req.user.username, orderId }); // Debug log
+    const reset = await userDao.createPasswordResetToken(req.body.email, config.passwordResetTtl);
+    if (reset) {
+      const link = `${config.appUrl}/reset-password?token=${reset.token}`;
+      const minutes = Math.round(config.passwordResetTtl / 60000);
+      await mailer.sendMail({
+        to: `${reset.user.name} <${reset.user.username}>`,
+        subject: 'Reset your Restaurant password',
+        text: `Hello ${reset.user.name},\n\n`
+          + `to choose a new password, open this link within ${minutes} minutes:\n${link}\n\n`
+          + 'If you did not ask for a new password, ignore this email: your password does not change.'
+      }).catch(err => console.error('Password reset email failed:', err.message));
+    }
+    audit(req, 'password_reset_requested', 'success', { user: reset ? reset.user : null, username: req.body.email });
+    res.json({ message: 'If an account exists for this address, a reset link has been sent to it' });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not start the password reset' });
+  }
+});
+
+/**
+ * POST /api/password-resets/confirm - Set a new password with a reset token
+ * The token works once; every session of the user is logged out and a login
+ * lockout on the account is lifted
+ */
+app.post('/api/password-resets/confirm', [
+  // Load the account first, so the password rules can compare with its email address
+  check('token').isString().withMessage('Reset token is required').bail()
+    .custom(async (token, { req }) => { req.resetUser = await userDao.findPasswordResetUser(token); }),
+  passwordRules('newPassword', req => req.resetUser?.username)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty() && req.resetUser !== null) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = req.resetUser && await userDao.resetPassword(req.body.token, req.body.newPassword);
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired', constraintViolation: 'invalid_token' });
+    }
+
+    await throttle.recordSuccess([throttle.key('account', user.username)]);
+    await sessionStore.destroyUserSessions(user.id);
+    audit(req, 'password_reset', 'success', { user });
+    res.json({ message: 'Password updated, you can now sign in' });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not reset the password' });
+  }
+});
+
+// TWO-FACTOR ENROLLMENT ROUTES (require authentication)
+
+/**
+ * POST /api/totp/enrollment - Start 2FA enrollment
+ * Generates a new per-user secret, stored as pending until confirmed
+ * Returns the secret, its otpauth:// URI and a QR code for authenticator apps
+ */
+app.post('/api/totp/enrollment', isLoggedIn, async (req, res) => {
+  if (req.user.secret) {
+    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  try {
+    // 20 random bytes encode to a 32-character base32 secret
+    const secret = base32.encode(crypto.randomBytes(20)).toString();
+    await userDao.setPendingTotpSecret(req.user.id, secret);
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.username}`);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&period=30`;
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    // console.log('TOTP', req.user.username, 'enrollment started'); // Debug log
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (err) {
+    // console.log('TOTP', req.user.username, false, { error: err.message }); // Debug log
+    res.status(500).json({ error: 'Could not start two-factor enrollment' });
+  }
+});
+
+/**
+ * POST /api/totp/enrollment/confirm - Complete 2FA enrollment
+ * Verifies a first code against the pending secret and activates it
+ * The current session is upgraded to full (TOTP) authentication
+ */
+app.post('/api/totp/enrollment/confirm', isLoggedIn, [
+  check('code').isLength({ min: 6, max: 6 }).isNumeric()
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!req.user.pendingSecret) {
+    return res.status(400).json({ error: 'No two-factor enrollment in progress' });
+  }
+
+  // Codes count as second-factor attempts, like at login
+  const secondFactorKey = throttle.key('second-factor', req.user.id);
+  const ipKey = throttle.key('ip', req.ip);
+  const block = await throttle.claim([secondFactorKey, ipKey]);
+  if (block) {
+    audit(req, 'totp_enabled', 'blocked', { details: block });
+    return sendThrottled(res, block);
+  }
+
+  passport.authenticate('totp-enroll', async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'TOTP verification failed' });
+    }
+    if (!user) {
+      audit(req, 'totp_enabled', 'failure');
+      return throttle.check([secondFactorKey, ipKey])
+        .then(newBlock => res.status(401).json({ error: 'Invalid TOTP code', ...newBlock }))
+        .catch(next);
+    }
+
+    try {
+      await throttle.recordSuccess([secondFactorKey]);
+      await throttle.release([ipKey]);
+      const recoveryCodes = await userDao.confirmTotpSecret(req.user.id);
+      if (!recoveryCodes) {
+        return res.status(400).json({ error: 'No two-factor enrollment in progress' });
+      }
+      req.user.secret = req.user.pendingSecret;
+      req.user.pendingSecret = null;
+      req.session.method = 'totp';
+      req.session.totpVerifiedAt = Date.now();
+      // console.log('TOTP', req.user.username, true, 'enrollment confirmed'); // Debug log
+      audit(req, 'totp_enabled', 'success');
+
+      // Recovery codes are only returned here and on regeneration: they are stored hashed
+      res.json({ ...clientUserInfo(req), recoveryCodes });
+    } catch (err) {
+      res.status(500).json({ error: 'Could not enable two-factor authentication' });
+    }
+  })(req, res, next);
+});
+
+/**
+ * GET /api/totp/recovery-codes - Number of unused recovery codes
+ * The codes themselves cannot be retrieved: only their hashes are stored
+ */
+app.get('/api/totp/recovery-codes', isLoggedIn, async (req, res) => {
+  try {
+    const remaining = await userDao.countRecoveryCodes(req.user.id);
+    res.json({ remaining });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error while counting recovery codes' });
+  }
+});
+
+/**
+ * POST /api/totp/recovery-codes - Regenerate recovery codes
+ * Requires a recently verified second factor (step-up); every previous code stops working
+ */
+app.post('/api/totp/recovery-codes', isLoggedIn, isRecentTotp, async (req, res) => {
+  if (!req.user.secret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  try {
+    const recoveryCodes = await userDao.regenerateRecoveryCodes(req.user.id);
+    // console.log('RECOVERY', req.user.username, 'codes regenerated'); // Debug log
+    audit(req, 'recovery_codes_regenerated', 'success');
+    res.json({ recoveryCodes });
+  } catch (err) {
+    res.status(500).json({ error: 'Could not generate recovery codes' });
+  }
+});
+
+/**
+ * DELETE /api/totp - Disable 2FA
+ * Requires a fresh TOTP code in the body, even if the session already completed 2FA
+ */
+app.delete('/api/totp', isLoggedIn, [
+  check('code').isLength({ min: 6, max: 6 }).isNumeric()
+], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!req.user.secret) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  const secondFactorKey = throttle.key('second-factor', req.user.id);
+  const ipKey = throttle.key('ip', req.ip);
+  const block = await throttle.claim([secondFactorKey, ipKey]);
+  if (block) {
+    audit(req, 'totp_disabled', 'blocked', { details: block });
+    return sendThrottled(res, block);
+  }
+
+  passport.authenticate('totp', async (err, user) => {
+    if (err) {
+      return res.status(500).json({ error: 'TOTP verification failed' });
+    }
+    if (!user) {
+      audit(req, 'totp_disabled', 'failure');
+      return throttle.check([secondFactorKey, ipKey])
+        .then(newBlock => res.status(401).json({ error: 'Invalid TOTP code', ...newBlock }))
+        .catch(next);
+    }
+
+    try {
+      await throttle.recordSuccess([secondFactorKey]);
+      await throttle.release([ipKey]);
+      await userDao.disableTotp(req.user.id);
+      req.user.secret = null;
+      req.user.pendingSecret = null;
+      delete req.session.method; // Without a secret the session can no longer count as 2FA
+      delete req.session.totpVerifiedAt;
+      // console.log('TOTP', req.user.username, true, '2FA disabled'); // Debug log
+      audit(req, 'totp_disabled', 'success');
+      res.json(clientUserInfo(req));
+    } catch (err) {
+      res.status(500).json({ error: 'Could not disable two-factor authentication' });
+    }
+  })(req, res, next);
+});
+
+// LIVE UPDATES
+
+/**
+ * GET /api/events - Server-Sent Events stream
+ * Everyone receives 'stock' events ([{ id, availability }] after every stock change);
+ * logged in users also receive 'order-status' events ({ id, userId, status, changedAt })
+ * for their own orders, and staff for every order
+ */
+app.get('/api/events', (req, res) => {
+  events.subscribe(req, res);
+});
+
+// ORDER MANAGEMENT ROUTES (require authentication)
+
+/**
+ * POST /api/orders/quote - Validate and price an order without creating it
+ * Takes the same body as POST /api/orders and always answers 200 with every
+ * violation, the price and nutrition breakdown at current menu values and the stock involved
+ */
+app.post('/api/orders/quote', isLoggedIn, orderValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { items, violations, stock } = await evaluateOrder(normalizeOrderItems(req.body));
+    const { sumNutrition } = await loadNutrition();
+    res.json({
+      valid: violations.length === 0,
+      items,
+      totalPrice: roundPrice(items.reduce((sum, line) => sum + line.totalPrice, 0)),
+      totalNutrition: sumNutrition(items.map(line => line.totalNutrition)),
+      violations,
+      stock
+    });
+  } catch (err) {
+    // console.log('BUSINESS', 'Order quote failed', { username: req.user.username, error: err.message }); // Debug log
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * POST /api/orders/suggestions - Ways to complete the dish being configured
+ * Body: { dishId, ingredientIds, goal, ingredientId, cart }; goal is max_ingredients, min_price or
+ * include (ingredientId required). cart lists the other dishes of the order as { ingredientIds, quantity },
+ * whose ingredients are taken out of the stock first. Answers 200 with up to three completions,
+ * each priced at current menu prices; see suggestCompletions in the constraint engine
+ */
+app.post('/api/orders/suggestions', isLoggedIn, [
+  check('dishId').isString().notEmpty(), // Combined ID format: baseDishId_sizeId
+  // Ingredient IDs are converted before the duplicate checks, as in orderValidators
+  check('ingredientIds.*').isInt({ min: 1 }).toInt(),
+  check('ingredientIds').isArray({ max: 20 }).bail()
+    .custom(hasNoDuplicates).withMessage('Each ingredient can be added only once'),
+  check('goal').custom(async goal => {
+    const { COMPLETION_GOALS } = await loadConstraints();
+    if (!COMPLETION_GOALS.includes(goal))
+      throw new Error('Invalid suggestion goal');
+  }),
+  check('ingredientId').if(body('goal').equals('include')).isInt({ min: 1 }).toInt(),
+  check('cart').optional().isArray({ max: MAX_ORDER_ITEMS }),
+  check('cart.*.ingredientIds.*').isInt({ min: 1 }).toInt(),
+  check('cart.*.ingredientIds').isArray().bail()
+    .custom(hasNoDuplicates).withMessage('Each ingredient can be added only once'),
+  check('cart.*.quantity').optional().isInt({ min: 1, max: MAX_ITEM_QUANTITY })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { validateSelection, suggestCompletions } = await loadConstraints();
+    const dish = await restaurantDao.getDishById(req.body.dishId);
+    const size = dish && (await restaurantDao.getSizes()).find(s => s.id === dish.sizeId);
+    if (!size) {
+      return res.status(400).json({ error: 'Invalid dish', constraintViolation: 'invalid_dish' });
+    }
+
+    // Stock left once the rest of the cart is served
+    const cart = (req.body.cart ?? []).map(item => ({
+      ingredientIds: item.ingredientIds,
+      quantity: item.quantity !== undefined ? parseInt(item.quantity, 10) : 1
+    }));
+    const menuIngredients = await restaurantDao.getAllIngredients();
+    const { stock: used } = combinedStockUsage(cart, menuIngredients);
+    const allIngredients = menuIngredients.map(ing => {
+      const usage = used.find(entry => entry.id === ing.id);
+      return usage && ing.availability !== null ? { ...ing, availability: ing.availability - usage.requested } : ing;
+    });
+
+    // Completions start from a selection that is valid on its own
+    const violations = validateSelection(req.body.ingredientIds, size, allIngredients);
+    if (violations.length > 0) {
+      return res.status(400).json({ ...violations[0], violations });
+    }
+
+    const { suggestions, violation, exhaustive } = suggestCompletions(req.body.ingredientIds, size, allIngredients,
+      { goal: req.body.goal, ingredientId: req.body.ingredientId });
+    const nameOf = (id) => allIngredients.find(ing => ing.id === id).name;
+    res.json({
+      goal: req.body.goal,
+      suggestions: suggestions.map(suggestion => ({
+        ingredientIds: suggestion.ingredientIds,
+        ingredients: suggestion.ingredientIds.map(nameOf),
+        added: suggestion.added.map(nameOf),
+        unitPrice: roundPrice(dish.price + suggestion.price)
+      })),
+      violation,
+      exhaustive
+    });
+  } catch (err) {
+    // console.log('BUSINESS', 'Suggestions failed', { username: req.user.username, error: err.message }); // Debug log
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * POST /api/orders - Create a new order
+ * Requires authentication; an order contains one or more configured dishes
+ * Validates every item and the combined stock usage before creation
+ * Updates ingredient availability automatically
+ */
+app.post('/api/orders', isLoggedIn, orderValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // console.log('API', 'Order creation validation failed', { username: req.user.username, errors: errors.array() }); // Debug log
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const items = normalizeOrderItems(req.body);
+    // console.log('BUSINESS', 'Order creation started', { username: req.user.username, itemCount: items.length }); // Debug log
+
+    // SERVER-SIDE CONSTRAINT VALIDATION: every item, then the combined stock usage
+    // The first violation is the error body; the full list is included for clients that show them all
+    const { items: validItems, violations } = await evaluateOrder(items);
+    if (violations.length > 0) {
+      // console.log('ORDER_CREATE', false, { username: req.user.username, reason: violations[0].constraintViolation }); // Debug log
+      return res.status(400).json({ ...violations[0], violations });
+    }
+
+    // ALL VALIDATIONS PASSED - Create the order
+    // Stock is re-checked and decremented atomically inside the DAO transaction,
+    // so a concurrent order that took the last units makes this one fail cleanly
+    const order = await restaurantDao.createOrder(req.user.id, validItems);
+    
+    // console.log('ORDER_CREATE', true, { username: req.user.username, orderId: order.id, itemCount: validItems.length, totalPrice: order.totalPrice }); // Debug log
+    audit(req, 'order_placed', 'success', { details: { orderId: order.id, totalPrice: order.totalPrice } });
+    broadcastStock();
+    broadcastOrderStatus({ id: order.id, userId: req.user.id, status: 'received' });
+
+    res.status(201).json({
+      id: order.id,
+      items: items,
+      totalPrice: order.totalPrice, // Computed from the prices snapshotted on the order
+      totalNutrition: order.totalNutrition,
+      message: 'Order created successfully'
+    });
+  } catch (err) {
+    // console.log('BUSINESS', 'Order creation failed', { username: req.user.username, error: err.message, stack: err.stack }); // Debug log
+    
+    // Stock ran out between validation and the transaction (lost the race)
+    if (err.constraintViolation === 'availability_changed') {
+      res.status(400).json({ 
+        error: err.message,
+        constraintViolation: err.constraintViolation,
+        unavailableIngredients: err.unavailableIngredients
+      });
+    } else {
+      res.status(500).json({ error: err.message || 'Database error' });
+    }
+  }
+});
+
+/**
+ * GET /api/orders - Get current user's orders
+ * Returns all orders for the authenticated user with full details
+ */
+app.get('/api/orders', isLoggedIn, async (req, res) => {
+  try {
+    // console.log('API', 'Fetching user orders', { username: req.user.username }); // Debug log
+    const orders = await restaurantDao.getUserOrders(req.user.id);
+    // console.log('SELECT', 'orders', true, {  username: req.user.username, orderCount: orders.length }); // Debug log
+    res.json(orders);
+  } catch (err) {
+    // console.log('SELECT', 'orders', false, {  username: req.user.username, error: err.message  }); // Debug log
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * DELETE /api/orders/:id - Cancel an order
+ * Requires a recently verified TOTP code (step-up) for security
+ * Only possible before preparation starts (409 afterwards)
+ * Restores ingredient availability when order is cancelled
+ */
+app.delete('/api/orders/:id', isLoggedIn, isRecentTotp, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    // console.log('API', 'Order cancellation validation failed', { username: req.user.username, errors: errors.array() }); // Debug log
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const orderId = parseInt(req.params.id, 10);
+    // console.log('BUSINESS', 'Order cancellation started', { username: req.user.username, orderId }); // Debug log
+    
+    // Cancel order and restore ingredient availability
+    const order = await restaurantDao.cancelOrder(orderId, req.user.id);
+    
+    // console.log('ORDER_CANCEL', true, { username: req.user.username, orderId }); // Debug log
+    audit(req, 'order_cancelled', 'success', { details: { orderId } });
+    broadcastStock();
+    broadcastOrderStatus(order);
     res.json({ message: 'Order cancelled successfully' });
   } catch (err) {
-    // console.log('BUSINESS', 'Order cancellation failed', { username: req.user.username, orderId: req.params.id, error: err.message }); // Debug log
-    
-    // Provide specific error messages for different failure cases
-    if (err.message.includes('not found')) {
-      res.status(404).json({ error: err.message });
-    } else {
-      res.status(500).json({ error: err.message || 'Database error' });
-    }
+    // console.log('BUSINESS', 'Order cancellation failed', { username: req.user.username, orderId: req.params.id, error: err.message }); // Debug log
+    audit(req, 'order_cancelled', 'failure', { details: { orderId: parseInt(req.params.id, 10), error: err.message } });
+    sendOrderStatusError(res, err);
+  }
+});
+
+/**
+ * GET /api/orders/:id/prefill - Configuration of a past order, to order it again
+ * The dishes are checked against the current menu, rules and stock; see prefillItems
+ */
+app.get('/api/orders/:id/prefill', isLoggedIn, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const savedItems = await restaurantDao.getOrderConfiguration(parseInt(req.params.id, 10), req.user.id);
+    if (!savedItems) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(await prefillItems(savedItems));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// FAVORITES ROUTES (require authentication)
+
+// Favorites a user can keep
+const MAX_FAVORITES = 50;
+
+/**
+ * GET /api/favorites - Saved favorite configurations of the current user, newest first
+ */
+app.get('/api/favorites', isLoggedIn, async (req, res) => {
+  try {
+    res.json(await favoritesDao.getFavorites(req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * POST /api/favorites - Save a configured dish under a name
+ * The configuration must satisfy the size and the ingredient rules; stock is not checked,
+ * since it is checked again whenever the favorite is loaded
+ */
+app.post('/api/favorites', isLoggedIn, [
+  check('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Name must be 1 to 60 characters'),
+  check('dishId').isString().notEmpty(), // Combined ID format: baseDishId_sizeId
+  check('ingredientIds').isArray({ max: 20 }),
+  check('ingredientIds.*').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { validateSelection } = await loadConstraints();
+    const dish = await restaurantDao.getDishById(req.body.dishId);
+    const size = dish && (await restaurantDao.getSizes()).find(s => s.id === dish.sizeId);
+    if (!size) {
+      return res.status(400).json({ error: 'Invalid dish', constraintViolation: 'invalid_dish' });
+    }
+
+    const allIngredients = await restaurantDao.getAllIngredients();
+    const violations = validateSelection(req.body.ingredientIds, size, allIngredients)
+      .filter(violation => violation.constraintViolation !== 'availability');
+    if (violations.length > 0) {
+      return res.status(400).json({ ...violations[0], violations });
+    }
+
+    if (await favoritesDao.countFavorites(req.user.id) >= MAX_FAVORITES) {
+      return res.status(409).json({ error: `You can keep at most ${MAX_FAVORITES} favorites`, constraintViolation: 'favorite_limit' });
+    }
+
+    const ingredients = req.body.ingredientIds.map(id => allIngredients.find(ing => ing.id === id));
+    const id = await favoritesDao.createFavorite(req.user.id, req.body.name, dish, ingredients);
+    res.status(201).json(await favoritesDao.getFavorite(id, req.user.id));
+  } catch (err) {
+    if (err.constraintViolation === 'duplicate_name')
+      res.status(409).json({ error: err.message, constraintViolation: err.constraintViolation });
+    else
+      res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * GET /api/favorites/:id/prefill - Favorite checked against the current menu, rules and stock
+ * Same answer as GET /api/orders/:id/prefill, with a single item
+ */
+app.get('/api/favorites/:id/prefill', isLoggedIn, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const favorite = await favoritesDao.getFavorite(parseInt(req.params.id, 10), req.user.id);
+    if (!favorite) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+    res.json(await prefillItems([{ ...favorite, quantity: 1 }]));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * DELETE /api/favorites/:id - Delete a favorite of the current user
+ */
+app.delete('/api/favorites/:id', isLoggedIn, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await favoritesDao.deleteFavorite(parseInt(req.params.id, 10), req.user.id);
+    res.json({ message: 'Favorite deleted' });
+  } catch (err) {
+    if (err.message === 'Favorite not found')
+      res.status(404).json({ error: err.message });
+    else
+      res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// KITCHEN ROUTES (require staff role)
+
+/**
+ * GET /api/kitchen/orders - Open orders of every customer, oldest first
+ * Open means received, preparing or ready; picked up, rejected and cancelled orders are left out
+ */
+app.get('/api/kitchen/orders', isLoggedIn, isStaff, async (req, res) => {
+  try {
+    const { ORDER_STATUSES, isActive } = await loadOrderStatus();
+    const orders = await restaurantDao.getOrdersByStatus(ORDER_STATUSES.filter(isActive));
+    res.json(orders);
+  } catch (err) {
+    // console.log('SELECT', 'kitchen orders', false, { username: req.user.username, error: err.message }); // Debug log
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * PUT /api/orders/:id/status - Move an order to its next status
+ * Body: { status }; the kitchen can advance an order (preparing, ready, picked_up)
+ * or reject it before preparation. Rejected orders give their ingredients back to stock
+ */
+app.put('/api/orders/:id/status', isLoggedIn, isStaff, [
+  check('id').isInt({ min: 1 }),
+  check('status').custom(async status => {
+    const { ORDER_STATUSES } = await loadOrderStatus();
+    // Cancelling is the customer's decision (DELETE /api/orders/:id)
+    if (!ORDER_STATUSES.includes(status) || status === 'cancelled')
+      throw new Error('Invalid order status');
+  })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const order = await restaurantDao.updateOrderStatus(parseInt(req.params.id, 10), req.body.status, req.user.id);
+    // console.log('KITCHEN', req.user.username, 'moved order', order); // Debug log
+    audit(req, 'order_status_changed', 'success', { details: { orderId: order.id, status: order.status, customerId: order.userId } });
+    broadcastOrderStatus(order);
+    if (order.status === 'rejected')
+      broadcastStock(); // Rejected orders give their ingredients back
+    res.json(order);
+  } catch (err) {
+    sendOrderStatusError(res, err);
+  }
+});
+
+// INVENTORY ROUTES (require staff role)
+
+/**
+ * GET /api/inventory/reconciliation - Compare each ingredient's availability with its ledger
+ * Flags the ingredients whose stock changed without a recorded movement
+ */
+app.get('/api/inventory/reconciliation', isLoggedIn, isStaff, async (req, res) => {
+  try {
+    const ingredients = await inventoryDao.reconcileStock();
+    res.json({ consistent: ingredients.every(ing => ing.consistent), ingredients });
+  } catch (err) {
+    // console.log('SELECT', 'reconciliation', false, { error: err.message }); // Debug log
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * GET /api/ingredients/:id/stock-movements - Ledger of an ingredient, oldest first
+ * Each movement carries the stock right after it, so the stock at any time can be read off
+ */
+app.get('/api/ingredients/:id/stock-movements', isLoggedIn, isStaff, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await inventoryDao.getMovements(parseInt(req.params.id, 10)));
+  } catch (err) {
+    if (err.message.includes('not found'))
+      return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * POST /api/ingredients/:id/stock-movements - Record a restock, waste or adjustment
+ * Body: { reason, quantity, note }; restock and waste take a positive quantity,
+ * an adjustment a signed one and a note explaining it
+ */
+app.post('/api/ingredients/:id/stock-movements', isLoggedIn, isStaff, [
+  check('id').isInt({ min: 1 }),
+  check('reason').isIn(['restock', 'waste', 'adjustment']).withMessage('Reason must be restock, waste or adjustment'),
+  check('quantity').custom((quantity, { req }) => Number.isInteger(quantity) && quantity !== 0 &&
+    (req.body.reason === 'adjustment' || quantity > 0))
+    .withMessage('Quantity must be a positive integer (a non-zero integer for adjustments)'),
+  check('note').optional({ values: 'null' }).isString().trim().isLength({ max: 200 })
+    .withMessage('Note must be at most 200 characters'),
+  check('note').if(body('reason').equals('adjustment')).notEmpty()
+    .withMessage('Adjustments need a note explaining them')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const result = await inventoryDao.recordStaffMovement(parseInt(req.params.id, 10), {
+      reason: req.body.reason,
+      quantity: req.body.quantity,
+      note: req.body.note || null
+    }, req.user.id);
+    // console.log('INVENTORY', req.user.username, 'recorded', result); // Debug log
+    broadcastStock();
+    res.status(201).json(result);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while recording the stock movement');
+  }
+});
+
+// ADMIN ROUTES (require admin role and 2FA)
+
+/**
+ * Convert an ISO 8601 date to the UTC format of the created_at columns
+ * @param {string} value - ISO 8601 date, or undefined
+ * @returns {string|undefined} 'YYYY-MM-DD HH:MM:SS'
+ */
+const toSqlTimestamp = (value) => value && new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * GET /api/audit-log - Security audit log, newest first
+ * Query filters (all optional): userId, username, event, outcome, ip, from and to
+ * (ISO 8601), limit (1-500, default 500) and beforeId to page back from an entry
+ */
+app.get('/api/audit-log', isLoggedIn, isAdmin, [
+  check('userId').optional().isInt({ min: 1 }).toInt(),
+  check('username').optional().isString(),
+  check('event').optional().isIn(auditDao.AUDIT_EVENTS).withMessage(`Event must be one of ${auditDao.AUDIT_EVENTS.join(', ')}`),
+  check('outcome').optional().isIn(auditDao.AUDIT_OUTCOMES).withMessage(`Outcome must be one of ${auditDao.AUDIT_OUTCOMES.join(', ')}`),
+  check('ip').optional().isString(),
+  check('from').optional().isISO8601(),
+  check('to').optional().isISO8601(),
+  check('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  check('beforeId').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { userId, username, event, outcome, ip, from, to, limit, beforeId } = req.query;
+    const entries = await auditDao.getEntries({
+      userId, username, event, outcome, ip, limit, beforeId,
+      from: toSqlTimestamp(from),
+      to: toSqlTimestamp(to)
+    });
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * GET /api/stock-alerts - Low-stock alert feed, newest first
+ */
+app.get('/api/stock-alerts', isLoggedIn, isAdmin, async (req, res) => {
+  try {
+    res.json(await inventoryDao.getStockAlerts());
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * POST /api/stock-alerts/:id/acknowledge - Mark a low-stock alert as handled
+ */
+app.post('/api/stock-alerts/:id/acknowledge', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await inventoryDao.acknowledgeStockAlert(parseInt(req.params.id, 10), req.user.id);
+    res.json({ message: 'Alert acknowledged' });
+  } catch (err) {
+    if (err.message.includes('not found'))
+      return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+/**
+ * PUT /api/ingredients/:id/reorder-threshold - Set the stock level that raises a low-stock alert
+ * Body: { reorderThreshold } (null = no alerts)
+ */
+app.put('/api/ingredients/:id/reorder-threshold', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  check('reorderThreshold')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 0))
+    .withMessage('Reorder threshold must be null (no alerts) or a non-negative integer')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await menuDao.setReorderThreshold(parseInt(req.params.id, 10), req.body.reorderThreshold));
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the reorder threshold');
+  }
+});
+
+/**
+ * POST /api/base-dishes - Create a base dish
+ */
+app.post('/api/base-dishes', isLoggedIn, isAdmin, isRecentTotp, baseDishValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const baseDish = await menuDao.createBaseDish(req.body.name);
+    // console.log('ADMIN', req.user.username, 'created base dish', baseDish); // Debug log
+    res.status(201).json(baseDish);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while creating the dish');
+  }
+});
+
+/**
+ * PUT /api/base-dishes/:id - Rename a base dish
+ */
+app.put('/api/base-dishes/:id', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...baseDishValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const baseDish = await menuDao.updateBaseDish(parseInt(req.params.id, 10), req.body.name);
+    res.json(baseDish);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the dish');
+  }
+});
+
+/**
+ * PUT /api/base-dishes/:id/dietary-tags - Set the allergens a base dish contains and the diets it suits
+ * Body: { allergens, diets }, replacing the current tags
+ */
+app.put('/api/base-dishes/:id/dietary-tags', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...dietaryTagValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await menuDao.setBaseDishTags(parseInt(req.params.id, 10), req.body));
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the dish tags');
+  }
+});
+
+/**
+ * DELETE /api/base-dishes/:id - Delete a base dish not used by any order
+ */
+app.delete('/api/base-dishes/:id', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.deleteBaseDish(parseInt(req.params.id, 10));
+    res.json({ message: 'Dish deleted successfully' });
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while deleting the dish');
+  }
+});
+
+/**
+ * POST /api/sizes - Create a size
+ */
+app.post('/api/sizes', isLoggedIn, isAdmin, isRecentTotp, sizeValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const size = await menuDao.createSize({
+      label: req.body.label,
+      basePrice: Number(req.body.basePrice),
+      maxIngredients: parseInt(req.body.maxIngredients, 10)
+    });
+    res.status(201).json(size);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while creating the size');
+  }
+});
+
+/**
+ * PUT /api/sizes/:id - Update a size's label, price and ingredient capacity
+ */
+app.put('/api/sizes/:id', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...sizeValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const size = await menuDao.updateSize(parseInt(req.params.id, 10), {
+      label: req.body.label,
+      basePrice: Number(req.body.basePrice),
+      maxIngredients: parseInt(req.body.maxIngredients, 10)
+    });
+    res.json(size);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the size');
+  }
+});
+
+/**
+ * PUT /api/sizes/:id/nutrition - Set the nutrition values of a plain dish of a size
+ * Body: { kcal, protein, fat, carbs }
+ */
+app.put('/api/sizes/:id/nutrition', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...nutritionValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await menuDao.setSizeNutrition(parseInt(req.params.id, 10), req.body));
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the size nutrition');
+  }
+});
+
+/**
+ * DELETE /api/sizes/:id - Delete a size not used by any order
+ */
+app.delete('/api/sizes/:id', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.deleteSize(parseInt(req.params.id, 10));
+    res.json({ message: 'Size deleted successfully' });
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while deleting the size');
+  }
+});
+
+/**
+ * POST /api/ingredients - Create an ingredient
+ * Availability null means unlimited stock
+ */
+app.post('/api/ingredients', isLoggedIn, isAdmin, isRecentTotp, ingredientValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const ingredient = await menuDao.createIngredient({
+      name: req.body.name,
+      price: Number(req.body.price),
+      availability: req.body.availability
+    }, req.user.id);
+    res.status(201).json(ingredient);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while creating the ingredient');
+  }
+});
+
+/**
+ * PUT /api/ingredients/:id/dietary-tags - Set the allergens an ingredient contains and the diets it suits
+ * Body: { allergens, diets }, replacing the current tags
+ */
+app.put('/api/ingredients/:id/dietary-tags', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...dietaryTagValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await menuDao.setIngredientTags(parseInt(req.params.id, 10), req.body));
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the ingredient tags');
+  }
+});
+
+/**
+ * PUT /api/ingredients/:id/nutrition - Set the nutrition values of the portion of an ingredient added to a dish
+ * Body: { kcal, protein, fat, carbs }
+ */
+app.put('/api/ingredients/:id/nutrition', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...nutritionValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await menuDao.setIngredientNutrition(parseInt(req.params.id, 10), req.body));
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the ingredient nutrition');
+  }
+});
+
+/**
+ * PUT /api/ingredients/:id - Update an ingredient's name, price and availability
+ */
+app.put('/api/ingredients/:id', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  ...ingredientValidators
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const ingredient = await menuDao.updateIngredient(parseInt(req.params.id, 10), {
+      name: req.body.name,
+      price: Number(req.body.price),
+      availability: req.body.availability
+    }, req.user.id);
+    broadcastStock(); // The availability may have been restocked or reduced
+    res.json(ingredient);
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while updating the ingredient');
+  }
+});
+
+/**
+ * DELETE /api/ingredients/:id - Delete an ingredient not used by any order and without stock movements
+ * Removes its requirement and incompatibility rules as well
+ */
+app.delete('/api/ingredients/:id', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.deleteIngredient(parseInt(req.params.id, 10));
+    res.json({ message: 'Ingredient deleted successfully' });
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while deleting the ingredient');
+  }
+});
+
+/**
+ * POST /api/ingredients/:id/requirements - Add a requirement rule
+ * Rejected when it creates a cycle, contradicts an incompatibility
+ * or needs more ingredients than the smallest size allows
+ * Returns the updated ingredients list
+ */
+app.post('/api/ingredients/:id/requirements', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  check('requiredId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.addRequirement(parseInt(req.params.id, 10), parseInt(req.body.requiredId, 10));
+    res.status(201).json(await restaurantDao.getAllIngredients());
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while adding the requirement');
+  }
+});
+
+/**
+ * DELETE /api/ingredients/:id/requirements/:requiredId - Remove a requirement rule
+ * Returns the updated ingredients list
+ */
+app.delete('/api/ingredients/:id/requirements/:requiredId', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  check('requiredId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.removeRequirement(parseInt(req.params.id, 10), parseInt(req.params.requiredId, 10));
+    res.json(await restaurantDao.getAllIngredients());
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while removing the requirement');
+  }
+});
+
+/**
+ * POST /api/ingredients/:id/incompatibilities - Add an incompatibility rule
+ * The rule is symmetric: both ingredients list each other
+ * Returns the updated ingredients list
+ */
+app.post('/api/ingredients/:id/incompatibilities', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  check('incompatibleWithId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.addIncompatibility(parseInt(req.params.id, 10), parseInt(req.body.incompatibleWithId, 10));
+    res.status(201).json(await restaurantDao.getAllIngredients());
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while adding the incompatibility');
+  }
+});
+
+/**
+ * DELETE /api/ingredients/:id/incompatibilities/:otherId - Remove an incompatibility rule
+ * Removes both directions; returns the updated ingredients list
+ */
+app.delete('/api/ingredients/:id/incompatibilities/:otherId', isLoggedIn, isAdmin, isRecentTotp, [
+  check('id').isInt({ min: 1 }),
+  check('otherId').isInt({ min: 1 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await menuDao.removeIncompatibility(parseInt(req.params.id, 10), parseInt(req.params.otherId, 10));
+    res.json(await restaurantDao.getAllIngredients());
+  } catch (err) {
+    sendMenuError(res, err, 'Database error while removing the incompatibility');
   }
 });
 
@@ -603,11 +2205,21 @@ app.use((req, res) => {
 
 // --- Server startup ---
 
-app.listen(PORT, (err) => {
-  // console.log('Server started successfully', { PORT, environment: process.env.NODE_ENV || 'development', logLevel: process.env.LOG_LEVEL || 'INFO' }); // Debug log
-  // console.log(`API endpoints available at http://localhost:${PORT}/api/`); // Debug log
-  if (err)
-    console.log(err);
-  else 
-    console.log(`Server listening at http://localhost:${PORT}`);
-});
+// Bring the database schema up to date before accepting requests
+runMigrations()
+  .then(() => {
+    dispatchStockAlerts(); // Alerts raised before a restart that were never sent
+    sessionStore.deleteExpired().catch(() => {});
+    app.listen(PORT, (err) => {
+      // console.log('Server started successfully', { PORT, environment: process.env.NODE_ENV || 'development', logLevel: process.env.LOG_LEVEL || 'INFO' }); // Debug log
+      // console.log(`API endpoints available at http://localhost:${PORT}/api/`); // Debug log
+      if (err)
+        console.log(err);
+      else 
+        console.log(`Server listening at http://localhost:${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error('Database migration failed:', err.message);
+    process.exit(1);
+  });
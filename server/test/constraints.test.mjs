@@ -0,0 +1,293 @@
+/* Constraint Engine */
+
+/* Unit tests of shared/constraints.mjs on the seeded menu: parmesan needs mozzarella, which needs
+   tomatoes, which need olives (the longest requirement chain); tuna needs olives; eggs clash with
+   mushrooms and tomatoes, ham with mushrooms and olives with anchovies. */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateSelection, addIngredient, removalViolation, removeIngredients, reconcileSelection, suggestCompletions
+} from '../../shared/constraints.mjs';
+
+const MOZZARELLA = 1, TOMATOES = 2, MUSHROOMS = 3, HAM = 4, OLIVES = 5, TUNA = 6, EGGS = 7, ANCHOVIES = 8,
+  PARMESAN = 9, CARROTS = 10, POTATOES = 11;
+
+const SMALL = { label: 'Small', maxIngredients: 3 };
+const MEDIUM = { label: 'Medium', maxIngredients: 5 };
+const LARGE = { label: 'Large', maxIngredients: 7 };
+
+/**
+ * Ingredients of the seeded menu in the API shape
+ * @param {Object} [availability] - Availability to use instead of the seeded one, by ingredient ID
+ * @returns {Array<Object>} Fresh ingredient objects
+ */
+const menu = (availability = {}) => [
+  { id: MOZZARELLA, name: 'mozzarella', price: 1.0, availability: 3, requires: ['tomatoes'], incompatible: [] },
+  { id: TOMATOES, name: 'tomatoes', price: 0.5, availability: null, requires: ['olives'], incompatible: ['eggs'] },
+  { id: MUSHROOMS, name: 'mushrooms', price: 0.8, availability: 3, requires: [], incompatible: ['eggs', 'ham'] },
+  { id: HAM, name: 'ham', price: 1.2, availability: 2, requires: [], incompatible: ['mushrooms'] },
+  { id: OLIVES, name: 'olives', price: 0.7, availability: null, requires: [], incompatible: ['anchovies'] },
+  { id: TUNA, name: 'tuna', price: 1.5, availability: 2, requires: ['olives'], incompatible: [] },
+  { id: EGGS, name: 'eggs', price: 1.0, availability: null, requires: [], incompatible: ['mushrooms', 'tomatoes'] },
+  { id: ANCHOVIES, name: 'anchovies', price: 1.5, availability: 1, requires: [], incompatible: ['olives'] },
+  { id: PARMESAN, name: 'parmesan', price: 1.2, availability: null, requires: ['mozzarella'], incompatible: [] },
+  { id: CARROTS, name: 'carrots', price: 0.4, availability: null, requires: [], incompatible: [] },
+  { id: POTATOES, name: 'potatoes', price: 0.3, availability: null, requires: [], incompatible: [] }
+].map(ing => ing.id in availability ? { ...ing, availability: availability[ing.id] } : ing);
+
+/**
+ * Constraint violation codes of a list of violations
+ * @param {Array<Object>} violations - Violations
+ * @returns {Array<string>} Their constraintViolation values
+ */
+const codes = (violations) => violations.map(violation => violation.constraintViolation);
+
+describe('validateSelection', () => {
+  test('accepts a full requirement chain', () => {
+    assert.deepEqual(validateSelection([PARMESAN, MOZZARELLA, TOMATOES, OLIVES], MEDIUM, menu()), []);
+  });
+
+  test('reports every missing requirement of a chain, transitive ones included', () => {
+    const [violation] = validateSelection([PARMESAN], MEDIUM, menu());
+    assert.equal(violation.constraintViolation, 'requirements');
+    assert.equal(violation.ingredient, 'parmesan');
+    assert.deepEqual(violation.missingRequirements, ['mozzarella', 'tomatoes', 'olives']);
+  });
+
+  test('reports only the links of a chain that are missing', () => {
+    const violations = validateSelection([MOZZARELLA, TOMATOES], MEDIUM, menu());
+    assert.deepEqual(violations.map(v => [v.ingredient, v.missingRequirements]), [
+      ['mozzarella', ['olives']],
+      ['tomatoes', ['olives']]
+    ]);
+  });
+
+  test('rejects more ingredients than the size allows', () => {
+    const violations = validateSelection([CARROTS, POTATOES, OLIVES, EGGS], SMALL, menu());
+    assert.deepEqual(codes(violations), ['ingredient_count']);
+    assert.equal(violations[0].maxAllowed, 3);
+    assert.equal(violations[0].provided, 4);
+  });
+
+  test('accepts exactly the maximum', () => {
+    assert.deepEqual(validateSelection([CARROTS, POTATOES, OLIVES], SMALL, menu()), []);
+  });
+
+  test('reports an incompatible pair once', () => {
+    const violations = validateSelection([EGGS, MUSHROOMS], MEDIUM, menu());
+    assert.deepEqual(codes(violations), ['incompatibility']);
+    assert.equal(violations[0].ingredient, 'eggs');
+    assert.deepEqual(violations[0].conflictsWith, ['mushrooms']);
+  });
+
+  test('finds an incompatibility brought in by a requirement', () => {
+    const violations = validateSelection([TOMATOES, OLIVES, EGGS], MEDIUM, menu());
+    assert.deepEqual(codes(violations), ['incompatibility']);
+    assert.deepEqual(violations[0].conflictsWith, ['eggs']);
+  });
+
+  test('reports unknown, repeated and unavailable ingredients and keeps checking the others', () => {
+    const violations = validateSelection([99, CARROTS, CARROTS, ANCHOVIES, TUNA], MEDIUM, menu({ [ANCHOVIES]: 0 }));
+    assert.deepEqual(codes(violations), ['invalid_ingredient', 'duplicate_ingredient', 'availability', 'requirements']);
+    assert.equal(violations[2].ingredient, 'anchovies');
+    assert.deepEqual(violations[3].missingRequirements, ['olives']);
+  });
+});
+
+describe('addIngredient', () => {
+  test('adds an ingredient with its whole requirement chain', () => {
+    assert.deepEqual(addIngredient(PARMESAN, [CARROTS], MEDIUM, menu()), {
+      selection: [CARROTS, PARMESAN, MOZZARELLA, TOMATOES, OLIVES]
+    });
+  });
+
+  test('does not add requirements that are already selected', () => {
+    assert.deepEqual(addIngredient(TUNA, [OLIVES], SMALL, menu()), { selection: [OLIVES, TUNA] });
+  });
+
+  test('leaves a selection that already contains the ingredient unchanged', () => {
+    const selection = [TOMATOES, OLIVES];
+    assert.equal(addIngredient(TOMATOES, selection, SMALL, menu()).selection, selection);
+  });
+
+  test('needs a size and a known ingredient', () => {
+    assert.equal(addIngredient(CARROTS, [], null, menu()).violation.constraintViolation, 'size_required');
+    assert.equal(addIngredient(99, [], MEDIUM, menu()).violation.constraintViolation, 'invalid_ingredient');
+  });
+
+  test('rejects a chain that does not fit the size, naming the chain', () => {
+    const { violation } = addIngredient(PARMESAN, [], SMALL, menu());
+    assert.equal(violation.constraintViolation, 'ingredient_count');
+    assert.deepEqual(violation.requiredBy, ['parmesan', 'mozzarella', 'tomatoes']);
+    assert.match(violation.error, /^Cannot add olives \(required by parmesan → mozzarella → tomatoes\)/);
+  });
+
+  test('rejects the ingredient itself when the size is full', () => {
+    const { violation } = addIngredient(EGGS, [CARROTS, POTATOES, HAM], SMALL, menu());
+    assert.equal(violation.constraintViolation, 'ingredient_count');
+    assert.equal(violation.requiredBy, undefined);
+  });
+
+  test('rejects an incompatible ingredient', () => {
+    const { violation } = addIngredient(HAM, [MUSHROOMS], MEDIUM, menu());
+    assert.equal(violation.constraintViolation, 'incompatibility');
+    assert.deepEqual(violation.conflictsWith, ['mushrooms']);
+  });
+
+  test('rejects an ingredient whose requirement is incompatible with the selection', () => {
+    const { violation } = addIngredient(TUNA, [ANCHOVIES], MEDIUM, menu());
+    assert.equal(violation.constraintViolation, 'incompatibility');
+    assert.equal(violation.ingredient, 'olives');
+    assert.deepEqual(violation.requiredBy, ['tuna']);
+  });
+
+  test('rejects an ingredient whose requirement ran out', () => {
+    const { violation } = addIngredient(PARMESAN, [], LARGE, menu({ [MOZZARELLA]: 0 }));
+    assert.equal(violation.constraintViolation, 'availability');
+    assert.equal(violation.ingredient, 'mozzarella');
+    assert.deepEqual(violation.requiredBy, ['parmesan']);
+  });
+});
+
+describe('removalViolation', () => {
+  test('refuses to remove an ingredient that a selected one requires', () => {
+    const violation = removalViolation(OLIVES, [TOMATOES, OLIVES, TUNA], menu());
+    assert.equal(violation.constraintViolation, 'required_by');
+    assert.deepEqual(violation.requiredBy, ['tomatoes', 'tuna']);
+  });
+
+  test('allows removing the head of a chain', () => {
+    assert.equal(removalViolation(PARMESAN, [PARMESAN, MOZZARELLA, TOMATOES, OLIVES], menu()), null);
+  });
+
+  test('ignores ingredients that are not selected or unknown', () => {
+    assert.equal(removalViolation(OLIVES, [CARROTS], menu()), null);
+    assert.equal(removalViolation(99, [CARROTS], menu()), null);
+  });
+});
+
+describe('removeIngredients', () => {
+  test('removes everything that needs the ingredient, through the whole chain', () => {
+    assert.deepEqual(removeIngredients([OLIVES], [CARROTS, PARMESAN, MOZZARELLA, TOMATOES, OLIVES], menu()), {
+      selection: [CARROTS],
+      removed: ['parmesan', 'mozzarella', 'tomatoes', 'olives']
+    });
+  });
+
+  test('keeps the requirements of a removed ingredient', () => {
+    assert.deepEqual(removeIngredients([MOZZARELLA], [PARMESAN, MOZZARELLA, TOMATOES, OLIVES], menu()), {
+      selection: [TOMATOES, OLIVES],
+      removed: ['parmesan', 'mozzarella']
+    });
+  });
+
+  test('ignores ingredients that are not selected', () => {
+    assert.deepEqual(removeIngredients([HAM], [CARROTS], menu()), { selection: [CARROTS], removed: [] });
+  });
+});
+
+describe('reconcileSelection', () => {
+  test('keeps a selection that still fits', () => {
+    assert.deepEqual(reconcileSelection([TUNA, OLIVES, CARROTS], MEDIUM, menu()), {
+      selection: [TUNA, OLIVES, CARROTS],
+      dropped: []
+    });
+  });
+
+  test('adds back missing requirements', () => {
+    assert.deepEqual(reconcileSelection([PARMESAN], MEDIUM, menu()).selection, [PARMESAN, MOZZARELLA, TOMATOES, OLIVES]);
+  });
+
+  test('lets earlier choices win an incompatibility', () => {
+    const { selection, dropped } = reconcileSelection([EGGS, TOMATOES, CARROTS], MEDIUM, menu());
+    assert.deepEqual(selection, [EGGS, CARROTS]);
+    assert.deepEqual(dropped.map(d => [d.id, d.constraintViolation]), [[TOMATOES, 'incompatibility']]);
+  });
+
+  test('drops what does not fit a smaller size', () => {
+    // Tuna does not fit with the olives it needs; the olives alone still do
+    const { selection, dropped } = reconcileSelection([CARROTS, POTATOES, TUNA, OLIVES, EGGS], SMALL, menu());
+    assert.deepEqual(selection, [CARROTS, POTATOES, OLIVES]);
+    assert.deepEqual(dropped.map(d => [d.name, d.constraintViolation]), [['tuna', 'ingredient_count'], ['eggs', 'ingredient_count']]);
+  });
+
+  test('needs a unit of every ingredient for each dish', () => {
+    const { selection, dropped } = reconcileSelection([TUNA, OLIVES], MEDIUM, menu(), 3);
+    assert.deepEqual(selection, [OLIVES]);
+    assert.equal(dropped[0].constraintViolation, 'availability');
+    assert.equal(dropped[0].error, 'Only 2 tuna left for 3 dishes');
+  });
+
+  test('explains a requirement that is short for the quantity', () => {
+    const { selection, dropped } = reconcileSelection([PARMESAN], LARGE, menu({ [MOZZARELLA]: 1 }), 2);
+    assert.deepEqual(selection, []);
+    assert.equal(dropped[0].error, 'Cannot add mozzarella (required by parmesan): only 1 mozzarella left for 2 dishes');
+  });
+
+  test('drops unknown ingredients', () => {
+    const { dropped } = reconcileSelection([99], SMALL, menu());
+    assert.deepEqual(dropped, [{ id: 99, name: null, error: 'Invalid ingredient: 99', constraintViolation: 'invalid_ingredient' }]);
+  });
+});
+
+describe('suggestCompletions', () => {
+  test('suggests only valid selections with no room left', () => {
+    const ingredients = menu();
+    const { suggestions, exhaustive } = suggestCompletions([EGGS], SMALL, ingredients, { goal: 'max_ingredients' });
+    assert.equal(exhaustive, true);
+    assert.ok(suggestions.length > 0);
+    for (const { ingredientIds } of suggestions) {
+      assert.deepEqual(validateSelection(ingredientIds, SMALL, ingredients), []);
+      assert.equal(ingredientIds[0], EGGS);
+      for (const ing of ingredients.filter(ing => !ingredientIds.includes(ing.id)))
+        assert.ok(addIngredient(ing.id, ingredientIds, SMALL, ingredients).violation);
+    }
+  });
+
+  test('puts the completions with most ingredients first', () => {
+    const { suggestions } = suggestCompletions([], MEDIUM, menu(), { goal: 'max_ingredients' });
+    assert.equal(suggestions[0].ingredientIds.length, 5);
+  });
+
+  test('never suggests unavailable ingredients', () => {
+    const { suggestions } = suggestCompletions([], LARGE, menu({ [MOZZARELLA]: 0, [HAM]: 0 }), { goal: 'max_ingredients', limit: 10 });
+    for (const { ingredientIds } of suggestions) {
+      assert.ok(!ingredientIds.includes(MOZZARELLA));
+      assert.ok(!ingredientIds.includes(HAM));
+      assert.ok(!ingredientIds.includes(PARMESAN));
+    }
+  });
+
+  test('suggests the cheapest valid completions for min_price, full or not', () => {
+    const ingredients = menu();
+    const { suggestions } = suggestCompletions([EGGS], SMALL, ingredients, { goal: 'min_price' });
+    assert.deepEqual(suggestions.map(s => s.ingredientIds), [[EGGS, POTATOES], [EGGS, CARROTS], [EGGS, CARROTS, POTATOES]]);
+    for (const { ingredientIds } of suggestions)
+      assert.deepEqual(validateSelection(ingredientIds, SMALL, ingredients), []);
+  });
+
+  test('prices an ingredient together with its requirements for min_price', () => {
+    // Tuna is the cheapest ingredient, but it needs olives, which cost less than both together
+    const ingredients = menu()
+      .filter(ing => ing.id !== POTATOES && ing.id !== CARROTS)
+      .map(ing => ing.id === TUNA ? { ...ing, price: 0.1 } : ing);
+    const { suggestions } = suggestCompletions([], SMALL, ingredients, { goal: 'min_price', limit: 2 });
+    assert.deepEqual(suggestions.map(s => [s.ingredientIds, Math.round(s.price * 10) / 10]), [
+      [[OLIVES], 0.7],
+      [[TUNA, OLIVES], 0.8]
+    ]);
+  });
+
+  test('includes a chosen ingredient with its requirements', () => {
+    const { suggestions, violation } = suggestCompletions([CARROTS], MEDIUM, menu(), { goal: 'include', ingredientId: PARMESAN });
+    assert.equal(violation, null);
+    assert.deepEqual(suggestions[0].ingredientIds.slice(0, 5).sort((a, b) => a - b), [MOZZARELLA, TOMATOES, OLIVES, PARMESAN, CARROTS]);
+  });
+
+  test('explains why a chosen ingredient cannot be included', () => {
+    const { suggestions, violation } = suggestCompletions([ANCHOVIES], MEDIUM, menu(), { goal: 'include', ingredientId: TUNA });
+    assert.deepEqual(suggestions, []);
+    assert.equal(violation.constraintViolation, 'incompatibility');
+  });
+});
@@ -0,0 +1,120 @@
+/* Concurrent Orders on Limited Stock */
+
+/* Fires many createOrder calls at once at ingredients with limited availability: only as many
+   orders as the stock allows may succeed, the others must fail with availability_changed and
+   leave nothing behind, and availability must never go below zero. */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy of the application database: db.js opens DB_FILE when it is first required
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'restaurant-test-'));
+process.env.DB_FILE = path.join(tmpDir, 'restaurant.db');
+fs.copyFileSync(path.join(__dirname, '..', 'db', 'restaurant.db'), process.env.DB_FILE);
+
+const db = require('../db');
+const { runMigrations } = require('../utils/migrate');
+const { runInTransaction } = require('../utils/transaction');
+const restaurantDao = require('../dao/dao-restaurant');
+
+const CUSTOMER_ID = 1; // u1@rest.com
+const PIZZA_ID = 1;
+const SMALL_ID = 1;
+const HAM_ID = 4;
+const OLIVES_ID = 5;
+const TUNA_ID = 6; // Requires olives
+
+/**
+ * Set the availability of an ingredient
+ * @param {number} ingredientId - Ingredient ID
+ * @param {number|null} availability - Units left, null for unlimited
+ * @returns {Promise<void>}
+ */
+const setAvailability = (ingredientId, availability) =>
+  runInTransaction(tx => tx.run('UPDATE ingredients SET availability = ? WHERE id = ?', [availability, ingredientId]));
+
+/**
+ * Get the availability of an ingredient
+ * @param {number} ingredientId - Ingredient ID
+ * @returns {Promise<number|null>} Units left
+ */
+const getAvailability = async (ingredientId) =>
+  (await runInTransaction(tx => tx.get('SELECT availability FROM ingredients WHERE id = ?', [ingredientId]))).availability;
+
+/**
+ * Count the orders in the database
+ * @returns {Promise<number>} Number of orders
+ */
+const countOrders = async () =>
+  (await runInTransaction(tx => tx.get('SELECT COUNT(*) AS count FROM orders'))).count;
+
+/**
+ * Place the same order many times at once
+ * @param {number} count - Number of orders
+ * @param {Array<Object>} items - Items of each order
+ * @returns {Promise<Array<Object>>} Settled results, in call order
+ */
+const placeConcurrently = (count, items) =>
+  Promise.allSettled(Array.from({ length: count }, () => restaurantDao.createOrder(CUSTOMER_ID, items)));
+
+before(async () => {
+  await runMigrations();
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('only as many orders as the stock allows succeed', async () => {
+  const availability = 3;
+  await setAvailability(HAM_ID, availability);
+  const ordersBefore = await countOrders();
+
+  const results = await placeConcurrently(10, [{ baseDishId: PIZZA_ID, sizeId: SMALL_ID, quantity: 1, ingredientIds: [HAM_ID] }]);
+
+  const fulfilled = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+  assert.equal(fulfilled.length, availability);
+  assert.equal(rejected.length, 10 - availability);
+  for (const { reason } of rejected)
+    assert.equal(reason.constraintViolation, 'availability_changed');
+
+  // Failed orders are rolled back entirely
+  assert.equal(await countOrders(), ordersBefore + availability);
+  assert.equal(await getAvailability(HAM_ID), 0);
+});
+
+test('stock never goes below zero when each order needs several units', async () => {
+  await setAvailability(HAM_ID, 5);
+  await setAvailability(TUNA_ID, 4);
+
+  // Each order uses 2 ham and 2 tuna: both allow two orders
+  const items = [
+    { baseDishId: PIZZA_ID, sizeId: SMALL_ID, quantity: 1, ingredientIds: [HAM_ID, TUNA_ID, OLIVES_ID] },
+    { baseDishId: PIZZA_ID, sizeId: SMALL_ID, quantity: 1, ingredientIds: [HAM_ID, TUNA_ID, OLIVES_ID] }
+  ];
+  const results = await placeConcurrently(6, items);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+  for (const result of results.filter(result => result.status === 'rejected'))
+    assert.equal(result.reason.constraintViolation, 'availability_changed');
+  assert.equal(await getAvailability(HAM_ID), 1);
+  assert.equal(await getAvailability(TUNA_ID), 0);
+});
+
+test('an order that runs out of stock does not consume the other ingredients', async () => {
+  await setAvailability(HAM_ID, 10);
+  await setAvailability(TUNA_ID, 1);
+
+  const results = await placeConcurrently(4, [{ baseDishId: PIZZA_ID, sizeId: SMALL_ID, quantity: 1, ingredientIds: [HAM_ID, TUNA_ID, OLIVES_ID] }]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  assert.equal(await getAvailability(TUNA_ID), 0);
+  assert.equal(await getAvailability(HAM_ID), 9);
+});
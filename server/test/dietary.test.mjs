@@ -0,0 +1,45 @@
+/* Allergens and Diets */
+
+/* Unit tests of shared/dietary.mjs: profile conflicts and the allergens and diets of a configured dish. */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { profileConflicts, hasDietaryProfile, dishAllergens, dishDiets } from '../../shared/dietary.mjs';
+
+const pizza = { allergens: ['gluten'], diets: ['vegetarian', 'vegan', 'pescatarian'] };
+const mozzarella = { allergens: ['dairy'], diets: ['vegetarian', 'pescatarian'] };
+const tuna = { allergens: ['fish'], diets: ['pescatarian'] };
+const tomatoes = { allergens: [], diets: ['vegetarian', 'vegan', 'pescatarian'] };
+
+describe('profileConflicts', () => {
+  test('lists the avoided allergens and the diet an item does not suit', () => {
+    assert.deepEqual(profileConflicts(tuna, { diet: 'vegetarian', allergens: ['fish', 'dairy'] }), ['Contains fish', 'Not vegetarian']);
+  });
+
+  test('is empty when the item fits or there is no profile', () => {
+    assert.deepEqual(profileConflicts(tomatoes, { diet: 'vegan', allergens: ['dairy'] }), []);
+    assert.deepEqual(profileConflicts(tuna, null), []);
+    assert.deepEqual(profileConflicts(tuna, { diet: null, allergens: [] }), []);
+  });
+});
+
+describe('hasDietaryProfile', () => {
+  test('needs a diet or an allergen', () => {
+    assert.equal(hasDietaryProfile(null), false);
+    assert.equal(hasDietaryProfile({ diet: null, allergens: [] }), false);
+    assert.equal(hasDietaryProfile({ diet: 'vegan', allergens: [] }), true);
+    assert.equal(hasDietaryProfile({ diet: null, allergens: ['nuts'] }), true);
+  });
+});
+
+describe('dish tags', () => {
+  test('a dish contains the allergens of its base and of every ingredient, once each', () => {
+    assert.deepEqual(dishAllergens(pizza, [tuna, mozzarella, { allergens: ['dairy'], diets: [] }]), ['dairy', 'fish', 'gluten']);
+  });
+
+  test('a dish suits only the diets its base and every ingredient suit', () => {
+    assert.deepEqual(dishDiets(pizza, [tomatoes]), ['vegetarian', 'vegan', 'pescatarian']);
+    assert.deepEqual(dishDiets(pizza, [tomatoes, mozzarella]), ['vegetarian', 'pescatarian']);
+    assert.deepEqual(dishDiets(pizza, [mozzarella, tuna]), ['pescatarian']);
+  });
+});
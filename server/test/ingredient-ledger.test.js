@@ -0,0 +1,72 @@
+/* Ingredient Ledger */
+
+/* Switching an ingredient between limited and unlimited stock is recorded as explicit events
+   that reconciliation understands, and an ingredient with a stock history cannot be deleted. */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy of the application database: db.js opens DB_FILE when it is first required
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'restaurant-test-'));
+process.env.DB_FILE = path.join(tmpDir, 'restaurant.db');
+fs.copyFileSync(path.join(__dirname, '..', 'db', 'restaurant.db'), process.env.DB_FILE);
+
+const db = require('../db');
+const { runMigrations } = require('../utils/migrate');
+const menuDao = require('../dao/dao-menu');
+const inventoryDao = require('../dao/dao-inventory');
+
+const ADMIN_ID = 3; // u3@rest.com
+
+/**
+ * Get the reconciliation row of an ingredient
+ * @param {number} ingredientId - Ingredient ID
+ * @returns {Promise<Object>} Row returned by reconcileStock
+ */
+const reconciliationOf = async (ingredientId) =>
+  (await inventoryDao.reconcileStock()).find(row => row.id === ingredientId);
+
+before(async () => {
+  await runMigrations();
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('switching between limited and unlimited stock records tracking events', async () => {
+  const { id } = await menuDao.createIngredient({ name: 'basil', price: 0.5, availability: 4 }, ADMIN_ID);
+  await menuDao.updateIngredient(id, { name: 'basil', price: 0.5, availability: null }, ADMIN_ID);
+  assert.equal((await reconciliationOf(id)).consistent, true);
+
+  await menuDao.updateIngredient(id, { name: 'basil', price: 0.5, availability: 7 }, ADMIN_ID);
+  await menuDao.updateIngredient(id, { name: 'basil', price: 0.5, availability: 5 }, ADMIN_ID);
+
+  const { movements } = await inventoryDao.getMovements(id);
+  assert.deepEqual(movements.map(({ reason, quantity, balance }) => ({ reason, quantity, balance })), [
+    { reason: 'opening', quantity: 4, balance: 4 },
+    { reason: 'unlimited', quantity: 0, balance: null },
+    { reason: 'opening', quantity: 7, balance: 7 },
+    { reason: 'adjustment', quantity: -2, balance: 5 }
+  ]);
+  const reconciliation = await reconciliationOf(id);
+  assert.equal(reconciliation.ledgerBalance, 5);
+  assert.equal(reconciliation.consistent, true);
+});
+
+test('an ingredient with a stock history cannot be deleted', async () => {
+  const { id } = await menuDao.createIngredient({ name: 'capers', price: 0.4, availability: 2 }, ADMIN_ID);
+  await assert.rejects(menuDao.deleteIngredient(id), { constraintViolation: 'in_use' });
+  assert.equal((await inventoryDao.getMovements(id)).movements.length, 1);
+
+  // Without a ledger the ingredient can go
+  const { id: untrackedId } = await menuDao.createIngredient({ name: 'oregano', price: 0.2, availability: null }, ADMIN_ID);
+  await menuDao.deleteIngredient(untrackedId);
+  await assert.rejects(inventoryDao.getMovements(untrackedId), { message: 'Ingredient not found' });
+});
@@ -0,0 +1,74 @@
+/* Concurrent Login Attempts */
+
+/* Fires many wrong second-factor codes at once for one user: every attempt is claimed before its
+   code is checked, so only the free attempts and the first delayed one may be evaluated, and the
+   others must be refused with the block the earlier failures started. */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Work on a copy of the application database: db.js opens DB_FILE when it is first required
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'restaurant-test-'));
+process.env.DB_FILE = path.join(tmpDir, 'restaurant.db');
+fs.copyFileSync(path.join(__dirname, '..', 'db', 'restaurant.db'), process.env.DB_FILE);
+
+const db = require('../db');
+const { runMigrations } = require('../utils/migrate');
+const throttle = require('../utils/login-throttle');
+
+const USER_ID = 1; // u1@rest.com, with 2FA
+const ATTEMPTS = 30;
+const SECOND_FACTOR_FREE_ATTEMPTS = 3;
+
+/**
+ * Make many attempts at once, each failing after its claim, as a wrong code does
+ * @param {Array<Object>} keys - Throttle keys of every attempt
+ * @returns {Promise<Array<Object|null>>} Claim result of each attempt (null = evaluated)
+ */
+const attemptConcurrently = (keys) =>
+  Promise.all(Array.from({ length: ATTEMPTS }, () => throttle.claim(keys)));
+
+before(async () => {
+  await runMigrations();
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('parallel wrong codes are evaluated at most up to the second-factor limit', async () => {
+  const secondFactorKey = throttle.key('second-factor', USER_ID);
+  const keys = [secondFactorKey, throttle.key('ip', '203.0.113.1')];
+
+  const results = await attemptConcurrently(keys);
+
+  const evaluated = results.filter(block => block === null);
+  assert.equal(evaluated.length, SECOND_FACTOR_FREE_ATTEMPTS + 1);
+  for (const block of results.filter(block => block !== null))
+    assert.ok(block.retryAfter > 0);
+
+  // The next attempt is still refused
+  assert.notEqual(await throttle.check([secondFactorKey]), null);
+});
+
+test('a success gives the claims back', async () => {
+  const secondFactorKey = throttle.key('second-factor', USER_ID + 1);
+  const ipKey = throttle.key('ip', '203.0.113.2');
+
+  // Two failures and a success: the second factor is reset, the address keeps the two failures
+  for (let i = 0; i < 3; i++)
+    assert.equal(await throttle.claim([secondFactorKey, ipKey]), null);
+  await throttle.recordSuccess([secondFactorKey]);
+  await throttle.release([ipKey]);
+
+  const rows = await new Promise((resolve, reject) => db.all(
+    'SELECT key, failures FROM login_throttle WHERE key IN (?, ?)', [secondFactorKey.key, ipKey.key],
+    (err, rows) => err ? reject(err) : resolve(rows)));
+  assert.deepEqual(rows, [{ key: ipKey.key, failures: 2 }]);
+});
@@ -0,0 +1,75 @@
+/* Server-Sent Events Broadcaster */
+
+/* Keeps the open GET /api/events connections and pushes events to them.
+   Each connection remembers who opened it, so an event can be sent to a chosen audience,
+   and the session it was opened with, so it is closed when that session ends. */
+
+'use strict';
+
+// Idle connections get a comment line this often, so proxies do not close them
+const KEEPALIVE_MS = 25000;
+
+// Delay the browser waits before reconnecting a dropped stream
+const RETRY_MS = 3000;
+
+// Open connections as { res, userId, role, sessionId }
+const clients = new Set();
+
+/**
+ * Turn a request into an event stream and keep it until the client disconnects
+ * @param {Object} req - Express request object (req.user is set for logged in users)
+ * @param {Object} res - Express response object
+ */
+exports.subscribe = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const client = {
+    res,
+    userId: req.user ? req.user.id : null,
+    role: req.user ? req.user.role : null,
+    sessionId: req.user ? req.sessionID : null
+  };
+  clients.add(client);
+  // console.log('EVENTS', 'client connected', { userId: client.userId, clients: clients.size }); // Debug log
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    clients.delete(client);
+  });
+};
+
+/**
+ * Send an event to every connection that matches an audience
+ * @param {string} event - Event name
+ * @param {Object|Array} data - JSON payload
+ * @param {Function} audience - Predicate on { userId, role }; everyone by default
+ */
+exports.publish = (event, data, audience = () => true) => {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of clients) {
+    if (audience(client))
+      client.res.write(message);
+  }
+};
+
+/**
+ * Close the connections opened with sessions that no longer exist (logout, password change or reset,
+ * expiry), so they stop receiving events meant for that user
+ * The browser reconnects by itself and gets a stream for its current session, if any
+ * @param {Array<string>} sessionIds - IDs of the destroyed sessions
+ */
+exports.closeSessions = (sessionIds) => {
+  for (const client of clients) {
+    if (client.sessionId && sessionIds.includes(client.sessionId)) {
+      clients.delete(client);
+      client.res.end();
+      // console.log('EVENTS', 'client disconnected, session ended', { userId: client.userId }); // Debug log
+    }
+  }
+};
@@ -0,0 +1,106 @@
+/* Ingredient Rules Graph Checks */
+
+/* Pure functions that validate the requirement / incompatibility graph before it is written.
+   The graph is given as Maps from ingredient ID to a Set of ingredient IDs. */
+
+'use strict';
+
+/**
+ * Collect every ingredient an ingredient needs, directly or through other requirements
+ * @param {Map<number, Set<number>>} requires - Requirement edges (ingredient -> required ingredients)
+ * @param {number} ingredientId - Starting ingredient
+ * @returns {Set<number>} Transitively required ingredient IDs (the start is not included)
+ */
+const requirementClosure = (requires, ingredientId) => {
+  const closure = new Set();
+  const stack = [...(requires.get(ingredientId) || [])];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === ingredientId || closure.has(id))
+      continue;
+    closure.add(id);
+    stack.push(...(requires.get(id) || []));
+  }
+  return closure;
+};
+
+/**
+ * Find a requirement cycle reachable from an ingredient
+ * @param {Map<number, Set<number>>} requires - Requirement edges
+ * @param {number} ingredientId - Starting ingredient
+ * @returns {Array<number>|null} Cycle as a path that starts and ends with ingredientId, or null
+ */
+const findRequirementCycle = (requires, ingredientId) => {
+  const visit = (id, path) => {
+    for (const next of requires.get(id) || []) {
+      if (next === ingredientId)
+        return [...path, next];
+      if (!path.includes(next)) {
+        const cycle = visit(next, [...path, next]);
+        if (cycle)
+          return cycle;
+      }
+    }
+    return null;
+  };
+  return visit(ingredientId, [ingredientId]);
+};
+
+/**
+ * Find every rule violation in the graph
+ * An ingredient is orderable only if its requirements do not loop back to it,
+ * do not include two incompatible ingredients, and fit (together with the
+ * ingredient) in the smallest size
+ * @param {Object} graph - Rules graph
+ * @param {Map<number, Set<number>>} graph.requires - Requirement edges
+ * @param {Map<number, Set<number>>} graph.incompatible - Symmetric incompatibility edges
+ * @param {Map<number, string>} graph.names - Ingredient names for error messages
+ * @param {number|null} graph.maxIngredients - max_ingredients of the smallest size (null if there are no sizes)
+ * @returns {Array<Object>} Violations as { error, constraintViolation, ingredient, ... }
+ */
+exports.findRuleViolations = ({ requires, incompatible, names, maxIngredients }) => {
+  const nameOf = id => names.get(id) || `#${id}`;
+  const violations = [];
+
+  for (const ingredientId of names.keys()) {
+    const cycle = findRequirementCycle(requires, ingredientId);
+    if (cycle) {
+      violations.push({
+        error: `Requirement cycle: ${cycle.map(nameOf).join(' → ')}`,
+        constraintViolation: 'requirement_cycle',
+        ingredient: nameOf(ingredientId),
+        cycle: cycle.map(nameOf)
+      });
+    }
+
+    // The ingredient together with everything it needs
+    const selection = [ingredientId, ...requirementClosure(requires, ingredientId)];
+
+    for (const id of selection) {
+      const conflict = selection.find(other => (incompatible.get(id) || new Set()).has(other));
+      if (conflict !== undefined) {
+        violations.push({
+          error: id === ingredientId
+            ? `${nameOf(ingredientId)} would require ${nameOf(conflict)}, which is incompatible with it`
+            : `${nameOf(ingredientId)} would need both ${nameOf(id)} and ${nameOf(conflict)}, which are incompatible`,
+          constraintViolation: 'contradiction',
+          ingredient: nameOf(ingredientId),
+          conflictsWith: [nameOf(id), nameOf(conflict)]
+        });
+        break;
+      }
+    }
+
+    if (maxIngredients !== null && selection.length > maxIngredients) {
+      violations.push({
+        error: `${nameOf(ingredientId)} would need ${selection.length} ingredients, more than the ${maxIngredients} allowed in the smallest size`,
+        constraintViolation: 'requirement_chain',
+        ingredient: nameOf(ingredientId),
+        required: selection.length,
+        maxAllowed: maxIngredients
+      });
+    }
+  }
+
+  return violations;
+};
@@ -0,0 +1,159 @@
+/* Login Throttle */
+
+/* Counts failed login attempts per account, per second factor and per IP address.
+   After a few free attempts every further failure doubles the wait before the next
+   attempt is accepted; after too many failures an account (or its second factor)
+   is locked for a while. Failures are forgotten some time after the last one, and
+   a successful login clears the counters of the account it proves.
+   Every attempt is claimed (counted as a failure) before the credentials are checked,
+   so a burst of parallel attempts cannot all be checked before the first failure is stored. */
+
+'use strict';
+
+const { runInTransaction } = require('./transaction');
+
+// Rules per scope: failures accepted without delay, and failures that lock (null = never)
+const SCOPES = {
+  account: { freeAttempts: 3, lockoutAfter: 10 },
+  'second-factor': { freeAttempts: 3, lockoutAfter: 5 },
+  ip: { freeAttempts: 10, lockoutAfter: null }
+};
+
+// First backoff delay, doubled on every further failure up to the maximum
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Length of a lockout
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Failures older than this (counted from the last one) are forgotten
+const FAILURE_MEMORY_MS = 30 * 60 * 1000;
+
+/**
+ * Build a throttle key
+ * @param {string} scope - account, second-factor or ip
+ * @param {string|number} id - Username, user ID or IP address
+ * @returns {Object} Key as { scope, key }
+ */
+exports.key = (scope, id) => ({ scope, key: `${scope}:${String(id).toLowerCase()}` });
+
+/**
+ * Compute the block that follows a number of failures
+ * @param {string} scope - account, second-factor or ip
+ * @param {number} failures - Failures remembered for the key
+ * @param {number} at - Time of the last failure
+ * @returns {Object} { blockedUntil, locked } (blockedUntil 0 = no block)
+ */
+const blockAfter = (scope, failures, at) => {
+  const { freeAttempts, lockoutAfter } = SCOPES[scope];
+  if (lockoutAfter !== null && failures >= lockoutAfter)
+    return { blockedUntil: at + LOCKOUT_MS, locked: 1 };
+  if (failures > freeAttempts)
+    return { blockedUntil: at + Math.min(BASE_DELAY_MS * 2 ** (failures - freeAttempts - 1), MAX_DELAY_MS), locked: 0 };
+  return { blockedUntil: 0, locked: 0 };
+};
+
+/**
+ * Find the strongest block currently applying to any of the keys, inside an open transaction
+ * @param {Object} tx - Transaction helpers from runInTransaction
+ * @param {Array<Object>} keys - Keys built with key()
+ * @returns {Promise<Object|null>} { locked, retryAfter } (seconds), or null if attempts are allowed
+ */
+const currentBlock = async (tx, keys) => {
+  const now = Date.now();
+  const sql = `SELECT blocked_until, locked FROM login_throttle WHERE key IN (${keys.map(() => '?').join(', ')}) AND blocked_until > ?`;
+  const rows = await tx.all(sql, [...keys.map(k => k.key), now]);
+  if (rows.length === 0) return null;
+  // A lockout outranks a backoff delay; among equals the longest wait wins
+  const strongest = rows.reduce((a, b) =>
+    (b.locked > a.locked || (b.locked === a.locked && b.blocked_until > a.blocked_until)) ? b : a);
+  return { locked: strongest.locked === 1, retryAfter: Math.ceil((strongest.blocked_until - now) / 1000) };
+};
+
+/**
+ * Find the strongest block currently applying to any of the keys
+ * @param {Array<Object>} keys - Keys built with key()
+ * @returns {Promise<Object|null>} { locked, retryAfter } (seconds), or null if attempts are allowed
+ */
+exports.check = (keys) => runInTransaction(tx => currentBlock(tx, keys));
+
+/**
+ * Claim an attempt before checking the credentials
+ * In one transaction the keys are checked and, if no block applies, the attempt is counted as a
+ * failure for every key, so parallel attempts see each other and cannot get past the limits.
+ * A successful attempt gives the count back with recordSuccess() or release().
+ * @param {Array<Object>} keys - Keys built with key()
+ * @returns {Promise<Object|null>} Block refusing the attempt, as in check(), or null if it may go ahead
+ */
+exports.claim = (keys) => {
+  return runInTransaction(async (tx) => {
+    const block = await currentBlock(tx, keys);
+    if (block) return block;
+
+    const now = Date.now();
+    // Drop the keys whose failures are forgotten and whose block is over
+    await tx.run('DELETE FROM login_throttle WHERE last_failure < ? AND blocked_until < ?', [now - FAILURE_MEMORY_MS, now]);
+
+    for (const { scope, key } of keys) {
+      const row = await tx.get('SELECT failures, last_failure FROM login_throttle WHERE key = ?', [key]);
+      const failures = (row && now - row.last_failure < FAILURE_MEMORY_MS ? row.failures : 0) + 1;
+      const { blockedUntil, locked } = blockAfter(scope, failures, now);
+
+      await tx.run(`
+        INSERT INTO login_throttle (key, failures, last_failure, blocked_until, locked) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET failures = excluded.failures, last_failure = excluded.last_failure,
+          blocked_until = excluded.blocked_until, locked = excluded.locked
+      `, [key, failures, now, blockedUntil, locked]);
+    }
+    return null;
+  });
+};
+
+/**
+ * Give back a claimed attempt that did not fail for these keys
+ * Used for the counters a success does not clear (the IP address) and for the factors
+ * that were never checked because another one failed first
+ * @param {Array<Object>} keys - Keys built with key()
+ * @returns {Promise<void>}
+ */
+exports.release = (keys) => {
+  return runInTransaction(async (tx) => {
+    for (const { scope, key } of keys) {
+      const row = await tx.get('SELECT failures, last_failure FROM login_throttle WHERE key = ?', [key]);
+      if (!row) continue;
+      if (row.failures <= 1) {
+        await tx.run('DELETE FROM login_throttle WHERE key = ?', [key]);
+        continue;
+      }
+      const { blockedUntil, locked } = blockAfter(scope, row.failures - 1, row.last_failure);
+      await tx.run('UPDATE login_throttle SET failures = ?, blocked_until = ?, locked = ? WHERE key = ?',
+        [row.failures - 1, blockedUntil, locked, key]);
+    }
+  });
+};
+
+/**
+ * Forget the failures of the given keys after a successful attempt
+ * @param {Array<Object>} keys - Keys built with key()
+ * @returns {Promise<void>}
+ */
+exports.recordSuccess = (keys) => {
+  return runInTransaction(async (tx) => {
+    for (const { key } of keys)
+      await tx.run('DELETE FROM login_throttle WHERE key = ?', [key]);
+  });
+};
+
+/**
+ * Describe a block for the user
+ * @param {Object} block - Block as returned by check()
+ * @returns {string} Error message
+ */
+exports.blockMessage = (block) => {
+  const wait = block.retryAfter >= 120
+    ? `${Math.ceil(block.retryAfter / 60)} minutes`
+    : `${block.retryAfter} second${block.retryAfter === 1 ? '' : 's'}`;
+  return block.locked
+    ? `Too many failed attempts: locked for ${wait}`
+    : `Too many failed attempts: try again in ${wait}`;
+};
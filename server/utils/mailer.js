@@ -0,0 +1,52 @@
+/* Mailer */
+
+/* Sends the application's emails (password reset links) through a single transport.
+   The default transport appends each message as a plain-text email to a local outbox
+   file (MAIL_OUTBOX), a stand-in for an SMTP server during development. A real SMTP
+   client can be plugged in with setTransport. */
+
+'use strict';
+
+const fs = require('fs');
+const config = require('../config');
+
+// Sender of every message unless the message sets its own
+const MAIL_FROM = 'Restaurant <no-reply@restaurant.local>';
+
+// Function delivering a message; returns a Promise
+let transport = null;
+
+/**
+ * Replace the transport
+ * @param {Function} send - Called with each message as { from, to, subject, text }; returns a Promise
+ */
+exports.setTransport = (send) => {
+  transport = send;
+};
+
+/**
+ * Send a message through the current transport
+ * @param {Object} message - { to, subject, text }, optionally from
+ * @returns {Promise<void>} Rejects if the transport fails
+ */
+exports.sendMail = async (message) => {
+  await transport({ from: MAIL_FROM, ...message });
+};
+
+/**
+ * Transport appending each message to a file as a plain-text email
+ * @param {string} file - Mailbox file path
+ * @returns {Function} Transport
+ */
+exports.mailboxTransport = (file) => (message) => fs.promises.appendFile(file, [
+  `From: ${message.from || MAIL_FROM}`,
+  `To: ${message.to}`,
+  `Date: ${new Date().toUTCString()}`,
+  `Subject: ${message.subject}`,
+  '',
+  message.text,
+  '',
+  ''
+].join('\n'));
+
+exports.setTransport(exports.mailboxTransport(config.mail.outbox));
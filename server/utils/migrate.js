@@ -0,0 +1,63 @@
+/* Database Migration Runner */
+
+/* Applies the numbered SQL files in db/migrations on top of schema.sql + seed_data.sql.
+   The last applied migration number is tracked in SQLite's PRAGMA user_version. */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { runInTransaction } = require('./transaction');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+/**
+ * List migration files sorted by their numeric prefix
+ * File names follow the "NNN-description.sql" convention
+ * @returns {Array<Object>} Array of { version, file } objects
+ */
+const listMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.sql$/.test(file))
+    .map(file => ({ version: parseInt(file, 10), file }))
+    .sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Apply every migration newer than the database's current user_version
+ * Each migration runs in its own transaction together with the version bump,
+ * so a failing script leaves the database at the previous version
+ * @returns {Promise<Array<string>>} Names of the migrations that were applied
+ */
+exports.runMigrations = async () => {
+  const applied = [];
+
+  for (const migration of listMigrations()) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+
+    const didApply = await runInTransaction(async (tx) => {
+      const { user_version: currentVersion } = await tx.get('PRAGMA user_version');
+      if (migration.version <= currentVersion)
+        return false;
+
+      await tx.exec(sql);
+      await tx.exec(`PRAGMA user_version = ${migration.version}`);
+      return true;
+    });
+
+    if (didApply)
+      applied.push(migration.file);
+  }
+
+  return applied;
+};
+
+// Allow running migrations manually: `npm run migrate`
+if (require.main === module) {
+  exports.runMigrations()
+    .then(applied => console.log(applied.length ? `Applied migrations: ${applied.join(', ')}` : 'Database is up to date'))
+    .catch(err => {
+      console.error('Migration failed:', err.message);
+      process.exitCode = 1;
+    });
+}
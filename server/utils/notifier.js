@@ -0,0 +1,82 @@
+/* Low-Stock Alert Notifiers */
+
+/* Low-stock alerts always reach the admin feed; besides that they are handed to every
+   registered notifier. Two notifiers are built in and enabled by environment variables:
+   - STOCK_ALERT_WEBHOOK_URL: the alert is POSTed as JSON to that URL
+   - STOCK_ALERT_MAILBOX: the alert is appended as a plain-text email to that file
+     (a local stand-in for an SMTP server)
+   Other channels can be plugged in with addNotifier. */
+
+'use strict';
+
+const mailer = require('./mailer');
+
+// Recipient written in the mailbox stand-in
+const MAIL_TO = 'Restaurant admins <admins@restaurant.local>';
+
+// Registered notifiers as { name, send }
+const notifiers = [];
+
+/**
+ * Register a notifier
+ * @param {string} name - Name used in error messages
+ * @param {Function} send - Called with each alert; may return a Promise
+ */
+exports.addNotifier = (name, send) => {
+  notifiers.push({ name, send });
+};
+
+/**
+ * Hand an alert to every notifier
+ * A failing notifier is reported on the console and does not stop the others
+ * @param {Object} alert - Alert as { id, ingredientId, ingredientName, availability, threshold, createdAt }
+ * @returns {Promise<void>} Resolves when every notifier has finished
+ */
+exports.notify = async (alert) => {
+  await Promise.all(notifiers.map(({ name, send }) =>
+    Promise.resolve()
+      .then(() => send(alert))
+      .catch(err => console.error(`Stock alert notifier "${name}" failed:`, err.message))));
+};
+
+/**
+ * Describe an alert in one sentence
+ * @param {Object} alert - Alert object
+ * @returns {string} Alert text
+ */
+const alertText = (alert) =>
+  `${alert.ingredientName} is down to ${alert.availability} (reorder threshold ${alert.threshold})`;
+
+/**
+ * Notifier that POSTs each alert as JSON to a URL
+ * @param {string} url - Webhook URL
+ * @returns {Function} Notifier
+ */
+const webhookNotifier = (url) => async (alert) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'low-stock', text: alertText(alert), alert })
+  });
+  if (!response.ok)
+    throw new Error(`Webhook answered ${response.status}`);
+};
+
+/**
+ * Notifier that appends each alert to a file as a plain-text email
+ * @param {string} file - Mailbox file path
+ * @returns {Function} Notifier
+ */
+const mailboxNotifier = (file) => {
+  const append = mailer.mailboxTransport(file);
+  return (alert) => append({
+    to: MAIL_TO,
+    subject: `Low stock: ${alert.ingredientName} (${alert.availability} left)`,
+    text: `${alertText(alert)}.\nRaised at ${alert.createdAt} UTC.`
+  });
+};
+
+if (process.env.STOCK_ALERT_WEBHOOK_URL)
+  exports.addNotifier('webhook', webhookNotifier(process.env.STOCK_ALERT_WEBHOOK_URL));
+if (process.env.STOCK_ALERT_MAILBOX)
+  exports.addNotifier('mailbox', mailboxNotifier(process.env.STOCK_ALERT_MAILBOX));
@@ -0,0 +1,127 @@
+/* SQLite Session Store */
+
+/* express-session store keeping sessions in the sessions table of the application database,
+   so logins and their 2FA state survive restarts. Expired sessions are never returned and
+   are deleted periodically. Every deletion emits 'destroyed' with the deleted session IDs,
+   so whatever was opened with those sessions (such as event streams) can be closed. */
+
+'use strict';
+
+const session = require('express-session');
+const db = require('../db');
+const { runInTransaction } = require('./transaction');
+
+// How often expired sessions are deleted
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Lifetime of a session whose cookie has no expiry (browser-session cookie)
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiry time of a session in milliseconds since the epoch
+ * @param {Object} sess - Session data with its cookie
+ * @returns {number} Expiry time
+ */
+const expiryOf = (sess) =>
+  sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+
+class SqliteSessionStore extends session.Store {
+  /**
+   * Create the store and start the periodic cleanup
+   * The cleanup timer does not keep the process alive
+   */
+  constructor() {
+    super();
+    this.cleanupTimer = setInterval(() => this.deleteExpired().catch(() => {}), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Load a session that has not expired
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (err, session or null)
+   */
+  get(sid, callback) {
+    db.get('SELECT sess FROM sessions WHERE sid = ? AND expires > ?', [sid, Date.now()], (err, row) => {
+      if (err) return callback(err);
+      if (!row) return callback(null, null);
+      try {
+        callback(null, JSON.parse(row.sess));
+      } catch (parseErr) {
+        callback(parseErr);
+      }
+    });
+  }
+
+  /**
+   * Save a session, replacing the stored one
+   * Writes go through runInTransaction, like every other write on the shared connection
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (err)
+   */
+  set(sid, sess, callback) {
+    runInTransaction(tx => tx.run('INSERT OR REPLACE INTO sessions (sid, sess, expires) VALUES (?, ?, ?)',
+      [sid, JSON.stringify(sess), expiryOf(sess)]))
+      .then(() => callback && callback(null), err => callback && callback(err));
+  }
+
+  /**
+   * Extend the expiry of an unchanged session
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data with the renewed cookie
+   * @param {Function} callback - (err)
+   */
+  touch(sid, sess, callback) {
+    runInTransaction(tx => tx.run('UPDATE sessions SET expires = ? WHERE sid = ?', [expiryOf(sess), sid]))
+      .then(() => callback && callback(null), err => callback && callback(err));
+  }
+
+  /**
+   * Delete the sessions matching a condition and emit 'destroyed' with their IDs
+   * @param {string} where - SQL condition on the sessions table
+   * @param {Array} params - Condition parameters
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  deleteWhere(where, params) {
+    return runInTransaction(async (tx) => {
+      const rows = await tx.all(`SELECT sid FROM sessions WHERE ${where}`, params);
+      await tx.run(`DELETE FROM sessions WHERE ${where}`, params);
+      return rows.map(row => row.sid);
+    }).then(sids => {
+      if (sids.length > 0)
+        this.emit('destroyed', sids);
+      return sids.length;
+    });
+  }
+
+  /**
+   * Delete a session (logout)
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (err)
+   */
+  destroy(sid, callback) {
+    this.deleteWhere('sid = ?', [sid])
+      .then(() => callback && callback(null), err => callback && callback(err));
+  }
+
+  /**
+   * Log a user out everywhere, e.g. after a password change
+   * @param {number} userId - ID of the user (as stored by passport.serializeUser)
+   * @param {string} [exceptSid] - Session to keep, usually the one making the change
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  destroyUserSessions(userId, exceptSid = '') {
+    return this.deleteWhere("json_extract(sess, '$.passport.user') = ? AND sid != ?", [userId, exceptSid]);
+  }
+
+  /**
+   * Delete every expired session
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  deleteExpired() {
+    return this.deleteWhere('expires <= ?', [Date.now()]);
+  }
+}
+
+module.exports = SqliteSessionStore;
@@ -0,0 +1,98 @@
+/* Transaction helper for multi-statement database operations */
+
+'use strict';
+
+const db = require('../db');
+
+// All transactions share the single SQLite connection, so they are queued and
+// executed one at a time: a second BEGIN on the same connection would fail.
+let queue = Promise.resolve();
+
+/**
+ * Promise wrapper for db.run exposing lastID and changes
+ * @param {string} sql - SQL statement to execute
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} Object with lastID and changes
+ */
+const run = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+};
+
+/**
+ * Promise wrapper for db.get
+ * @param {string} sql - SQL query to execute
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Object|undefined>} First matching row
+ */
+const get = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+/**
+ * Promise wrapper for db.all
+ * @param {string} sql - SQL query to execute
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} All matching rows
+ */
+const all = (sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+/**
+ * Promise wrapper for db.exec (multiple statements, no parameters)
+ * @param {string} sql - SQL script to execute
+ * @returns {Promise<void>}
+ */
+const exec = (sql) => {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+/**
+ * Execute a unit of work inside BEGIN IMMEDIATE / COMMIT
+ * Any error thrown by the work function rolls back every statement it issued
+ * @param {Function} work - Async function receiving { run, get, all, exec }
+ * @returns {Promise<*>} Value returned by the work function
+ */
+const execute = async (work) => {
+  await run('BEGIN IMMEDIATE');
+  try {
+    const result = await work({ run, get, all, exec });
+    await run('COMMIT');
+    return result;
+  } catch (err) {
+    await run('ROLLBACK').catch(() => {}); // Keep the original error
+    throw err;
+  }
+};
+
+/**
+ * Run a function as a single atomic database transaction
+ * Transactions are serialized so concurrent requests cannot interleave their writes
+ * @param {Function} work - Async function receiving { run, get, all, exec }
+ * @returns {Promise<*>} Value returned by the work function
+ */
+exports.runInTransaction = (work) => {
+  const result = queue.then(() => execute(work));
+  queue = result.catch(() => {}); // A failed transaction must not block the next one
+  return result;
+};
@@ -0,0 +1,402 @@
+/* Ingredient Constraint Engine - shared by server and client */
+
+/* Pure functions that evaluate an ingredient selection against a size and the ingredient rules.
+   The server uses them to validate orders, the configurator to guide the user, so both always agree.
+   Ingredients have the API shape { id, name, availability, requires: [names], incompatible: [names] }
+   and sizes { label, maxIngredients }. Violations are plain objects { error, constraintViolation, ... }:
+   the same bodies the order API returns. */
+
+/**
+ * Find an ingredient by name
+ * @param {Array} ingredients - All ingredients
+ * @param {string} name - Ingredient name
+ * @returns {Object|undefined} Ingredient
+ */
+const findByName = (ingredients, name) => ingredients.find(ing => ing.name === name);
+
+/**
+ * Collect every ingredient an ingredient needs, directly or through other requirements
+ * Order is depth-first, so each ingredient comes right after the one that needs it.
+ * Unknown names are skipped and cycles are cut.
+ * @param {Object} ingredient - Starting ingredient
+ * @param {Array} ingredients - All ingredients
+ * @returns {Array<Object>} Required ingredients as { ingredient, chain }, where chain lists the
+ *   names that lead to it (starting ingredient first)
+ */
+function requiredIngredients(ingredient, ingredients) {
+  const required = [];
+  const seen = new Set([ingredient.name]);
+
+  const visit = (current, chain) => {
+    for (const reqName of current.requires) {
+      const reqIngredient = findByName(ingredients, reqName);
+      if (!reqIngredient || seen.has(reqName)) continue;
+      seen.add(reqName);
+      required.push({ ingredient: reqIngredient, chain });
+      visit(reqIngredient, [...chain, reqName]);
+    }
+  };
+
+  visit(ingredient, [ingredient.name]);
+  return required;
+}
+
+/**
+ * Check whether one more ingredient fits next to the current selection
+ * @param {Object} ingredient - Ingredient to add
+ * @param {Array<Object>} selected - Currently selected ingredients
+ * @param {Object} size - Selected size
+ * @returns {Object|null} Violation, or null if the ingredient can be added
+ */
+function additionViolation(ingredient, selected, size) {
+  if (selected.length >= size.maxIngredients) {
+    return {
+      error: `${size.label} dishes can have at most ${size.maxIngredients} ingredients`,
+      constraintViolation: 'ingredient_count',
+      maxAllowed: size.maxIngredients
+    };
+  }
+
+  if (ingredient.availability !== null && ingredient.availability <= 0) {
+    return {
+      error: `${ingredient.name} is not available`,
+      constraintViolation: 'availability',
+      ingredient: ingredient.name,
+      available: ingredient.availability
+    };
+  }
+
+  const selectedNames = selected.map(ing => ing.name);
+  const conflicts = ingredient.incompatible.filter(name => selectedNames.includes(name));
+  if (conflicts.length > 0) {
+    return {
+      error: `${ingredient.name} is incompatible with: ${conflicts.join(', ')}`,
+      constraintViolation: 'incompatibility',
+      ingredient: ingredient.name,
+      conflictsWith: conflicts
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a complete selection, as submitted with an order
+ * Checks size capacity, existence, duplicates, availability, incompatibilities and requirements
+ * @param {Array<number>} ingredientIds - Selected ingredient IDs
+ * @param {Object} size - Selected size
+ * @param {Array} ingredients - All ingredients
+ * @returns {Array<Object>} Every violation found, in the order above (empty if the selection is valid)
+ */
+function validateSelection(ingredientIds, size, ingredients) {
+  const violations = [];
+
+  if (ingredientIds.length > size.maxIngredients) {
+    violations.push({
+      error: `${size.label} dishes can have at most ${size.maxIngredients} ingredients. You selected ${ingredientIds.length}.`,
+      constraintViolation: 'ingredient_count',
+      maxAllowed: size.maxIngredients,
+      provided: ingredientIds.length
+    });
+  }
+
+  // Resolve IDs, skipping unknown and repeated ones so the rule checks below still run
+  const selected = [];
+  for (const ingrId of ingredientIds) {
+    const ingredient = ingredients.find(ing => ing.id === ingrId);
+    if (!ingredient) {
+      violations.push({
+        error: `Invalid ingredient: ${ingrId}`,
+        constraintViolation: 'invalid_ingredient'
+      });
+    } else if (selected.includes(ingredient)) {
+      violations.push({
+        error: `${ingredient.name} is selected more than once`,
+        constraintViolation: 'duplicate_ingredient',
+        ingredient: ingredient.name
+      });
+    } else {
+      selected.push(ingredient);
+    }
+  }
+
+  // Availability is an early check only: the server re-checks stock inside the order transaction
+  for (const ingredient of selected) {
+    if (ingredient.availability !== null && ingredient.availability <= 0) {
+      violations.push({
+        error: `${ingredient.name} is not available`,
+        constraintViolation: 'availability',
+        ingredient: ingredient.name,
+        available: ingredient.availability
+      });
+    }
+  }
+
+  // Incompatibilities are symmetric: report each pair once, under the first ingredient
+  const selectedNames = selected.map(ing => ing.name);
+  const reported = new Set();
+  for (const ingredient of selected) {
+    const conflicts = ingredient.incompatible.filter(name =>
+      name !== ingredient.name && selectedNames.includes(name) && !reported.has(name)
+    );
+    reported.add(ingredient.name);
+    if (conflicts.length > 0) {
+      violations.push({
+        error: `${ingredient.name} is incompatible with: ${conflicts.join(', ')}`,
+        constraintViolation: 'incompatibility',
+        ingredient: ingredient.name,
+        conflictsWith: conflicts
+      });
+    }
+  }
+
+  // Every ingredient needed, directly or transitively, must be in the selection
+  for (const ingredient of selected) {
+    const missing = requiredIngredients(ingredient, ingredients)
+      .map(({ ingredient: req }) => req.name)
+      .filter(name => !selectedNames.includes(name));
+    if (missing.length > 0) {
+      violations.push({
+        error: `${ingredient.name} requires: ${missing.join(', ')}`,
+        constraintViolation: 'requirements',
+        ingredient: ingredient.name,
+        missingRequirements: missing
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Add an ingredient to a selection together with everything it requires
+ * @param {number} ingredientId - ID of the ingredient to add
+ * @param {Array<number>} selection - Currently selected ingredient IDs
+ * @param {Object|null} size - Selected size (nothing can be added without one)
+ * @param {Array} ingredients - All ingredients
+ * @returns {Object} { selection } with the new IDs appended, or { violation } if they do not fit
+ */
+function addIngredient(ingredientId, selection, size, ingredients) {
+  const ingredient = ingredients.find(ing => ing.id === ingredientId);
+  if (!ingredient) {
+    return { violation: { error: `Invalid ingredient: ${ingredientId}`, constraintViolation: 'invalid_ingredient' } };
+  }
+  if (!size) {
+    return { violation: { error: 'Please select a size first', constraintViolation: 'size_required' } };
+  }
+  if (selection.includes(ingredientId)) {
+    return { selection };
+  }
+
+  const selected = selection
+    .map(id => ingredients.find(ing => ing.id === id))
+    .filter(Boolean);
+  const toAdd = [
+    { ingredient, chain: [] },
+    ...requiredIngredients(ingredient, ingredients).filter(({ ingredient: req }) => !selection.includes(req.id))
+  ];
+
+  for (const { ingredient: next, chain } of toAdd) {
+    const violation = additionViolation(next, selected, size);
+    if (violation) {
+      // Explain why an ingredient the user did not click is being added
+      if (chain.length > 0) {
+        violation.error = `Cannot add ${next.name} (required by ${chain.join(' → ')}): ${violation.error}`;
+        violation.requiredBy = chain;
+      }
+      return { violation };
+    }
+    selected.push(next);
+  }
+
+  return { selection: [...selection, ...toAdd.map(({ ingredient: added }) => added.id)] };
+}
+
+/**
+ * Check whether an ingredient can be removed from a selection
+ * @param {number} ingredientId - ID of the ingredient to remove
+ * @param {Array<number>} selection - Currently selected ingredient IDs
+ * @param {Array} ingredients - All ingredients
+ * @returns {Object|null} Violation if other selected ingredients require it, or null
+ */
+function removalViolation(ingredientId, selection, ingredients) {
+  const ingredient = ingredients.find(ing => ing.id === ingredientId);
+  if (!ingredient || !selection.includes(ingredientId)) return null;
+
+  const dependents = selection
+    .map(id => ingredients.find(ing => ing.id === id))
+    .filter(ing => ing && ing.requires.includes(ingredient.name))
+    .map(ing => ing.name);
+
+  if (dependents.length === 0) return null;
+  return {
+    error: `Cannot remove ${ingredient.name} as it is required by: ${dependents.join(', ')}`,
+    constraintViolation: 'required_by',
+    ingredient: ingredient.name,
+    requiredBy: dependents
+  };
+}
+
+/**
+ * Remove ingredients from a selection together with the selected ones that need them
+ * Used when ingredients stop being available: whatever depends on them, directly or
+ * through other requirements, cannot stay either
+ * @param {Array<number>} ingredientIds - IDs of the ingredients to remove
+ * @param {Array<number>} selection - Currently selected ingredient IDs
+ * @param {Array} ingredients - All ingredients
+ * @returns {Object} { selection, removed } with the remaining IDs and the removed names
+ */
+function removeIngredients(ingredientIds, selection, ingredients) {
+  const removed = new Set(ingredientIds.filter(id => selection.includes(id)));
+
+  // Repeat until no remaining ingredient needs a removed one
+  let changed = removed.size > 0;
+  while (changed) {
+    changed = false;
+    const removedNames = ingredients.filter(ing => removed.has(ing.id)).map(ing => ing.name);
+    for (const id of selection) {
+      const ingredient = ingredients.find(ing => ing.id === id);
+      if (!removed.has(id) && ingredient && ingredient.requires.some(name => removedNames.includes(name))) {
+        removed.add(id);
+        changed = true;
+      }
+    }
+  }
+
+  return {
+    selection: selection.filter(id => !removed.has(id)),
+    removed: selection
+      .filter(id => removed.has(id))
+      .map(id => ingredients.find(ing => ing.id === id))
+      .filter(Boolean)
+      .map(ing => ing.name)
+  };
+}
+
+/**
+ * Rebuild a saved selection under the current size, stock and rules
+ * Ingredients are added back one at a time in the saved order, each with its requirements,
+ * so the earlier choices win a conflict; the ones that no longer fit are left out with the reason.
+ * Used to pre-fill the configurator from favorites and past orders.
+ * @param {Array<number>} ingredientIds - Saved ingredient IDs
+ * @param {Object} size - Size of the dish
+ * @param {Array} ingredients - All ingredients, with the stock left for this dish
+ * @param {number} [quantity] - Number of dishes; each one uses a unit of every ingredient
+ * @returns {Object} { selection, dropped }: the IDs that fit, and { id, name, error, constraintViolation }
+ *   for every saved ingredient left out
+ */
+function reconcileSelection(ingredientIds, size, ingredients, quantity = 1) {
+  // With several dishes an ingredient fits only if a unit is left for each of them
+  const stock = quantity === 1 ? ingredients : ingredients.map(ing =>
+    ing.availability === null ? ing : { ...ing, availability: ing.availability - (quantity - 1) });
+
+  let selection = [];
+  const dropped = [];
+  for (const ingredientId of ingredientIds) {
+    const result = addIngredient(ingredientId, selection, size, stock);
+    if (!result.violation) {
+      selection = result.selection;
+      continue;
+    }
+
+    const ingredient = ingredients.find(ing => ing.id === ingredientId);
+    let { error } = result.violation;
+    const short = result.violation.constraintViolation === 'availability' &&
+      ingredients.find(ing => ing.name === result.violation.ingredient);
+    if (short && short.availability > 0) {
+      const shortage = `only ${short.availability} ${short.name} left for ${quantity} dishes`;
+      error = result.violation.requiredBy
+        ? `Cannot add ${short.name} (required by ${result.violation.requiredBy.join(' → ')}): ${shortage}`
+        : shortage.charAt(0).toUpperCase() + shortage.slice(1);
+    }
+    dropped.push({ id: ingredientId, name: ingredient ? ingredient.name : null, error, constraintViolation: result.violation.constraintViolation });
+  }
+
+  return { selection, dropped };
+}
+
+// Goals of suggestCompletions
+const COMPLETION_GOALS = ['max_ingredients', 'min_price', 'include'];
+
+// Search budget of suggestCompletions: selections visited before giving up on exploring them all
+const MAX_SEARCH_NODES = 20000;
+
+/**
+ * Suggest ways to complete a dish: selections that contain the current one, follow every rule
+ * and use only available ingredients. For most goals they also cannot take one more ingredient
+ * (with its requirements); for min_price any larger valid selection counts, since the cheapest
+ * completions are the ones that add the least.
+ * Each step of the search adds an ingredient with everything it requires, so incompatibilities and
+ * the size limit are checked on whole requirement chains, and dead ends such as an ingredient whose
+ * requirement conflicts with the selection are never suggested.
+ * @param {Array<number>} selection - Currently selected ingredient IDs (must be a valid selection)
+ * @param {Object} size - Size of the dish
+ * @param {Array} ingredients - All ingredients, with price and the stock left for this dish
+ * @param {Object} options - { goal, ingredientId, limit }: goal is 'max_ingredients' (most ingredients,
+ *   then cheapest), 'min_price' (cheapest, then most ingredients) or 'include' (like max_ingredients,
+ *   among the completions containing ingredientId); limit is the number of suggestions (default 3)
+ * @returns {Object} { suggestions, violation, exhaustive }: suggestions as { ingredientIds, added, price },
+ *   with the current IDs first and price the sum of every ingredient's price; violation explains why the
+ *   chosen ingredient cannot be included (include goal only, else null); exhaustive is false if the
+ *   search budget ran out before every completion was seen
+ */
+function suggestCompletions(selection, size, ingredients, { goal, ingredientId, limit = 3 }) {
+  const byId = new Map(ingredients.map(ing => [ing.id, ing]));
+  const isAvailable = (ing) => ing.availability === null || ing.availability > 0;
+  const conflict = (a, b) => a.incompatible.includes(b.name) || b.incompatible.includes(a.name);
+
+  // Add an ingredient and its missing requirements to a selection, or null if they do not fit
+  const extend = (current, candidate) => {
+    const added = [candidate, ...requiredIngredients(candidate, ingredients).map(({ ingredient }) => ingredient)]
+      .filter(ing => !current.includes(ing.id));
+    if (current.length + added.length > size.maxIngredients) return null;
+    const members = [...current.map(id => byId.get(id)), ...added];
+    for (const [index, ing] of added.entries()) {
+      if (!isAvailable(ing)) return null;
+      if (members.some((other, otherIndex) => otherIndex !== current.length + index && conflict(ing, other))) return null;
+    }
+    return [...current, ...added.map(ing => ing.id)];
+  };
+
+  const violation = goal === 'include' && !selection.includes(ingredientId)
+    ? addIngredient(ingredientId, selection, size, ingredients).violation ?? null
+    : null;
+  if (violation) return { suggestions: [], violation, exhaustive: true };
+
+  // Only ingredients that fit next to the current selection on their own can be part of a completion
+  const candidates = ingredients.filter(ing => !selection.includes(ing.id) && extend(selection, ing));
+
+  // Depth-first search; each ingredient is only tried after the ones before it, and a selection
+  // reached in several ways is kept once
+  const found = new Map();
+  let nodes = 0;
+  const visit = (current, from) => {
+    if (++nodes > MAX_SEARCH_NODES) return;
+    if (current.length > selection.length) found.set([...current].sort((a, b) => a - b).join(','), current);
+    for (let index = from; index < candidates.length; index++) {
+      if (current.includes(candidates[index].id)) continue;
+      const next = extend(current, candidates[index]);
+      if (next) visit(next, index + 1);
+    }
+  };
+  visit(selection, 0);
+
+  const price = (ids) => ids.reduce((sum, id) => sum + byId.get(id).price, 0);
+  const complete = [...found.values()]
+    .filter(ids => goal === 'min_price' || !candidates.some(ing => !ids.includes(ing.id) && extend(ids, ing)))
+    .filter(ids => goal !== 'include' || ids.includes(ingredientId))
+    .map(ids => ({ ingredientIds: ids, added: ids.slice(selection.length), price: price(ids) }));
+
+  const byCount = (a, b) => b.ingredientIds.length - a.ingredientIds.length;
+  const byPrice = (a, b) => a.price - b.price;
+  complete.sort(goal === 'min_price'
+    ? (a, b) => byPrice(a, b) || byCount(a, b)
+    : (a, b) => byCount(a, b) || byPrice(a, b));
+
+  return { suggestions: complete.slice(0, limit), violation: null, exhaustive: nodes <= MAX_SEARCH_NODES };
+}
+
+export {
+  COMPLETION_GOALS, requiredIngredients, validateSelection, addIngredient, removalViolation, removeIngredients,
+  reconcileSelection, suggestCompletions
+};
@@ -0,0 +1,67 @@
+/* Allergens and Dietary Tags - shared by server and client */
+
+/* Ingredients and base dishes carry the allergens they contain and the diets they suit;
+   a user's dietary profile names a diet to follow and the allergens to avoid. The server
+   validates tags against these lists and records the allergens of every ordered dish;
+   the menu and the configurator use the same checks to flag or hide what does not fit. */
+
+// Allergens that can be declared (the fourteen of EU Regulation 1169/2011)
+const ALLERGENS = [
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soy', 'dairy',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+
+// Diets an item can suit; a vegan item also suits the other two, a vegetarian one pescatarians
+const DIETS = ['vegetarian', 'vegan', 'pescatarian'];
+
+// Display names
+const DIET_LABELS = {
+  vegetarian: 'Vegetarian',
+  vegan: 'Vegan',
+  pescatarian: 'Pescatarian'
+};
+
+/**
+ * Explain why a menu item does not fit a dietary profile
+ * @param {Object} item - Ingredient or base dish with allergens and diets
+ * @param {Object|null} profile - Dietary profile as { diet, allergens } (diet may be null)
+ * @returns {Array<string>} Reasons such as "Contains dairy" or "Not vegan" (empty if it fits)
+ */
+function profileConflicts(item, profile) {
+  if (!profile) return [];
+  const reasons = item.allergens
+    .filter(allergen => profile.allergens.includes(allergen))
+    .map(allergen => `Contains ${allergen}`);
+  if (profile.diet && !item.diets.includes(profile.diet))
+    reasons.push(`Not ${profile.diet}`);
+  return reasons;
+}
+
+/**
+ * Check whether a dietary profile asks for anything
+ * @param {Object|null} profile - Dietary profile
+ * @returns {boolean} True if it has a diet or allergens to avoid
+ */
+const hasDietaryProfile = (profile) => Boolean(profile && (profile.diet || profile.allergens.length > 0));
+
+/**
+ * Allergens of a configured dish: those of its base dish and of every ingredient
+ * @param {Object} baseDish - Base dish with allergens
+ * @param {Array<Object>} ingredients - Ingredients of the dish, with allergens
+ * @returns {Array<string>} Allergens, sorted and without repetitions
+ */
+function dishAllergens(baseDish, ingredients) {
+  return [...new Set([...baseDish.allergens, ...ingredients.flatMap(ing => ing.allergens)])].sort();
+}
+
+/**
+ * Diets a configured dish suits: those its base dish and every ingredient suit
+ * @param {Object} baseDish - Base dish with diets
+ * @param {Array<Object>} ingredients - Ingredients of the dish, with diets
+ * @returns {Array<string>} Diets, in the order of DIETS
+ */
+function dishDiets(baseDish, ingredients) {
+  return DIETS.filter(diet => baseDish.diets.includes(diet) && ingredients.every(ing => ing.diets.includes(diet)));
+}
+
+export { ALLERGENS, DIETS, DIET_LABELS, profileConflicts, hasDietaryProfile, dishAllergens, dishDiets };
@@ -0,0 +1,72 @@
+/* Nutrition Values - shared by server and client */
+
+/* Every size has the nutrition values of the plain dish and every ingredient those of the
+   portion added to a dish. A configured dish is the sum of its size and its ingredients: the
+   server returns it in quotes and stores it on each ordered dish, and the order summary shows
+   it live with the same functions. */
+
+// Nutrients tracked, in display order: energy in kcal, the others in grams
+const NUTRIENTS = ['kcal', 'protein', 'fat', 'carbs'];
+
+// Display names and units
+const NUTRIENT_LABELS = {
+  kcal: 'Energy',
+  protein: 'Protein',
+  fat: 'Fat',
+  carbs: 'Carbohydrates'
+};
+const NUTRIENT_UNITS = { kcal: 'kcal', protein: 'g', fat: 'g', carbs: 'g' };
+
+/**
+ * Round nutrition values for display and storage: whole kcal, grams to one decimal
+ * @param {Object} nutrition - Values as { kcal, protein, fat, carbs }
+ * @returns {Object} Rounded values
+ */
+function roundNutrition(nutrition) {
+  return Object.fromEntries(NUTRIENTS.map(nutrient => [
+    nutrient,
+    nutrient === 'kcal' ? Math.round(nutrition[nutrient]) : Math.round(nutrition[nutrient] * 10) / 10
+  ]));
+}
+
+/**
+ * Add up nutrition values
+ * @param {Array<Object>} values - Values as { kcal, protein, fat, carbs }
+ * @returns {Object} Rounded sum (zeros for an empty list)
+ */
+function sumNutrition(values) {
+  return roundNutrition(Object.fromEntries(NUTRIENTS.map(nutrient => [
+    nutrient,
+    values.reduce((sum, value) => sum + value[nutrient], 0)
+  ])));
+}
+
+/**
+ * Nutrition of one configured dish: its size and every ingredient
+ * @param {Object} size - Size with nutrition
+ * @param {Array<Object>} ingredients - Ingredients of the dish, with nutrition
+ * @returns {Object} Rounded values as { kcal, protein, fat, carbs }
+ */
+function dishNutrition(size, ingredients) {
+  return sumNutrition([size.nutrition, ...ingredients.map(ingredient => ingredient.nutrition)]);
+}
+
+/**
+ * Nutrition of several identical dishes
+ * @param {Object} nutrition - Values of one dish
+ * @param {number} quantity - Number of dishes
+ * @returns {Object} Rounded values
+ */
+function scaleNutrition(nutrition, quantity) {
+  return roundNutrition(Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, nutrition[nutrient] * quantity])));
+}
+
+export {
+  NUTRIENTS,
+  NUTRIENT_LABELS,
+  NUTRIENT_UNITS,
+  roundNutrition,
+  sumNutrition,
+  dishNutrition,
+  scaleNutrition
+};
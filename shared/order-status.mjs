@@ -0,0 +1,63 @@
+/* Order Status Lifecycle - shared by server and client */
+
+/* Which states an order can be in and which transitions between them are allowed.
+   The server enforces the transitions; the client uses them to draw the progress timeline
+   and to decide which actions to offer. */
+
+// Regular progress of an order, from placement to pickup
+const ORDER_STEPS = ['received', 'preparing', 'ready', 'picked_up'];
+
+// Every status, including the two ways an order can end early
+const ORDER_STATUSES = [...ORDER_STEPS, 'rejected', 'cancelled'];
+
+// Display names
+const STATUS_LABELS = {
+  received: 'Received',
+  preparing: 'Preparing',
+  ready: 'Ready for pickup',
+  picked_up: 'Picked up',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+};
+
+// Allowed transitions: the kitchen moves orders forward or rejects them before preparation,
+// the customer can cancel only until preparation starts
+const TRANSITIONS = {
+  received: ['preparing', 'rejected', 'cancelled'],
+  preparing: ['ready'],
+  ready: ['picked_up'],
+  picked_up: [],
+  rejected: [],
+  cancelled: []
+};
+
+/**
+ * Check whether an order can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Check whether the customer can still cancel an order
+ * @param {string} status - Current status
+ * @returns {boolean} True before preparation starts
+ */
+const isCancellable = (status) => canTransition(status, 'cancelled');
+
+/**
+ * Check whether an order still has steps ahead (it is not picked up, rejected or cancelled)
+ * @param {string} status - Current status
+ * @returns {boolean} True while the order is open
+ */
+const isActive = (status) => (TRANSITIONS[status] || []).length > 0;
+
+/**
+ * Check whether reaching a status gives the order's ingredients back to stock
+ * @param {string} status - New status
+ * @returns {boolean} True for orders that will never be prepared
+ */
+const releasesStock = (status) => status === 'rejected' || status === 'cancelled';
+
+export { ORDER_STEPS, ORDER_STATUSES, STATUS_LABELS, TRANSITIONS, canTransition, isCancellable, isActive, releasesStock };